@@ -9,13 +9,125 @@
  */
 
 import { Notice, PluginSettingTab, Setting, SuggestModal, TFile, TFolder } from 'obsidian';
-import { slugify } from './utils/slugify.js';
+import { formatSlugCollisions } from './utils/slugify.js';
+import { getPageId, PAGE_ID_FRONTMATTER_KEY } from './utils/pageId.js';
+import { getGMVaultMetadata } from './utils/frontmatter.js';
 import { ServerManager } from './server/ServerManager.js';
-import { TunnelManager } from './server/TunnelManager.js';
+import { AuditLog } from './server/AuditLog.js';
+import { CertificateStore } from './server/CertificateStore.js';
+import { TunnelManager, TUNNEL_PROVIDERS } from './server/TunnelManager.js';
+import { TunnelSupervisor, TUNNEL_STATUS } from './server/TunnelSupervisor.js';
+import { RequestLog } from './server/RequestLog.js';
+import { EventStream } from './server/EventStream.js';
+import { RenderCache } from './server/RenderCache.js';
+import { ThumbnailCache } from './server/ThumbnailCache.js';
+import { ServerControlView, SERVER_CONTROL_VIEW_TYPE } from './views/ServerControlView.js';
+import { getLanAddress, getLanAddresses } from './server/tunnels/LanProvider.js';
 import { SessionParser } from './parsers/SessionParser.js';
+import { SessionIndex } from './parsers/SessionIndex.js';
+import { ObsidianFileTree } from './filetree/ObsidianFileTree.js';
+import { getImageFiles } from './filetree/FileTree.js';
 import { GMVaultJSONBuilder } from './renderers/GMVaultJSONBuilder.js';
 import { MarkdownRenderer } from './renderers/MarkdownRenderer.js';
-import { VaultExporter } from './exporters/VaultExporter.js';
+import { EmbedResolver } from './renderers/EmbedResolver.js';
+import { VaultExporter, IMAGE_MODES } from './exporters/VaultExporter.js';
+import { createZip } from './utils/zip.js';
+import { filterGMOnlyContent } from './utils/secrets.js';
+import { getMimeType, isImageExtension } from './utils/mime.js';
+import { canResize, THUMBNAIL_FORMATS } from './utils/imageScaler.js';
+import { applyGalleryMetadata, getGalleryMetadata, isGallerySidecar } from './utils/gallery.js';
+import { ROLES, GM_PATH_PREFIX, PLAYER_PATH_PREFIX, TOKEN_QUERY_PARAM, generateAccessToken, tokensMatch, getTokenRole, getRoleBaseUrl } from './utils/access.js';
+
+/**
+ * Image modes offered when exporting, in the order they are shown.
+ */
+const EXPORT_IMAGE_OPTIONS = [
+	{ mode: IMAGE_MODES.OMIT, label: 'JSON only', description: 'Local images become placeholders (external URLs are kept)' },
+	{ mode: IMAGE_MODES.EMBED, label: 'JSON with embedded images', description: 'Local images inlined as base64, up to the size limit in Settings' },
+	{ mode: IMAGE_MODES.BUNDLE, label: 'ZIP bundle', description: 'JSON plus an assets/ folder with the local images' }
+];
+
+/**
+ * Tunnel modes: quick tunnel (random trycloudflare.com hostname, default) or named tunnel (fixed hostname).
+ */
+const TUNNEL_MODES = {
+	QUICK: 'quick',
+	NAMED: 'named'
+};
+
+/**
+ * Default port of the local server.
+ */
+const DEFAULT_PORT = 3000;
+
+/**
+ * Bind address that listens on every interface (LAN mode default).
+ */
+const ALL_INTERFACES = '0.0.0.0';
+
+/**
+ * Delay before pushing a change to the /events clients (ms). Obsidian saves while typing,
+ * so changes to the same note are coalesced.
+ */
+const LIVE_UPDATE_DEBOUNCE_MS = 500;
+
+/**
+ * Dependency of the cached /gm-vault responses: invalidated by any change to a note.
+ * Obsidian does not allow "#" in file names, so it never matches a vault path.
+ */
+const SESSION_CACHE_DEPENDENCY = '#session';
+
+/**
+ * Cache-Control of /images/*: the browser reuses a file for 5 minutes, then revalidates it.
+ * Private: the URLs carry the access token, shared caches must not keep them.
+ */
+const MEDIA_CACHE_CONTROL = 'private, max-age=300';
+
+/**
+ * Width of the gallery grid thumbnails (/images/*?w=...). The modal shows the full image.
+ */
+const GALLERY_THUMBNAIL_WIDTH = 400;
+
+/**
+ * Values accepted by the format query parameter of /images/*.
+ */
+const THUMBNAIL_FORMAT_PARAMS = {
+	'jpg': THUMBNAIL_FORMATS.JPEG,
+	'jpeg': THUMBNAIL_FORMATS.JPEG,
+	'png': THUMBNAIL_FORMATS.PNG
+};
+
+/**
+ * Status bar text for each tunnel status.
+ */
+const TUNNEL_STATUS_LABELS = {
+	[TUNNEL_STATUS.CONNECTED]: '🟢 GM Vault: connected',
+	[TUNNEL_STATUS.RECONNECTING]: '🟡 GM Vault: reconnecting…',
+	[TUNNEL_STATUS.DOWN]: '🔴 GM Vault: down'
+};
+
+/**
+ * Status bar text while the server is stopped, or running without a tunnel (start failed).
+ */
+const SERVER_OFF_LABEL = '⚪ GM Vault: off';
+const SERVER_LOCAL_ONLY_LABEL = '🟠 GM Vault: local only';
+
+/**
+ * Snapshot of the server state for the status bar and the control panel.
+ *
+ * @typedef {Object} ServerState
+ * @property {boolean} running - Local server running
+ * @property {number} port - Server port
+ * @property {string|null} publicUrl - Tunnel (or LAN) URL
+ * @property {string|null} gmVaultUrl - GM Vault JSON URL (GM token included)
+ * @property {string} tunnelLabel - Status text (same as the status bar)
+ * @property {string} tunnelDetail - Status detail (last supervisor message)
+ * @property {string|null} sessionFolder - Session folder path
+ * @property {number} requestCount - Requests since the server started
+ * @property {import('./utils/slugify.js').SlugCollision[]} slugCollisions - Page names that share a slug in the session
+ * @property {import('./server/RequestLog.js').RequestEntry[]} recentRequests - Recent requests (newest last)
+ * @property {string} tunnelOutput - Recent tunnel process output
+ */
 
 /**
  * Main controller that orchestrates all plugin modules.
@@ -42,6 +154,12 @@ export class PluginController {
 		/** @type {TunnelManager|null} */
 		this.tunnelManager = null;
 		
+		/** @type {TunnelSupervisor|null} */
+		this.tunnelSupervisor = null;
+		
+		/** @type {ObsidianFileTree|null} Vault visto por el parser, el índice y las galerías (ver filetree/FileTree.js) */
+		this.fileTree = null;
+		
 		/** @type {SessionParser|null} */
 		this.sessionParser = null;
 		
@@ -51,6 +169,12 @@ export class PluginController {
 		/** @type {MarkdownRenderer|null} */
 		this.markdownRenderer = null;
 		
+		/** @type {EmbedResolver|null} */
+		this.embedResolver = null;
+		
+		/** @type {AuditLog|null} */
+		this.auditLog = null;
+		
 		/** @type {VaultExporter|null} */
 		this.vaultExporter = null;
 		
@@ -58,14 +182,98 @@ export class PluginController {
 		this.currentSessionFolder = null;
 		
 		/** @type {number} */
-		this.port = 3000;
+		this.port = DEFAULT_PORT;
+		
+		/** @type {boolean} Use the next free port when the configured one is in use */
+		this.autoPort = true;
 		
 		/** @type {string|null} */
 		this.publicUrl = null;
 		
+		/** @type {string} Tunnel provider (see TUNNEL_PROVIDERS) */
+		this.tunnelProvider = TUNNEL_PROVIDERS.CLOUDFLARED;
+		
+		/** @type {string} Custom tunnel command ("{port}" is replaced with the server port) */
+		this.tunnelCommand = '';
+		
+		/** @type {string} Regular expression of the public URL in the custom command output (empty = first http(s) URL) */
+		this.tunnelUrlPattern = '';
+		
+		/** @type {string} LAN mode: address the server binds to (ALL_INTERFACES or one LAN IPv4 address) */
+		this.lanBindAddress = ALL_INTERFACES;
+		
+		/** @type {boolean} LAN mode: also serve HTTPS with a self-signed certificate */
+		this.lanHttps = false;
+		
+		/** @type {number} LAN mode: port of the HTTPS listener */
+		this.lanHttpsPort = 3443;
+		
+		/** @type {CertificateStore|null} */
+		this.certificateStore = null;
+		
 		/** @type {boolean} Use only plugin's cloudflared (ignore system); forces download if missing */
 		this.useBundledCloudflared = false;
 		
+		/** @type {string} Tunnel mode (see TUNNEL_MODES) */
+		this.tunnelMode = TUNNEL_MODES.QUICK;
+		
+		/** @type {string} Named tunnel: token from the Cloudflare dashboard */
+		this.namedTunnelToken = '';
+		
+		/** @type {string} Named tunnel: absolute path to a credentials JSON file (used when there is no token) */
+		this.namedTunnelCredentialsFile = '';
+		
+		/** @type {string} Named tunnel: fixed public hostname (e.g. vault.example.com) */
+		this.namedTunnelHostname = '';
+		
+		/** @type {number} Per-image size limit (MB) when embedding images in the export */
+		this.maxEmbeddedImageMB = 2;
+		
+		/** @type {string|null} Secret token of the GM URLs (/gm/<token>/...), generated per session */
+		this.gmToken = null;
+		
+		/** @type {string|null} Token of the player URLs (/player/<token>/...), generated per session */
+		this.playerToken = null;
+		
+		/** @type {boolean} Require the player token (unprefixed URLs are rejected) */
+		this.requirePlayerToken = false;
+		
+		/** @type {string[]} Vault folders (besides the session folder) that /images/* may serve */
+		this.imageAssetFolders = [];
+		
+		/** @type {RequestLog|null} */
+		this.requestLog = null;
+		
+		/** @type {EventStream|null} Clientes de /events (actualizaciones en vivo) */
+		this.eventStream = null;
+		
+		/** @type {Map<string, ReturnType<typeof setTimeout>>} Eventos pendientes por clave (debounce) */
+		this._pendingLiveEvents = new Map();
+		
+		/** @type {RenderCache|null} Páginas y JSON ya renderizados */
+		this.renderCache = null;
+		
+		/** @type {ThumbnailCache|null} Miniaturas de /images/*?w=... (en disco) */
+		this.thumbnailCache = null;
+		
+		/** @type {SessionIndex|null} Páginas de la sesión (slugs, galerías, mapeo de nombres, backlinks) */
+		this.sessionIndex = null;
+		
+		/** @type {import('./utils/slugify.js').SlugCollision[]} Colisiones de slugs de la sesión (panel de control) */
+		this.slugCollisions = [];
+		
+		/** @type {TUNNEL_STATUS|null} Último estado informado por el supervisor del túnel */
+		this.tunnelStatus = null;
+		
+		/** @type {string} Detalle del último estado del túnel */
+		this.tunnelStatusDetail = '';
+		
+		/** @type {HTMLElement|null} Status bar item permanente (estado del servidor; abre el panel de control) */
+		this.statusBarEl = null;
+		
+		/** @type {Set<Function>} Listeners de cambios de estado (panel de control) */
+		this._stateListeners = new Set();
+		
 		/** @type {HTMLElement|null} Status bar item durante descarga de cloudflared (una sola línea que se actualiza) */
 		this.tunnelProgressEl = null;
 	}
@@ -98,14 +306,42 @@ export class PluginController {
 		// Initialize modules
 		this.serverManager = new ServerManager(this.port);
 		this.tunnelManager = new TunnelManager(this.port, pluginDir, onTunnelProgress);
-		this.sessionParser = new SessionParser(this.app);
+		this.tunnelSupervisor = new TunnelSupervisor(this.tunnelManager, {
+			getStartOptions: () => this._getTunnelStartOptions(),
+			onStatusChange: (status, detail) => this._updateTunnelStatus(status, detail),
+			onUrlChange: (url) => this._onTunnelRestarted(url)
+		});
+		this.fileTree = new ObsidianFileTree(this.app);
+		this.sessionParser = new SessionParser(this.fileTree);
+		this.sessionIndex = new SessionIndex(this.fileTree, this.sessionParser);
 		this.jsonBuilder = new GMVaultJSONBuilder(`http://localhost:${this.port}`);
 		this.markdownRenderer = new MarkdownRenderer(`http://localhost:${this.port}`);
-		this.vaultExporter = new VaultExporter(this.app);
+		this.embedResolver = new EmbedResolver(this.fileTree);
+		this.auditLog = new AuditLog(pluginDir);
+		this.certificateStore = new CertificateStore(pluginDir);
+		this.vaultExporter = new VaultExporter(this.fileTree, this.sessionIndex);
+		this.requestLog = new RequestLog();
+		this.eventStream = new EventStream();
+		this.renderCache = new RenderCache();
+		this.thumbnailCache = new ThumbnailCache(pluginDir);
+		this.serverManager.setRequestListener((req, res, durationMs) => {
+			this.requestLog.record(req, res, durationMs);
+			this._notifyStateChange();
+		});
+		
+		// Panel de control y status bar permanente (clic = abrir panel)
+		this.plugin.registerView(SERVER_CONTROL_VIEW_TYPE, (leaf) => new ServerControlView(leaf, this));
+		this.statusBarEl = this.plugin.addStatusBarItem();
+		this.statusBarEl.addClass('mod-clickable');
+		this.plugin.registerDomEvent(this.statusBarEl, 'click', () => this.openControlPanel());
+		this._renderStatusBar();
 		
 		// Register Obsidian commands
 		this._registerCommands();
 		
+		// Cambios en el vault → eventos en vivo para GM Vault
+		this._registerVaultEvents();
+		
 		// Settings tab
 		this.plugin.addSettingTab(new GMVaultSettingTab(this.app, this.plugin, this));
 		
@@ -152,12 +388,27 @@ export class PluginController {
 		}
 	}
 
+	/**
+	 * Gets the absolute path of a vault file on disk (to stream it).
+	 * @private
+	 * @param {import('obsidian').TFile} file - Vault file
+	 * @returns {string|null} Absolute path, or null if the vault is not on the file system
+	 */
+	_getVaultFilePath(file) {
+		const adapter = this.app.vault.adapter;
+		const basePath = adapter.basePath || adapter.getBasePath?.();
+		return basePath ? `${basePath}/${file.path}` : null;
+	}
+
 	/**
 	 * Cleans up resources when the plugin is disabled.
 	 *
 	 * @returns {Promise<void>}
 	 */
 	async cleanup() {
+		this.tunnelSupervisor?.stop();
+		this._clearPendingLiveEvents();
+		this.eventStream?.closeAll();
 		if (this.tunnelManager && this.tunnelManager.isActive()) {
 			await this.tunnelManager.stop();
 		}
@@ -184,6 +435,12 @@ export class PluginController {
 			callback: () => this.disableServer()
 		});
 		
+		this.plugin.addCommand({
+			id: 'open-control-panel',
+			name: 'Open server control panel',
+			callback: () => this.openControlPanel()
+		});
+		
 		this.plugin.addCommand({
 			id: 'select-session-folder',
 			name: 'Select session folder',
@@ -207,6 +464,18 @@ export class PluginController {
 			name: 'Export vault to JSON (local-first)',
 			callback: () => this.exportVaultToJson()
 		});
+		
+		this.plugin.addCommand({
+			id: 'rotate-access-tokens',
+			name: 'Rotate access tokens',
+			callback: () => this.rotateAccessTokens()
+		});
+		
+		this.plugin.addCommand({
+			id: 'pin-page-ids',
+			name: 'Pin page IDs in frontmatter',
+			callback: () => this.pinPageIds()
+		});
 	}
 
 	/**
@@ -221,28 +490,48 @@ export class PluginController {
 		}
 
 		try {
-			// Inicia el servidor local
-			await this.serverManager.start();
+			// En modo LAN no hay túnel: el servidor escucha en la interfaz elegida
+			const isLan = this.tunnelProvider === TUNNEL_PROVIDERS.LAN;
+			const lanHost = isLan ? this._getLanHost() : null;
+			
+			// Inicia el servidor local (con el siguiente puerto libre si el configurado está ocupado)
+			this.requestLog.clear();
+			this._setPort(this.port);
+			await this.serverManager.start({
+				...(isLan ? this._getLanListenOptions(lanHost) : {}),
+				portScan: this.autoPort
+			});
+			if (this.serverManager.port !== this.port) {
+				new Notice(`⚠️ Port ${this.port} is in use, using ${this.serverManager.port}`, 5000);
+				this._setPort(this.serverManager.port);
+			}
 			this._registerRoutes();
 			
 			// Esperar un momento para asegurar que el servidor esté listo
 			await new Promise(resolve => setTimeout(resolve, 500));
 			
-			// Inicia el túnel HTTPS público
-			new Notice('⏳ Creating public HTTPS tunnel...');
-			const publicUrl = await this.tunnelManager.start({
-				useBundledOnly: this.useBundledCloudflared
-			});
+			// Inicia el túnel HTTPS público (o resuelve la URL de la LAN)
+			new Notice(isLan ? '⏳ Starting LAN access...' : '⏳ Creating public HTTPS tunnel...');
+			const publicUrl = await this.tunnelManager.start(this._getTunnelStartOptions(lanHost));
 			this.publicUrl = publicUrl;
 			
+			// Vigila el túnel y lo reinicia si se cae
+			this.tunnelSupervisor.start();
+			
 			// Actualiza la URL base del JSON builder para usar la URL pública
 			this.jsonBuilder.setBaseUrl(publicUrl);
 			
 			// Actualiza la URL base del renderer para usar la URL pública
 			this.markdownRenderer.setBaseUrl(publicUrl);
 			
-			// Notifica al usuario con la URL HTTPS pública (principal)
-			new Notice(`✅ GM Vault access enabled (HTTPS):\n${publicUrl}\n\nUse this URL in GM Vault:\n${publicUrl}/gm-vault`, 10000);
+			// Notifica al usuario con la URL pública (principal)
+			const gmVaultUrl = `${getRoleBaseUrl(publicUrl, ROLES.GM, this._getAccessTokens())}/gm-vault`;
+			if (isLan) {
+				const certHint = this.lanHttps ? '\n\nOpen the URL once in the browser running GM Vault and accept the self-signed certificate.' : '';
+				new Notice(`✅ GM Vault LAN access enabled:\n${publicUrl}\n\nUse this URL in GM Vault (GM only, keep it private):\n${gmVaultUrl}${certHint}`, 10000);
+			} else {
+				new Notice(`✅ GM Vault access enabled (HTTPS):\n${publicUrl}\n\nUse this URL in GM Vault (GM only, keep it private):\n${gmVaultUrl}`, 10000);
+			}
 			
 			await this._saveSettings();
 			
@@ -250,7 +539,202 @@ export class PluginController {
 			await this.copyGmVaultUrl();
 		} catch (error) {
 			new Notice(`❌ Error starting server: ${error.message}`);
+			this._notifyStateChange();
+		}
+	}
+
+	/**
+	 * Opciones de TunnelManager.start según la configuración (también se usan al reconectar).
+	 * 
+	 * @private
+	 * @param {string|null} [lanHost] - Dirección anunciada en modo LAN (por defecto se calcula)
+	 * @returns {Object} Opciones del túnel
+	 */
+	_getTunnelStartOptions(lanHost = undefined) {
+		const isLan = this.tunnelProvider === TUNNEL_PROVIDERS.LAN;
+		return {
+			provider: this.tunnelProvider,
+			lanHost: isLan ? (lanHost === undefined ? this._getLanHost() : lanHost) : null,
+			lanHttpsPort: isLan && this.lanHttps ? this.lanHttpsPort : null,
+			command: this.tunnelCommand,
+			urlPattern: this.tunnelUrlPattern,
+			useBundledOnly: this.useBundledCloudflared,
+			namedTunnel: this.tunnelMode === TUNNEL_MODES.NAMED ? {
+				token: this.namedTunnelToken,
+				credentialsFile: this.namedTunnelCredentialsFile,
+				hostname: this.namedTunnelHostname
+			} : null
+		};
+	}
+
+	/**
+	 * El supervisor reinició el túnel: actualiza las URLs base y avisa si la URL cambió.
+	 * 
+	 * @private
+	 * @param {string} publicUrl - Nueva URL pública
+	 * @returns {Promise<void>}
+	 */
+	async _onTunnelRestarted(publicUrl) {
+		const changed = publicUrl !== this.publicUrl;
+		this.publicUrl = publicUrl;
+		this.jsonBuilder.setBaseUrl(publicUrl);
+		this.markdownRenderer.setBaseUrl(publicUrl);
+		await this._saveSettings();
+		
+		if (changed) {
+			new Notice(`✅ Tunnel reconnected with a new URL. Re-import it in GM Vault:\n${getRoleBaseUrl(publicUrl, ROLES.GM, this._getAccessTokens())}/gm-vault`, 10000);
+			await this.copyGmVaultUrl();
+		} else {
+			new Notice('✅ Tunnel reconnected', 3000);
+		}
+	}
+
+	/**
+	 * Guarda el estado informado por el supervisor del túnel y avisa si el túnel cayó.
+	 * 
+	 * @private
+	 * @param {TUNNEL_STATUS} status - Estado del túnel
+	 * @param {string} detail - Detalle
+	 */
+	_updateTunnelStatus(status, detail) {
+		this.tunnelStatus = status;
+		this.tunnelStatusDetail = detail;
+		this._notifyStateChange();
+		
+		if (status === TUNNEL_STATUS.DOWN) {
+			new Notice(`❌ GM Vault tunnel is down, retrying: ${detail}`, 8000);
+		}
+	}
+
+	/**
+	 * Estado actual del servidor para la status bar y el panel de control.
+	 * 
+	 * @returns {ServerState} Estado
+	 */
+	getServerState() {
+		const running = this.serverManager?.isRunning() || false;
+		const publicUrl = running ? (this.tunnelManager?.getPublicUrl() || this.publicUrl) : null;
+		let tunnelLabel = SERVER_OFF_LABEL;
+		if (running) {
+			tunnelLabel = this.tunnelStatus ? TUNNEL_STATUS_LABELS[this.tunnelStatus] : SERVER_LOCAL_ONLY_LABEL;
+		}
+		
+		return {
+			running,
+			port: this.port,
+			publicUrl,
+			gmVaultUrl: this.getGmVaultUrl(),
+			tunnelLabel,
+			tunnelDetail: running ? this.tunnelStatusDetail : '',
+			sessionFolder: this.currentSessionFolder?.path ?? null,
+			requestCount: this.requestLog?.count || 0,
+			slugCollisions: this.slugCollisions,
+			recentRequests: this.requestLog?.getRecent() || [],
+			tunnelOutput: this.tunnelManager?.getOutput() || ''
+		};
+	}
+
+	/**
+	 * Registra un listener de cambios de estado.
+	 * 
+	 * @param {Function} listener - Se llama sin argumentos en cada cambio
+	 * @returns {Function} Función que elimina el listener
+	 */
+	onStateChange(listener) {
+		this._stateListeners.add(listener);
+		return () => this._stateListeners.delete(listener);
+	}
+
+	/**
+	 * Actualiza la status bar y avisa a los listeners (panel de control).
+	 * 
+	 * @private
+	 */
+	_notifyStateChange() {
+		this._renderStatusBar();
+		for (const listener of this._stateListeners) {
+			listener();
+		}
+	}
+
+	/**
+	 * Pinta la status bar permanente: estado, carpeta de sesión y número de peticiones.
+	 * 
+	 * @private
+	 */
+	_renderStatusBar() {
+		if (!this.statusBarEl) {
+			return;
+		}
+		
+		const state = this.getServerState();
+		const parts = [state.tunnelLabel];
+		if (state.running) {
+			if (this.currentSessionFolder) {
+				parts.push(this.currentSessionFolder.name || '/');
+			}
+			parts.push(`${state.requestCount} req`);
+		}
+		this.statusBarEl.setText(parts.join(' · '));
+		this.statusBarEl.setAttribute('aria-label', [state.publicUrl, state.tunnelDetail, 'Click to open the server control panel'].filter(Boolean).join('\n'));
+	}
+
+	/**
+	 * Abre (o muestra) el panel de control del servidor en la barra lateral derecha.
+	 * 
+	 * @returns {Promise<void>}
+	 */
+	async openControlPanel() {
+		const { workspace } = this.app;
+		let leaf = workspace.getLeavesOfType(SERVER_CONTROL_VIEW_TYPE)[0];
+		if (!leaf) {
+			leaf = workspace.getRightLeaf(false);
+			await leaf.setViewState({ type: SERVER_CONTROL_VIEW_TYPE, active: true });
 		}
+		workspace.revealLeaf(leaf);
+	}
+
+	/**
+	 * Aplica el puerto del servidor a todos los módulos que lo usan (servidor, túnel y URLs base locales).
+	 * 
+	 * @private
+	 * @param {number} port - Puerto
+	 */
+	_setPort(port) {
+		this.port = port;
+		this.serverManager.setPort(port);
+		this.tunnelManager.setPort(port);
+		this.jsonBuilder.setBaseUrl(`http://localhost:${port}`);
+		this.markdownRenderer.setBaseUrl(`http://localhost:${port}`);
+	}
+
+	/**
+	 * Dirección que se anuncia en modo LAN: la interfaz elegida o, si escucha en todas, la primera IPv4 de la LAN.
+	 * 
+	 * @private
+	 * @returns {string|null} Dirección IPv4 o null si no hay red
+	 */
+	_getLanHost() {
+		if (this.lanBindAddress && this.lanBindAddress !== ALL_INTERFACES) {
+			return this.lanBindAddress;
+		}
+		return getLanAddress();
+	}
+
+	/**
+	 * Opciones de escucha del servidor en modo LAN (interfaz y, opcionalmente, HTTPS autofirmado).
+	 * 
+	 * @private
+	 * @param {string|null} lanHost - Dirección anunciada (debe estar en el certificado)
+	 * @returns {Object} Opciones para ServerManager.start
+	 */
+	_getLanListenOptions(lanHost) {
+		const options = { host: this.lanBindAddress || ALL_INTERFACES, https: null };
+		if (this.lanHttps) {
+			const hosts = [...new Set([lanHost || 'localhost', 'localhost'])];
+			options.https = { port: this.lanHttpsPort, ...this.certificateStore.getCertificate(hosts) };
+		}
+		return options;
 	}
 
 	/**
@@ -260,14 +744,21 @@ export class PluginController {
 	 */
 	async disableServer() {
 		try {
+			// Deja de vigilar el túnel antes de detenerlo
+			this.tunnelSupervisor.stop();
+			this.tunnelStatus = null;
+			
 			// Detiene el túnel
 			if (this.tunnelManager && this.tunnelManager.isActive()) {
 				await this.tunnelManager.stop();
 			}
 			
-			// Detiene el servidor
+			// Cierra las conexiones /events (si no, el servidor no termina de cerrarse) y detiene el servidor
+			this._clearPendingLiveEvents();
+			this.eventStream.closeAll();
 			await this.serverManager.stop();
 			this.publicUrl = null;
+			this.renderCache.clear();
 			
 			new Notice('✅ GM Vault access disabled');
 			
@@ -296,7 +787,9 @@ export class PluginController {
 		}
 		
 		// Muestra la URL HTTPS en un notice con más tiempo
-		new Notice(`🌐 Tunnel public HTTPS URL:\n${url}\n\n• JSON for GM Vault: ${url}/gm-vault\n• Pages: ${url}/pages/:slug`, 10000);
+		const gmUrl = getRoleBaseUrl(url, ROLES.GM, this._getAccessTokens());
+		const playerUrl = getRoleBaseUrl(url, ROLES.PLAYER, this._getAccessTokens());
+		new Notice(`🌐 Tunnel public HTTPS URL:\n${url}\n\n• JSON for GM Vault (GM): ${gmUrl}/gm-vault\n• JSON without GM-only content: ${playerUrl}/gm-vault\n• Pages: ${playerUrl}/pages/:slug`, 10000);
 		
 		// También la copia al portapapeles si es posible
 		if (navigator.clipboard) {
@@ -310,20 +803,31 @@ export class PluginController {
 	}
 
 	/**
-	 * Copia la URL del GM-vault al portapapeles.
+	 * URL del GM-vault para el GM (con su token), o null si no hay túnel activo.
+	 *
+	 * @returns {string|null} URL del JSON de GM Vault
+	 */
+	getGmVaultUrl() {
+		if (!this.serverManager?.isRunning()) {
+			return null;
+		}
+		const url = this.tunnelManager?.getPublicUrl() || this.publicUrl;
+		return url ? `${getRoleBaseUrl(url, ROLES.GM, this._getAccessTokens())}/gm-vault` : null;
+	}
+
+	/**
+	 * Copia la URL del GM-vault al portapapeles (la del GM, con su token).
 	 * 
 	 * @returns {Promise<void>}
 	 */
 	async copyGmVaultUrl() {
-		const url = this.tunnelManager?.getPublicUrl() || this.publicUrl;
+		const gmVaultUrl = this.getGmVaultUrl();
 		
-		if (!url) {
+		if (!gmVaultUrl) {
 			new Notice('❌ No active tunnel. Run "Enable GM Vault access" first.');
 			return;
 		}
 		
-		const gmVaultUrl = `${url}/gm-vault`;
-		
 		if (navigator.clipboard) {
 			try {
 				await navigator.clipboard.writeText(gmVaultUrl);
@@ -337,46 +841,112 @@ export class PluginController {
 		}
 	}
 
+	/**
+	 * Genera nuevos tokens de acceso (GM y jugador) sin reiniciar el túnel.
+	 * Las URLs anteriores dejan de funcionar y se cierran los /events abiertos con ellas;
+	 * hay que volver a importar la URL del GM en GM Vault.
+	 * 
+	 * @returns {Promise<void>}
+	 */
+	async rotateAccessTokens() {
+		const revokedTokens = [this.gmToken, this.playerToken].filter(Boolean);
+		this._generateAccessTokens();
+		await this._saveSettings();
+		// Sin esto, un stream abierto con un token revocado seguiría recibiendo eventos
+		this.eventStream.disconnect((meta) => revokedTokens.includes(meta.token));
+		
+		new Notice('🔑 Access tokens rotated. Old GM Vault URLs no longer work; import the new GM URL in GM Vault.');
+		
+		if (this.getGmVaultUrl()) {
+			await this.copyGmVaultUrl();
+		}
+	}
+
 	/**
 	 * Exporta el vault a un archivo JSON con HTML embebido (local-first).
 	 * No requiere servidor HTTP ni túnel.
-	 * Las imágenes locales se omiten (se recomienda usar URLs externas).
+	 * Si no se indica el modo de imágenes, se pregunta al usuario (ver EXPORT_IMAGE_OPTIONS).
 	 * 
+	 * @param {string|null} imageMode - Modo de imágenes (IMAGE_MODES) o null para preguntar
 	 * @returns {Promise<void>}
 	 */
-	async exportVaultToJson() {
+	async exportVaultToJson(imageMode = null) {
 		if (!this.currentSessionFolder) {
 			new Notice('❌ Please select a session folder first');
 			return;
 		}
+		
+		if (!imageMode) {
+			const controller = this;
+			
+			class ImageModeSuggester extends SuggestModal {
+				constructor(app) {
+					super(app);
+					this.setPlaceholder('How should local images be exported?');
+				}
+				
+				getSuggestions(query) {
+					return EXPORT_IMAGE_OPTIONS.filter(option => 
+						option.label.toLowerCase().includes(query.toLowerCase())
+					);
+				}
+				
+				renderSuggestion(option, el) {
+					el.createDiv({ text: option.label });
+					el.createDiv({ 
+						text: option.description, 
+						cls: 'suggestion-description' 
+					});
+				}
+				
+				async onChooseSuggestion(option, evt) {
+					await controller.exportVaultToJson(option.mode);
+				}
+			}
+			
+			new ImageModeSuggester(this.app).open();
+			return;
+		}
 
 		try {
 			new Notice('⏳ Exporting vault...');
 			
-			// Exportar usando VaultExporter (sin opciones de imagen)
-			const json = await this.vaultExporter.exportVault(this.currentSessionFolder);
+			const json = await this.vaultExporter.exportVault(this.currentSessionFolder, {
+				imageMode,
+				maxEmbedBytes: this.maxEmbeddedImageMB * 1024 * 1024
+			});
+			const stats = this.vaultExporter.stats;
 			
 			// Convertir a string
 			const jsonString = JSON.stringify(json, null, 2);
 			
-			// Calcular tamaño
-			const sizeKB = (new TextEncoder().encode(jsonString).length / 1024).toFixed(1);
-			
 			// Generar nombre de archivo
 			const timestamp = new Date().toISOString().slice(0, 10);
-			const fileName = `gm-vault-${this.currentSessionFolder.name}-${timestamp}.json`;
-			
-			// Crear el archivo en la raíz del vault
-			const filePath = fileName;
+			const baseName = `gm-vault-${this.currentSessionFolder.name}-${timestamp}`;
 			
-			// Verificar si el archivo ya existe
-			const existingFile = this.app.vault.getAbstractFileByPath(filePath);
-			if (existingFile) {
-				// Sobrescribir
-				await this.app.vault.modify(existingFile, jsonString);
+			let fileName;
+			let sizeBytes;
+			if (imageMode === IMAGE_MODES.BUNDLE) {
+				// ZIP con el JSON y la carpeta assets/ (URLs relativas al JSON)
+				const entries = [{ path: `${baseName}.json`, data: jsonString }];
+				for (const asset of this.vaultExporter.getBundleFiles()) {
+					entries.push({ path: asset.path, data: await this.app.vault.readBinary(asset.file) });
+				}
+				const zip = createZip(entries);
+				fileName = `${baseName}.zip`;
+				sizeBytes = zip.byteLength;
+				await this._writeBinaryFile(fileName, zip.buffer);
 			} else {
-				// Crear nuevo
-				await this.app.vault.create(filePath, jsonString);
+				fileName = `${baseName}.json`;
+				sizeBytes = new TextEncoder().encode(jsonString).length;
+				
+				// Crear el archivo en la raíz del vault (sobrescribe si ya existe)
+				const existingFile = this.app.vault.getAbstractFileByPath(fileName);
+				if (existingFile) {
+					await this.app.vault.modify(existingFile, jsonString);
+				} else {
+					await this.app.vault.create(fileName, jsonString);
+				}
 			}
 			
 			// Contar páginas
@@ -394,7 +964,20 @@ export class PluginController {
 			};
 			countPages(json.categories);
 			
-			new Notice(`✅ Vault exported successfully!\n\n📁 ${fileName}\n📊 ${pageCount} pages\n💾 ${sizeKB} KB\n\n💡 Note: Local images are omitted. Use external URLs to include images.\n\nImport this file in GM Vault`, 10000);
+			const sizeKB = (sizeBytes / 1024).toFixed(1);
+			let imagesLine;
+			if (imageMode === IMAGE_MODES.OMIT) {
+				imagesLine = '💡 Note: Local images are omitted. Use external URLs or export with embedded images.';
+			} else {
+				const embeddedKB = (stats.embeddedBytes / 1024).toFixed(1);
+				const verb = imageMode === IMAGE_MODES.BUNDLE ? 'bundled' : 'embedded';
+				imagesLine = `🖼️ ${stats.embeddedImages} images ${verb} (${embeddedKB} KB)`;
+				if (stats.skippedImages > 0) {
+					imagesLine += `\n⚠️ ${stats.skippedImages} images over ${this.maxEmbeddedImageMB} MB were skipped`;
+				}
+			}
+			
+			new Notice(`✅ Vault exported successfully!\n\n📁 ${fileName}\n📊 ${pageCount} pages\n💾 ${sizeKB} KB\n${imagesLine}\n\nImport this file in GM Vault`, 10000);
 			
 		} catch (error) {
 			console.error('Error exporting vault:', error);
@@ -402,6 +985,60 @@ export class PluginController {
 		}
 	}
 
+	/**
+	 * Escribe un archivo binario en el vault (lo sobrescribe si ya existe).
+	 * 
+	 * @private
+	 * @param {string} filePath - Ruta relativa al vault
+	 * @param {ArrayBuffer} data - Contenido
+	 * @returns {Promise<void>}
+	 */
+	async _writeBinaryFile(filePath, data) {
+		const existingFile = this.app.vault.getAbstractFileByPath(filePath);
+		if (existingFile instanceof TFile) {
+			await this.app.vault.modifyBinary(existingFile, data);
+		} else {
+			await this.app.vault.createBinary(filePath, data);
+		}
+	}
+
+	/**
+	 * Guarda el ID actual de cada nota de la sesión en su frontmatter (gmVaultId).
+	 * Los IDs derivados de la ruta cambian si se renombra o mueve la nota;
+	 * una vez fijados en el frontmatter, las mentions siguen funcionando.
+	 * 
+	 * @returns {Promise<void>}
+	 */
+	async pinPageIds() {
+		if (!this.currentSessionFolder) {
+			new Notice('❌ Please select a session folder first');
+			return;
+		}
+
+		try {
+			// Notas de la carpeta de sesión y notas enlazadas desde la nota de sesión
+			const index = await this._getSessionIndex();
+			const files = [...index.pages.values()].filter(page => !page.gallery).map(page => page.file);
+			
+			let pinned = 0;
+			for (const file of files) {
+				const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+				if (frontmatter && frontmatter[PAGE_ID_FRONTMATTER_KEY]) {
+					continue;
+				}
+				const pageId = getPageId(this.app, file);
+				await this.app.fileManager.processFrontMatter(file, (fm) => {
+					fm[PAGE_ID_FRONTMATTER_KEY] = pageId;
+				});
+				pinned++;
+			}
+			
+			new Notice(`✅ Page IDs pinned: ${pinned} notes updated`);
+		} catch (error) {
+			new Notice(`❌ Error pinning page IDs: ${error.message}`);
+		}
+	}
+
 	/**
 	 * Permite al usuario seleccionar una carpeta de sesión.
 	 * Siempre muestra el selector para elegir manualmente.
@@ -446,9 +1083,15 @@ export class PluginController {
 			}
 			
 			async onChooseSuggestion(folder, evt) {
+				// Cada sesión tiene sus propios tokens: las URLs de la sesión anterior dejan de funcionar
+				if (controller.currentSessionFolder?.path !== folder.path) {
+					controller._generateAccessTokens();
+				}
 				controller.currentSessionFolder = folder;
 				new Notice(`✅ Session folder selected: ${folder.path}`);
 				await controller._saveSettings();
+				// Indexa la nueva sesión (e informa de sus colisiones de slugs)
+				await controller._indexSession();
 			}
 		}
 		
@@ -456,14 +1099,300 @@ export class PluginController {
 	}
 
 	/**
-	 * Registra las rutas HTTP del servidor.
+	 * Escucha los cambios del vault para invalidar la caché de renderizado y enviarlos a los clientes de /events.
+	 * 
+	 * @private
+	 */
+	_registerVaultEvents() {
+		const { vault, metadataCache } = this.app;
+		this.plugin.registerEvent(vault.on('modify', (file) => this._onVaultChange('modify', file)));
+		this.plugin.registerEvent(vault.on('create', (file) => this._onVaultChange('create', file)));
+		this.plugin.registerEvent(vault.on('delete', (file) => this._onVaultChange('delete', file)));
+		this.plugin.registerEvent(vault.on('rename', (file, oldPath) => this._onVaultChange('rename', file, oldPath)));
+		// El frontmatter (título, ID, visibilidad) y los enlaces se indexan después del modify
+		this.plugin.registerEvent(metadataCache.on('changed', (file) => this._onMetadataChange(file)));
+	}
+
+	/**
+	 * Indexa la carpeta de sesión actual (o vacía el índice si no hay sesión) e informa de las colisiones de slugs.
+	 * 
+	 * @private
+	 * @returns {Promise<SessionIndex>} Índice de la sesión
+	 */
+	async _indexSession() {
+		if (this.currentSessionFolder) {
+			await this.sessionIndex.build(this.currentSessionFolder);
+		} else {
+			this.sessionIndex.clear();
+		}
+		this.renderCache?.clear();
+		this._reportSlugCollisions();
+		return this.sessionIndex;
+	}
+
+	/**
+	 * Obtiene el índice de la sesión actual, construyéndolo si aún no cubre la carpeta de sesión.
+	 * 
+	 * @private
+	 * @returns {Promise<SessionIndex>} Índice de la sesión
+	 */
+	async _getSessionIndex() {
+		if (this.sessionIndex.folder?.path !== this.currentSessionFolder?.path) {
+			await this._indexSession();
+		}
+		return this.sessionIndex;
+	}
+
+	/**
+	 * Si las colisiones de slugs del índice han cambiado, las registra en la consola,
+	 * avisa con un Notice y las muestra en el panel de control.
+	 * 
+	 * @private
+	 */
+	_reportSlugCollisions() {
+		const collisions = this.sessionIndex.collisions;
+		const report = formatSlugCollisions(collisions);
+		if (report === formatSlugCollisions(this.slugCollisions)) {
+			return;
+		}
+		this.slugCollisions = collisions;
+		if (report) {
+			console.warn(`[PluginController] Pages with the same URL name got different slugs:\n${report}`);
+			new Notice(`⚠️ ${collisions.length} page name(s) collide in the session URLs. Some pages got a folder-qualified URL; see the server control panel.`, 8000);
+		}
+		this._notifyStateChange();
+	}
+
+	/**
+	 * Actualiza el índice de la sesión con los metadatos de una nota (ID, enlaces, enlaces
+	 * de la nota de sesión) e invalida la caché de renderizado.
+	 * 
+	 * @private
+	 * @param {import('obsidian').TFile} file - Nota
+	 * @returns {Promise<void>}
+	 */
+	async _onMetadataChange(file) {
+		if (this.sessionIndex.folder) {
+			await this.sessionIndex.update('modify', file);
+			this.sessionIndex.refresh(file);
+			this._reportSlugCollisions();
+		}
+		this._invalidateRenderCache('modify', file);
+	}
+
+	/**
+	 * Invalida la caché de renderizado tras un cambio del vault:
+	 * - modify → las respuestas construidas con ese archivo (la página, las que lo embeben)
+	 *   y, si es una nota, el JSON de sesión
+	 * - create / delete / rename → toda la caché (slugs, mapeo de páginas y estructura pueden cambiar)
+	 * 
+	 * @private
+	 * @param {'modify'|'create'|'delete'|'rename'} type - Tipo de cambio
+	 * @param {import('obsidian').TAbstractFile} file - Archivo o carpeta
+	 */
+	_invalidateRenderCache(type, file) {
+		if (type !== 'modify') {
+			this.renderCache.clear();
+			return;
+		}
+		
+		this.renderCache.invalidate(file.path);
+		// El sidecar de una galería puede cambiar su título o su visibilidad en el JSON
+		if (file instanceof TFile && (file.extension === 'md' || isGallerySidecar(file))) {
+			this.renderCache.invalidate(SESSION_CACHE_DEPENDENCY);
+		}
+	}
+
+	/**
+	 * Actualiza el índice de la sesión, invalida la caché de renderizado y convierte un cambio
+	 * del vault en eventos en vivo, si afecta a la sesión:
+	 * - modify de una nota → pageUpdated (y structureChanged si es la nota de sesión)
+	 * - modify del sidecar de una galería → pageUpdated de la galería y structureChanged
+	 * - create / delete / rename de notas, imágenes o carpetas → structureChanged, y pageUpdated
+	 *   de las páginas que enlazaban a la nota (sus mentions cambian)
+	 * 
+	 * @private
+	 * @param {'modify'|'create'|'delete'|'rename'} type - Tipo de cambio
+	 * @param {import('obsidian').TAbstractFile} file - Archivo o carpeta
+	 * @param {string} [oldPath] - Ruta anterior (rename)
+	 * @returns {Promise<void>}
+	 */
+	async _onVaultChange(type, file, oldPath = null) {
+		try {
+			// Las páginas que enlazaban a la ruta anterior (antes de que el índice la olvide)
+			const backlinks = type === 'delete' || type === 'rename' ? this.sessionIndex.getBacklinks(oldPath || file.path) : [];
+			// Los modify se indexan en _onMetadataChange, cuando el metadataCache ya tiene los enlaces nuevos
+			if (this.sessionIndex.folder && type !== 'modify') {
+				await this.sessionIndex.update(type, file, oldPath);
+				this._reportSlugCollisions();
+			}
+			this._invalidateRenderCache(type, file);
+			// Las miniaturas llevan el mtime en la clave; se borran las que ya no se pueden pedir
+			if (type !== 'create' && file instanceof TFile && canResize(file.extension)) {
+				// Sin await: borrar los archivos no retrasa los eventos en vivo
+				this.thumbnailCache.invalidate(oldPath || file.path).catch((error) => {
+					console.error(`[PluginController] Error deleting the thumbnails of ${oldPath || file.path}:`, error);
+				});
+			}
+			if (!this.serverManager?.isRunning() || !this.eventStream.hasClients() || !this.currentSessionFolder) {
+				return;
+			}
+			
+			const inSession = this._isInSessionFolder(file.path) || (oldPath !== null && this._isInSessionFolder(oldPath));
+			const isNote = file instanceof TFile && file.extension === 'md';
+			
+			if (type !== 'modify') {
+				if (inSession || isNote) {
+					this._queueLiveEvent('structure', () => {
+						this.eventStream.broadcast('structureChanged', {});
+					});
+				}
+				for (const path of backlinks) {
+					const page = this.sessionIndex.getPage(path);
+					if (page && !page.gallery) {
+						this._queuePageUpdate(page.file);
+					}
+				}
+				return;
+			}
+			
+			if (file instanceof TFile && isGallerySidecar(file)) {
+				if (inSession && file.parent) {
+					this._queueGalleryUpdate(file.parent);
+				}
+				return;
+			}
+			if (!isNote) {
+				return;
+			}
+			// Solo las páginas de la sesión (las notas enlazadas desde la nota de sesión pueden estar fuera de la carpeta)
+			if (!this.sessionIndex.getPage(file.path)) {
+				return;
+			}
+			
+			this._queuePageUpdate(file);
+			
+			// La nota de sesión define la estructura (categorías y páginas)
+			if (file.parent?.path === this.currentSessionFolder.path && file.basename === this.currentSessionFolder.name) {
+				this._queueLiveEvent('structure', () => {
+					this.eventStream.broadcast('structureChanged', {});
+				});
+			}
+		} catch (error) {
+			console.error(`[PluginController] Error handling vault ${type} of ${file.path}:`, error);
+		}
+	}
+
+	/**
+	 * Programa el evento pageUpdated de una nota.
+	 * 
+	 * @private
+	 * @param {import('obsidian').TFile} file - Nota
+	 */
+	_queuePageUpdate(file) {
+		this._queueLiveEvent(`page:${file.path}`, () => {
+			const metadata = getGMVaultMetadata(this.app, file);
+			const data = { slug: this.sessionIndex.getSlug(file.path), pageId: getPageId(this.app, file) };
+			// Los jugadores solo reciben cambios de páginas visibles para ellos
+			this.eventStream.broadcast('pageUpdated', data, (client) => client.role === ROLES.GM || metadata.visibleToPlayers === true);
+		});
+	}
+
+	/**
+	 * Programa los eventos de un cambio en el sidecar de una galería: pie, orden o imágenes
+	 * ocultas (pageUpdated) y título o visibilidad de la página (structureChanged).
+	 * 
+	 * @private
+	 * @param {import('obsidian').TFolder} folder - Carpeta de la galería
+	 */
+	_queueGalleryUpdate(folder) {
+		this._queueLiveEvent(`page:${folder.path}`, async () => {
+			try {
+				const metadata = await getGalleryMetadata(this.fileTree, folder);
+				const data = { slug: this.sessionIndex.getSlug(folder.path), pageId: getPageId(this.app, folder) };
+				this.eventStream.broadcast('pageUpdated', data, (client) => client.role === ROLES.GM || metadata.page.visibleToPlayers === true);
+			} catch (error) {
+				console.error(`[PluginController] Error sending the update of gallery ${folder.path}:`, error);
+			}
+		});
+		this._queueLiveEvent('structure', () => {
+			this.eventStream.broadcast('structureChanged', {});
+		});
+	}
+
+	/**
+	 * Programa un evento en vivo; si llega otro con la misma clave antes de enviarse, solo se envía el último.
+	 * 
+	 * @private
+	 * @param {string} key - Clave del evento
+	 * @param {Function} send - Envía el evento
+	 */
+	_queueLiveEvent(key, send) {
+		clearTimeout(this._pendingLiveEvents.get(key));
+		this._pendingLiveEvents.set(key, setTimeout(() => {
+			this._pendingLiveEvents.delete(key);
+			send();
+		}, LIVE_UPDATE_DEBOUNCE_MS));
+	}
+
+	/**
+	 * Descarta los eventos en vivo pendientes.
+	 * 
+	 * @private
+	 */
+	_clearPendingLiveEvents() {
+		for (const timer of this._pendingLiveEvents.values()) {
+			clearTimeout(timer);
+		}
+		this._pendingLiveEvents.clear();
+	}
+
+	/**
+	 * Indica si una ruta del vault está dentro de la carpeta de sesión.
+	 * 
+	 * @private
+	 * @param {string} path - Ruta del vault
+	 * @returns {boolean} true si está en la carpeta de sesión (o la sesión es la raíz)
+	 */
+	_isInSessionFolder(path) {
+		const folderPath = this.currentSessionFolder?.path;
+		if (folderPath === undefined) {
+			return false;
+		}
+		if (folderPath === '' || folderPath === '/') {
+			return true;
+		}
+		return path === folderPath || path.startsWith(`${folderPath}/`);
+	}
+
+	/**
+	 * Registra las rutas HTTP del servidor: sin prefijo (rol según ?token=),
+	 * la versión del GM bajo /gm/<token>/ y la de jugadores bajo /player/<token>/
+	 * (ver utils/access.js).
 	 * 
 	 * @private
 	 */
 	_registerRoutes() {
+		this._registerRoleRoutes('', null);
+		this._registerRoleRoutes(`${GM_PATH_PREFIX}/:gmToken`, ROLES.GM);
+		this._registerRoleRoutes(`${PLAYER_PATH_PREFIX}/:playerToken`, ROLES.PLAYER);
+	}
+
+	/**
+	 * Registra las rutas HTTP de una variante.
+	 * 
+	 * @private
+	 * @param {string} prefix - Prefijo de las rutas ('' para las rutas sin token en el path)
+	 * @param {ROLES|null} routeRole - Rol que sirven las rutas, o null si depende del token de la URL
+	 */
+	_registerRoleRoutes(prefix, routeRole) {
 		// GET /gm-vault → Retorna JSON de GM Vault
-		this.serverManager.registerRoute('GET', '/gm-vault', async (req, res) => {
+		this.serverManager.registerRoute('GET', `${prefix}/gm-vault`, async (req, res, params) => {
 			try {
+				const role = this._resolveRequestRole(req, res, params, routeRole);
+				if (!role) {
+					return;
+				}
 				if (!this.currentSessionFolder) {
 					this.serverManager.sendJSON(res, { 
 						error: 'No session folder selected' 
@@ -471,36 +1400,64 @@ export class PluginController {
 					return;
 				}
 				
-				const session = await this.sessionParser.parseSession(this.currentSessionFolder);
-				const json = this.jsonBuilder.buildJSON(session);
+				// Las URLs de las páginas son las del rol (ruta /gm/<token>/ para el GM, nunca ?token=):
+				// desde el JSON del GM, GM Vault abre las páginas con su contenido secreto
+				const urls = { baseUrl: this._getRoleBaseUrl(role) };
+				const cacheKey = `gm-vault:${role}:${this.currentSessionFolder.path}:${urls.baseUrl}`;
+				
+				let entry = this.renderCache.get(cacheKey);
+				if (!entry) {
+					const session = await this.sessionParser.parseSession(this.currentSessionFolder, await this._getSessionIndex());
+					const json = this.jsonBuilder.buildJSON(session, urls);
+					entry = this.renderCache.set(cacheKey, JSON.stringify(json, null, 2), [SESSION_CACHE_DEPENDENCY]);
+				}
 				
-				this.serverManager.sendJSON(res, json);
+				this.serverManager.sendCacheable(req, res, entry.body, 'application/json', entry);
 			} catch (error) {
 				this.serverManager.sendJSON(res, { 
 					error: `Error generating JSON: ${error.message}` 
 				}, 500);
 			}
 		});
-		
+			
 		// GET /pages/:slug → Renderiza Markdown como HTML o galería de imágenes
-		this.serverManager.registerRoute('GET', '/pages/:slug', async (req, res, params) => {
+		this.serverManager.registerRoute('GET', `${prefix}/pages/:slug`, async (req, res, params) => {
 			try {
-				const slug = params.slug;
+				const role = this._resolveRequestRole(req, res, params, routeRole);
+				if (!role) {
+					return;
+				}
+				// Los slugs con letras no ASCII llegan codificados
+				let slug = params.slug;
+				try {
+					slug = decodeURIComponent(slug);
+				} catch (e) {
+					// Si falla, usar el slug tal cual
+				}
 				
-				// Primero intenta buscar una carpeta de imágenes por slug
-				const imageFolder = await this._findImageFolderBySlug(slug);
-				if (imageFolder) {
-					const images = await this._getImageFilesFromFolder(imageFolder);
-					if (images.length > 0) {
-						const baseUrl = this.publicUrl || this.tunnelManager?.getPublicUrl() || `http://localhost:${this.port}`;
-						const html = this.markdownRenderer.renderImageGallery(images, imageFolder.name, baseUrl);
-						this.serverManager.sendHTML(res, html);
-						return;
+				// Nota o galería de la sesión con ese slug
+				const index = await this._getSessionIndex();
+				const page = index.getBySlug(slug);
+				
+				if (page?.gallery) {
+					const imageFolder = page.file;
+					const baseUrl = this._getRoleBaseUrl(role);
+					const cacheKey = `gallery:${role}:${baseUrl}:${imageFolder.path}`;
+					let entry = this.renderCache.get(cacheKey);
+					if (!entry) {
+						// Pies, orden e imágenes solo para el GM del sidecar (_gallery.md / _gallery.yml)
+						const metadata = await getGalleryMetadata(this.fileTree, imageFolder);
+						const images = await this._getImageFilesFromFolder(imageFolder, baseUrl, metadata, role === ROLES.GM);
+						const title = metadata.page.title || imageFolder.name;
+						const html = this.markdownRenderer.renderImageGallery(images, title, baseUrl);
+						const dependencies = metadata.sidecar ? [imageFolder.path, metadata.sidecar.path] : [imageFolder.path];
+						entry = this.renderCache.set(cacheKey, html, dependencies);
 					}
+					this.serverManager.sendCacheable(req, res, entry.body, 'text/html; charset=utf-8', entry);
+					return;
 				}
 				
-				// Si no es una carpeta de imágenes, busca el archivo por slug
-				const file = await this._findFileBySlug(slug);
+				const file = page?.file;
 				
 				if (!file) {
 					this.serverManager.sendJSON(res, { 
@@ -509,30 +1466,60 @@ export class PluginController {
 					return;
 				}
 				
-				const markdown = await this.app.vault.read(file);
-				// Construir el mapeo de páginas para convertir wiki links a mentions
-				const pageMap = await this._buildPageMap();
-				this.markdownRenderer.setPageMap(pageMap);
+				// Mapeo de páginas para convertir wiki links a mentions (su versión cambia cuando cambia el contenido)
+				const pageMap = index.getPageMap();
+				// Usar la URL pública si está disponible, sino la URL local (con el prefijo del rol)
+				const baseUrl = this._getRoleBaseUrl(role);
+				const cacheKey = `page:${role}:${baseUrl}:${slug}:${file.path}:${file.stat.mtime}:${index.version}`;
 				
-				// Usar la URL pública si está disponible, sino la URL local
-				const baseUrl = this.publicUrl || this.tunnelManager?.getPublicUrl() || `http://localhost:${this.port}`;
-				const html = this.markdownRenderer.renderPage(markdown, file.basename, baseUrl);
+				let entry = this.renderCache.get(cacheKey);
+				if (!entry) {
+					// Resolver embeds de notas (![[Nota]], ![[Nota#Sección]], ![[Nota#^bloque]])
+					const dependencies = new Set([file.path]);
+					// El contenido solo para el GM se quita de cada nota antes de insertarla (nunca llega a los jugadores)
+					const markdown = await this.embedResolver.resolve(await this.app.vault.read(file), file, dependencies,
+						(content) => filterGMOnlyContent(content, role === ROLES.GM));
+					this.markdownRenderer.setPageMap(pageMap);
+					this.markdownRenderer.setMediaResolver((linkPath) => this._resolveMediaFile(linkPath, file)?.path || null);
+					
+					const title = getGMVaultMetadata(this.app, file).title || file.basename;
+					const html = this.markdownRenderer.renderPage(markdown, title, baseUrl, {
+						eventsUrl: `${baseUrl}/events`,
+						slug: index.getSlug(file.path) || slug,
+						pageId: getPageId(this.app, file)
+					});
+					entry = this.renderCache.set(cacheKey, html, [...dependencies]);
+				}
 				
-				this.serverManager.sendHTML(res, html);
+				this.serverManager.sendCacheable(req, res, entry.body, 'text/html; charset=utf-8', entry);
 			} catch (error) {
 				this.serverManager.sendJSON(res, { 
 					error: `Error rendering page: ${error.message}` 
 				}, 500);
 			}
 		});
-		
-		// GET /images/* → Sirve archivos de imagen
-		this.serverManager.registerRoute('GET', '/images/*', async (req, res) => {
+			
+		// GET /events → Server-sent events: pageUpdated / structureChanged
+		this.serverManager.registerRoute('GET', `${prefix}/events`, (req, res, params) => {
+			const role = this._resolveRequestRole(req, res, params, routeRole);
+			if (!role) {
+				return;
+			}
+			// El token con el que se abrió el stream (null si es un jugador sin token), para cerrarlo al rotar
+			const hasToken = routeRole !== null || new URL(req.url, 'http://localhost').searchParams.has(TOKEN_QUERY_PARAM);
+			const token = hasToken ? (role === ROLES.GM ? this.gmToken : this.playerToken) : null;
+			this.eventStream.connect(req, res, { role, token });
+		});
+			
+		// GET /images/* → Sirve imágenes, audio, vídeo y PDFs (ver utils/mime.js)
+		this.serverManager.registerRoute('GET', `${prefix}/images/*`, async (req, res, params) => {
 			try {
-				// Extraer el path completo después de /images/
-				const url = new URL(req.url, `http://${req.headers.host}`);
-				const fullPath = url.pathname;
-				let imagePath = fullPath.replace(/^\/images\//, '');
+				const role = this._resolveRequestRole(req, res, params, routeRole);
+				if (!role) {
+					return;
+				}
+				// Path completo después de /images/
+				let imagePath = params.path || '';
 				
 				// El pathname ya viene parcialmente decodificado por URL, pero puede tener caracteres codificados
 				// Intentar decodificar completamente
@@ -559,304 +1546,273 @@ export class PluginController {
 					return;
 				}
 				
+				// Solo se sirven imágenes de la carpeta de sesión y de las carpetas de assets permitidas
+				// (se comprueba antes de buscar el archivo para no revelar qué existe fuera)
+				const denyReason = this._getImageDenyReason(imagePath);
+				if (denyReason) {
+					this.auditLog.record(req, 403, denyReason);
+					this.serverManager.sendJSON(res, { 
+						error: 'Access denied' 
+					}, 403);
+					return;
+				}
+				
 				const file = this.app.vault.getAbstractFileByPath(imagePath);
 				
 				if (!file || !(file instanceof TFile)) {
 					this.serverManager.sendJSON(res, { 
-						error: `Image not found: ${imagePath}`,
-						debug: {
-							requestedPath: imagePath,
-							rawUrl: req.url
-						}
+						error: `Image not found: ${imagePath}` 
 					}, 404);
 					return;
 				}
 				
-				// Verificar que es una imagen
-				const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'];
-				if (!imageExtensions.includes(file.extension.toLowerCase())) {
+				// Verificar que es un archivo multimedia soportado (imagen, audio, vídeo o PDF)
+				const contentType = getMimeType(file.extension);
+				if (!contentType) {
 					this.serverManager.sendJSON(res, { 
-						error: `Not an image file: ${imagePath}` 
+						error: `Unsupported file type: ${imagePath}` 
 					}, 400);
 					return;
 				}
 				
-				// Leer y servir la imagen
-				const arrayBuffer = await this.app.vault.readBinary(file);
-				const buffer = Buffer.from(arrayBuffer);
+				// Las imágenes marcadas gmOnly en el sidecar de su galería no se sirven a los jugadores
+				if (role !== ROLES.GM && await this._isGMOnlyImage(file)) {
+					this.auditLog.record(req, 403, `GM-only gallery image: ${imagePath}`);
+					this.serverManager.sendJSON(res, { 
+						error: 'Access denied' 
+					}, 403);
+					return;
+				}
 				
-				// Determinar content-type
-				const contentTypeMap = {
-					'jpg': 'image/jpeg',
-					'jpeg': 'image/jpeg',
-					'png': 'image/png',
-					'gif': 'image/gif',
-					'webp': 'image/webp',
-					'svg': 'image/svg+xml'
+				// Validadores a partir de la metadata: un 304 no necesita leer el archivo
+				const validators = {
+					etag: `W/"${file.stat.size.toString(16)}-${file.stat.mtime.toString(16)}"`,
+					lastModified: file.stat.mtime,
+					cacheControl: MEDIA_CACHE_CONTROL
 				};
-				const contentType = contentTypeMap[file.extension.toLowerCase()] || 'application/octet-stream';
 				
-				res.writeHead(200, {
-					'Content-Type': contentType,
-					'Content-Length': buffer.length
-				});
-				res.end(buffer);
+				// Miniatura: ?w=400 (y opcionalmente &format=jpeg|png)
+				const query = new URL(req.url, 'http://localhost').searchParams;
+				const requestedWidth = parseInt(query.get('w'), 10);
+				if (requestedWidth > 0 && canResize(file.extension)) {
+					const width = this.thumbnailCache.getWidth(requestedWidth);
+					const format = THUMBNAIL_FORMAT_PARAMS[(query.get('format') || '').toLowerCase()] || null;
+					const thumbnailValidators = {
+						...validators,
+						etag: `W/"${file.stat.size.toString(16)}-${file.stat.mtime.toString(16)}-${width}-${format || 'auto'}"`
+					};
+					if (this.serverManager.isNotModified(req, thumbnailValidators)) {
+						this.serverManager.sendNotModified(res, thumbnailValidators);
+						return;
+					}
+					
+					let thumbnail = null;
+					try {
+						thumbnail = await this.thumbnailCache.getThumbnail({
+							path: file.path,
+							extension: file.extension,
+							mtime: file.stat.mtime,
+							read: () => this.app.vault.readBinary(file)
+						}, width, format);
+					} catch (error) {
+						// Imagen que no se puede decodificar: se sirve el original
+						console.warn(`[PluginController] Could not resize ${file.path}: ${error.message}`);
+					}
+					if (thumbnail) {
+						this.serverManager.sendFile(req, res, thumbnail.filePath, thumbnail.size, getMimeType(thumbnail.format), thumbnailValidators);
+						return;
+					}
+				}
+				
+				// Se sirve en streaming desde el disco, con soporte de Range (audio y vídeo se cargan por partes)
+				const diskPath = this._getVaultFilePath(file);
+				if (diskPath) {
+					this.serverManager.sendFile(req, res, diskPath, file.stat.size, contentType, validators);
+					return;
+				}
+				
+				// Sin acceso al sistema de archivos: se lee entero
+				const buffer = Buffer.from(await this.app.vault.readBinary(file));
+				this.serverManager.sendCacheable(req, res, buffer, contentType, validators);
 			} catch (error) {
 				this.serverManager.sendJSON(res, { 
-					error: `Error serving image: ${error.message}` 
+					error: `Error serving file: ${error.message}` 
 				}, 500);
 			}
 		});
 	}
 
 	/**
-	 * Busca un archivo por su slug dentro de la carpeta de sesión.
+	 * Obtiene el rol de una petición según su token (en el path o en ?token=).
+	 * Responde 403 si el token no es válido o falta uno requerido.
 	 * 
 	 * @private
-	 * @param {string} slug - Slug a buscar
-	 * @returns {Promise<import('obsidian').TFile|null>} Archivo encontrado o null
+	 * @param {import('http').IncomingMessage} req - Petición
+	 * @param {import('http').ServerResponse} res - Respuesta
+	 * @param {Object} params - Parámetros de la ruta (gmToken / playerToken según el prefijo)
+	 * @param {ROLES|null} routeRole - Rol de la ruta, o null si depende del token de la URL
+	 * @returns {ROLES|null} Rol de la petición, o null si se ha rechazado
 	 */
-	async _findFileBySlug(slug) {
-		if (!this.currentSessionFolder) {
-			return null;
-		}
+	_resolveRequestRole(req, res, params, routeRole) {
+		let role = null;
 		
-		// Función recursiva para buscar archivos en la carpeta y subcarpetas
-		const searchInFolder = (folder) => {
-			for (const child of folder.children || []) {
-				if (child instanceof TFile && child.extension === 'md') {
-					const fileSlug = slugify(child.basename);
-					if (fileSlug === slug || child.basename.toLowerCase() === slug) {
-						return child;
-					}
-				} else if (child instanceof TFolder) {
-					const found = searchInFolder(child);
-					if (found) {
-						return found;
-					}
-				}
+		if (routeRole === ROLES.GM) {
+			role = tokensMatch(params.gmToken, this.gmToken) ? ROLES.GM : null;
+		} else if (routeRole === ROLES.PLAYER) {
+			role = tokensMatch(params.playerToken, this.playerToken) ? ROLES.PLAYER : null;
+		} else {
+			const token = new URL(req.url, 'http://localhost').searchParams.get(TOKEN_QUERY_PARAM);
+			if (token) {
+				role = getTokenRole(token, { gmToken: this.gmToken, playerToken: this.playerToken });
+			} else if (!this.requirePlayerToken) {
+				role = ROLES.PLAYER;
 			}
-			return null;
-		};
+		}
 		
-		return searchInFolder(this.currentSessionFolder);
+		if (!role) {
+			this.auditLog.record(req, 403, 'Invalid or missing access token');
+			this.serverManager.sendJSON(res, { 
+				error: 'Invalid or missing access token' 
+			}, 403);
+		}
+		return role;
 	}
 
 	/**
-	 * Busca una carpeta de imágenes por su slug dentro de la carpeta de sesión.
+	 * Resuelve un embed multimedia (![[mapa.png]], ![[ambiente.mp3]]) a un archivo que /images/* puede servir.
 	 * 
 	 * @private
-	 * @param {string} slug - Slug a buscar
-	 * @returns {Promise<import('obsidian').TFolder|null>} Carpeta encontrada o null
+	 * @param {string} linkPath - Destino del embed
+	 * @param {import('obsidian').TFile} sourceFile - Nota que contiene el embed
+	 * @returns {import('obsidian').TFile|null} Archivo, o null si no existe, no es multimedia o no se puede servir
 	 */
-	async _findImageFolderBySlug(slug) {
-		if (!this.currentSessionFolder) {
+	_resolveMediaFile(linkPath, sourceFile) {
+		const file = this.app.metadataCache.getFirstLinkpathDest(linkPath, sourceFile.path);
+		if (!(file instanceof TFile) || !getMimeType(file.extension) || this._getImageDenyReason(file.path)) {
 			return null;
 		}
-		
-		// Función recursiva para buscar carpetas en la carpeta y subcarpetas
-		const searchInFolder = async (folder) => {
-			for (const child of folder.children || []) {
-				if (child instanceof TFolder) {
-					const folderSlug = slugify(child.name);
-					if (folderSlug === slug || child.name.toLowerCase() === slug) {
-						// Verificar que solo contiene imágenes
-						const imageFiles = await this._getImageFilesFromFolder(child);
-						const hasOnlyImages = imageFiles.length > 0 && 
-							child.children.filter(c => c instanceof TFile && c.extension === 'md').length === 0 &&
-							child.children.filter(c => c.children !== undefined).length === 0;
-						
-						if (hasOnlyImages) {
-							return child;
-						}
-					}
-					
-					const found = await searchInFolder(child);
-					if (found) {
-						return found;
-					}
-				}
-			}
-			return null;
-		};
-		
-		return await searchInFolder(this.currentSessionFolder);
+		return file;
+	}
+
+	/**
+	 * Indica si una imagen está marcada gmOnly en el sidecar de su galería.
+	 * 
+	 * @private
+	 * @param {import('obsidian').TFile} file - Imagen
+	 * @returns {Promise<boolean>} true si solo la puede ver el GM
+	 */
+	async _isGMOnlyImage(file) {
+		const folder = file.parent;
+		if (!folder || !isImageExtension(file.extension) || !(await this._getSessionIndex()).isImageFolder(folder.path)) {
+			return false;
+		}
+		const metadata = await getGalleryMetadata(this.fileTree, folder);
+		return applyGalleryMetadata([file], metadata, true)[0].gmOnly;
 	}
 
 	/**
-	 * Construye el mapeo de nombres de archivo a información de página para mentions.
+	 * Comprueba si /images/* puede servir un path del vault.
 	 * 
 	 * @private
-	 * @returns {Promise<Map<string, {id: string, name: string, slug: string}>>} Mapeo de nombres a información de página
+	 * @param {string} imagePath - Path decodificado, relativo a la raíz del vault
+	 * @returns {string|null} Motivo del rechazo, o null si está permitido
 	 */
-	async _buildPageMap() {
-		const pageMap = new Map();
+	_getImageDenyReason(imagePath) {
+		const segments = imagePath.split('/');
+		if (imagePath.includes('\\') || segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+			return `Path traversal attempt: ${imagePath}`;
+		}
 		
 		if (!this.currentSessionFolder) {
-			return pageMap;
+			return 'No session folder selected';
 		}
 		
-		/**
-		 * Genera un ID único para páginas (mismo formato que GM Vault)
-		 * @returns {string}
-		 */
-		const generatePageId = () => {
-			const timestamp = Date.now().toString(36);
-			const random = Math.random().toString(36).slice(2, 8);
-			return `page_${timestamp}_${random}`;
-		};
-		
-		/**
-		 * Escanea recursivamente una carpeta y añade páginas al mapeo
-		 * @param {import('obsidian').TFolder} folder - Carpeta a escanear
-		 */
-		const scanFolder = async (folder) => {
-			for (const child of folder.children || []) {
-				if (child instanceof TFile && child.extension === 'md') {
-					const pageName = child.basename;
-					const pageId = generatePageId();
-					const pageSlug = slugify(pageName);
-					
-					// Guardar por basename (sin extensión) para resolución de wiki links
-					pageMap.set(child.basename.toLowerCase(), {
-						id: pageId,
-						name: pageName,
-						slug: pageSlug
-					});
-				} else if (child instanceof TFolder) {
-					// También registrar carpetas de imágenes como páginas
-					const imageFiles = await this._getImageFiles(child);
-					const hasOnlyImages = imageFiles.length > 0 && 
-						child.children.filter(c => c instanceof TFile && c.extension === 'md').length === 0 &&
-						child.children.filter(c => c.children !== undefined).length === 0;
-					
-					if (hasOnlyImages) {
-						const pageId = generatePageId();
-						const pageSlug = slugify(child.name);
-						pageMap.set(child.name.toLowerCase(), {
-							id: pageId,
-							name: child.name,
-							slug: pageSlug
-						});
-					}
-					
-					// Recursión para subcarpetas
-					await scanFolder(child);
-				}
+		const allowedFolders = [this.currentSessionFolder.path, ...this.imageAssetFolders];
+		const allowed = allowedFolders.some(folder => {
+			// Carpeta raíz del vault: todo está permitido
+			if (folder === '' || folder === '/') {
+				return true;
 			}
-		};
+			return imagePath.startsWith(`${folder}/`);
+		});
 		
-		await scanFolder(this.currentSessionFolder);
-		return pageMap;
+		return allowed ? null : `Outside the session folder and asset folders: ${imagePath}`;
 	}
 
 	/**
-	 * Gets the file sort order from Obsidian's configuration.
-	 *
+	 * Obtiene los tokens con los que se generan las URLs (sin token de jugador si no se exige).
+	 * 
 	 * @private
-	 * @returns {string} Sort order
+	 * @returns {import('./utils/access.js').AccessTokens} Tokens de acceso
 	 */
-	_getFileSortOrder() {
-		const sortOrder = this.app.vault.getConfig?.('fileSortOrder') 
-			|| this.app.vault.config?.fileSortOrder
-			|| 'alphabetical';
-		return sortOrder;
+	_getAccessTokens() {
+		return {
+			gmToken: this.gmToken,
+			playerToken: this.requirePlayerToken ? this.playerToken : null
+		};
 	}
 
 	/**
-	 * Sorts an array of files/folders according to Obsidian's file sort order setting.
-	 *
+	 * Obtiene la URL base de un rol (URL del servidor con el prefijo de su token).
+	 * 
 	 * @private
-	 * @param {Array} items - Array of TFile or TFolder objects
-	 * @returns {Array} Sorted array
+	 * @param {ROLES} role - Rol
+	 * @returns {string} URL base sin barra final
 	 */
-	_sortByObsidianConfig(items) {
-		const sortOrder = this._getFileSortOrder();
-		const sorted = [...items];
-		
-		switch (sortOrder) {
-			case 'alphabetical':
-				sorted.sort((a, b) => a.name.localeCompare(b.name));
-				break;
-			case 'alphabeticalReverse':
-				sorted.sort((a, b) => b.name.localeCompare(a.name));
-				break;
-			case 'byModifiedTime':
-				sorted.sort((a, b) => (b.stat?.mtime || 0) - (a.stat?.mtime || 0));
-				break;
-			case 'byModifiedTimeReverse':
-				sorted.sort((a, b) => (a.stat?.mtime || 0) - (b.stat?.mtime || 0));
-				break;
-			case 'byCreatedTime':
-				sorted.sort((a, b) => (b.stat?.ctime || 0) - (a.stat?.ctime || 0));
-				break;
-			case 'byCreatedTimeReverse':
-				sorted.sort((a, b) => (a.stat?.ctime || 0) - (b.stat?.ctime || 0));
-				break;
-			default:
-				sorted.sort((a, b) => a.name.localeCompare(b.name));
-		}
-		
-		return sorted;
+	_getRoleBaseUrl(role) {
+		return getRoleBaseUrl(this._getServerBaseUrl(), role, this._getAccessTokens());
 	}
 
 	/**
-	 * Gets image files from a folder.
+	 * Genera nuevos tokens de acceso del GM y de jugador.
 	 * 
 	 * @private
-	 * @param {import('obsidian').TFolder} folder - Folder to scan
-	 * @returns {Promise<import('obsidian').TFile[]>} Array of image files
 	 */
-	async _getImageFiles(folder) {
-		const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'];
-		const imageFiles = [];
-		
-		for (const child of folder.children || []) {
-			if (child instanceof TFile) {
-				const ext = child.extension.toLowerCase();
-				if (imageExtensions.includes(ext)) {
-					imageFiles.push(child);
-				}
-			}
-		}
-		
-		return this._sortByObsidianConfig(imageFiles);
+	_generateAccessTokens() {
+		this.gmToken = generateAccessToken();
+		this.playerToken = generateAccessToken();
+	}
+
+	/**
+	 * Obtiene la URL base del servidor: la pública si hay túnel, si no la local.
+	 * 
+	 * @private
+	 * @returns {string} URL base sin barra final
+	 */
+	_getServerBaseUrl() {
+		return this.publicUrl || this.tunnelManager?.getPublicUrl() || `http://localhost:${this.port}`;
 	}
 
 	/**
 	 * Gets image files from a folder and returns info for the renderer.
+	 * Gallery metadata (see utils/gallery.js) sets the order, captions and GM-only images.
 	 * 
 	 * @private
 	 * @param {import('obsidian').TFolder} folder - Folder to scan
-	 * @returns {Promise<Array<{name: string, path: string}>>} Array of name/path objects
+	 * @param {string} [baseUrl] - Base URL for image URLs (defaults to the server URL)
+	 * @param {import('./utils/gallery.js').GalleryMetadata|null} [metadata] - Gallery metadata (null = none)
+	 * @param {boolean} [includeGMOnly] - Whether GM-only images are included
+	 * @returns {Promise<Array<{name: string, path: string, thumbnail: string|null, caption: string, description: string|null, gmOnly: boolean}>>} Image name, URL, grid thumbnail URL (null if it cannot be resized) and metadata
 	 */
-	async _getImageFilesFromFolder(folder) {
-		const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'];
-		const imageFiles = [];
-		const baseUrl = this.publicUrl || this.tunnelManager?.getPublicUrl() || `http://localhost:${this.port}`;
+	async _getImageFilesFromFolder(folder, baseUrl = this._getServerBaseUrl(), metadata = null, includeGMOnly = true) {
+		// Sorted according to Obsidian config (see filetree/FileTree.js)
+		const imageFiles = getImageFiles(folder, this.fileTree.getSortOrder());
+		const images = applyGalleryMetadata(imageFiles, metadata || { images: new Map() }, includeGMOnly);
 		
-		// First collect TFile objects
-		for (const child of folder.children || []) {
-			if (child instanceof TFile) {
-				const ext = child.extension.toLowerCase();
-				if (imageExtensions.includes(ext)) {
-					imageFiles.push(child);
-				}
-			}
-		}
-		
-		// Sort according to Obsidian config (while we still have TFile objects with stat)
-		const sortedFiles = this._sortByObsidianConfig(imageFiles);
-		
-		// Transform to {name, path} objects
-		return sortedFiles.map(file => {
+		// Transform to {name, path, thumbnail, ...} objects
+		return images.map(({ file, caption, description, gmOnly }) => {
 			const pathSegments = file.path.split('/');
 			const encodedSegments = pathSegments.map(segment => encodeURIComponent(segment));
 			const encodedPath = encodedSegments.join('/');
 			
+			const path = `${baseUrl}/images/${encodedPath}`;
 			return {
 				name: file.name,
-				path: `${baseUrl}/images/${encodedPath}`
+				path,
+				thumbnail: canResize(file.extension) ? `${path}?w=${GALLERY_THUMBNAIL_WIDTH}` : null,
+				caption,
+				description,
+				gmOnly
 			};
 		});
 	}
@@ -870,15 +1826,34 @@ export class PluginController {
 	async _loadSettings() {
 		const data = await this.plugin.loadData();
 		
+		// Tokens de acceso: se generan la primera vez y se guardan
+		this.gmToken = data?.gmToken || generateAccessToken();
+		this.playerToken = data?.playerToken || generateAccessToken();
+		this.requirePlayerToken = data?.requirePlayerToken === true;
+		this.imageAssetFolders = Array.isArray(data?.imageAssetFolders) ? data.imageAssetFolders : [];
+		
 		if (data) {
-			this.port = data.port || 3000;
+			this.port = data.port || DEFAULT_PORT;
+			this.autoPort = data.autoPort !== false;
 			this.publicUrl = data.publicUrl || null;
+			this.tunnelProvider = Object.values(TUNNEL_PROVIDERS).includes(data.tunnelProvider) ? data.tunnelProvider : TUNNEL_PROVIDERS.CLOUDFLARED;
+			this.tunnelCommand = data.tunnelCommand || '';
+			this.tunnelUrlPattern = data.tunnelUrlPattern || '';
+			this.lanBindAddress = data.lanBindAddress || ALL_INTERFACES;
+			this.lanHttps = data.lanHttps === true;
+			this.lanHttpsPort = data.lanHttpsPort || 3443;
 			this.useBundledCloudflared = data.useBundledCloudflared === true;
+			this.tunnelMode = data.tunnelMode === TUNNEL_MODES.NAMED ? TUNNEL_MODES.NAMED : TUNNEL_MODES.QUICK;
+			this.namedTunnelToken = data.namedTunnelToken || '';
+			this.namedTunnelCredentialsFile = data.namedTunnelCredentialsFile || '';
+			this.namedTunnelHostname = data.namedTunnelHostname || '';
+			this.maxEmbeddedImageMB = data.maxEmbeddedImageMB || 2;
 			
 			if (data.sessionFolderPath) {
 				const folder = this.app.vault.getAbstractFileByPath(data.sessionFolderPath);
 				if (folder && folder instanceof TFolder) {
 					this.currentSessionFolder = folder;
+					await this._indexSession();
 				}
 			}
 			
@@ -887,6 +1862,10 @@ export class PluginController {
 				await this.enableServer();
 			}
 		}
+		
+		if (!data?.gmToken || !data?.playerToken) {
+			await this._saveSettings();
+		}
 	}
 
 	/**
@@ -896,12 +1875,31 @@ export class PluginController {
 	 * @returns {Promise<void>}
 	 */
 	async _saveSettings() {
+		// Todo cambio de estado relevante (servidor, sesión, tokens, URL) pasa por aquí
+		this._notifyStateChange();
+		
 		await this.plugin.saveData({
 			port: this.port,
+			autoPort: this.autoPort,
 			sessionFolderPath: this.currentSessionFolder?.path || null,
 			serverEnabled: this.serverManager?.isRunning() || false,
 			publicUrl: this.tunnelManager?.getPublicUrl() || this.publicUrl || null,
-			useBundledCloudflared: this.useBundledCloudflared
+			tunnelProvider: this.tunnelProvider,
+			tunnelCommand: this.tunnelCommand,
+			tunnelUrlPattern: this.tunnelUrlPattern,
+			lanBindAddress: this.lanBindAddress,
+			lanHttps: this.lanHttps,
+			lanHttpsPort: this.lanHttpsPort,
+			useBundledCloudflared: this.useBundledCloudflared,
+			tunnelMode: this.tunnelMode,
+			namedTunnelToken: this.namedTunnelToken,
+			namedTunnelCredentialsFile: this.namedTunnelCredentialsFile,
+			namedTunnelHostname: this.namedTunnelHostname,
+			maxEmbeddedImageMB: this.maxEmbeddedImageMB,
+			gmToken: this.gmToken,
+			playerToken: this.playerToken,
+			requirePlayerToken: this.requirePlayerToken,
+			imageAssetFolders: this.imageAssetFolders
 		});
 	}
 }
@@ -920,16 +1918,254 @@ class GMVaultSettingTab extends PluginSettingTab {
 		containerEl.empty();
 
 		new Setting(containerEl)
-			.setName('Use bundled cloudflared only')
-			.setDesc('Ignore system cloudflared and use only the plugin\'s copy (downloads automatically if missing). Useful to test the auto-download or to avoid conflicts with the system installation.')
+			.setName('Server port')
+			.setDesc('Port of the local server. Changes apply on the next server start.')
+			.addText((text) => {
+				text
+					.setPlaceholder(String(DEFAULT_PORT))
+					.setValue(String(this.controller.port))
+					.onChange(async (value) => {
+						const port = parseInt(value, 10);
+						if (Number.isInteger(port) && port > 0 && port < 65536) {
+							this.controller.port = port;
+							await this.controller.saveSettings();
+						}
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Use next free port')
+			.setDesc('If the port is in use (e.g. by another dev server), try the following ones and save the port that worked. Turn off for named tunnels whose service points to a fixed port.')
 			.addToggle((toggle) => {
 				toggle
-					.setValue(this.controller.useBundledCloudflared)
+					.setValue(this.controller.autoPort)
 					.onChange(async (value) => {
-						this.controller.useBundledCloudflared = value;
+						this.controller.autoPort = value;
 						await this.controller.saveSettings();
 					});
 			});
+
+		new Setting(containerEl)
+			.setName('Tunnel provider')
+			.setDesc('How GM Vault reaches this server. Cloudflared: public HTTPS tunnel (downloaded automatically). Custom command: any tunnel tool that prints its public URL (ngrok, bore...). No tunnel: LAN only, GM Vault must be on the same network. Changes apply on the next server start.')
+			.addDropdown((dropdown) => {
+				dropdown
+					.addOption(TUNNEL_PROVIDERS.CLOUDFLARED, 'Cloudflared')
+					.addOption(TUNNEL_PROVIDERS.COMMAND, 'Custom command')
+					.addOption(TUNNEL_PROVIDERS.LAN, 'No tunnel (LAN only)')
+					.setValue(this.controller.tunnelProvider)
+					.onChange(async (value) => {
+						this.controller.tunnelProvider = value;
+						await this.controller.saveSettings();
+						this.display();
+					});
+			});
+
+		if (this.controller.tunnelProvider === TUNNEL_PROVIDERS.CLOUDFLARED) {
+			new Setting(containerEl)
+				.setName('Use bundled cloudflared only')
+				.setDesc('Ignore system cloudflared and use only the plugin\'s copy (downloads automatically if missing). Useful to test the auto-download or to avoid conflicts with the system installation.')
+				.addToggle((toggle) => {
+					toggle
+						.setValue(this.controller.useBundledCloudflared)
+						.onChange(async (value) => {
+							this.controller.useBundledCloudflared = value;
+							await this.controller.saveSettings();
+						});
+				});
+
+			new Setting(containerEl)
+				.setName('Tunnel mode')
+				.setDesc('Quick tunnel: a new random trycloudflare.com URL on every start. Named tunnel: your own Cloudflare tunnel with a fixed hostname, so GM Vault keeps the same URL between sessions. Changes apply on the next server start.')
+				.addDropdown((dropdown) => {
+					dropdown
+						.addOption(TUNNEL_MODES.QUICK, 'Quick tunnel (random URL)')
+						.addOption(TUNNEL_MODES.NAMED, 'Named tunnel (fixed hostname)')
+						.setValue(this.controller.tunnelMode)
+						.onChange(async (value) => {
+							this.controller.tunnelMode = value;
+							await this.controller.saveSettings();
+							this.display();
+						});
+				});
+
+			if (this.controller.tunnelMode === TUNNEL_MODES.NAMED) {
+				new Setting(containerEl)
+					.setName('Public hostname')
+					.setDesc('Hostname routed to the tunnel in Cloudflare (e.g. vault.example.com). Its service must point to http://localhost:' + this.controller.port + '.')
+					.addText((text) => {
+						text
+							.setPlaceholder('vault.example.com')
+							.setValue(this.controller.namedTunnelHostname)
+							.onChange(async (value) => {
+								this.controller.namedTunnelHostname = value.trim();
+								await this.controller.saveSettings();
+							});
+					});
+
+				new Setting(containerEl)
+					.setName('Tunnel token')
+					.setDesc('Token of a dashboard-managed tunnel (Zero Trust → Networks → Tunnels). Stored in the plugin data file.')
+					.addText((text) => {
+						text.inputEl.type = 'password';
+						text
+							.setPlaceholder('eyJh...')
+							.setValue(this.controller.namedTunnelToken)
+							.onChange(async (value) => {
+								this.controller.namedTunnelToken = value.trim();
+								await this.controller.saveSettings();
+							});
+					});
+
+				new Setting(containerEl)
+					.setName('Credentials file')
+					.setDesc('Used when there is no token: absolute path to the JSON credentials of a locally-managed tunnel (cloudflared tunnel create). Route the hostname with "cloudflared tunnel route dns".')
+					.addText((text) => {
+						text
+							.setPlaceholder('/home/me/.cloudflared/<tunnel-id>.json')
+							.setValue(this.controller.namedTunnelCredentialsFile)
+							.onChange(async (value) => {
+								this.controller.namedTunnelCredentialsFile = value.trim();
+								await this.controller.saveSettings();
+							});
+					});
+			}
+		}
+
+		if (this.controller.tunnelProvider === TUNNEL_PROVIDERS.COMMAND) {
+			new Setting(containerEl)
+				.setName('Tunnel command')
+				.setDesc('Command line of the tunnel tool; {port} is replaced with the server port. It runs without a shell, so use the full path if the tool is not on the PATH.')
+				.addText((text) => {
+					text
+						.setPlaceholder('ngrok http {port} --log stdout')
+						.setValue(this.controller.tunnelCommand)
+						.onChange(async (value) => {
+							this.controller.tunnelCommand = value.trim();
+							await this.controller.saveSettings();
+						});
+				});
+
+			new Setting(containerEl)
+				.setName('Public URL pattern')
+				.setDesc('Regular expression matching the public URL in the command output. Leave empty to use the first http(s) URL that is not a localhost or private address.')
+				.addText((text) => {
+					text
+						.setPlaceholder('https://[a-z0-9-]+\\.ngrok-free\\.app')
+						.setValue(this.controller.tunnelUrlPattern)
+						.onChange(async (value) => {
+							this.controller.tunnelUrlPattern = value.trim();
+							await this.controller.saveSettings();
+						});
+				});
+		}
+
+		if (this.controller.tunnelProvider === TUNNEL_PROVIDERS.LAN) {
+			new Setting(containerEl)
+				.setName('Network interface')
+				.setDesc('Interface the server listens on. Anyone on that network can reach it, so keep the access tokens private.')
+				.addDropdown((dropdown) => {
+					dropdown.addOption(ALL_INTERFACES, 'All interfaces');
+					const addresses = getLanAddresses();
+					for (const { name, address } of addresses) {
+						dropdown.addOption(address, `${name} (${address})`);
+					}
+					const current = this.controller.lanBindAddress;
+					if (current !== ALL_INTERFACES && !addresses.some(entry => entry.address === current)) {
+						dropdown.addOption(current, `${current} (not available)`);
+					}
+					dropdown
+						.setValue(current)
+						.onChange(async (value) => {
+							this.controller.lanBindAddress = value;
+							await this.controller.saveSettings();
+						});
+				});
+
+			new Setting(containerEl)
+				.setName('HTTPS (self-signed)')
+				.setDesc('GM Vault runs inside an HTTPS page, so browsers block plain http URLs. This adds an HTTPS listener with a self-signed certificate stored in the plugin folder; open the URL once in that browser and accept the certificate.')
+				.addToggle((toggle) => {
+					toggle
+						.setValue(this.controller.lanHttps)
+						.onChange(async (value) => {
+							this.controller.lanHttps = value;
+							await this.controller.saveSettings();
+							this.display();
+						});
+				});
+
+			if (this.controller.lanHttps) {
+				new Setting(containerEl)
+					.setName('HTTPS port')
+					.setDesc('Port of the HTTPS listener. The URL given to GM Vault uses this port.')
+					.addText((text) => {
+						text
+							.setPlaceholder('3443')
+							.setValue(String(this.controller.lanHttpsPort))
+							.onChange(async (value) => {
+								const port = parseInt(value, 10);
+								if (Number.isInteger(port) && port > 0 && port < 65536) {
+									this.controller.lanHttpsPort = port;
+									await this.controller.saveSettings();
+								}
+							});
+					});
+			}
+		}
+
+		new Setting(containerEl)
+			.setName('Require player token')
+			.setDesc('Player URLs include a token (/player/<token>/...) and URLs without a token are rejected. Re-import the GM URL in GM Vault after changing this. The GM URL always has its own token.')
+			.addToggle((toggle) => {
+				toggle
+					.setValue(this.controller.requirePlayerToken)
+					.onChange(async (value) => {
+						this.controller.requirePlayerToken = value;
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Rotate access tokens')
+			.setDesc('Generate new GM and player tokens. Old URLs stop working right away; the tunnel keeps running.')
+			.addButton((button) => {
+				button
+					.setButtonText('Rotate')
+					.onClick(() => this.controller.rotateAccessTokens());
+			});
+
+		new Setting(containerEl)
+			.setName('Image asset folders')
+			.setDesc('Besides the session folder, the server only serves images from these vault folders (one per line, e.g. your attachments folder). Other image requests are denied and logged to access-denied.log in the plugin folder.')
+			.addTextArea((text) => {
+				text
+					.setPlaceholder('Attachments\nCampaign/Maps')
+					.setValue(this.controller.imageAssetFolders.join('\n'))
+					.onChange(async (value) => {
+						this.controller.imageAssetFolders = value
+							.split('\n')
+							.map(folder => folder.trim().replace(/^\/+|\/+$/g, ''))
+							.filter(folder => folder.length > 0);
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Max embedded image size (MB)')
+			.setDesc('When exporting with embedded images, larger local images are replaced with a placeholder. Keeps the JSON small enough for GM Vault.')
+			.addText((text) => {
+				text
+					.setPlaceholder('2')
+					.setValue(String(this.controller.maxEmbeddedImageMB))
+					.onChange(async (value) => {
+						const size = parseFloat(value);
+						if (Number.isFinite(size) && size > 0) {
+							this.controller.maxEmbeddedImageMB = size;
+							await this.controller.saveSettings();
+						}
+					});
+			});
 	}
 }
 
@@ -3,25 +3,39 @@
  *
  * This exporter is for the local-first approach:
  * - No HTTP server required
- * - Local images are omitted (external URLs recommended)
- * - HTML is pre-rendered with Notion styles
+ * - Local images are omitted, embedded as base64 data URIs (with a size cap)
+ *   or bundled next to the JSON in a ZIP with an assets/ folder
+ * - HTML is pre-rendered by MarkdownRenderer in embedded mode (the same body as the live /pages/:slug)
  * - Wiki links are converted to clickable mentions
  * - Compatible with GM Vault (items[] format with htmlContent)
+ * - Same structure as the live /gm-vault JSON: both come from the Session model of SessionParser
  */
 
-import { TFile, TFolder } from 'obsidian';
-import { slugify } from '../utils/slugify.js';
-import MarkdownIt from 'markdown-it';
+import { EmbedResolver } from '../renderers/EmbedResolver.js';
+import { MarkdownRenderer } from '../renderers/MarkdownRenderer.js';
+import { filterGMOnlyContent } from '../utils/secrets.js';
+import { getMimeType, isImageExtension } from '../utils/mime.js';
+import { applyGalleryMetadata, getGalleryMetadata } from '../utils/gallery.js';
+import { SessionIndex } from '../parsers/SessionIndex.js';
+import { SessionParser } from '../parsers/SessionParser.js';
+import { getImageFiles, isFolder } from '../filetree/FileTree.js';
 
 /**
- * Generates a unique page ID (same format as GM Vault)
- * @returns {string}
+ * Export modes for local images.
+ * - omit: replaced with a placeholder (external URLs are kept)
+ * - embed: inlined as base64 data URIs, up to maxEmbedBytes per image
+ * - bundle: copied to assets/ and referenced with relative URLs (ZIP export)
  */
-function generatePageId() {
-	const timestamp = Date.now().toString(36);
-	const random = Math.random().toString(36).slice(2, 8);
-	return `page_${timestamp}_${random}`;
-}
+export const IMAGE_MODES = {
+	OMIT: 'omit',
+	EMBED: 'embed',
+	BUNDLE: 'bundle'
+};
+
+/**
+ * Default size cap for a single embedded image (2 MB).
+ */
+export const DEFAULT_MAX_EMBED_BYTES = 2 * 1024 * 1024;
 
 /**
  * Vault-to-JSON exporter with embedded HTML and mentions.
@@ -32,215 +46,119 @@ export class VaultExporter {
 	/**
 	 * Creates a VaultExporter instance.
 	 *
-	 * @param {import('obsidian').App} app - Obsidian app instance
+	 * @param {import('../filetree/FileTree.js').FileTree} fileTree - Vault to export (ObsidianFileTree in the plugin)
+	 * @param {SessionIndex|null} [sessionIndex] - Index of the selected session (reused when exporting that session)
 	 */
-	constructor(app) {
-		/** @type {import('obsidian').App} */
-		this.app = app;
+	constructor(fileTree, sessionIndex = null) {
+		/** @type {import('../filetree/FileTree.js').FileTree} */
+		this.fileTree = fileTree;
+		
+		/** @type {SessionIndex|null} */
+		this.sessionIndex = sessionIndex;
+		
+		/** @type {SessionParser} Estructura de la sesión (la misma que el JSON del servidor) */
+		this.sessionParser = new SessionParser(this.fileTree);
 		
-		/** @type {MarkdownIt} */
-		this.md = new MarkdownIt({
-			html: true,
-			linkify: true,
-			typographer: true
-		});
+		/** @type {SessionIndex|null} Índice de la sesión que se está exportando */
+		this._index = null;
+		
+		/** @type {MarkdownRenderer} El mismo renderizador que las páginas en vivo, en modo embedded */
+		this.renderer = new MarkdownRenderer();
 		
 		/**
 		 * Map of file names to page info
-		 * @type {Map<string, {id: string, name: string}>}
+		 * @type {Map<string, import('../parsers/SessionIndex.js').PageInfo>}
 		 */
 		this.pageMap = new Map();
-	}
-
-	/**
-	 * Gets the file sort order from Obsidian's configuration.
-	 *
-	 * @private
-	 * @returns {string} Sort order
-	 */
-	_getFileSortOrder() {
-		const sortOrder = this.app.vault.getConfig?.('fileSortOrder') 
-			|| this.app.vault.config?.fileSortOrder
-			|| 'alphabetical';
-		return sortOrder;
-	}
-
-	/**
-	 * Sorts an array of files/folders according to Obsidian's file sort order setting.
-	 *
-	 * @private
-	 * @param {Array} items - Array of TFile or TFolder objects
-	 * @returns {Array} Sorted array
-	 */
-	_sortByObsidianConfig(items) {
-		const sortOrder = this._getFileSortOrder();
-		const sorted = [...items];
-		
-		switch (sortOrder) {
-			case 'alphabetical':
-				sorted.sort((a, b) => a.name.localeCompare(b.name));
-				break;
-			case 'alphabeticalReverse':
-				sorted.sort((a, b) => b.name.localeCompare(a.name));
-				break;
-			case 'byModifiedTime':
-				sorted.sort((a, b) => (b.stat?.mtime || 0) - (a.stat?.mtime || 0));
-				break;
-			case 'byModifiedTimeReverse':
-				sorted.sort((a, b) => (a.stat?.mtime || 0) - (b.stat?.mtime || 0));
-				break;
-			case 'byCreatedTime':
-				sorted.sort((a, b) => (b.stat?.ctime || 0) - (a.stat?.ctime || 0));
-				break;
-			case 'byCreatedTimeReverse':
-				sorted.sort((a, b) => (a.stat?.ctime || 0) - (b.stat?.ctime || 0));
-				break;
-			default:
-				sorted.sort((a, b) => a.name.localeCompare(b.name));
-		}
 		
-		return sorted;
-	}
-
-	/**
-	 * Exports the vault from the selected session folder.
-	 *
-	 * @param {import('obsidian').TFolder} sessionFolder - Session folder
-	 * @returns {Promise<Object>} GM Vault–compatible JSON
-	 */
-	async exportVault(sessionFolder) {
-		this.pageMap.clear();
-		await this._buildPageMap(sessionFolder);
+		/** @type {EmbedResolver} */
+		this.embedResolver = new EmbedResolver(fileTree);
 		
-		const sessionFile = await this._findSessionFile(sessionFolder);
-		let rootCategoryName = sessionFile 
-			? await this._getRootCategoryName(sessionFile)
-			: sessionFolder.name;
+		/** @type {string} Image mode of the current export (see IMAGE_MODES) */
+		this.imageMode = IMAGE_MODES.OMIT;
 		
-		const folderPath = (sessionFolder.path || '').trim();
-		const folderName = (sessionFolder.name || '').trim();
-		const isRootFolder = folderPath === '' || folderPath === '/' || folderName === '';
+		/** @type {number} */
+		this.maxEmbedBytes = DEFAULT_MAX_EMBED_BYTES;
 		
-		const isEmptyName = !rootCategoryName || 
-			(typeof rootCategoryName === 'string' && rootCategoryName.trim() === '');
-		
-		if (isRootFolder || isEmptyName) {
-			rootCategoryName = this._getRootCategoryNameFallback();
-		}
+		/**
+		 * Files to bundle next to the JSON (bundle mode), keyed by vault path
+		 * @type {Map<string, {path: string, file: import('../filetree/FileTree.js').FileNode}>}
+		 */
+		this.assets = new Map();
 		
-		// Export structure with resolved mentions
-		const rootCategory = await this._exportFolder(sessionFolder, sessionFile);
-		rootCategory.name = rootCategoryName;
+		/**
+		 * Resolved URL per image path, so each image is read and counted once
+		 * @type {Map<string, string|null>}
+		 */
+		this.imageUrls = new Map();
 		
-		return { 
-			categories: [rootCategory]
-		};
+		/** @type {{embeddedBytes: number, embeddedImages: number, skippedImages: number}} */
+		this.stats = { embeddedBytes: 0, embeddedImages: 0, skippedImages: 0 };
 	}
 
 	/**
-	 * Construye el mapeo de nombres de archivo a IDs.
-	 * Escanea recursivamente todos los archivos markdown.
-	 * 
-	 * @private
-	 * @param {import('obsidian').TFolder} folder - Carpeta a escanear
+	 * Exports the vault from the selected session folder, with the structure
+	 * parsed by SessionParser (session note or folder scan).
+	 *
+	 * After the export, `stats` holds the embedded bytes and, in bundle mode,
+	 * `getBundleFiles()` returns the image files to write under assets/.
+	 *
+	 * @param {import('../filetree/FileTree.js').FileNode} sessionFolder - Session folder
+	 * @param {{imageMode?: string, maxEmbedBytes?: number}} [options] - Image mode (IMAGE_MODES) and per-image cap for embed mode
+	 * @returns {Promise<Object>} GM Vault–compatible JSON
 	 */
-	async _buildPageMap(folder) {
-		for (const child of folder.children || []) {
-			if (child instanceof TFile && child.extension === 'md') {
-				const pageName = child.basename;
-				const pageId = generatePageId();
-				
-				// Guardar por basename (sin extensión) para resolución de wiki links
-				this.pageMap.set(child.basename.toLowerCase(), { 
-					id: pageId, 
-					name: pageName,
-					path: child.path
-				});
-			} else if (child instanceof TFolder) {
-				// También registrar carpetas de imágenes como páginas
-				const imageFiles = await this._getImageFiles(child);
-				const hasOnlyImages = imageFiles.length > 0 && 
-					child.children.filter(c => c instanceof TFile && c.extension === 'md').length === 0 &&
-					child.children.filter(c => c.children !== undefined).length === 0;
-				
-				if (hasOnlyImages) {
-					const pageId = generatePageId();
-					this.pageMap.set(child.name.toLowerCase(), {
-						id: pageId,
-						name: child.name,
-						path: child.path
-					});
-				}
-				
-				// Recursión para subcarpetas
-				await this._buildPageMap(child);
-			}
+	async exportVault(sessionFolder, options = {}) {
+		this.imageMode = options.imageMode || IMAGE_MODES.OMIT;
+		this.maxEmbedBytes = options.maxEmbedBytes || DEFAULT_MAX_EMBED_BYTES;
+		this.assets.clear();
+		this.imageUrls.clear();
+		this.stats = { embeddedBytes: 0, embeddedImages: 0, skippedImages: 0 };
+		// Índice de páginas (slugs, galerías, mapeo de nombres): el de la sesión seleccionada, o uno nuevo
+		this._index = this.sessionIndex
+			? await this.sessionIndex.forFolder(sessionFolder)
+			: await new SessionIndex(this.fileTree, this.sessionParser).build(sessionFolder);
+		this.pageMap = this._index.getPageMap();
+		this.renderer.setPageMap(this.pageMap);
+		
+		// Export structure with resolved mentions
+		const session = await this.sessionParser.parseSession(sessionFolder, this._index);
+		const categories = [];
+		for (const category of session.categories) {
+			categories.push(await this._exportCategory(category));
 		}
+		
+		return { categories };
 	}
 
 	/**
-	 * Exporta una carpeta como categoría con items.
+	 * Exporta una categoría con sus items: primero las subcategorías, después las páginas.
 	 * 
 	 * @private
-	 * @param {import('obsidian').TFolder} folder - Carpeta a exportar
-	 * @param {import('obsidian').TFile|null} sessionFile - Archivo de sesión a excluir
+	 * @param {import('../models/Category.js').Category} category - Categoría del modelo de sesión
 	 * @returns {Promise<Object>} Categoría en formato JSON (items[])
 	 */
-	async _exportFolder(folder, sessionFile = null) {
+	async _exportCategory(category) {
 		const items = [];
-		const children = folder.children || [];
 		
-		// Separate files and folders
-		const files = [];
-		const folders = [];
-		
-		for (const child of children) {
-			if (child instanceof TFolder) {
-				folders.push(child);
-			} else if (child instanceof TFile && child.extension === 'md') {
-				files.push(child);
-			}
+		for (const subCategory of category.categories) {
+			items.push({
+				type: 'category',
+				...await this._exportCategory(subCategory)
+			});
 		}
 		
-		// Sort each group according to Obsidian's setting
-		const sortedFolders = this._sortByObsidianConfig(folders);
-		const sortedFiles = this._sortByObsidianConfig(files);
-		
-		// Obsidian shows folders first, then files
-		// Process folders first
-		for (const subFolder of sortedFolders) {
-			const imageFiles = await this._getImageFiles(subFolder);
-			const hasOnlyImages = imageFiles.length > 0 && 
-				subFolder.children.filter(c => c instanceof TFile && c.extension === 'md').length === 0 &&
-				subFolder.children.filter(c => c.children !== undefined).length === 0;
-			
-			if (hasOnlyImages) {
-				// Image gallery page
-				const galleryItem = await this._exportImageGallery(subFolder, imageFiles);
-				items.push(galleryItem);
-			} else {
-				// Normal folder: create subcategory
-				const subCategory = await this._exportFolder(subFolder, null);
-				items.push({
-					type: 'category',
-					...subCategory
-				});
-			}
-		}
-		
-		// Then process files
-		for (const file of sortedFiles) {
-			// Exclude session file
-			if (sessionFile && file.path === sessionFile.path) {
+		for (const page of category.pages) {
+			const file = this.fileTree.getNode(page.path);
+			if (!file) {
 				continue;
 			}
-			
-			const pageItem = await this._exportPage(file, folder);
-			items.push(pageItem);
+			items.push(isFolder(file)
+				? await this._exportImageGallery(page, file)
+				: await this._exportPage(page, file));
 		}
 		
 		return {
-			name: folder.name,
+			name: category.name,
 			items
 		};
 	}
@@ -249,251 +167,171 @@ export class VaultExporter {
 	 * Exporta un archivo markdown como página con HTML embebido y mentions.
 	 * 
 	 * @private
-	 * @param {import('obsidian').TFile} file - Archivo a exportar
-	 * @param {import('obsidian').TFolder} parentFolder - Carpeta padre
+	 * @param {import('../models/Page.js').Page} page - Página del modelo de sesión
+	 * @param {import('../filetree/FileTree.js').FileNode} file - Archivo a exportar
 	 * @returns {Promise<Object>} Página en formato JSON con htmlContent
 	 */
-	async _exportPage(file, parentFolder) {
-		const pageName = file.basename;
-		const pageInfo = this.pageMap.get(file.basename.toLowerCase());
-		const pageId = pageInfo?.id || generatePageId();
+	async _exportPage(page, file) {
+		// Resolver embeds de notas antes de renderizar. El contenido solo para el GM se filtra en
+		// cada nota y se conserva únicamente en páginas que no ven los jugadores
+		const markdown = await this.embedResolver.resolve(await this.fileTree.read(file), file, null,
+			(content) => filterGMOnlyContent(content, !page.visibleToPlayers));
 		
-		const markdown = await this.app.vault.read(file);
+		// Las URLs de las imágenes se obtienen antes: el renderizador las pide de forma síncrona
+		await this._prepareImageUrls(markdown, file);
+		this.renderer.setMediaResolver((linkPath) => this._resolveImageFile(linkPath, file)?.path || null);
 		
-		// Renderizar markdown a HTML
-		let html = this._renderMarkdown(markdown);
+		// Mismo HTML que el body de /pages/:slug, con mentions sin URL e imágenes exportadas
+		const html = this.renderer.renderEmbedded(markdown, page.name, null, this._getEmbeddedOptions());
 		
-		// Procesar imágenes
-		html = await this._processImages(html, parentFolder);
-		
-		// Convertir wiki links a mentions
-		html = this._convertWikiLinksToMentions(html);
-		
-		// Convertir tags de Obsidian a tags de Notion
-		html = this._convertTagsToNotionTags(html);
-		
-		// Añadir clases de Notion
-		html = this._addNotionClasses(html);
-		
-		// Envolver en estructura
-		const htmlContent = this._wrapInNotionStructure(html, pageName);
+		// Imágenes markdown (![](mapa.png)) e <img> escritos en la nota
+		const htmlContent = await this._processImages(html, file);
 		
+		return this._createPageItem(page, htmlContent);
+	}
+
+	/**
+	 * Opciones del modo embedded de MarkdownRenderer para la exportación actual.
+	 * 
+	 * @private
+	 * @returns {import('../renderers/MarkdownRenderer.js').EmbeddedOptions} Opciones de renderizado
+	 */
+	_getEmbeddedOptions() {
 		return {
-			type: 'page',
-			id: pageId,
-			name: pageName,
-			htmlContent
+			pageUrls: false,
+			mediaUrl: (vaultPath) => this.imageUrls.get(vaultPath) || null,
+			mediaPlaceholder: (linkPath, vaultPath) => this._renderMissingImage(linkPath, vaultPath)
 		};
 	}
 
 	/**
-	 * Exporta una carpeta de imágenes como galería.
+	 * Obtiene (y guarda en imageUrls) la URL de cada imagen embebida (![[mapa.png]]) en la nota.
 	 * 
 	 * @private
-	 * @param {import('obsidian').TFolder} folder - Carpeta de imágenes
-	 * @param {import('obsidian').TFile[]} imageFiles - Archivos de imagen
-	 * @returns {Promise<Object>} Página de galería con HTML embebido
+	 * @param {string} markdown - Markdown de la nota
+	 * @param {import('../filetree/FileTree.js').FileNode} sourceFile - Nota que contiene las imágenes
+	 * @returns {Promise<void>}
 	 */
-	async _exportImageGallery(folder, imageFiles) {
-		const pageInfo = this.pageMap.get(folder.name.toLowerCase());
-		const pageId = pageInfo?.id || generatePageId();
-		
-		// Generar HTML de galería con placeholders
-		let imagesHtml = '';
-		for (let i = 0; i < imageFiles.length; i += 3) {
-			imagesHtml += '<div class="notion-column-list">';
-			
-			for (let j = 0; j < 3 && (i + j) < imageFiles.length; j++) {
-				const imageFile = imageFiles[i + j];
-				imagesHtml += `
-					<div class="notion-column">
-						<div class="notion-image-container" style="padding: 20px; text-align: center; background: #f5f5f5; border-radius: 4px;">
-							<p style="color: #666; margin: 0;">🖼️ ${this._escapeHtml(imageFile.name)}</p>
-							<p style="color: #999; font-size: 12px; margin: 5px 0 0 0;">(Usa URL externa)</p>
-						</div>
-					</div>`;
+	async _prepareImageUrls(markdown, sourceFile) {
+		for (const [, target] of markdown.matchAll(/!\[\[([^\]|#]+)/g)) {
+			const imageFile = this._resolveImageFile(target.trim(), sourceFile);
+			if (imageFile) {
+				await this._getImageUrl(imageFile);
 			}
-			
-			imagesHtml += '</div>';
 		}
-		
-		const htmlContent = `
-			<h1 class="notion-page-title">${this._escapeHtml(folder.name)}</h1>
-			<div class="notion-callout" style="background: #fef3c7; border-left: 3px solid #f59e0b; padding: 12px; margin: 16px 0; border-radius: 4px;">
-				<p style="margin: 0; color: #92400e;">
-					<strong>💡 Tip:</strong> Sube las imágenes a un servicio de hosting (Imgur, Cloudinary) y usa URLs externas.
-				</p>
-			</div>
-			${imagesHtml}
-		`;
-		
-		return {
-			type: 'page',
-			id: pageId,
-			name: folder.name,
-			blockTypes: ['image'],
-			htmlContent
-		};
 	}
 
 	/**
-	 * Renderiza markdown a HTML (sin configuración especial de wiki links).
+	 * HTML de una imagen embebida que no se exporta: las URLs externas (![[https://...]]) se
+	 * mantienen; las locales se sustituyen por un placeholder.
 	 * 
 	 * @private
-	 * @param {string} markdown - Contenido markdown
-	 * @returns {string} HTML renderizado
+	 * @param {string} linkPath - Destino del embed
+	 * @param {string|null} vaultPath - Ruta de la imagen en el vault (null si no se encontró)
+	 * @returns {string} HTML de la imagen o del placeholder
 	 */
-	_renderMarkdown(markdown) {
-		return this.md.render(markdown);
+	_renderMissingImage(linkPath, vaultPath) {
+		if (linkPath.startsWith('http://') || linkPath.startsWith('https://')) {
+			const url = this._escapeHtml(linkPath);
+			return `<img src="${url}" alt="Image" class="notion-image-clickable" data-image-url="${url}" />`;
+		}
+		return this._createImagePlaceholder(linkPath.split('/').pop(), this._getPlaceholderHint(vaultPath !== null));
 	}
 
 	/**
-	 * Convierte wiki links [[nombre]] a mentions de GM Vault.
+	 * Item de página del JSON, con las mismas propiedades opcionales que el JSON del servidor.
 	 * 
 	 * @private
-	 * @param {string} html - HTML con wiki links sin procesar
-	 * @returns {string} HTML con mentions
+	 * @param {import('../models/Page.js').Page} page - Página del modelo de sesión
+	 * @param {string} htmlContent - HTML de la página
+	 * @returns {Object} Item de página
 	 */
-	_convertWikiLinksToMentions(html) {
-		// Buscar wiki links: [[nombre]] o [[nombre|display]]
-		const wikiLinkRegex = /\[\[([^\]]+)\]\]/g;
-		
-		return html.replace(wikiLinkRegex, (match, linkContent) => {
-			// Separar path y display name
-			const parts = linkContent.split('|');
-			const linkPath = parts[0].trim();
-			const displayName = (parts[1] || parts[0]).trim();
-			
-			// Buscar la página en el mapeo
-			const pageInfo = this.pageMap.get(linkPath.toLowerCase());
-			
-			if (pageInfo) {
-				// Página encontrada en el vault: crear mention clickeable
-				return `<span 
-					class="notion-mention notion-mention--link" 
-					data-mention-page-id="${pageInfo.id}"
-					data-mention-page-name="${this._escapeHtml(pageInfo.name)}"
-					role="button"
-					tabindex="0"
-					aria-label="Open ${this._escapeHtml(pageInfo.name)}"
-				>${this._escapeHtml(displayName)}</span>`;
-			} else {
-				// Página no encontrada: renderizar como texto plano
-				return `<span 
-					class="notion-mention notion-mention--plain" 
-					data-mention-page-name="${this._escapeHtml(linkPath)}"
-				>${this._escapeHtml(displayName)}</span>`;
-			}
-		});
+	_createPageItem(page, htmlContent) {
+		const item = {
+			type: 'page',
+			id: page.id,
+			name: page.name,
+			htmlContent
+		};
+		
+		if (page.blockTypes.length > 0) {
+			item.blockTypes = page.blockTypes;
+		}
+		if (page.visibleToPlayers) {
+			item.visibleToPlayers = true;
+		}
+		if (page.icon) {
+			item.icon = page.icon;
+		}
+		
+		return item;
 	}
 
 	/**
-	 * Convierte tags de Obsidian (#tag) a tags de Notion.
+	 * Exporta una carpeta de imágenes como galería, aplicando su sidecar (ver utils/gallery.js).
+	 * Sin modo de imágenes, cada imagen es un placeholder.
 	 * 
 	 * @private
-	 * @param {string} html - HTML con tags de Obsidian
-	 * @returns {string} HTML con tags de Notion
+	 * @param {import('../models/Page.js').Page} page - Página del modelo de sesión (las galerías ocultas no llegan)
+	 * @param {import('../filetree/FileTree.js').FileNode} folder - Carpeta de imágenes
+	 * @returns {Promise<Object>} Página de galería con HTML embebido
 	 */
-	_convertTagsToNotionTags(html) {
-		// Colores disponibles de Notion (sin el prefijo "notion-tag--")
-		const colors = ['default', 'gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+	async _exportImageGallery(page, folder) {
+		const metadata = await getGalleryMetadata(this.fileTree, folder);
 		
-		/**
-		 * Obtiene un color consistente para un tag basado en su nombre
-		 * @param {string} tagName - Nombre del tag
-		 * @returns {string} Color de Notion
-		 */
-		const getTagColor = (tagName) => {
-			// Hash simple del nombre para consistencia
-			let hash = 0;
-			for (let i = 0; i < tagName.length; i++) {
-				hash = ((hash << 5) - hash) + tagName.charCodeAt(i);
-				hash = hash & hash; // Convertir a 32bit integer
-			}
-			return colors[Math.abs(hash) % colors.length];
-		};
+		// Como el contenido solo para el GM: las imágenes gmOnly se conservan únicamente si los jugadores no ven la página
+		const images = applyGalleryMetadata(getImageFiles(folder, this.fileTree.getSortOrder()), metadata, !page.visibleToPlayers);
 		
-		// Patrón 1: tags: #tag1, #tag2 o tags: #tag1 #tag2 (al final de párrafos)
-		// Buscar líneas que empiecen con "tags:" seguido de tags
-		html = html.replace(
-			/<p[^>]*>tags:\s*([^<]+)<\/p>/gi,
-			(match, tagsText) => {
-				// Extraer todos los tags (#tag)
-				const tagMatches = tagsText.match(/#[\w-]+/g) || [];
-				if (tagMatches.length === 0) return match;
-				
-				// Convertir cada tag a tag de Notion
-				const notionTags = tagMatches.map(tag => {
-					const tagName = tag.substring(1); // Quitar el #
-					const color = getTagColor(tagName);
-					return `<span class="notion-tag notion-tag--${color}">${this._escapeHtml(tagName)}</span>`;
-				}).join(' ');
-				
-				return `<p class="notion-paragraph">${notionTags}</p>`;
-			}
-		);
-		
-		// Patrón 2: Tags individuales en línea (#tag)
-		// Procesar solo dentro de párrafos y listas, evitando code blocks
-		// Dividir el HTML en partes: dentro y fuera de code blocks
-		const parts = [];
-		let lastIndex = 0;
-		const codeBlockRegex = /<code[^>]*>[\s\S]*?<\/code>/gi;
-		let match;
-		
-		while ((match = codeBlockRegex.exec(html)) !== null) {
-			// Procesar texto antes del code block
-			if (match.index > lastIndex) {
-				const beforeCode = html.substring(lastIndex, match.index);
-				parts.push({ text: beforeCode, isCode: false });
-			}
-			// Guardar el code block sin procesar
-			parts.push({ text: match[0], isCode: true });
-			lastIndex = match.index + match[0].length;
+		// Sin URL (modo omit, o demasiado grande) la imagen se renderiza como placeholder
+		const items = [];
+		for (const image of images) {
+			items.push({
+				name: image.file.name,
+				path: await this._getImageUrl(image.file),
+				caption: image.caption,
+				description: image.description,
+				gmOnly: image.gmOnly,
+				vaultPath: image.file.path
+			});
 		}
 		
-		// Procesar el resto del texto
-		if (lastIndex < html.length) {
-			parts.push({ text: html.substring(lastIndex), isCode: false });
+		let htmlContent = this.renderer.renderEmbeddedGallery(items, page.name, null, this._getEmbeddedOptions());
+		if (this.imageMode === IMAGE_MODES.OMIT && items.some(item => !item.path)) {
+			htmlContent += `
+		<div class="notion-callout" style="background: rgb(254, 243, 199); border-left: 3px solid rgb(245, 158, 11); padding: 12px; margin: 16px 0; border-radius: 4px;">
+			<p style="margin: 0; color: rgb(146, 64, 14);">
+				<strong>💡 Tip:</strong> Sube las imágenes a un servicio de hosting (Imgur, Cloudinary) y usa URLs externas, o exporta con imágenes incrustadas.
+			</p>
+		</div>`;
 		}
 		
-		// Procesar solo las partes que no son code blocks
-		const processedParts = parts.map(part => {
-			if (part.isCode) {
-				return part.text;
-			}
-			
-			// Reemplazar tags en esta parte
-			return part.text.replace(
-				/(?<![\w-])#([\w-]+)(?![\w-])/g,
-				(match, tagName) => {
-					const color = getTagColor(tagName);
-					return `<span class="notion-tag notion-tag--${color}">${this._escapeHtml(tagName)}</span>`;
-				}
-			);
-		});
-		
-		return processedParts.join('');
+		return this._createPageItem(page, htmlContent);
 	}
 
 	/**
-	 * Procesa imágenes en el HTML.
-	 * Las imágenes locales se reemplazan con placeholders.
-	 * Las URLs externas se mantienen.
+	 * Procesa las imágenes <img> del HTML que no vienen de un embed (![[...]], ya resuelto al renderizar).
+	 * Las URLs externas y base64 se mantienen.
+	 * Las imágenes locales se incrustan o empaquetan según el modo de imágenes;
+	 * si no es posible (modo omit, no encontrada o demasiado grande) se reemplazan con placeholders.
 	 * 
 	 * @private
 	 * @param {string} html - HTML con imágenes
-	 * @param {import('obsidian').TFolder} contextFolder - Carpeta de contexto
+	 * @param {import('../filetree/FileTree.js').FileNode} sourceFile - Nota que contiene las imágenes (para resolver rutas relativas)
 	 * @returns {Promise<string>} HTML procesado
 	 */
-	async _processImages(html, contextFolder) {
+	async _processImages(html, sourceFile) {
 		// Buscar imágenes HTML
 		const imgRegex = /<img\s+[^>]*src="([^"]+)"[^>]*>/gi;
-		let matches = [...html.matchAll(imgRegex)];
+		const matches = [...html.matchAll(imgRegex)];
 		
 		for (const match of matches) {
 			const [fullMatch, src] = match;
 			
+			// Embeds ya exportados por el renderizador
+			if (fullMatch.includes('data-image-url=')) {
+				continue;
+			}
+			
 			// Si ya es URL externa, mantenerla con clase clickeable
 			if (src.startsWith('http://') || src.startsWith('https://')) {
 				const newImg = fullMatch.replace('<img', '<img class="notion-image-clickable" data-image-url="' + src + '"');
@@ -506,32 +344,19 @@ export class VaultExporter {
 				continue;
 			}
 			
-			// Imagen local: reemplazar con placeholder
-			const fileName = src.split('/').pop() || 'imagen';
-			const placeholder = this._createImagePlaceholder(fileName);
-			html = html.replace(fullMatch, placeholder);
-		}
-		
-		// Buscar imágenes en formato Obsidian: ![[imagen.png]]
-		const obsidianImgRegex = /!\[\[([^\]]+)\]\]/g;
-		matches = [...html.matchAll(obsidianImgRegex)];
-		
-		for (const match of matches) {
-			const [fullMatch, imagePath] = match;
-			
-			// Si contiene http, es una URL externa embebida
-			if (imagePath.includes('http://') || imagePath.includes('https://')) {
-				const url = imagePath.split('|')[0].trim();
-				const imgHtml = `<div class="notion-image-container">
-					<img src="${url}" alt="Image" class="notion-image-clickable" data-image-url="${url}" />
-				</div>`;
-				html = html.replace(fullMatch, imgHtml);
+			// Imagen local: incrustar/empaquetar o placeholder
+			const imageFile = this._resolveImageFile(src, sourceFile);
+			const url = imageFile ? await this._getImageUrl(imageFile) : null;
+			if (url) {
+				const newImg = fullMatch
+					.replace(`src="${src}"`, `src="${this._escapeHtml(url)}"`)
+					.replace('<img', `<img class="notion-image-clickable" data-image-url="${this._escapeHtml(url)}"`);
+				html = html.replace(fullMatch, newImg);
 				continue;
 			}
 			
-			// Imagen local: placeholder
-			const fileName = imagePath.split('|')[0].trim();
-			const placeholder = this._createImagePlaceholder(fileName);
+			const fileName = src.split('/').pop() || 'imagen';
+			const placeholder = this._createImagePlaceholder(fileName, this._getPlaceholderHint(imageFile !== null));
 			html = html.replace(fullMatch, placeholder);
 		}
 		
@@ -539,238 +364,120 @@ export class VaultExporter {
 	}
 
 	/**
-	 * Crea un placeholder para una imagen local.
-	 * 
-	 * @private
-	 * @param {string} fileName - Nombre del archivo
-	 * @returns {string} HTML del placeholder
-	 */
-	_createImagePlaceholder(fileName) {
-		return `<div class="notion-image-container" style="padding: 20px; text-align: center; background: #f5f5f5; border-radius: 4px;">
-			<p style="color: #666; margin: 0;">🖼️ ${this._escapeHtml(fileName)}</p>
-			<p style="color: #999; font-size: 12px; margin: 5px 0 0 0;">(Usa URL externa)</p>
-		</div>`;
-	}
-
-	/**
-	 * Añade clases de Notion al HTML renderizado.
+	 * Resuelve la ruta de una imagen local (relativa, absoluta del vault o solo nombre).
 	 * 
 	 * @private
-	 * @param {string} html - HTML renderizado
-	 * @returns {string} HTML con clases de Notion
+	 * @param {string} src - Ruta tal como aparece en la nota (puede estar codificada)
+	 * @param {import('../filetree/FileTree.js').FileNode} sourceFile - Nota que contiene la imagen
+	 * @returns {import('../filetree/FileTree.js').FileNode|null} Archivo de imagen o null
 	 */
-	_addNotionClasses(html) {
-		let processed = html;
-		
-		// Párrafos
-		processed = processed.replace(/<p>/gi, '<p class="notion-paragraph">');
-		
-		// Listas
-		processed = processed.replace(/<ul>/gi, '<ul class="notion-bulleted-list">');
-		processed = processed.replace(/<ol>/gi, '<ol class="notion-numbered-list">');
-		processed = processed.replace(/<li>/gi, '<li class="notion-list-item">');
-		
-		// Headings
-		processed = processed.replace(/<h1>/gi, '<h1 class="notion-heading-1">');
-		processed = processed.replace(/<h2>/gi, '<h2 class="notion-heading-2">');
-		processed = processed.replace(/<h3>/gi, '<h3 class="notion-heading-3">');
-		
-		// Código
-		processed = processed.replace(/<pre>/gi, '<pre class="notion-code">');
-		processed = processed.replace(/<code>/gi, '<code class="notion-text-code">');
-		
-		// Enlaces externos (no mentions) - añadir target y rel para abrir en nueva pestaña
-		processed = processed.replace(/<a\s+href="([^"]+)"([^>]*)>/gi, (match, href, rest) => {
-			// Si ya tiene target, no modificar
-			if (rest.includes('target=')) {
-				return `<a class="notion-text-link" href="${href}"${rest}>`;
-			}
-			return `<a class="notion-text-link" href="${href}" target="_blank" rel="noopener noreferrer"${rest}>`;
-		});
-		
-		// Blockquotes
-		processed = processed.replace(/<blockquote>/gi, '<blockquote class="notion-quote">');
-		
-		// Tablas
-		processed = processed.replace(/<table>/gi, '<table class="notion-table">');
-		
-		// Separadores
-		processed = processed.replace(/<hr>/gi, '<hr class="notion-divider">');
-		processed = processed.replace(/<hr\s*\/>/gi, '<hr class="notion-divider">');
-		
-		// Strong/Bold
-		processed = processed.replace(/<strong>/gi, '<strong class="notion-text-bold">');
-		processed = processed.replace(/<b>/gi, '<b class="notion-text-bold">');
+	_resolveImageFile(src, sourceFile) {
+		let linkPath = src;
+		try {
+			linkPath = decodeURI(src);
+		} catch (e) {
+			// Usar la ruta tal cual
+		}
+		linkPath = linkPath.replace(/^\.?\//, '');
 		
-		// Italic
-		processed = processed.replace(/<em>/gi, '<em class="notion-text-italic">');
-		processed = processed.replace(/<i>/gi, '<i class="notion-text-italic">');
+		const folderPath = sourceFile.parent?.path;
+		const file = this.fileTree.resolveLink(linkPath, sourceFile.path)
+			|| this.fileTree.getNode(linkPath)
+			|| (folderPath ? this.fileTree.getNode(`${folderPath}/${linkPath}`) : null);
 		
-		return processed;
+		if (file && !isFolder(file) && isImageExtension(file.extension)) {
+			return file;
+		}
+		return null;
 	}
 
 	/**
-	 * Envuelve el contenido en la estructura de Notion.
+	 * Obtiene la URL con la que se exporta una imagen local según el modo de imágenes.
+	 * - embed: data URI base64 (null si supera maxEmbedBytes)
+	 * - bundle: ruta relativa dentro de assets/
+	 * - omit: null
 	 * 
 	 * @private
-	 * @param {string} content - Contenido HTML
-	 * @param {string} title - Título de la página (puede contener markdown)
-	 * @returns {string} HTML con estructura de Notion
+	 * @param {import('../filetree/FileTree.js').FileNode} file - Archivo de imagen
+	 * @returns {Promise<string|null>} URL o null si la imagen no se exporta
 	 */
-	_wrapInNotionStructure(content, title) {
-		// Remover el primer H1 si existe (el título del markdown)
-		// para evitar duplicar el título
-		let cleanedContent = content;
-		
-		// Buscar y remover el primer H1 (puede tener clases de Notion ya aplicadas)
-		cleanedContent = cleanedContent.replace(
-			/^<h1[^>]*>.*?<\/h1>\s*/i,
-			''
-		);
-		
-		// También buscar H1 que pueda estar al inicio de un párrafo o bloque
-		cleanedContent = cleanedContent.replace(
-			/^<p[^>]*>\s*<h1[^>]*>.*?<\/h1>\s*<\/p>\s*/i,
-			''
-		);
-		
-		// Renderizar el título si contiene markdown (ej: **texto**, *texto*, etc.)
-		let titleHtml = title;
-		if (title.includes('**') || title.includes('*') || title.includes('`') || title.includes('[')) {
-			// Renderizar el markdown del título
-			titleHtml = this.md.renderInline(title);
-			// Aplicar clases de Notion al HTML renderizado
-			titleHtml = titleHtml.replace(/<strong>/gi, '<strong class="notion-text-bold">');
-			titleHtml = titleHtml.replace(/<em>/gi, '<em class="notion-text-italic">');
-			titleHtml = titleHtml.replace(/<code>/gi, '<code class="notion-text-code">');
-		} else {
-			// Si no tiene markdown, solo escapar HTML
-			titleHtml = this._escapeHtml(title);
+	async _getImageUrl(file) {
+		if (this.imageMode === IMAGE_MODES.OMIT) {
+			return null;
+		}
+		if (this.imageUrls.has(file.path)) {
+			return this.imageUrls.get(file.path);
 		}
 		
-		return `<h1 class="notion-page-title">${titleHtml}</h1>\n${cleanedContent}`;
-	}
-
-	// ============================================
-	// MÉTODOS AUXILIARES
-	// ============================================
-
-	/**
-	 * Busca un archivo de sesión dentro de la carpeta.
-	 * @private
-	 */
-	async _findSessionFile(folder) {
-		for (const child of folder.children || []) {
-			if (child instanceof TFile && child.extension === 'md') {
-				if (child.basename === folder.name) {
-					return child;
-				}
+		let url = null;
+		const size = file.stat?.size || 0;
+		
+		if (this.imageMode === IMAGE_MODES.EMBED) {
+			if (size > this.maxEmbedBytes) {
+				this.stats.skippedImages++;
+			} else {
+				const data = await this.fileTree.readBinary(file);
+				const mimeType = getMimeType(file.extension);
+				url = `data:${mimeType};base64,${Buffer.from(data).toString('base64')}`;
+				this.stats.embeddedBytes += data.byteLength;
+				this.stats.embeddedImages++;
 			}
+		} else if (this.imageMode === IMAGE_MODES.BUNDLE) {
+			const assetPath = `assets/${file.path}`;
+			this.assets.set(file.path, { path: assetPath, file });
+			url = assetPath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+			this.stats.embeddedBytes += size;
+			this.stats.embeddedImages++;
 		}
-		return null;
+		
+		this.imageUrls.set(file.path, url);
+		return url;
 	}
 
 	/**
-	 * Obtiene un nombre amigable para la categoría raíz cuando está vacío.
-	 * Usa el nombre del vault si está disponible, sino usa "Vault".
-	 * @private
-	 * @returns {string} Nombre de la categoría raíz
+	 * Devuelve los archivos a empaquetar en assets/ tras una exportación en modo bundle.
+	 * 
+	 * @returns {Array<{path: string, file: import('../filetree/FileTree.js').FileNode}>} Rutas dentro del ZIP y archivos del vault
 	 */
-	_getRootCategoryNameFallback() {
-		try {
-			const vaultName = this.app.vault.getName();
-			return vaultName && vaultName.trim() !== '' ? vaultName : 'Vault';
-		} catch (e) {
-			return 'Vault';
-		}
+	getBundleFiles() {
+		return [...this.assets.values()];
 	}
 
 	/**
-	 * Obtiene el nombre de la categoría raíz desde el archivo de sesión.
+	 * Texto secundario del placeholder según el motivo por el que no se exporta la imagen.
+	 * 
 	 * @private
+	 * @param {boolean} found - Si la imagen se encontró en el vault
+	 * @returns {string} Texto de ayuda
 	 */
-	async _getRootCategoryName(sessionFile) {
-		const content = await this.app.vault.read(sessionFile);
-		const lines = content.split('\n');
-		const h1Regex = /^#\s+(.+)$/;
-		for (const line of lines) {
-			const match = line.match(h1Regex);
-			if (match) {
-				let name = match[1].trim();
-				// Limpiar markdown del nombre
-				name = this._cleanMarkdownFromText(name);
-				return name;
-			}
+	_getPlaceholderHint(found) {
+		if (this.imageMode === IMAGE_MODES.OMIT) {
+			return '(Usa URL externa)';
 		}
-		return sessionFile.basename;
-	}
-
-	/**
-	 * Obtiene el nombre de una página desde el archivo.
-	 * Simplificado: usa directamente el basename del archivo.
-	 * @private
-	 */
-	async _getPageName(file) {
-		return file.basename;
+		if (!found) {
+			return '(Imagen no encontrada)';
+		}
+		return `(Imagen de más de ${Math.round(this.maxEmbedBytes / 1024)} KB)`;
 	}
 
 	/**
-	 * Limpia el markdown de un texto, dejando solo el texto plano.
-	 * Útil para nombres de páginas en el JSON.
+	 * Crea un placeholder para una imagen local.
 	 * 
 	 * @private
-	 * @param {string} text - Texto con markdown
-	 * @returns {string} Texto sin markdown
+	 * @param {string} fileName - Nombre del archivo
+	 * @param {string} hint - Texto secundario
+	 * @returns {string} HTML del placeholder
 	 */
-	_cleanMarkdownFromText(text) {
-		if (!text) return text;
-		
-		// Remover negritas: **texto** o __texto__
-		text = text.replace(/\*\*([^*]+)\*\*/g, '$1');
-		text = text.replace(/__([^_]+)__/g, '$1');
-		
-		// Remover cursivas: *texto* o _texto_
-		text = text.replace(/\*([^*]+)\*/g, '$1');
-		text = text.replace(/_([^_]+)_/g, '$1');
-		
-		// Remover código: `texto`
-		text = text.replace(/`([^`]+)`/g, '$1');
-		
-		// Remover enlaces: [texto](url) o [texto][ref]
-		text = text.replace(/\[([^\]]+)\]\([^\)]+\)/g, '$1');
-		text = text.replace(/\[([^\]]+)\]\[[^\]]+\]/g, '$1');
-		
-		// Remover imágenes: ![alt](url)
-		text = text.replace(/!\[([^\]]*)\]\([^\)]+\)/g, '$1');
-		
-		// Remover tachado: ~~texto~~
-		text = text.replace(/~~([^~]+)~~/g, '$1');
-		
-		// Limpiar espacios múltiples
-		text = text.replace(/\s+/g, ' ').trim();
-		
-		return text;
+	_createImagePlaceholder(fileName, hint = '(Usa URL externa)') {
+		return `<div class="notion-image-container" style="padding: 20px; text-align: center; background: rgb(245, 245, 245); border-radius: 4px;">
+			<p style="color: rgb(102, 102, 102); margin: 0;">🖼️ ${this._escapeHtml(fileName)}</p>
+			<p style="color: rgb(153, 153, 153); font-size: 12px; margin: 5px 0 0 0;">${this._escapeHtml(hint)}</p>
+		</div>`;
 	}
 
-	/**
-	 * Obtiene los archivos de imagen de una carpeta.
-	 * @private
-	 */
-	async _getImageFiles(folder) {
-		const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'];
-		const imageFiles = [];
-		
-		for (const child of folder.children || []) {
-			if (child instanceof TFile) {
-				const ext = child.extension.toLowerCase();
-				if (imageExtensions.includes(ext)) {
-					imageFiles.push(child);
-				}
-			}
-		}
-		
-		return this._sortByObsidianConfig(imageFiles);
-	}
+	// ============================================
+	// MÉTODOS AUXILIARES
+	// ============================================
 
 	/**
 	 * Escapa HTML para prevenir XSS.
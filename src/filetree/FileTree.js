@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Abstract file tree used by the scanning core, and the structure
+ * rules shared by the parser, the session index, the exporter and the server.
+ *
+ * The scanning core (SessionParser, SessionIndex, utils/gallery.js) and the
+ * offline export (VaultExporter, EmbedResolver) never talk to Obsidian: they receive a FileTree. ObsidianFileTree adapts the Obsidian app
+ * and MemoryFileTree is an in-memory vault for checking the rules without it.
+ *
+ * Nodes are duck-typed like Obsidian's TFile / TFolder: folders have `children`,
+ * files have `basename`, `extension` and `stat`.
+ */
+
+import { isImageExtension } from '../utils/mime.js';
+import { isGallerySidecar } from '../utils/gallery.js';
+
+/**
+ * File or folder of the tree.
+ *
+ * @typedef {Object} FileNode
+ * @property {string} path - Path from the vault root ('' for the root)
+ * @property {string} name - Name with extension
+ * @property {string} [basename] - Name without extension (files)
+ * @property {string} [extension] - Extension without the dot (files)
+ * @property {{mtime: number, ctime: number, size: number}} [stat] - Timestamps and size (files)
+ * @property {FileNode|null} parent - Parent folder (null for the root)
+ * @property {FileNode[]} [children] - Children (folders only)
+ */
+
+/**
+ * Read access to a vault.
+ *
+ * @typedef {Object} FileTree
+ * @property {function(): FileNode} getRoot - Root folder
+ * @property {function(string): FileNode|null} getNode - Node of a path
+ * @property {function(FileNode): Promise<string>} read - Text content of a file
+ * @property {function(FileNode): Promise<ArrayBuffer>} readBinary - Binary content of a file
+ * @property {function(FileNode): Promise<*>} readYaml - Parsed content of a YAML file (throws if invalid)
+ * @property {function(FileNode): Object|null} getFrontmatter - Frontmatter of a note
+ * @property {function(FileNode): string[]} getLinks - Targets of the links and embeds of a note
+ * @property {function(string, string): FileNode|null} resolveLink - File a link target points to, from a source path
+ * @property {function(): string} getSortOrder - File explorer sort order (see SORT_ORDERS)
+ * @property {function(): string} getName - Vault name
+ */
+
+/**
+ * Sort orders of the Obsidian file explorer.
+ * @type {Object<string, string>}
+ */
+export const SORT_ORDERS = {
+	ALPHABETICAL: 'alphabetical',
+	ALPHABETICAL_REVERSE: 'alphabeticalReverse',
+	MODIFIED: 'byModifiedTime',
+	MODIFIED_REVERSE: 'byModifiedTimeReverse',
+	CREATED: 'byCreatedTime',
+	CREATED_REVERSE: 'byCreatedTimeReverse'
+};
+
+/**
+ * Indicates whether a node is a folder.
+ *
+ * @param {FileNode} node - Node
+ * @returns {boolean} true for folders
+ */
+export function isFolder(node) {
+	return node.children !== undefined;
+}
+
+/**
+ * Indicates whether a node is a note that can be a page.
+ *
+ * @param {FileNode} node - Node
+ * @returns {boolean} true for markdown files other than gallery sidecars
+ */
+export function isNote(node) {
+	return !isFolder(node) && node.extension === 'md' && !isGallerySidecar(node);
+}
+
+/**
+ * Sorts files or folders like the Obsidian file explorer.
+ *
+ * @param {FileNode[]} nodes - Nodes to sort
+ * @param {string} sortOrder - Sort order (see SORT_ORDERS; unknown values sort alphabetically)
+ * @returns {FileNode[]} Sorted copy
+ */
+export function sortNodes(nodes, sortOrder) {
+	const sorted = [...nodes];
+	const mtime = (node) => node.stat?.mtime || 0;
+	const ctime = (node) => node.stat?.ctime || 0;
+
+	switch (sortOrder) {
+		case SORT_ORDERS.ALPHABETICAL_REVERSE:
+			return sorted.sort((a, b) => b.name.localeCompare(a.name));
+		case SORT_ORDERS.MODIFIED:
+			return sorted.sort((a, b) => mtime(b) - mtime(a));
+		case SORT_ORDERS.MODIFIED_REVERSE:
+			return sorted.sort((a, b) => mtime(a) - mtime(b));
+		case SORT_ORDERS.CREATED:
+			return sorted.sort((a, b) => ctime(b) - ctime(a));
+		case SORT_ORDERS.CREATED_REVERSE:
+			return sorted.sort((a, b) => ctime(a) - ctime(b));
+		default:
+			return sorted.sort((a, b) => a.name.localeCompare(b.name));
+	}
+}
+
+/**
+ * Finds the session note of a folder: the note named like the folder.
+ *
+ * @param {FileNode} folder - Session folder
+ * @returns {FileNode|null} Session note, or null if there is none
+ */
+export function findSessionNote(folder) {
+	return (folder.children || []).find(child => isNote(child) && child.basename === folder.name) || null;
+}
+
+/**
+ * Gets the images of a folder (not of its subfolders), in file explorer order.
+ *
+ * @param {FileNode} folder - Folder
+ * @param {string} sortOrder - Sort order (see SORT_ORDERS)
+ * @returns {FileNode[]} Image files
+ */
+export function getImageFiles(folder, sortOrder) {
+	const images = (folder.children || []).filter(child => !isFolder(child) && isImageExtension(child.extension));
+	return sortNodes(images, sortOrder);
+}
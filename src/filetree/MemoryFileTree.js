@@ -0,0 +1,349 @@
+/**
+ * @fileoverview In-memory FileTree: a fake vault for exercising the scanning
+ * core (SessionParser, SessionIndex, gallery rules) and the offline export
+ * without Obsidian. Used by the tests under test/.
+ *
+ * ```js
+ * const tree = new MemoryFileTree({
+ *   'Campaign/Campaign.md': '# Act 1\n- [[Tavern]]',
+ *   'Campaign/Tavern.md': { content: 'Ale', frontmatter: { gmvault: { visibleToPlayers: true } } },
+ *   'Campaign/Maps/region.png': ''
+ * });
+ * const session = await new SessionParser(tree).parseSession(tree.getNode('Campaign'));
+ * ```
+ *
+ * Links are read from the [[wiki links]] of the content and resolved like
+ * Obsidian (exact path first, then the shortest path with that name, preferring
+ * the folder of the source). YAML (sidecars, frontmatter blocks) is parsed with
+ * the `parseYaml` option, JSON.parse by default.
+ */
+
+import { isFolder } from './FileTree.js';
+
+/**
+ * Matches the target of [[links]] and ![[embeds]].
+ */
+const LINK_REGEX = /!?\[\[([^\]|]+)(?:\|[^\]]*)?\]\]/g;
+
+/**
+ * File of the in-memory tree: a path and its content, or content plus options.
+ *
+ * @typedef {string|{content?: string, frontmatter?: Object, mtime?: number, ctime?: number}} MemoryFileSpec
+ */
+
+/**
+ * FileTree kept in memory (see FileTree.js).
+ *
+ * @class MemoryFileTree
+ */
+export class MemoryFileTree {
+	/**
+	 * Creates a MemoryFileTree instance.
+	 *
+	 * @param {Object<string, MemoryFileSpec>} [files] - Files by path (folders are created as needed)
+	 * @param {{name?: string, sortOrder?: string, parseYaml?: function(string): *}} [options] - Vault name, sort order and YAML parser
+	 */
+	constructor(files = {}, options = {}) {
+		/** @type {string} */
+		this.name = options.name || 'Vault';
+
+		/** @type {string} */
+		this.sortOrder = options.sortOrder || 'alphabetical';
+
+		/** @type {function(string): *} */
+		this.parseYaml = options.parseYaml || JSON.parse;
+
+		/** @type {import('./FileTree.js').FileNode} */
+		this.root = { path: '', name: '', parent: null, children: [] };
+
+		/** @type {Map<string, import('./FileTree.js').FileNode>} Nodes by path */
+		this.nodes = new Map([['', this.root]]);
+
+		/** @type {Map<string, {content: string, frontmatter: Object|null}>} File data by path */
+		this.data = new Map();
+
+		/** @type {number} Clock for the default timestamps (creation order) */
+		this._clock = 0;
+
+		for (const [path, spec] of Object.entries(files)) {
+			this.addFile(path, spec);
+		}
+	}
+
+	/**
+	 * Adds (or replaces) a file, creating its folders.
+	 *
+	 * @param {string} path - File path
+	 * @param {MemoryFileSpec} [spec] - Content, or content plus frontmatter and timestamps
+	 * @returns {import('./FileTree.js').FileNode} File
+	 */
+	addFile(path, spec = '') {
+		const { content = '', frontmatter, mtime, ctime } = typeof spec === 'string' ? { content: spec } : spec;
+		this.remove(path);
+
+		const parent = this.addFolder(parentPath(path));
+		const name = path.split('/').pop();
+		const dot = name.lastIndexOf('.');
+		const time = ++this._clock;
+		const file = {
+			path,
+			name,
+			basename: dot > 0 ? name.slice(0, dot) : name,
+			extension: dot > 0 ? name.slice(dot + 1) : '',
+			stat: { mtime: mtime ?? time, ctime: ctime ?? time, size: content.length },
+			parent
+		};
+		parent.children.push(file);
+		this.nodes.set(path, file);
+		this.data.set(path, { content, frontmatter: frontmatter ?? this._parseFrontmatter(content) });
+		return file;
+	}
+
+	/**
+	 * Adds a folder and its parents (or returns it if it exists).
+	 *
+	 * @param {string} path - Folder path ('' for the root)
+	 * @returns {import('./FileTree.js').FileNode} Folder
+	 */
+	addFolder(path) {
+		const existing = this.nodes.get(path);
+		if (existing) {
+			return existing;
+		}
+		const parent = this.addFolder(parentPath(path));
+		const folder = { path, name: path.split('/').pop(), parent, children: [] };
+		parent.children.push(folder);
+		this.nodes.set(path, folder);
+		return folder;
+	}
+
+	/**
+	 * Changes the content of a file (and its frontmatter, read again from the content if not given).
+	 *
+	 * @param {string} path - File path
+	 * @param {string} content - New content
+	 * @param {Object} [frontmatter] - New frontmatter
+	 * @returns {import('./FileTree.js').FileNode} File
+	 * @throws {Error} If the file does not exist
+	 */
+	modify(path, content, frontmatter = undefined) {
+		const file = this.nodes.get(path);
+		if (!file || isFolder(file)) {
+			throw new Error(`No such file: ${path}`);
+		}
+		file.stat = { ...file.stat, mtime: ++this._clock, size: content.length };
+		this.data.set(path, { content, frontmatter: frontmatter ?? this._parseFrontmatter(content) });
+		return file;
+	}
+
+	/**
+	 * Moves a file or folder (with its content).
+	 *
+	 * @param {string} path - Current path
+	 * @param {string} newPath - New path
+	 * @returns {import('./FileTree.js').FileNode} Moved node
+	 * @throws {Error} If the path does not exist
+	 */
+	rename(path, newPath) {
+		const node = this.nodes.get(path);
+		if (!node || node === this.root) {
+			throw new Error(`No such file or folder: ${path}`);
+		}
+		node.parent.children = node.parent.children.filter(child => child !== node);
+		node.parent = this.addFolder(parentPath(newPath));
+		node.parent.children.push(node);
+
+		const move = (item, itemPath) => {
+			const data = this.data.get(item.path);
+			this.nodes.delete(item.path);
+			this.data.delete(item.path);
+			item.path = itemPath;
+			item.name = itemPath.split('/').pop();
+			if (!isFolder(item)) {
+				const dot = item.name.lastIndexOf('.');
+				item.basename = dot > 0 ? item.name.slice(0, dot) : item.name;
+				item.extension = dot > 0 ? item.name.slice(dot + 1) : '';
+				this.data.set(itemPath, data);
+			}
+			this.nodes.set(itemPath, item);
+			for (const child of item.children || []) {
+				move(child, `${itemPath}/${child.name}`);
+			}
+		};
+		move(node, newPath);
+		return node;
+	}
+
+	/**
+	 * Deletes a file or folder (with its content).
+	 *
+	 * @param {string} path - Path
+	 * @returns {import('./FileTree.js').FileNode|null} Deleted node, or null if it did not exist
+	 */
+	remove(path) {
+		const node = this.nodes.get(path);
+		if (!node || node === this.root) {
+			return null;
+		}
+		node.parent.children = node.parent.children.filter(child => child !== node);
+		const forget = (item) => {
+			this.nodes.delete(item.path);
+			this.data.delete(item.path);
+			(item.children || []).forEach(forget);
+		};
+		forget(node);
+		return node;
+	}
+
+	/**
+	 * Gets the root folder.
+	 *
+	 * @returns {import('./FileTree.js').FileNode} Root folder
+	 */
+	getRoot() {
+		return this.root;
+	}
+
+	/**
+	 * Gets the file or folder of a path.
+	 *
+	 * @param {string} path - Path
+	 * @returns {import('./FileTree.js').FileNode|null} Node, or null if it does not exist
+	 */
+	getNode(path) {
+		return this.nodes.get(path) || null;
+	}
+
+	/**
+	 * Reads a file.
+	 *
+	 * @param {import('./FileTree.js').FileNode} file - File
+	 * @returns {Promise<string>} Content
+	 */
+	async read(file) {
+		return this.data.get(file.path)?.content ?? '';
+	}
+
+	/**
+	 * Reads a file as binary (the UTF-8 bytes of its content).
+	 *
+	 * @param {import('./FileTree.js').FileNode} file - File
+	 * @returns {Promise<ArrayBuffer>} Content
+	 */
+	async readBinary(file) {
+		const bytes = new TextEncoder().encode(await this.read(file));
+		return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+	}
+
+	/**
+	 * Reads and parses a YAML file with the parseYaml option.
+	 *
+	 * @param {import('./FileTree.js').FileNode} file - File
+	 * @returns {Promise<*>} Parsed content
+	 * @throws {Error} If the content does not parse
+	 */
+	async readYaml(file) {
+		return this.parseYaml(await this.read(file));
+	}
+
+	/**
+	 * Gets the frontmatter of a note.
+	 *
+	 * @param {import('./FileTree.js').FileNode} file - Note
+	 * @returns {Object|null} Frontmatter, or null if there is none
+	 */
+	getFrontmatter(file) {
+		return this.data.get(file.path)?.frontmatter || null;
+	}
+
+	/**
+	 * Gets the targets of the [[links]] and ![[embeds]] of a note.
+	 *
+	 * @param {import('./FileTree.js').FileNode} file - Note
+	 * @returns {string[]} Link targets
+	 */
+	getLinks(file) {
+		const content = this.data.get(file.path)?.content ?? '';
+		return [...content.matchAll(LINK_REGEX)].map(match => match[1].trim());
+	}
+
+	/**
+	 * Resolves a link target: exact path (with or without .md), then the file
+	 * with that name and the shortest path, preferring the folder of the source.
+	 *
+	 * @param {string} target - Note name or path (a #heading / ^block suffix is ignored)
+	 * @param {string} sourcePath - Path of the file containing the link
+	 * @returns {import('./FileTree.js').FileNode|null} Linked file, or null if unresolved
+	 */
+	resolveLink(target, sourcePath) {
+		const linkPath = target.split(/[#^]/)[0].trim().toLowerCase();
+		if (!linkPath) {
+			return null;
+		}
+		const files = [...this.nodes.values()].filter(node => !isFolder(node));
+		const exact = files.find(file => [linkPath, `${linkPath}.md`].includes(file.path.toLowerCase()));
+		if (exact) {
+			return exact;
+		}
+
+		const sourceFolder = parentPath(sourcePath);
+		const candidates = files
+			.filter(file => {
+				const path = file.path.toLowerCase();
+				return path.endsWith(`/${linkPath}`) || path.endsWith(`/${linkPath}.md`);
+			})
+			.sort((a, b) =>
+				Number(parentPath(b.path) === sourceFolder) - Number(parentPath(a.path) === sourceFolder) ||
+				a.path.length - b.path.length
+			);
+		return candidates[0] || null;
+	}
+
+	/**
+	 * Gets the sort order.
+	 *
+	 * @returns {string} Sort order (see SORT_ORDERS in FileTree.js)
+	 */
+	getSortOrder() {
+		return this.sortOrder;
+	}
+
+	/**
+	 * Gets the vault name.
+	 *
+	 * @returns {string} Vault name
+	 */
+	getName() {
+		return this.name;
+	}
+
+	/**
+	 * Parses the frontmatter block of a note with the parseYaml option.
+	 *
+	 * @private
+	 * @param {string} content - Note content
+	 * @returns {Object|null} Frontmatter, or null if there is none or it does not parse
+	 */
+	_parseFrontmatter(content) {
+		const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+		if (!match) {
+			return null;
+		}
+		try {
+			const frontmatter = this.parseYaml(match[1]);
+			return frontmatter && typeof frontmatter === 'object' ? frontmatter : null;
+		} catch (e) {
+			return null;
+		}
+	}
+}
+
+/**
+ * Path of the parent folder.
+ *
+ * @param {string} path - Path
+ * @returns {string} Parent path ('' for top-level items)
+ */
+function parentPath(path) {
+	return path.split('/').slice(0, -1).join('/');
+}
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview FileTree over the Obsidian app: the vault for files and
+ * content, the metadata cache for frontmatter, links and link resolution.
+ */
+
+import { parseYaml } from 'obsidian';
+
+/**
+ * FileTree backed by an Obsidian vault (see FileTree.js).
+ *
+ * @class ObsidianFileTree
+ */
+export class ObsidianFileTree {
+	/**
+	 * Creates an ObsidianFileTree instance.
+	 *
+	 * @param {import('obsidian').App} app - Obsidian app instance
+	 */
+	constructor(app) {
+		/** @type {import('obsidian').App} */
+		this.app = app;
+	}
+
+	/**
+	 * Gets the root folder of the vault.
+	 *
+	 * @returns {import('obsidian').TFolder} Root folder
+	 */
+	getRoot() {
+		return this.app.vault.getRoot();
+	}
+
+	/**
+	 * Gets the file or folder of a path.
+	 *
+	 * @param {string} path - Vault path
+	 * @returns {import('obsidian').TAbstractFile|null} File, folder or null
+	 */
+	getNode(path) {
+		return this.app.vault.getAbstractFileByPath(path) || null;
+	}
+
+	/**
+	 * Reads a text file.
+	 *
+	 * @param {import('obsidian').TFile} file - File
+	 * @returns {Promise<string>} Content
+	 */
+	async read(file) {
+		return this.app.vault.read(file);
+	}
+
+	/**
+	 * Reads a binary file.
+	 *
+	 * @param {import('obsidian').TFile} file - File
+	 * @returns {Promise<ArrayBuffer>} Content
+	 */
+	async readBinary(file) {
+		return this.app.vault.readBinary(file);
+	}
+
+	/**
+	 * Reads and parses a YAML file.
+	 *
+	 * @param {import('obsidian').TFile} file - File
+	 * @returns {Promise<*>} Parsed content
+	 * @throws {Error} If the YAML is invalid
+	 */
+	async readYaml(file) {
+		return parseYaml(await this.app.vault.read(file));
+	}
+
+	/**
+	 * Gets the frontmatter of a note from the metadata cache.
+	 *
+	 * @param {import('obsidian').TFile} file - Note
+	 * @returns {Object|null} Frontmatter, or null if there is none
+	 */
+	getFrontmatter(file) {
+		return this.app.metadataCache?.getFileCache(file)?.frontmatter || null;
+	}
+
+	/**
+	 * Gets the targets of the links and embeds of a note from the metadata cache.
+	 *
+	 * @param {import('obsidian').TFile} file - Note
+	 * @returns {string[]} Link targets (with #heading / ^block suffixes, if any)
+	 */
+	getLinks(file) {
+		const cache = this.app.metadataCache?.getFileCache(file);
+		return [...(cache?.links || []), ...(cache?.embeds || [])].map(link => link.link);
+	}
+
+	/**
+	 * Resolves a link target the way Obsidian does (shortest path match).
+	 *
+	 * @param {string} target - Note name or path
+	 * @param {string} sourcePath - Path of the file containing the link
+	 * @returns {import('obsidian').TFile|null} Linked file, or null if unresolved
+	 */
+	resolveLink(target, sourcePath) {
+		return this.app.metadataCache.getFirstLinkpathDest(target, sourcePath) || null;
+	}
+
+	/**
+	 * Gets the sort order of the file explorer.
+	 *
+	 * @returns {string} Sort order (see SORT_ORDERS in FileTree.js)
+	 */
+	getSortOrder() {
+		return this.app.vault.getConfig?.('fileSortOrder')
+			|| this.app.vault.config?.fileSortOrder
+			|| 'alphabetical';
+	}
+
+	/**
+	 * Gets the vault name.
+	 *
+	 * @returns {string} Vault name (empty if unavailable)
+	 */
+	getName() {
+		try {
+			return this.app.vault.getName() || '';
+		} catch (e) {
+			return '';
+		}
+	}
+}
@@ -15,8 +15,9 @@ export class Page {
 	 * @param {string} name - Nombre de la página
 	 * @param {string} slug - Slug único para la URL (normalmente basado en el nombre)
 	 * @param {string[]} blockTypes - Tipos de bloque especiales (ej: ["table", "quote", "image"])
+	 * @param {string|null} id - ID estable de la página (ver utils/pageId.js)
 	 */
-	constructor(name, slug, blockTypes = []) {
+	constructor(name, slug, blockTypes = [], id = null) {
 		/** @type {string} */
 		this.name = name;
 		
@@ -25,6 +26,24 @@ export class Page {
 		
 		/** @type {string[]} */
 		this.blockTypes = blockTypes;
+		
+		/** @type {string|null} */
+		this.id = id;
+		
+		/** @type {boolean} */
+		this.visibleToPlayers = false;
+		
+		/** @type {number|null} Posición explícita dentro de la categoría */
+		this.order = null;
+		
+		/** @type {boolean} Excluida de GM Vault */
+		this.hidden = false;
+		
+		/** @type {string|null} Icono (emoji) */
+		this.icon = null;
+
+		/** @type {string|null} Ruta en el vault de la nota o de la carpeta de la galería */
+		this.path = null;
 	}
 
 	/**
@@ -0,0 +1,654 @@
+/**
+ * @fileoverview In-memory index of the pages of the selected session.
+ *
+ * Built once when the session is selected and kept up to date from vault and
+ * metadata cache events, so routes and exporters never walk the folder tree.
+ * Updates are incremental: a change re-reads only the pages it touches, the
+ * slugs that share a base slug with them and the links to or from them.
+ *
+ * - slug → page (notes and gallery folders), with the unique slugs of assignSlugs
+ * - basename → page info (id, name, slug) to resolve [[wiki links]] into mentions
+ * - image-only folders (galleries)
+ * - backlinks between the pages of the session
+ *
+ * Like SessionParser, it reads the vault through a FileTree (see filetree/FileTree.js).
+ */
+
+import { assignSlugs, getBaseSlug } from '../utils/slugify.js';
+import { pageIdFromFrontmatter } from '../utils/pageId.js';
+import { isImageOnlyFolder } from '../utils/gallery.js';
+import { findSessionNote, isFolder, isNote } from '../filetree/FileTree.js';
+
+/**
+ * Indexed page.
+ *
+ * @typedef {Object} IndexedPage
+ * @property {import('../filetree/FileTree.js').FileNode} file - Note, or folder for galleries
+ * @property {string} name - Note basename or folder name
+ * @property {string} id - Stable page ID (see utils/pageId.js)
+ * @property {string} slug - Unique slug in the session
+ * @property {boolean} gallery - Whether the page is an image-only folder
+ * @property {boolean} linked - Whether it is a note outside the session folder, linked from the session note
+ */
+
+/**
+ * Page info used to turn wiki links into mentions.
+ *
+ * @typedef {Object} PageInfo
+ * @property {string} id - Page ID
+ * @property {string} name - Page name
+ * @property {string} slug - Page slug
+ * @property {string} path - Vault path
+ */
+
+/**
+ * Gets the name a link target or page is indexed by: lowercase, without folders or ".md".
+ *
+ * @param {string} target - Link target ("Note", "Folder/Note", "Note#Heading") or vault path
+ * @returns {string} Link name
+ */
+function getLinkName(target) {
+	return target.split(/[#^|]/)[0].split('/').pop().replace(/\.md$/i, '').trim().toLowerCase();
+}
+
+/**
+ * Index of the session pages.
+ *
+ * @class SessionIndex
+ */
+export class SessionIndex {
+	/**
+	 * Creates a SessionIndex instance.
+	 *
+	 * @param {import('../filetree/FileTree.js').FileTree} tree - Vault to read
+	 * @param {import('./SessionParser.js').SessionParser} sessionParser - Parser (reads the links of the session note)
+	 */
+	constructor(tree, sessionParser) {
+		/** @type {import('../filetree/FileTree.js').FileTree} */
+		this.tree = tree;
+
+		/** @type {import('./SessionParser.js').SessionParser} */
+		this.sessionParser = sessionParser;
+
+		/** @type {import('../filetree/FileTree.js').FileNode|null} Indexed session folder */
+		this.folder = null;
+
+		/** @type {Map<string, IndexedPage>} Pages by path */
+		this.pages = new Map();
+
+		/** @type {Map<string, string>} Page paths by slug */
+		this.slugs = new Map();
+
+		/** @type {import('../utils/slugify.js').SlugCollision[]} Names that produced the same slug */
+		this.collisions = [];
+
+		/** @type {Map<string, Set<string>>} Pages linked from each page (by path) */
+		this.links = new Map();
+
+		/** @type {Map<string, Set<string>>} Pages linking to each page (by path) */
+		this.backlinks = new Map();
+
+		/** @type {Map<string, Set<string>>} Link names of each page, resolved or not (see getLinkName) */
+		this._linkNames = new Map();
+
+		/** @type {Map<string, Set<string>>} Pages with a link to each link name */
+		this._linkSources = new Map();
+
+		/** @type {Map<string, Set<string>>} Page paths by base slug */
+		this._slugGroups = new Map();
+
+		/** @type {Set<string>} Link names in the session note */
+		this._sessionLinkNames = new Set();
+
+		/** @type {Set<string>} Base slugs to reassign on the next _applyChanges */
+		this._dirtySlugs = new Set();
+
+		/** @type {Set<string>} Pages whose links are re-read on the next _applyChanges */
+		this._dirtyLinks = new Set();
+
+		/** @type {number} Changes whenever the page map changes (part of render cache keys) */
+		this.version = 0;
+
+		/** @type {Map<string, PageInfo>|null} Page map by lowercase name (null = rebuild) */
+		this._pageMap = null;
+
+		/** @type {string} Content of the last page map (to detect changes) */
+		this._pageMapSignature = '';
+	}
+
+	/**
+	 * Indexes a session folder from scratch.
+	 *
+	 * @param {import('../filetree/FileTree.js').FileNode} folder - Session folder
+	 * @returns {Promise<SessionIndex>} This index
+	 */
+	async build(folder) {
+		this.clear();
+		this.folder = folder;
+
+		const visit = (parent) => {
+			for (const child of parent.children || []) {
+				if (isFolder(child)) {
+					if (isImageOnlyFolder(child)) {
+						this._addPage(child, true);
+					} else {
+						visit(child);
+					}
+				} else if (isNote(child)) {
+					this._addPage(child, false);
+				}
+			}
+		};
+		visit(folder);
+
+		await this._indexLinkedNotes();
+		this._applyChanges();
+		return this;
+	}
+
+	/**
+	 * Returns this index if it covers the folder, or a new index of that folder.
+	 *
+	 * @param {import('../filetree/FileTree.js').FileNode} folder - Session folder
+	 * @returns {Promise<SessionIndex>} Index of the folder
+	 */
+	async forFolder(folder) {
+		if (this.folder && this.folder.path === folder.path) {
+			return this;
+		}
+		return new SessionIndex(this.tree, this.sessionParser).build(folder);
+	}
+
+	/**
+	 * Empties the index (no session selected).
+	 */
+	clear() {
+		this.folder = null;
+		this.pages.clear();
+		this.slugs.clear();
+		this.links.clear();
+		this.backlinks.clear();
+		this.collisions = [];
+		this._linkNames.clear();
+		this._linkSources.clear();
+		this._slugGroups.clear();
+		this._sessionLinkNames.clear();
+		this._dirtySlugs.clear();
+		this._dirtyLinks.clear();
+		this._invalidatePageMap();
+	}
+
+	/**
+	 * Applies a vault change. Changes outside the session only matter for notes
+	 * the session note links to; folder changes inside the session rebuild the index.
+	 *
+	 * @param {'modify'|'create'|'delete'|'rename'} type - Change type
+	 * @param {import('../filetree/FileTree.js').FileNode} file - File or folder
+	 * @param {string|null} [oldPath] - Previous path (rename)
+	 * @returns {Promise<void>}
+	 */
+	async update(type, file, oldPath = null) {
+		if (!this.folder) {
+			return;
+		}
+
+		// The session note decides which notes outside the folder are pages
+		if (type === 'modify') {
+			if (this._isSessionNote(file)) {
+				await this._indexLinkedNotes();
+				this._applyChanges();
+			}
+			return;
+		}
+
+		const paths = oldPath ? [oldPath, file.path] : [file.path];
+		if (isFolder(file)) {
+			if (paths.some(path => this.contains(path)) || file === this.folder) {
+				await this.build(this.folder);
+			}
+			return;
+		}
+
+		const previousPath = oldPath || file.path;
+		const sessionLink = this._isSessionLinkChange(file, paths);
+		if (!sessionLink && !this.pages.has(previousPath) && !paths.some(path => this.contains(path))) {
+			return;
+		}
+
+		// Note: drop the old entry and add the new one
+		this._removePage(previousPath);
+		if (type !== 'delete' && this.contains(file.path) && isNote(file)) {
+			this._addPage(file, false);
+		}
+
+		// The folders that gained or lost a file may become (or stop being) galleries
+		for (const path of paths) {
+			const parentPath = path.split('/').slice(0, -1).join('/');
+			const parent = this.tree.getNode(parentPath);
+			const gallery = Boolean(parent) && parent !== this.folder && isFolder(parent) && this.contains(parent.path) && isImageOnlyFolder(parent);
+			if (this.isImageFolder(parentPath) && !gallery) {
+				this._removePage(parentPath);
+			} else if (gallery && !this.pages.has(parentPath)) {
+				this._addPage(parent, true);
+			}
+		}
+
+		if (sessionLink) {
+			await this._indexLinkedNotes();
+		}
+		this._applyChanges();
+	}
+
+	/**
+	 * Re-reads a note from the metadata cache (ID in the frontmatter, outgoing links).
+	 *
+	 * @param {import('../filetree/FileTree.js').FileNode} file - Note
+	 */
+	refresh(file) {
+		const page = this.pages.get(file.path);
+		if (!page) {
+			return;
+		}
+		const id = this._getPageId(file);
+		if (id !== page.id) {
+			page.id = id;
+			this._invalidatePageMap();
+		}
+		this._indexLinks(page);
+	}
+
+	/**
+	 * Indicates whether a path is inside the session folder.
+	 *
+	 * @param {string} path - Vault path
+	 * @returns {boolean} true if inside
+	 */
+	contains(path) {
+		if (!this.folder) {
+			return false;
+		}
+		const root = this.folder.path;
+		return root === '' || root === '/' || path.startsWith(`${root}/`);
+	}
+
+	/**
+	 * Gets the page of a slug. Also accepts the lowercase page name (URLs from
+	 * before unique slugs).
+	 *
+	 * @param {string} slug - Slug or lowercase name
+	 * @returns {IndexedPage|null} Page, or null if there is none
+	 */
+	getBySlug(slug) {
+		const path = this.slugs.get(slug) || this.getPageMap().get(slug)?.path;
+		return path ? this.pages.get(path) || null : null;
+	}
+
+	/**
+	 * Gets an indexed page by path.
+	 *
+	 * @param {string} path - Vault path
+	 * @returns {IndexedPage|null} Page, or null if it is not a page of the session
+	 */
+	getPage(path) {
+		return this.pages.get(path) || null;
+	}
+
+	/**
+	 * Gets the slug of a page.
+	 *
+	 * @param {string} path - Vault path
+	 * @returns {string|null} Slug, or null if it is not a page of the session
+	 */
+	getSlug(path) {
+		return this.pages.get(path)?.slug || null;
+	}
+
+	/**
+	 * Indicates whether a folder is a gallery of the session.
+	 *
+	 * @param {string} path - Folder path
+	 * @returns {boolean} true for image-only folders in the session
+	 */
+	isImageFolder(path) {
+		return this.pages.get(path)?.gallery === true;
+	}
+
+	/**
+	 * Gets the galleries of the session.
+	 *
+	 * @returns {import('../filetree/FileTree.js').FileNode[]} Image-only folders
+	 */
+	getImageFolders() {
+		return [...this.pages.values()].filter(page => page.gallery).map(page => page.file);
+	}
+
+	/**
+	 * Gets the pages that link to (or embed) a page.
+	 *
+	 * @param {string} path - Vault path of the target
+	 * @returns {string[]} Paths of the linking pages
+	 */
+	getBacklinks(path) {
+		return [...(this.backlinks.get(path) || [])];
+	}
+
+	/**
+	 * Gets the page map used to resolve wiki links: lowercase basename (or gallery
+	 * name) → page info. When two pages share a name, the one in the session
+	 * folder with the shortest path wins, as in the slug assignment.
+	 *
+	 * @returns {Map<string, PageInfo>} Page map
+	 */
+	getPageMap() {
+		if (!this._pageMap) {
+			this._pageMap = this._buildPageMap();
+			const signature = JSON.stringify([...this._pageMap]);
+			if (signature !== this._pageMapSignature) {
+				this._pageMapSignature = signature;
+				this.version++;
+			}
+		}
+		return this._pageMap;
+	}
+
+	/**
+	 * Builds the page map.
+	 *
+	 * @private
+	 * @returns {Map<string, PageInfo>} Page map
+	 */
+	_buildPageMap() {
+		const pageMap = new Map();
+		const ordered = [...this.pages.values()].sort((a, b) =>
+			Number(a.linked) - Number(b.linked) ||
+			a.file.path.split('/').length - b.file.path.split('/').length ||
+			a.file.path.localeCompare(b.file.path)
+		);
+		for (const page of ordered) {
+			const key = page.name.toLowerCase();
+			if (!pageMap.has(key)) {
+				pageMap.set(key, { id: page.id, name: page.name, slug: page.slug, path: page.file.path });
+			}
+		}
+		return pageMap;
+	}
+
+	/**
+	 * Gets the page ID of a note or gallery folder.
+	 *
+	 * @private
+	 * @param {import('../filetree/FileTree.js').FileNode} file - Note or folder
+	 * @returns {string} Page ID
+	 */
+	_getPageId(file) {
+		return pageIdFromFrontmatter(file, isFolder(file) ? null : this.tree.getFrontmatter(file));
+	}
+
+	/**
+	 * Indicates whether a file is the session note (named like the session folder).
+	 *
+	 * @private
+	 * @param {import('../filetree/FileTree.js').FileNode} file - File
+	 * @returns {boolean} true for the session note
+	 */
+	_isSessionNote(file) {
+		return file.parent?.path === this.folder.path && file.basename === this.folder.name;
+	}
+
+	/**
+	 * Indicates whether a file change can change the notes linked from the session
+	 * note: the session note itself, a linked note, or a note named like one of its links.
+	 *
+	 * @private
+	 * @param {import('../filetree/FileTree.js').FileNode} file - Created, deleted or renamed file
+	 * @param {string[]} paths - Paths of the change (previous and new for renames)
+	 * @returns {boolean} true if the session note has to be re-read
+	 */
+	_isSessionLinkChange(file, paths) {
+		if (isFolder(file) || file.extension !== 'md') {
+			return false;
+		}
+		const sessionNotePath = `${this.folder.path ? `${this.folder.path}/` : ''}${this.folder.name}.md`;
+		return paths.some(path =>
+			path === sessionNotePath ||
+			this.pages.get(path)?.linked === true ||
+			this._sessionLinkNames.has(getLinkName(path))
+		);
+	}
+
+	/**
+	 * Adds (or replaces) a page. Its slug group and links, and the links of the
+	 * pages that link to its name, are updated on the next _applyChanges.
+	 *
+	 * @private
+	 * @param {import('../filetree/FileTree.js').FileNode} file - Note or gallery folder
+	 * @param {boolean} gallery - Whether it is a gallery
+	 * @param {boolean} [linked] - Whether it is a linked note outside the session folder
+	 */
+	_addPage(file, gallery, linked = false) {
+		this._removePage(file.path);
+		const page = {
+			file,
+			name: gallery ? file.name : file.basename,
+			id: this._getPageId(file),
+			slug: '',
+			gallery,
+			linked
+		};
+		this.pages.set(file.path, page);
+
+		const baseSlug = getBaseSlug(page.name);
+		if (!this._slugGroups.has(baseSlug)) {
+			this._slugGroups.set(baseSlug, new Set());
+		}
+		this._slugGroups.get(baseSlug).add(file.path);
+		this._dirtySlugs.add(baseSlug);
+
+		this._dirtyLinks.add(file.path);
+		// Links to this name may resolve to the new page (before: unresolved or another note)
+		for (const source of this._linkSources.get(getLinkName(page.name)) || []) {
+			this._dirtyLinks.add(source);
+		}
+		this._invalidatePageMap();
+	}
+
+	/**
+	 * Removes a page, its slug and its outgoing links. The pages that linked to
+	 * it are re-read on the next _applyChanges.
+	 *
+	 * @private
+	 * @param {string} path - Vault path
+	 */
+	_removePage(path) {
+		const page = this.pages.get(path);
+		if (!page) {
+			return;
+		}
+		this.pages.delete(path);
+
+		const baseSlug = getBaseSlug(page.name);
+		const group = this._slugGroups.get(baseSlug);
+		group?.delete(path);
+		if (group?.size === 0) {
+			this._slugGroups.delete(baseSlug);
+		}
+		if (this.slugs.get(page.slug) === path) {
+			this.slugs.delete(page.slug);
+		}
+		this._dirtySlugs.add(baseSlug);
+
+		this._setLinks(path, new Set(), new Set());
+		for (const source of this.backlinks.get(path) || []) {
+			this._dirtyLinks.add(source);
+		}
+		this._invalidatePageMap();
+	}
+
+	/**
+	 * Re-reads the notes linked from the session note that live outside the session folder.
+	 *
+	 * @private
+	 * @returns {Promise<void>}
+	 */
+	async _indexLinkedNotes() {
+		const files = (await this.sessionParser.getSessionNoteLinks(this.folder)).filter(file => isNote(file));
+		const linkedPaths = new Set(files.map(file => file.path));
+		for (const [path, page] of this.pages) {
+			if (page.linked && !linkedPaths.has(path)) {
+				this._removePage(path);
+			}
+		}
+		for (const file of files) {
+			if (!this.pages.has(file.path)) {
+				this._addPage(file, false, true);
+			}
+		}
+
+		const sessionNote = findSessionNote(this.folder);
+		this._sessionLinkNames = new Set(sessionNote ? this.tree.getLinks(sessionNote).map(getLinkName) : []);
+	}
+
+	/**
+	 * Reassigns the slugs and re-reads the links left pending by _addPage and _removePage.
+	 *
+	 * @private
+	 */
+	_applyChanges() {
+		if (this._dirtySlugs.size > 0) {
+			this._assignSlugs(this._dirtySlugs);
+			this._dirtySlugs.clear();
+		}
+		for (const path of this._dirtyLinks) {
+			const page = this.pages.get(path);
+			if (page) {
+				this._indexLinks(page);
+			}
+		}
+		this._dirtyLinks.clear();
+	}
+
+	/**
+	 * Reassigns the slugs of the pages that share some base slugs. The group
+	 * whose qualified slug took one of those base slugs is reassigned too, so
+	 * base slugs stay with the pages named after them.
+	 *
+	 * @private
+	 * @param {Set<string>} baseSlugs - Base slugs whose pages changed
+	 */
+	_assignSlugs(baseSlugs) {
+		const groups = new Set(baseSlugs);
+		for (const baseSlug of baseSlugs) {
+			const owner = this.pages.get(this.slugs.get(baseSlug));
+			if (owner) {
+				groups.add(getBaseSlug(owner.name));
+			}
+		}
+
+		const sources = [];
+		for (const baseSlug of groups) {
+			for (const path of this._slugGroups.get(baseSlug) || []) {
+				const page = this.pages.get(path);
+				if (this.slugs.get(page.slug) === path) {
+					this.slugs.delete(page.slug);
+				}
+				sources.push({ path, name: page.name });
+			}
+		}
+
+		const assignment = assignSlugs(sources, this.folder.path, this.slugs);
+		for (const [path, slug] of assignment.slugs) {
+			this.pages.get(path).slug = slug;
+			this.slugs.set(slug, path);
+		}
+		this.collisions = this.collisions
+			.filter(collision => !groups.has(collision.slug))
+			.concat(assignment.collisions);
+		this._invalidatePageMap();
+	}
+
+	/**
+	 * Reads the links and embeds of a note, keeping the
+	 * ones that point to pages of the session.
+	 *
+	 * @private
+	 * @param {IndexedPage} page - Page
+	 */
+	_indexLinks(page) {
+		if (page.gallery) {
+			return;
+		}
+		const targets = new Set();
+		const names = new Set();
+		for (const link of this.tree.getLinks(page.file)) {
+			const linkPath = link.split(/[#^|]/)[0];
+			names.add(getLinkName(linkPath));
+			const target = this.tree.resolveLink(linkPath, page.file.path);
+			// A link to a folder note name can also point to a gallery of the same name
+			const targetPath = target?.path || this._findGalleryPath(linkPath);
+			if (targetPath && targetPath !== page.file.path && this.pages.has(targetPath)) {
+				targets.add(targetPath);
+			}
+		}
+		this._setLinks(page.file.path, targets, names);
+	}
+
+	/**
+	 * Replaces the outgoing links of a page, updating the backlinks of its old and new targets.
+	 *
+	 * @private
+	 * @param {string} path - Page path
+	 * @param {Set<string>} targets - Linked pages
+	 * @param {Set<string>} names - Link names (see getLinkName), resolved or not
+	 */
+	_setLinks(path, targets, names) {
+		const update = (forward, reverse, values) => {
+			for (const value of forward.get(path) || []) {
+				if (!values.has(value)) {
+					reverse.get(value)?.delete(path);
+					if (reverse.get(value)?.size === 0) {
+						reverse.delete(value);
+					}
+				}
+			}
+			for (const value of values) {
+				if (!reverse.has(value)) {
+					reverse.set(value, new Set());
+				}
+				reverse.get(value).add(path);
+			}
+			if (values.size > 0) {
+				forward.set(path, values);
+			} else {
+				forward.delete(path);
+			}
+		};
+		update(this.links, this.backlinks, targets);
+		update(this._linkNames, this._linkSources, names);
+	}
+
+	/**
+	 * Finds a gallery by name (links to galleries use the folder name).
+	 *
+	 * @private
+	 * @param {string} name - Link target
+	 * @returns {string|null} Gallery path, or null if there is none
+	 */
+	_findGalleryPath(name) {
+		const key = name.toLowerCase();
+		for (const page of this.pages.values()) {
+			if (page.gallery && page.name.toLowerCase() === key) {
+				return page.file.path;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Drops the cached page map (rebuilt on the next getPageMap).
+	 *
+	 * @private
+	 */
+	_invalidatePageMap() {
+		this._pageMap = null;
+	}
+}
@@ -1,16 +1,47 @@
 /**
- * @fileoverview Parser that scans the Obsidian vault and produces a structure
- * that mirrors the folder and file hierarchy.
+ * @fileoverview Parser that turns the selected session folder into domain models.
  *
- * vault = Obsidian folder structure
- * each page content = .md file content
+ * Two sources of structure are supported:
+ * - Session note (a .md file named like the folder): headings are categories
+ *   and the [[wiki links]] under them are pages, in the order they appear.
+ * - Folder scan (fallback when there is no session note, or it has no links):
+ *   the structure mirrors the folder and file hierarchy.
+ *
+ * The parser reads the vault through a FileTree (see filetree/FileTree.js), so the
+ * same Session model feeds the live JSON and the offline export, and the rules
+ * can run on an in-memory vault (filetree/MemoryFileTree.js) without Obsidian.
  */
 
-import { TFile } from 'obsidian';
 import { Session } from '../models/Session.js';
 import { Category } from '../models/Category.js';
 import { Page } from '../models/Page.js';
 import { slugify } from '../utils/slugify.js';
+import { SessionIndex } from './SessionIndex.js';
+import { pageIdFromFrontmatter } from '../utils/pageId.js';
+import { parseGMVaultMetadata } from '../utils/frontmatter.js';
+import { getGalleryMetadata } from '../utils/gallery.js';
+import { findSessionNote, isFolder, isNote, sortNodes } from '../filetree/FileTree.js';
+
+/**
+ * Special headings in the session note (lowercase) and the block type they
+ * give to the pages listed under them.
+ * @type {Object<string, string>}
+ */
+const SPECIAL_HEADINGS = {
+	'tables': 'table',
+	'tablas': 'table',
+	'quotes': 'quote',
+	'citas': 'quote',
+	'images': 'image',
+	'imágenes': 'image',
+	'imagenes': 'image'
+};
+
+/**
+ * Matches [[target]], [[target|alias]] and [[target#heading|alias]].
+ * Group 1 is "!" for embeds (ignored), group 2 the target, group 3 the alias.
+ */
+const WIKI_LINK_REGEX = /(!?)\[\[([^\]|#^]+)(?:[#^][^\]|]*)?(?:\|([^\]]+))?\]\]/g;
 
 /**
  * Parser that converts vault structure into domain models.
@@ -21,82 +52,38 @@ export class SessionParser {
 	/**
 	 * Creates a SessionParser instance.
 	 *
-	 * @param {import('obsidian').App} app - Obsidian app instance
-	 */
-	constructor(app) {
-		/** @type {import('obsidian').App} */
-		this.app = app;
-	}
-
-	/**
-	 * Gets the file sort order from Obsidian's configuration.
-	 *
-	 * @private
-	 * @returns {string} Sort order: 'alphabetical', 'alphabeticalReverse', 'byModifiedTime', 'byModifiedTimeReverse', 'byCreatedTime', 'byCreatedTimeReverse'
-	 */
-	_getFileSortOrder() {
-		// Try to get from vault config
-		const sortOrder = this.app.vault.getConfig?.('fileSortOrder') 
-			|| this.app.vault.config?.fileSortOrder
-			|| 'alphabetical';
-		return sortOrder;
-	}
-
-	/**
-	 * Sorts an array of files/folders according to Obsidian's file sort order setting.
-	 *
-	 * @private
-	 * @param {Array} items - Array of TFile or TFolder objects
-	 * @returns {Array} Sorted array
+	 * @param {import('../filetree/FileTree.js').FileTree} tree - Vault to read
 	 */
-	_sortByObsidianConfig(items) {
-		const sortOrder = this._getFileSortOrder();
-		
-		const sorted = [...items];
+	constructor(tree) {
+		/** @type {import('../filetree/FileTree.js').FileTree} */
+		this.tree = tree;
 		
-		switch (sortOrder) {
-			case 'alphabetical':
-				sorted.sort((a, b) => a.name.localeCompare(b.name));
-				break;
-			case 'alphabeticalReverse':
-				sorted.sort((a, b) => b.name.localeCompare(a.name));
-				break;
-			case 'byModifiedTime':
-				sorted.sort((a, b) => (b.stat?.mtime || 0) - (a.stat?.mtime || 0));
-				break;
-			case 'byModifiedTimeReverse':
-				sorted.sort((a, b) => (a.stat?.mtime || 0) - (b.stat?.mtime || 0));
-				break;
-			case 'byCreatedTime':
-				sorted.sort((a, b) => (b.stat?.ctime || 0) - (a.stat?.ctime || 0));
-				break;
-			case 'byCreatedTimeReverse':
-				sorted.sort((a, b) => (a.stat?.ctime || 0) - (b.stat?.ctime || 0));
-				break;
-			default:
-				// Default to alphabetical
-				sorted.sort((a, b) => a.name.localeCompare(b.name));
-		}
-		
-		return sorted;
+		/** @type {import('./SessionIndex.js').SessionIndex|null} Index of the session being parsed */
+		this._index = null;
 	}
 
 	/**
 	 * Parses the vault from the selected session folder.
 	 *
-	 * Structure mirrors vault folders and files:
+	 * If the folder has a session note with links, its headings and links
+	 * define the structure (see _parseSessionNote). Otherwise the structure
+	 * mirrors vault folders and files:
 	 * - Folders = categories
 	 * - .md files = pages
 	 *
-	 * @param {import('obsidian').TFolder} sessionFolder - Session folder (entry point)
+	 * @param {import('../filetree/FileTree.js').FileNode} sessionFolder - Session folder (entry point)
+	 * @param {import('./SessionIndex.js').SessionIndex|null} [sessionIndex] - Index of the session (built here if missing)
 	 * @returns {Promise<Session>} Parsed session model
 	 */
-	async parseSession(sessionFolder) {
+	async parseSession(sessionFolder, sessionIndex = null) {
 		const sessionName = sessionFolder.name;
 		const session = new Session(sessionName);
+		this._index = sessionIndex
+			? await sessionIndex.forFolder(sessionFolder)
+			: await new SessionIndex(this.tree, this).build(sessionFolder);
 		
 		// Look for a session file inside the folder (optional, to get H1 name)
-		const sessionFile = await this._findSessionFile(sessionFolder);
+		const sessionFile = findSessionNote(sessionFolder);
 		
 		// Get name for root category
 		// If there is a session file, use its first H1; otherwise use folder name
@@ -117,6 +104,18 @@ export class SessionParser {
 			rootCategoryName = this._getRootCategoryNameFallback();
 		}
 		
+		// The session note defines the structure when it links to pages
+		if (sessionFile) {
+			const looseName = isRootFolder ? this._getRootCategoryNameFallback() : sessionFolder.name;
+			const categories = await this._parseSessionNote(sessionFile, looseName);
+			if (categories.length > 0) {
+				for (const category of categories) {
+					session.addCategory(category);
+				}
+				return session;
+			}
+		}
+		
 		// Create root category
 		const rootCategory = new Category(rootCategoryName);
 		session.addCategory(rootCategory);
@@ -128,25 +127,253 @@ export class SessionParser {
 	}
 	
 	/**
-	 * Finds a session file inside the folder.
-	 * Looks for a .md file with the same name as the folder.
+	 * Slug of a page: the one assigned by the session index, or its plain slug.
 	 *
 	 * @private
-	 * @param {import('obsidian').TFolder} folder - Folder to search
-	 * @returns {Promise<import('obsidian').TFile|null>} Session file found or null
+	 * @param {import('../filetree/FileTree.js').FileNode} item - Note or gallery folder
+	 * @param {string} name - Name the slug comes from
+	 * @returns {string} Slug
+	 */
+	_getSlug(item, name) {
+		return this._index?.getSlug(item.path) || slugify(name);
+	}
+
+	/**
+	 * Returns the markdown files linked from the session note, in link order.
+	 * Linked notes may live outside the session folder, so routes use this to
+	 * resolve pages that a folder scan would not find.
+	 *
+	 * @param {import('../filetree/FileTree.js').FileNode} sessionFolder - Session folder
+	 * @returns {Promise<import('../filetree/FileTree.js').FileNode[]>} Linked files (empty if there is no session note)
 	 */
-	async _findSessionFile(folder) {
-		for (const child of folder.children || []) {
-			if (child instanceof TFile && child.extension === 'md') {
-				// If file has same name as folder, it's the session file
-				if (child.basename === folder.name) {
-					return child;
+	async getSessionNoteLinks(sessionFolder) {
+		const sessionFile = findSessionNote(sessionFolder);
+		if (!sessionFile) {
+			return [];
+		}
+		
+		const content = await this.tree.read(sessionFile);
+		const files = [];
+		for (const line of this._getContentLines(content)) {
+			for (const link of this._extractLinks(line)) {
+				const file = this._resolveLink(link.target, sessionFile);
+				if (file && file.path !== sessionFile.path && !files.includes(file)) {
+					files.push(file);
 				}
 			}
 		}
-		return null;
+		return files;
 	}
-	
+
+	/**
+	 * Builds categories from the headings and wiki links of the session note.
+	 *
+	 * - Each heading (H1, H2, ...) is a category, nested by heading level
+	 * - Each [[note|label]] under a heading is a page (label wins over the note name)
+	 * - Links before the first heading go to a category named looseCategoryName
+	 * - Special headings (## Tables, ## Quotes, ## Images) set blockTypes on
+	 *   their category and every page below it
+	 * - Embeds (![[...]]), unresolved links and links to non-markdown files are ignored
+	 * - Categories left without pages are dropped
+	 *
+	 * @private
+	 * @param {import('../filetree/FileTree.js').FileNode} sessionFile - Session note
+	 * @param {string} looseCategoryName - Name for links that appear before any heading
+	 * @returns {Promise<Category[]>} Root categories in note order (empty if the note has no page links)
+	 */
+	async _parseSessionNote(sessionFile, looseCategoryName) {
+		const content = await this.tree.read(sessionFile);
+		
+		/** @type {Category[]} */
+		const roots = [];
+		/** @type {Array<{level: number, category: Category}>} */
+		const stack = [];
+		/** @type {Map<Category, Set<string>>} Paths already added per category */
+		const seen = new Map();
+		let looseCategory = null;
+		
+		for (const line of this._getContentLines(content)) {
+			const heading = line.match(/^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/);
+			if (heading) {
+				const level = heading[1].length;
+				const category = new Category(this._cleanHeadingText(heading[2]));
+				const blockType = SPECIAL_HEADINGS[category.name.toLowerCase()];
+				if (blockType) {
+					category.blockTypes.push(blockType);
+				}
+				
+				while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+					stack.pop();
+				}
+				if (stack.length > 0) {
+					stack[stack.length - 1].category.addCategory(category);
+				} else {
+					roots.push(category);
+				}
+				stack.push({ level, category });
+				continue;
+			}
+			
+			for (const link of this._extractLinks(line)) {
+				const file = this._resolveLink(link.target, sessionFile);
+				if (!file || !isNote(file) || file.path === sessionFile.path) {
+					continue;
+				}
+				
+				let category;
+				if (stack.length > 0) {
+					category = stack[stack.length - 1].category;
+				} else {
+					if (!looseCategory) {
+						looseCategory = new Category(looseCategoryName);
+						roots.unshift(looseCategory);
+					}
+					category = looseCategory;
+				}
+				
+				if (!seen.has(category)) {
+					seen.set(category, new Set());
+				}
+				if (seen.get(category).has(file.path)) {
+					continue;
+				}
+				seen.get(category).add(file.path);
+				
+				// Pages inherit block types from every heading above them
+				const blockTypes = [];
+				for (const entry of stack) {
+					for (const blockType of entry.category.blockTypes) {
+						if (!blockTypes.includes(blockType)) {
+							blockTypes.push(blockType);
+						}
+					}
+				}
+				
+				const page = await this._createPage(file, blockTypes, link.alias);
+				if (page) {
+					category.addPage(page);
+				}
+			}
+		}
+		
+		const visit = (category) => {
+			category.pages = this._sortPagesByOrder(category.pages);
+			category.categories.forEach(visit);
+		};
+		roots.forEach(visit);
+		
+		return roots.filter(category => this._pruneEmptyCategories(category));
+	}
+
+	/**
+	 * Returns the lines of a note that can hold structure, skipping the
+	 * frontmatter and fenced code blocks.
+	 *
+	 * @private
+	 * @param {string} content - Note content
+	 * @returns {string[]} Lines outside frontmatter and code blocks
+	 */
+	_getContentLines(content) {
+		const lines = content.split(/\r?\n/);
+		const result = [];
+		let start = 0;
+		
+		if (lines[0] && lines[0].trim() === '---') {
+			const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+			if (end > 0) {
+				start = end + 1;
+			}
+		}
+		
+		let fence = null;
+		for (let i = start; i < lines.length; i++) {
+			const line = lines[i];
+			const fenceMatch = line.match(/^\s*(```|~~~)/);
+			if (fenceMatch) {
+				if (!fence) {
+					fence = fenceMatch[1];
+				} else if (fenceMatch[1] === fence) {
+					fence = null;
+				}
+				continue;
+			}
+			if (!fence) {
+				result.push(line);
+			}
+		}
+		
+		return result;
+	}
+
+	/**
+	 * Extracts the wiki links (not embeds) of a line, skipping inline code.
+	 *
+	 * @private
+	 * @param {string} line - Line of the note
+	 * @returns {Array<{target: string, alias: string|null}>} Links in order
+	 */
+	_extractLinks(line) {
+		const text = line.replace(/`[^`]*`/g, '');
+		const links = [];
+		
+		for (const match of text.matchAll(WIKI_LINK_REGEX)) {
+			if (match[1] === '!') {
+				continue;
+			}
+			const target = match[2].trim();
+			if (!target) {
+				continue;
+			}
+			links.push({
+				target,
+				alias: match[3] ? match[3].trim() : null
+			});
+		}
+		
+		return links;
+	}
+
+	/**
+	 * Resolves a link target the same way Obsidian does (shortest path match).
+	 *
+	 * @private
+	 * @param {string} target - Link target (note name or path)
+	 * @param {import('../filetree/FileTree.js').FileNode} sourceFile - File containing the link
+	 * @returns {import('../filetree/FileTree.js').FileNode|null} Linked file or null if unresolved
+	 */
+	_resolveLink(target, sourceFile) {
+		const file = this.tree.resolveLink(target, sourceFile.path);
+		return file && !isFolder(file) ? file : null;
+	}
+
+	/**
+	 * Removes markdown formatting and links from heading text.
+	 *
+	 * @private
+	 * @param {string} text - Heading text
+	 * @returns {string} Plain heading text
+	 */
+	_cleanHeadingText(text) {
+		return text
+			.replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, '$2')
+			.replace(/\[\[([^\]]+)\]\]/g, '$1')
+			.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+			.replace(/(\*\*|__|\*|_|`|~~)/g, '')
+			.trim();
+	}
+
+	/**
+	 * Drops empty subcategories recursively.
+	 *
+	 * @private
+	 * @param {Category} category - Category to prune
+	 * @returns {boolean} true if the category still has content
+	 */
+	_pruneEmptyCategories(category) {
+		category.categories = category.categories.filter(sub => this._pruneEmptyCategories(sub));
+		return !category.isEmpty();
+	}
+
 	/**
 	 * Gets a friendly name for the root category when it's empty.
 	 * Uses vault name if available, otherwise "Vault".
@@ -154,24 +381,20 @@ export class SessionParser {
 	 * @returns {string} Root category name
 	 */
 	_getRootCategoryNameFallback() {
-		try {
-			const vaultName = this.app.vault.getName();
-			return vaultName && vaultName.trim() !== '' ? vaultName : 'Vault';
-		} catch (e) {
-			return 'Vault';
-		}
+		const vaultName = this.tree.getName();
+		return vaultName && vaultName.trim() !== '' ? vaultName : 'Vault';
 	}
 
 	/**
 	 * Gets the root category name from the session file.
-	 * Looks for the first H1; if none, uses the file name.
+	 * Looks for the first H1 (without markdown formatting); if none, uses the file name.
 	 *
 	 * @private
-	 * @param {import('obsidian').TFile} sessionFile - Session file
+	 * @param {import('../filetree/FileTree.js').FileNode} sessionFile - Session file
 	 * @returns {Promise<string>} Root category name
 	 */
 	async _getRootCategoryName(sessionFile) {
-		const content = await this.app.vault.read(sessionFile);
+		const content = await this.tree.read(sessionFile);
 		const lines = content.split('\n');
 		
 		// Find first H1
@@ -179,7 +402,7 @@ export class SessionParser {
 		for (const line of lines) {
 			const match = line.match(h1Regex);
 			if (match) {
-				return match[1].trim();
+				return this._cleanHeadingText(match[1]);
 			}
 		}
 		
@@ -191,41 +414,26 @@ export class SessionParser {
 	 * Scans a folder and adds its content to the category.
 	 *
 	 * @private
-	 * @param {import('obsidian').TFolder} folder - Folder to scan
+	 * @param {import('../filetree/FileTree.js').FileNode} folder - Folder to scan
 	 * @param {Category} category - Category to add content to
-	 * @param {import('obsidian').TFile} sessionFile - Session file (to exclude)
+	 * @param {import('../filetree/FileTree.js').FileNode|null} sessionFile - Session file (to exclude)
 	 */
 	async _scanFolder(folder, category, sessionFile) {
 		const children = folder.children || [];
 		
-		// Separate files and folders
-		const files = [];
-		const folders = [];
-		
-		for (const child of children) {
-			if (child.children !== undefined) {
-				folders.push(child);
-			} else if (child.extension === 'md') {
-				files.push(child);
-			}
-		}
-		
-		// Sort each group according to Obsidian's setting
-		const sortedFolders = this._sortByObsidianConfig(folders);
-		const sortedFiles = this._sortByObsidianConfig(files);
+		// Sort folders and notes according to Obsidian's setting
+		const sortOrder = this.tree.getSortOrder();
+		const sortedFolders = sortNodes(children.filter(isFolder), sortOrder);
+		const sortedFiles = sortNodes(children.filter(isNote), sortOrder);
 		
 		// Obsidian shows folders first, then files
 		// Process folders first
 		for (const subFolder of sortedFolders) {
-			const imageFiles = await this._getImageFiles(subFolder);
-			const hasOnlyImages = imageFiles.length > 0 && 
-				subFolder.children.filter(c => c instanceof TFile && c.extension === 'md').length === 0 &&
-				subFolder.children.filter(c => c.children !== undefined).length === 0;
-			
-			if (hasOnlyImages) {
-				const folderSlug = slugify(subFolder.name);
-				const page = new Page(subFolder.name, folderSlug, ['image']);
-				category.addPage(page);
+			if (this._index.isImageFolder(subFolder.path)) {
+				const page = await this._createGalleryPage(subFolder);
+				if (page) {
+					category.addPage(page);
+				}
 			} else {
 				const subCategory = new Category(subFolder.name);
 				category.addCategory(subCategory);
@@ -235,51 +443,96 @@ export class SessionParser {
 		}
 		
 		// Then process files
+		const pages = [];
 		for (const file of sortedFiles) {
 			if (sessionFile && file.path === sessionFile.path) {
 				continue;
 			}
 			
-			const pageName = await this._getPageName(file);
-			const slug = slugify(file.basename);
-			
-			const page = new Page(pageName, slug, []);
+			const page = await this._createPage(file, []);
+			if (page) {
+				pages.push(page);
+			}
+		}
+		
+		for (const page of this._sortPagesByOrder(pages)) {
 			category.addPage(page);
 		}
 	}
 	
 	/**
-	 * Gets image files from a folder.
+	 * Creates the Page model for an image-only folder, applying the gmvault
+	 * block of its sidecar (title, visibleToPlayers, hidden, icon).
 	 *
 	 * @private
-	 * @param {import('obsidian').TFolder} folder - Folder to scan
-	 * @returns {Promise<import('obsidian').TFile[]>} Array of image files
+	 * @param {import('../filetree/FileTree.js').FileNode} folder - Gallery folder
+	 * @returns {Promise<Page|null>} Page, or null if the gallery is hidden
 	 */
-	async _getImageFiles(folder) {
-		const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'];
-		const imageFiles = [];
+	async _createGalleryPage(folder) {
+		const metadata = (await getGalleryMetadata(this.tree, folder)).page;
+		if (metadata.hidden) {
+			return null;
+		}
 		
-		for (const child of folder.children || []) {
-			if (child instanceof TFile) {
-				const ext = child.extension.toLowerCase();
-				if (imageExtensions.includes(ext)) {
-					imageFiles.push(child);
-				}
-			}
+		const page = new Page(metadata.title || folder.name, this._getSlug(folder, folder.name), ['image'], pageIdFromFrontmatter(folder, null));
+		page.path = folder.path;
+		if (metadata.visibleToPlayers !== undefined) {
+			page.visibleToPlayers = metadata.visibleToPlayers;
+		}
+		if (metadata.icon) {
+			page.icon = metadata.icon;
+		}
+		return page;
+	}
+	
+	/**
+	 * Creates the Page model for a note, applying its frontmatter metadata
+	 * (gmvault.title, visibleToPlayers, blockTypes, order, hidden, icon).
+	 * Frontmatter values override the derived ones; a link alias in the
+	 * session note still wins over gmvault.title.
+	 *
+	 * @private
+	 * @param {import('../filetree/FileTree.js').FileNode} file - Page file
+	 * @param {string[]} blockTypes - Derived block types
+	 * @param {string|null} alias - Link alias from the session note
+	 * @returns {Promise<Page|null>} Page, or null if the note is hidden
+	 */
+	async _createPage(file, blockTypes, alias = null) {
+		const frontmatter = this.tree.getFrontmatter(file);
+		const metadata = parseGMVaultMetadata(frontmatter);
+		if (metadata.hidden) {
+			return null;
+		}
+		
+		const pageName = alias || metadata.title || file.basename;
+		const page = new Page(pageName, this._getSlug(file, file.basename), metadata.blockTypes || blockTypes, pageIdFromFrontmatter(file, frontmatter));
+		page.path = file.path;
+		
+		if (metadata.visibleToPlayers !== undefined) {
+			page.visibleToPlayers = metadata.visibleToPlayers;
+		}
+		if (metadata.order !== undefined) {
+			page.order = metadata.order;
+		}
+		if (metadata.icon) {
+			page.icon = metadata.icon;
 		}
 		
-		return this._sortByObsidianConfig(imageFiles);
+		return page;
 	}
-
+	
 	/**
-	 * Gets the page name from the file.
-	 * Simplified: uses the file basename directly.
+	 * Moves pages with an explicit gmvault.order to the front (ascending),
+	 * keeping the derived order for the rest.
 	 *
 	 * @private
-	 * @param {import('obsidian').TFile} file - Page file
-	 * @returns {Promise<string>} Page name
+	 * @param {Page[]} pages - Pages in derived order
+	 * @returns {Page[]} Sorted pages
 	 */
-	async _getPageName(file) {
-		return file.basename;
+	_sortPagesByOrder(pages) {
+		const ordered = pages.filter(page => page.order !== null);
+		const unordered = pages.filter(page => page.order === null);
+		ordered.sort((a, b) => a.order - b.order);
+		return [...ordered, ...unordered];
 	}
 }
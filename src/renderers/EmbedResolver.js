@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Resolves Obsidian note embeds (transclusion) in Markdown.
+ *
+ * Supported syntax:
+ * - ![[Note]]           → whole note (without frontmatter)
+ * - ![[Note#Heading]]   → the heading and its section (until the next heading of the same or higher level)
+ * - ![[Note#^block-id]] → the block marked with ^block-id
+ *
+ * Embeds are replaced with Markdown before rendering, so the embedded content
+ * goes through the same pipeline as the page (mentions, tags, images...).
+ * An optional filter (GM-only content, see utils/secrets.js) runs on the page and
+ * on each embedded note before its embeds are resolved, so it never crosses
+ * the boundary of a note.
+ * Image embeds (![[map.png]]) are left untouched for the image handling.
+ */
+
+import { stripFrontmatter } from '../utils/frontmatter.js';
+import { isFolder } from '../filetree/FileTree.js';
+
+/**
+ * Default maximum nesting depth for embeds inside embeds.
+ */
+const DEFAULT_MAX_DEPTH = 4;
+
+/**
+ * Matches ![[target]], ![[target#subpath]] and ![[target#subpath|alias]].
+ */
+const EMBED_REGEX = /!\[\[([^\]|#]+)(#[^\]|]*)?(?:\|[^\]]*)?\]\]/g;
+
+/**
+ * Matches a block id at the end of a line ("text ^block-id" or a line with only "^block-id").
+ */
+const BLOCK_ID_REGEX = /(?:^|\s)\^([\w-]+)\s*$/;
+
+/**
+ * Resolves note embeds recursively, with a cycle guard and a depth limit.
+ *
+ * @class EmbedResolver
+ */
+export class EmbedResolver {
+	/**
+	 * Creates an EmbedResolver instance.
+	 *
+	 * @param {import('../filetree/FileTree.js').FileTree} tree - Vault to read the embedded notes from
+	 * @param {number} maxDepth - Maximum nesting depth
+	 */
+	constructor(tree, maxDepth = DEFAULT_MAX_DEPTH) {
+		/** @type {import('../filetree/FileTree.js').FileTree} */
+		this.tree = tree;
+
+		/** @type {number} */
+		this.maxDepth = maxDepth;
+	}
+
+	/**
+	 * Replaces the note embeds of a Markdown document with the embedded content.
+	 * Block id markers (^block-id) are removed from the result, like Obsidian does.
+	 *
+	 * @param {string} markdown - Markdown of the page
+	 * @param {import('../filetree/FileTree.js').FileNode} sourceFile - File the Markdown comes from (to resolve links)
+	 * @param {Set<string>|null} dependencies - If given, receives the paths of the embedded notes
+	 * @param {function(string): string|null} [filter] - Applied to the page and to each embedded note
+	 * @returns {Promise<string>} Markdown with embeds resolved
+	 */
+	async resolve(markdown, sourceFile, dependencies = null, filter = null) {
+		const content = filter ? filter(markdown) : markdown;
+		const resolved = await this._resolveEmbeds(content, sourceFile, [sourceFile.path], dependencies, filter);
+		return this._stripBlockIds(resolved);
+	}
+
+	/**
+	 * Resolves the embeds of a Markdown fragment.
+	 *
+	 * @private
+	 * @param {string} markdown - Markdown fragment
+	 * @param {import('../filetree/FileTree.js').FileNode} sourceFile - File containing the fragment
+	 * @param {string[]} stack - Paths of the notes being embedded (cycle guard)
+	 * @param {Set<string>|null} dependencies - Receives the paths of the embedded notes
+	 * @param {function(string): string|null} filter - Applied to each embedded note
+	 * @returns {Promise<string>} Markdown with embeds resolved
+	 */
+	async _resolveEmbeds(markdown, sourceFile, stack, dependencies, filter) {
+		const lines = markdown.split('\n');
+		const output = [];
+		let fence = null;
+
+		for (const line of lines) {
+			// No resolver embeds dentro de bloques de código
+			const fenceMatch = line.match(/^\s*(```|~~~)/);
+			if (fenceMatch) {
+				if (!fence) {
+					fence = fenceMatch[1];
+				} else if (fenceMatch[1] === fence) {
+					fence = null;
+				}
+				output.push(line);
+				continue;
+			}
+			if (fence || !line.includes('![[')) {
+				output.push(line);
+				continue;
+			}
+
+			// Prefijo de la línea (">" de citas, sangría de listas), se repite en el contenido embebido
+			// para que siga dentro de la cita o del elemento de lista
+			const [, quotePrefix, listMarker] = line.match(/^(\s*(?:>\s?)*)(\s*(?:[-*+]|\d+[.)])\s+)?/);
+			const prefix = quotePrefix + ' '.repeat(listMarker ? listMarker.length : 0);
+			const parts = [];
+			let lastIndex = 0;
+
+			for (const match of line.matchAll(EMBED_REGEX)) {
+				const [fullMatch, target, subpath] = match;
+				const file = this._resolveNote(target.trim(), sourceFile);
+				if (!file) {
+					// Imágenes y otros adjuntos se dejan tal cual
+					if (!/\.\w+$/.test(target.trim()) || target.trim().endsWith('.md')) {
+						// Nota inexistente: se muestra como mention sin enlace
+						parts.push(line.slice(lastIndex, match.index), fullMatch.slice(1));
+						lastIndex = match.index + fullMatch.length;
+					}
+					continue;
+				}
+
+				const embedded = await this._renderEmbed(file, subpath || '', stack, dependencies, filter);
+				const block = this._wrapEmbed(embedded, `${file.basename}${subpath || ''}`, prefix);
+				parts.push(line.slice(lastIndex, match.index), block);
+				lastIndex = match.index + fullMatch.length;
+			}
+
+			parts.push(line.slice(lastIndex));
+			output.push(parts.join(''));
+		}
+
+		return output.join('\n');
+	}
+
+	/**
+	 * Gets the Markdown to insert for one embed.
+	 *
+	 * @private
+	 * @param {import('../filetree/FileTree.js').FileNode} file - Embedded note
+	 * @param {string} subpath - "#Heading", "#^block-id" or ""
+	 * @param {string[]} stack - Paths of the notes being embedded
+	 * @param {Set<string>|null} dependencies - Receives the paths of the embedded notes
+	 * @param {function(string): string|null} filter - Applied to the note before extracting the section
+	 * @returns {Promise<string>} Markdown of the embed
+	 */
+	async _renderEmbed(file, subpath, stack, dependencies, filter) {
+		if (dependencies) {
+			dependencies.add(file.path);
+		}
+		if (stack.includes(file.path)) {
+			return `*⚠️ Embed loop: ${file.basename}*`;
+		}
+		if (stack.length > this.maxDepth) {
+			return `[[${file.basename}${subpath}]]`;
+		}
+
+		const note = stripFrontmatter(await this.tree.read(file));
+		const content = filter ? filter(note) : note;
+		const section = this._extractSection(content, subpath);
+		if (section === null) {
+			return `*⚠️ Section not found: ${file.basename}${subpath}*`;
+		}
+
+		return this._resolveEmbeds(section, file, [...stack, file.path], dependencies, filter);
+	}
+
+	/**
+	 * Extracts the part of a note referenced by a subpath.
+	 *
+	 * @private
+	 * @param {string} content - Note content (without frontmatter)
+	 * @param {string} subpath - "#Heading", "#Parent#Heading", "#^block-id" or ""
+	 * @returns {string|null} Section Markdown, or null if not found
+	 */
+	_extractSection(content, subpath) {
+		const ref = subpath.replace(/^#/, '');
+		if (!ref) {
+			return content;
+		}
+
+		const lines = content.split('\n');
+
+		// Bloque: ![[Note#^block-id]]
+		if (ref.startsWith('^')) {
+			const blockId = ref.slice(1);
+			const index = lines.findIndex(line => {
+				const match = line.match(BLOCK_ID_REGEX);
+				return match && match[1] === blockId;
+			});
+			if (index === -1) {
+				return null;
+			}
+
+			// Id en su propia línea: referencia al bloque anterior (lista, tabla, cita...)
+			if (/^\s*\^[\w-]+\s*$/.test(lines[index])) {
+				let end = index;
+				while (end > 0 && lines[end - 1].trim() === '') {
+					end--;
+				}
+				if (end === 0) {
+					return null;
+				}
+				let start = end - 1;
+				while (start > 0 && lines[start - 1].trim() !== '') {
+					start--;
+				}
+				return lines.slice(start, end).join('\n');
+			}
+
+			// Elemento de lista: solo esa línea
+			if (/^\s*([-*+]|\d+[.)])\s/.test(lines[index])) {
+				return lines[index].replace(/^\s*/, '');
+			}
+
+			// Párrafo: desde la línea en blanco anterior hasta la línea con el id
+			let start = index;
+			while (start > 0 && lines[start - 1].trim() !== '' && !/^#{1,6}\s/.test(lines[start - 1])) {
+				start--;
+			}
+			return lines.slice(start, index + 1).join('\n');
+		}
+
+		// Encabezado: ![[Note#Heading]] (o ![[Note#Padre#Heading]], se usa el último)
+		const headingName = this._normalizeHeading(ref.split('#').pop());
+		let start = -1;
+		let level = 0;
+		let fence = null;
+		for (let i = 0; i < lines.length; i++) {
+			const fenceMatch = lines[i].match(/^\s*(```|~~~)/);
+			if (fenceMatch) {
+				fence = fence ? (fenceMatch[1] === fence ? null : fence) : fenceMatch[1];
+				continue;
+			}
+			if (fence) {
+				continue;
+			}
+
+			const heading = lines[i].match(/^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/);
+			if (!heading) {
+				continue;
+			}
+			if (start === -1) {
+				if (this._normalizeHeading(heading[2]) === headingName) {
+					start = i;
+					level = heading[1].length;
+				}
+			} else if (heading[1].length <= level) {
+				return lines.slice(start, i).join('\n').trimEnd();
+			}
+		}
+
+		return start === -1 ? null : lines.slice(start).join('\n').trimEnd();
+	}
+
+	/**
+	 * Wraps embedded Markdown in a block container.
+	 * The blank lines let markdown-it parse the content inside the HTML block.
+	 *
+	 * @private
+	 * @param {string} markdown - Embedded Markdown
+	 * @param {string} source - Embed reference (for data-embed-source)
+	 * @param {string} prefix - Line prefix to keep (indentation, blockquote markers)
+	 * @returns {string} Markdown block
+	 */
+	_wrapEmbed(markdown, source, prefix) {
+		const escapedSource = source
+			.replace(/&/g, '&amp;')
+			.replace(/"/g, '&quot;')
+			.replace(/</g, '&lt;');
+		const lines = [
+			`<div class="notion-embed" data-embed-source="${escapedSource}">`,
+			'',
+			...markdown.split('\n'),
+			'',
+			'</div>'
+		];
+		return '\n' + lines.map(line => `${prefix}${line}`.trimEnd()).join('\n') + '\n';
+	}
+
+	/**
+	 * Resolves an embed target to a Markdown note.
+	 *
+	 * @private
+	 * @param {string} target - Link target
+	 * @param {import('../filetree/FileTree.js').FileNode} sourceFile - File containing the embed
+	 * @returns {import('../filetree/FileTree.js').FileNode|null} Markdown file or null
+	 */
+	_resolveNote(target, sourceFile) {
+		const file = this.tree.resolveLink(target, sourceFile.path);
+		return file && !isFolder(file) && file.extension === 'md' ? file : null;
+	}
+
+	/**
+	 * Normalizes heading text for comparison (case, spaces and formatting).
+	 *
+	 * @private
+	 * @param {string} text - Heading text
+	 * @returns {string} Normalized text
+	 */
+	_normalizeHeading(text) {
+		return text
+			.replace(/(\*\*|__|\*|_|`|~~)/g, '')
+			.replace(/\s+/g, ' ')
+			.trim()
+			.toLowerCase();
+	}
+
+	/**
+	 * Removes block id markers (^block-id) outside code blocks.
+	 *
+	 * @private
+	 * @param {string} markdown - Markdown
+	 * @returns {string} Markdown without block ids
+	 */
+	_stripBlockIds(markdown) {
+		let fence = null;
+		return markdown.split('\n').map(line => {
+			const fenceMatch = line.match(/^\s*(```|~~~)/);
+			if (fenceMatch) {
+				fence = fence ? (fenceMatch[1] === fence ? null : fence) : fenceMatch[1];
+				return line;
+			}
+			if (fence) {
+				return line;
+			}
+			if (/^\s*\^[\w-]+\s*$/.test(line)) {
+				return '';
+			}
+			return line.replace(/\s\^[\w-]+\s*$/, '');
+		}).join('\n');
+	}
+}
@@ -6,8 +6,12 @@
  * - categories: array of root categories
  * - Each category has name and items[]
  * - Each item has type ('page' or 'category'), name, and specific properties
- * - Pages have url, and optionally blockTypes, visibleToPlayers
+ * - Pages have url, a stable id (used by mentions), and optionally blockTypes, visibleToPlayers, icon
  * - Categories have items[] (recursive)
+ *
+ * Page URLs use the base URL of the role the JSON is built for (see
+ * utils/access.js): the player JSON links player pages, the GM JSON links
+ * the /gm/<token>/ pages that include the GM-only content.
  */
 
 import { Session } from '../models/Session.js';
@@ -44,12 +48,14 @@ export class GMVaultJSONBuilder {
 	 * Uses the items[] format for simplicity and implicit order.
 	 *
 	 * @param {Session} session - Session model to convert
+	 * @param {Object} [options] - Build options
+	 * @param {string|null} [options.baseUrl] - Base URL for the pages (defaults to this.baseUrl)
 	 * @returns {Object} GM Vault–compatible JSON
 	 */
-	buildJSON(session) {
+	buildJSON(session, options = {}) {
 		return {
 			categories: session.categories.map(category => 
-				this._buildCategoryJSON(category)
+				this._buildCategoryJSON(category, options)
 			)
 		};
 	}
@@ -59,19 +65,20 @@ export class GMVaultJSONBuilder {
 	 *
 	 * @private
 	 * @param {Category} category - Category to convert
+	 * @param {Object} options - Build options (see buildJSON)
 	 * @returns {Object} Category JSON
 	 */
-	_buildCategoryJSON(category) {
+	_buildCategoryJSON(category, options) {
 		const items = [];
 
 		// Add subcategories first (folders before files, like Obsidian)
 		for (const subCategory of category.categories) {
-			items.push(this._buildCategoryItemJSON(subCategory));
+			items.push(this._buildCategoryItemJSON(subCategory, options));
 		}
 
 		// Then add pages
 		for (const page of category.pages) {
-			items.push(this._buildPageItemJSON(page));
+			items.push(this._buildPageItemJSON(page, options));
 		}
 
 		const json = {
@@ -91,15 +98,21 @@ export class GMVaultJSONBuilder {
 	 *
 	 * @private
 	 * @param {Page} page - Page to convert
+	 * @param {Object} options - Build options (see buildJSON)
 	 * @returns {Object} Page item JSON
 	 */
-	_buildPageItemJSON(page) {
+	_buildPageItemJSON(page, options) {
+		const baseUrl = options.baseUrl || this.baseUrl;
 		const item = {
 			type: 'page',
 			name: page.name,
-			url: `${this.baseUrl}/pages/${page.slug}`
+			url: `${baseUrl}/pages/${encodeURIComponent(page.slug)}`
 		};
 
+		if (page.id) {
+			item.id = page.id;
+		}
+
 		// Add optional properties only if they exist
 		if (page.blockTypes && page.blockTypes.length > 0) {
 			item.blockTypes = page.blockTypes;
@@ -109,6 +122,10 @@ export class GMVaultJSONBuilder {
 			item.visibleToPlayers = true;
 		}
 
+		if (page.icon) {
+			item.icon = page.icon;
+		}
+
 		return item;
 	}
 
@@ -117,19 +134,20 @@ export class GMVaultJSONBuilder {
 	 * 
 	 * @private
 	 * @param {Category} category - Category to convert
+	 * @param {Object} options - Build options (see buildJSON)
 	 * @returns {Object} JSON de item categoría
 	 */
-	_buildCategoryItemJSON(category) {
+	_buildCategoryItemJSON(category, options) {
 		const items = [];
 
 		// Add subcategories first (folders before files, like Obsidian)
 		for (const subCategory of category.categories) {
-			items.push(this._buildCategoryItemJSON(subCategory));
+			items.push(this._buildCategoryItemJSON(subCategory, options));
 		}
 
 		// Then add pages
 		for (const page of category.pages) {
-			items.push(this._buildPageItemJSON(page));
+			items.push(this._buildPageItemJSON(page, options));
 		}
 
 		const item = {
@@ -201,9 +219,13 @@ export class GMVaultJSONBuilder {
 	_buildLegacyPageJSON(page) {
 		const json = {
 			name: page.name,
-			url: `${this.baseUrl}/pages/${page.slug}`
+			url: `${this.baseUrl}/pages/${encodeURIComponent(page.slug)}`
 		};
 
+		if (page.id) {
+			json.id = page.id;
+		}
+
 		if (page.blockTypes && page.blockTypes.length > 0) {
 			json.blockTypes = page.blockTypes;
 		}
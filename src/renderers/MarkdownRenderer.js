@@ -1,11 +1,42 @@
 /**
  * @fileoverview Renderer that converts Obsidian Markdown files to HTML.
- * Used exclusively by the GET /pages/:slug endpoint.
+ * Used by the GET /pages/:slug endpoint (full documents) and by VaultExporter
+ * (embedded fragments), so live and exported pages share one pipeline.
  *
- * Uses markdown-it for parsing and rendering.
+ * Uses markdown-it for parsing and rendering. Obsidian syntax and the Notion classes
+ * are markdown-it plugins (callouts, wiki links, tags, classes), not HTML post-processing.
  */
 
 import MarkdownIt from 'markdown-it';
+import { stripFrontmatter } from '../utils/frontmatter.js';
+import { calloutPlugin } from './calloutPlugin.js';
+import { wikiLinkPlugin } from './wikiLinkPlugin.js';
+import { tagPlugin } from './tagPlugin.js';
+import { notionClassesPlugin } from './notionClassesPlugin.js';
+import { getMediaType, MEDIA_TYPES } from '../utils/mime.js';
+
+/**
+ * Options of the embedded output mode (renderEmbedded / renderEmbeddedGallery).
+ *
+ * @typedef {Object} EmbeddedOptions
+ * @property {boolean} [pageUrls=true] - Add data-mention-page-url to mentions (offline exports open pages by id)
+ * @property {Function} [mediaUrl] - (vaultPath: string) => string|null; URL of an embedded image instead of /images/*
+ * @property {Function} [mediaPlaceholder] - (linkPath: string, vaultPath: string|null) => string; HTML for an
+ *   image without URL (unresolved, or mediaUrl returned null)
+ */
+
+/**
+ * Image of a gallery page (renderImageGallery / renderEmbeddedGallery).
+ *
+ * @typedef {Object} GalleryItem
+ * @property {string} name - File name
+ * @property {string|null} path - Image URL (null: rendered with EmbeddedOptions.mediaPlaceholder)
+ * @property {string|null} [thumbnail] - Thumbnail URL
+ * @property {string} [caption] - Caption from the gallery sidecar
+ * @property {string|null} [description] - Description from the gallery sidecar
+ * @property {boolean} [gmOnly] - Hidden from players (GM badge)
+ * @property {string|null} [vaultPath] - Vault path, passed to mediaPlaceholder
+ */
 
 /**
  * Markdown-to-HTML renderer for individual pages.
@@ -27,7 +58,11 @@ export class MarkdownRenderer {
 			html: true,
 			linkify: true,
 			typographer: true
-		});
+		})
+			.use(calloutPlugin)
+			.use(wikiLinkPlugin)
+			.use(tagPlugin)
+			.use(notionClassesPlugin);
 		
 		/**
 		 * Map of file names to page info for mentions
@@ -35,7 +70,11 @@ export class MarkdownRenderer {
 		 */
 		this.pageMap = null;
 		
-		this._configureWikiLinks();
+		/**
+		 * Resolves embedded files (![[file.mp3]]) to vault paths
+		 * @type {Function|null}
+		 */
+		this.mediaResolver = null;
 	}
 	
 	/**
@@ -57,25 +96,50 @@ export class MarkdownRenderer {
 	}
 
 	/**
-	 * Renders Markdown content to HTML.
+	 * Sets the function that resolves embedded media (![[map.png]], ![[ambience.mp3]]) to vault paths.
+	 * Media embeds are served through /images/*; without a resolver they are left as they are.
+	 *
+	 * @param {Function|null} resolver - (linkPath: string) => string|null (vault path)
+	 */
+	setMediaResolver(resolver) {
+		this.mediaResolver = resolver;
+	}
+
+	/**
+	 * Renders Markdown content to HTML, with mentions, tags and Notion classes.
+	 * Relative URLs are made absolute when there is a base URL.
 	 *
 	 * @param {string} markdown - Markdown content to render
 	 * @param {string|null} baseUrl - Base URL for wiki links (optional, uses this.baseUrl if not provided)
+	 * @param {EmbeddedOptions} [options] - Output options (see renderEmbedded)
 	 * @returns {string} Rendered HTML
 	 */
-	render(markdown, baseUrl = null) {
+	render(markdown, baseUrl = null, options = {}) {
 		const urlBase = baseUrl || this.baseUrl;
+		markdown = this._convertMediaEmbeds(stripFrontmatter(markdown), urlBase, options);
 		
-		if (this.pageMap) {
-			let html = this.md.render(markdown);
-			html = this._convertWikiLinksToMentions(html, urlBase);
-			return html;
-		} else {
-			const processedMarkdown = this._convertWikiLinksInMarkdown(markdown, urlBase);
-			let html = this.md.render(processedMarkdown);
-			html = this._convertWikiLinksInHTML(html, urlBase);
-			return html;
-		}
+		// Env de los plugins (ver wikiLinkPlugin.js y notionClassesPlugin.js)
+		return this.md.render(markdown, {
+			pageMap: this.pageMap,
+			baseUrl: urlBase,
+			pageUrls: options.pageUrls !== false
+		});
+	}
+
+	/**
+	 * Renders Markdown to the body fragment of a page ("embedded" output mode):
+	 * the same HTML that renderPage puts in <body>, without the document, styles or scripts.
+	 * VaultExporter uses it for the htmlContent of exported pages.
+	 *
+	 * @param {string} markdown - Markdown content
+	 * @param {string} title - Page title
+	 * @param {string|null} baseUrl - Base URL for relative URLs (optional, uses this.baseUrl if not provided)
+	 * @param {EmbeddedOptions} [options] - Mention URLs and media hooks
+	 * @returns {string} HTML fragment
+	 */
+	renderEmbedded(markdown, title, baseUrl = null, options = {}) {
+		const content = this.render(markdown, baseUrl, options);
+		return this._wrapInNotionStructure(content, title);
 	}
 
 	/**
@@ -84,20 +148,12 @@ export class MarkdownRenderer {
 	 * @param {string} markdown - Markdown content
 	 * @param {string} title - Page title
 	 * @param {string|null} baseUrl - Base URL for relative URLs (optional, uses this.baseUrl if not provided)
+	 * @param {{eventsUrl: string, slug: string, pageId: string}|null} liveUpdates - Subscribe to the server events
+	 *   to re-render the page in place when the note changes (omit for static pages)
 	 * @returns {string} Full page HTML
 	 */
-	renderPage(markdown, title, baseUrl = null) {
-		const urlBase = baseUrl || this.baseUrl;
-		let content = this.render(markdown, urlBase);
-		
-		if (urlBase) {
-			content = this._convertRelativeUrlsToAbsolute(content, urlBase);
-		}
-		
-		content = this._convertTagsToNotionTags(content);
-		content = this._addNotionClasses(content);
-		content = this._addTargetToExternalLinks(content);
-		content = this._wrapInNotionStructure(content, title);
+	renderPage(markdown, title, baseUrl = null, liveUpdates = null) {
+		const content = this.renderEmbedded(markdown, title, baseUrl);
 		
 		return `<!DOCTYPE html>
 <html lang="en">
@@ -424,6 +480,28 @@ export class MarkdownRenderer {
 			margin-top: var(--spacing-xs);
 		}
 		
+		/* Audio, vídeo y PDF embebidos (![[archivo]]) */
+		.notion-content .notion-audio {
+			display: block;
+			width: 100%;
+			margin: var(--spacing-xs) 0;
+		}
+		
+		.notion-content .notion-video {
+			display: block;
+			width: 100%;
+			max-width: 100%;
+			border-radius: var(--radius-sm);
+		}
+		
+		.notion-content .notion-pdf {
+			display: block;
+			width: 100%;
+			height: 80vh;
+			border: none;
+			border-radius: var(--radius-sm);
+		}
+		
 		/* Image share button styles */
 		.notion-image-container {
 			position: relative;
@@ -503,6 +581,43 @@ export class MarkdownRenderer {
 			flex: 1;
 		}
 		
+		.notion-content .notion-callout-title {
+			font-weight: var(--font-weight-semibold);
+			margin-bottom: var(--spacing-xs);
+		}
+		
+		.notion-content .notion-callout-content > :last-child,
+		.notion-content .notion-callout-fold > :last-child {
+			margin-bottom: 0;
+		}
+		
+		.notion-content .notion-callout-fold > summary {
+			cursor: pointer;
+			user-select: none;
+		}
+		
+		.notion-content .notion-callout-fold:not([open]) > summary {
+			margin-bottom: 0;
+		}
+		
+		/* Contenido solo para el GM (%%gm ... %%), solo llega en la versión del GM */
+		.notion-content .notion-gm-only {
+			background: rgba(150, 122, 204, 0.15);
+			border-radius: var(--radius-sm);
+			padding: 0 var(--spacing-xs);
+		}
+		
+		/* Notas embebidas (![[Nota]]) */
+		.notion-content .notion-embed {
+			border-left: 2px solid var(--color-accent-primary);
+			padding: var(--spacing-xs) 0 var(--spacing-xs) var(--spacing-lg);
+			margin: var(--spacing-md) 0;
+		}
+		
+		.notion-content .notion-embed > :first-child {
+			margin-top: 0;
+		}
+		
 		.notion-content .notion-divider,
 		.notion-content hr {
 			border: none;
@@ -830,6 +945,24 @@ export class MarkdownRenderer {
 			console.log('✅ Mentions deshabilitados para modal');
 		}
 		
+		// Último mensaje de rol recibido (se vuelve a aplicar tras re-renderizar la página)
+		var lastRoleMessage = null;
+		
+		// Aplica el rol del usuario al contenido actual
+		function applyUserRole(data) {
+			// Si está dentro de un modal, deshabilitar navegación de mentions
+			if (data.isInModal) {
+				console.log('🔒 Contenido en modal - deshabilitando navegación');
+				disableMentionsInModal();
+			} else if (data.isPlayer) {
+				convertMentionsToPlain();
+			}
+			
+			// Todos pueden compartir imágenes (GM, coGM y Players)
+			console.log('🖼️ Añadiendo botones de share a imágenes para todos');
+			addShareButtonsToImages();
+		}
+		
 		// Escuchar mensajes de GM Vault para determinar el rol del usuario
 		window.addEventListener('message', function(event) {
 			if (event.data && event.data.type === 'setUserRole') {
@@ -837,18 +970,8 @@ export class MarkdownRenderer {
 				userRole.isGM = event.data.isGM;
 				userRole.isPlayer = event.data.isPlayer;
 				userRole.isCoGM = event.data.isCoGM;
-				
-				// Si está dentro de un modal, deshabilitar navegación de mentions
-				if (event.data.isInModal) {
-					console.log('🔒 Contenido en modal - deshabilitando navegación');
-					disableMentionsInModal();
-				} else if (event.data.isPlayer) {
-					convertMentionsToPlain();
-				}
-				
-				// Todos pueden compartir imágenes (GM, coGM y Players)
-				console.log('🖼️ Añadiendo botones de share a imágenes para todos');
-				addShareButtonsToImages();
+				lastRoleMessage = event.data;
+				applyUserRole(event.data);
 			}
 		});
 		
@@ -866,7 +989,7 @@ export class MarkdownRenderer {
 		
 		// Manejar clics en mentions - usar el sistema de modales de GM Vault
 		// Si GM Vault no encuentra la página por ID, intentar buscarla por URL
-		(function() {
+		function setupMentionHandlers() {
 			const mentions = document.querySelectorAll('.notion-mention--link');
 			console.log('🔍 Mentions encontrados:', mentions.length);
 			
@@ -956,508 +1079,185 @@ export class MarkdownRenderer {
 					}
 				});
 			});
-		})();
+		}
+		setupMentionHandlers();
+		${liveUpdates ? this._getLiveUpdatesScript(liveUpdates) : ''}
 	</script>
 </body>
 </html>`;
 	}
 
 	/**
-	 * Añade clases de Notion al HTML renderizado usando regex.
+	 * Script de actualizaciones en vivo: se suscribe a /events (SSE), re-renderiza la página
+	 * en el sitio cuando cambia su nota y reenvía pageUpdated / structureChanged a GM Vault.
 	 * 
 	 * @private
-	 * @param {string} html - HTML renderizado
-	 * @returns {string} HTML con clases de Notion
+	 * @param {{eventsUrl: string, slug: string, pageId: string}} liveUpdates - URL de eventos y página actual
+	 * @returns {string} Código JavaScript (sin etiqueta script)
 	 */
-	_addNotionClasses(html) {
-		let processed = html;
-		
-		// Función helper para añadir clase solo si no existe
-		const addClass = (tag, className) => {
-			// Buscar tags que no tengan la clase ya
-			const regex = new RegExp(`<${tag}(?![^>]*class="[^"]*${className.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})([^>]*)>`, 'gi');
-			return processed.replace(regex, (match, attrs) => {
-				// Si ya tiene atributos, añadir la clase al final
-				if (attrs && attrs.trim()) {
-					return `<${tag}${attrs} class="${className}">`;
-				} else {
-					return `<${tag} class="${className}">`;
-				}
-			});
-		};
-		
-		// Normalizar párrafos
-		processed = addClass('p', 'notion-paragraph');
-		
-		// Normalizar listas
-		processed = addClass('ul', 'notion-bulleted-list');
-		processed = addClass('ol', 'notion-numbered-list');
-		
-		// Normalizar items de lista (más complejo porque depende del padre)
-		// Primero procesar los que están dentro de ul ya procesados
-		processed = processed.replace(/(<ul[^>]*class="[^"]*notion-bulleted-list[^>]*>)([\s\S]*?)(<\/ul>)/g, (match, open, content, close) => {
-			const processedContent = content.replace(/<li([^>]*)>/gi, (liMatch, liAttrs) => {
-				if (!liAttrs || !liAttrs.includes('class="notion-bulleted-list-item"')) {
-					return liAttrs.trim() 
-						? `<li${liAttrs} class="notion-bulleted-list-item">`
-						: `<li class="notion-bulleted-list-item">`;
-				}
-				return liMatch;
-			});
-			return open + processedContent + close;
-		});
-		
-		// Procesar los que están dentro de ol ya procesados
-		processed = processed.replace(/(<ol[^>]*class="[^"]*notion-numbered-list[^>]*>)([\s\S]*?)(<\/ol>)/g, (match, open, content, close) => {
-			const processedContent = content.replace(/<li([^>]*)>/gi, (liMatch, liAttrs) => {
-				if (!liAttrs || !liAttrs.includes('class="notion-numbered-list-item"')) {
-					return liAttrs.trim() 
-						? `<li${liAttrs} class="notion-numbered-list-item">`
-						: `<li class="notion-numbered-list-item">`;
-				}
-				return liMatch;
-			});
-			return open + processedContent + close;
-		});
-		
-		// Normalizar código (bloques primero)
-		processed = addClass('pre', 'notion-code');
-		
-		// Código inline (solo si no está dentro de un pre)
-		processed = processed.replace(/<code(?![^>]*class="[^"]*notion-text-code)(?![^>]*<pre)([^>]*)>/gi, (match, attrs) => {
-			return attrs.trim() 
-				? `<code${attrs} class="notion-text-code">`
-				: `<code class="notion-text-code">`;
-		});
-		
-		// Normalizar enlaces (pero no añadir target aquí, se hace después)
-		processed = addClass('a', 'notion-text-link');
-		
-		// Normalizar texto en negrita (strong y b)
-		processed = processed.replace(/<(strong)(?![^>]*class="[^"]*notion-text-bold)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-bold">`
-				: `<${tag} class="notion-text-bold">`;
-		});
-		processed = processed.replace(/<(b)(?![^>]*class="[^"]*notion-text-bold)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-bold">`
-				: `<${tag} class="notion-text-bold">`;
-		});
-		
-		// Normalizar texto en cursiva (em e i)
-		processed = processed.replace(/<(em)(?![^>]*class="[^"]*notion-text-italic)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-italic">`
-				: `<${tag} class="notion-text-italic">`;
-		});
-		processed = processed.replace(/<(i)(?![^>]*class="[^"]*notion-text-italic)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-italic">`
-				: `<${tag} class="notion-text-italic">`;
-		});
-		
-		// Normalizar texto subrayado
-		processed = addClass('u', 'notion-text-underline');
-		
-		// Normalizar texto tachado (s y del)
-		processed = processed.replace(/<(s)(?![^>]*class="[^"]*notion-text-strikethrough)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-strikethrough">`
-				: `<${tag} class="notion-text-strikethrough">`;
-		});
-		processed = processed.replace(/<(del)(?![^>]*class="[^"]*notion-text-strikethrough)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-strikethrough">`
-				: `<${tag} class="notion-text-strikethrough">`;
-		});
-		
-		// Normalizar blockquotes
-		processed = addClass('blockquote', 'notion-quote');
-		
-		// Normalizar tablas
-		processed = addClass('table', 'notion-table');
-		
-		// Normalizar separadores
-		processed = addClass('hr', 'notion-divider');
-		
-		return processed;
-	}
-
-	/**
-	 * Configura el renderizador para manejar wiki links de Obsidian [[link]].
-	 * Nota: Los wiki links se procesan después del renderizado en el método render().
-	 * 
-	 * @private
-	 */
-	_configureWikiLinks() {
-		// Los wiki links se procesan después del renderizado en el método render()
-		// para evitar conflictos con el parsing de markdown-it
-	}
-
-	/**
-	 * Convierte wiki links [[nombre]] a enlaces markdown antes del renderizado.
-	 * Evita procesar wiki links dentro de bloques de código (tanto bloques como inline).
-	 * 
-	 * @private
-	 * @param {string} markdown - Markdown con wiki links sin procesar
-	 * @param {string|null} baseUrl - URL base para los enlaces (opcional)
-	 * @returns {string} Markdown con wiki links convertidos a enlaces markdown
-	 */
-	_convertWikiLinksInMarkdown(markdown, baseUrl = null) {
-		// Dividir el markdown en partes: bloques de código y texto normal
-		const parts = [];
-		let lastIndex = 0;
-		
-		// Buscar bloques de código (```...```) y código inline (`...`)
-		// Usar una regex que capture ambos tipos
-		const codeRegex = /```[\s\S]*?```|`[^`\n]+`/g;
-		let match;
-		
-		while ((match = codeRegex.exec(markdown)) !== null) {
-			// Procesar texto antes del código
-			if (match.index > lastIndex) {
-				const beforeCode = markdown.substring(lastIndex, match.index);
-				parts.push({ text: beforeCode, isCode: false });
-			}
-			// Guardar el código sin procesar
-			parts.push({ text: match[0], isCode: true });
-			lastIndex = match.index + match[0].length;
-		}
-		
-		// Procesar el resto del texto
-		if (lastIndex < markdown.length) {
-			parts.push({ text: markdown.substring(lastIndex), isCode: false });
-		}
-		
-		// Si no hay código, procesar todo el texto
-		if (parts.length === 0) {
-			parts.push({ text: markdown, isCode: false });
-		}
-		
-		// Procesar solo las partes que no son código
-		const processedParts = parts.map(part => {
-			if (part.isCode) {
-				return part.text;
+	_getLiveUpdatesScript(liveUpdates) {
+		// "<" escapado para que el JSON no pueda cerrar la etiqueta script
+		const config = JSON.stringify(liveUpdates).replace(/</g, '\\u003c');
+		return `
+		// Actualizaciones en vivo desde Obsidian (server-sent events)
+		(function() {
+			var live = ${config};
+			if (!window.EventSource) {
+				return;
 			}
 			
-			// Buscar wiki links: [[nombre]] o [[nombre|display]]
-			// Usar una regex más robusta que capture todo entre los corchetes
-			const wikiLinkRegex = /\[\[([^\]]+?)\]\]/g;
-			
-			return part.text.replace(wikiLinkRegex, (match, linkContent) => {
-				// Separar path y display name
-				const parts = linkContent.split('|');
-				const linkPath = parts[0].trim();
-				const displayName = (parts[1] || parts[0]).trim();
-				
-				// Si tenemos pageMap, convertir a mention de Notion directamente en HTML
-				if (this.pageMap) {
-					const pageInfo = this.pageMap.get(linkPath.toLowerCase());
-					if (pageInfo) {
-						// Página encontrada: crear mention clickeable
-						const urlBase = baseUrl || this.baseUrl;
-						const pageUrl = urlBase 
-							? `${urlBase}/pages/${pageInfo.slug}`
-							: `/pages/${pageInfo.slug}`;
-						return `<span class="notion-mention notion-mention--link" data-mention-page-id="${pageInfo.id}" data-mention-page-name="${this._escapeHtml(pageInfo.name)}" data-mention-page-url="${pageUrl}" role="button" tabindex="0" aria-label="Open ${this._escapeHtml(pageInfo.name)}">${this._escapeHtml(displayName)}</span>`;
-					} else {
-						// Página no encontrada: mention sin link
-						return `<span class="notion-mention notion-mention--plain" data-mention-page-name="${this._escapeHtml(linkPath)}">${this._escapeHtml(displayName)}</span>`;
+			function notifyParent(message) {
+				if (window.parent && window.parent !== window) {
+					try {
+						window.parent.postMessage(message, '*');
+					} catch (error) {
+						console.error('❌ Error al enviar mensaje:', error);
 					}
 				}
-				
-				// Si no hay pageMap, convertir a enlace markdown estándar (fallback)
-				const slug = this._slugify(linkPath);
-				const urlBase = baseUrl || this.baseUrl;
-				const href = urlBase 
-					? `${urlBase}/pages/${slug}`
-					: `/pages/${slug}`;
-				
-				// Convertir a enlace markdown estándar
-				return `[${displayName}](${href})`;
-			});
-		});
-		
-		return processedParts.join('');
-	}
-
-	/**
-	 * Convierte wiki links [[nombre]] a mentions de Notion después del renderizado.
-	 * Usa el pageMap para crear mentions con IDs correctos.
-	 * 
-	 * @private
-	 * @param {string} html - HTML renderizado que puede contener wiki links sin procesar
-	 * @param {string|null} baseUrl - URL base para los enlaces (opcional)
-	 * @returns {string} HTML con wiki links convertidos a mentions
-	 */
-	_convertWikiLinksToMentions(html, baseUrl = null) {
-		if (!this.pageMap) {
-			return html;
-		}
-		
-		// Dividir el HTML en partes: dentro de enlaces/spans y fuera
-		const parts = [];
-		let lastIndex = 0;
-		
-		// Buscar enlaces HTML y spans existentes para no procesar wiki links dentro de ellos
-		const existingElementsRegex = /<(a|span)\s+[^>]*>[\s\S]*?<\/(a|span)>/gi;
-		let match;
-		
-		while ((match = existingElementsRegex.exec(html)) !== null) {
-			// Procesar texto antes del elemento
-			if (match.index > lastIndex) {
-				const beforeElement = html.substring(lastIndex, match.index);
-				parts.push({ text: beforeElement, isElement: false });
-			}
-			// Guardar el elemento sin procesar
-			parts.push({ text: match[0], isElement: true });
-			lastIndex = match.index + match[0].length;
-		}
-		
-		// Procesar el resto del texto
-		if (lastIndex < html.length) {
-			parts.push({ text: html.substring(lastIndex), isElement: false });
-		}
-		
-		// Si no hay elementos, procesar todo el texto
-		if (parts.length === 0) {
-			parts.push({ text: html, isElement: false });
-		}
-		
-		// Procesar solo las partes que no son elementos existentes
-		const processedParts = parts.map(part => {
-			if (part.isElement) {
-				return part.text;
 			}
 			
-			// Buscar wiki links: [[nombre]] o [[nombre|display]]
-			const wikiLinkRegex = /\[\[([^\]]+?)\]\]/g;
+			var refreshing = false;
+			var refreshAgain = false;
 			
-			return part.text.replace(wikiLinkRegex, (match, linkContent) => {
-				// Separar path y display name
-				const parts = linkContent.split('|');
-				const linkPath = parts[0].trim();
-				const displayName = (parts[1] || parts[0]).trim();
-				
-				// Buscar la página en el mapeo
-				const pageInfo = this.pageMap.get(linkPath.toLowerCase());
-				
-				if (pageInfo) {
-					// Página encontrada: crear mention clickeable
-					const urlBase = baseUrl || this.baseUrl;
-					const pageUrl = urlBase 
-						? `${urlBase}/pages/${pageInfo.slug}`
-						: `/pages/${pageInfo.slug}`;
-					return `<span class="notion-mention notion-mention--link" data-mention-page-id="${pageInfo.id}" data-mention-page-name="${this._escapeHtml(pageInfo.name)}" data-mention-page-url="${pageUrl}" role="button" tabindex="0" aria-label="Open ${this._escapeHtml(pageInfo.name)}">${this._escapeHtml(displayName)}</span>`;
+			// Vuelve a pedir la página y reemplaza el contenido sin recargar el iframe
+			function refreshPage() {
+				if (refreshing) {
+					refreshAgain = true;
+					return;
+				}
+				refreshing = true;
+				fetch(window.location.href, { cache: 'no-store' })
+					.then(function(response) {
+						if (!response.ok) {
+							throw new Error('HTTP ' + response.status);
+						}
+						return response.text();
+					})
+					.then(function(html) {
+						var doc = new DOMParser().parseFromString(html, 'text/html');
+						var next = doc.querySelector('.notion-content');
+						var current = document.querySelector('.notion-content');
+						if (!next || !current) {
+							return;
+						}
+						var scrollY = window.scrollY;
+						current.innerHTML = next.innerHTML;
+						document.title = doc.title;
+						setupMentionHandlers();
+						if (lastRoleMessage) {
+							applyUserRole(lastRoleMessage);
+						}
+						window.scrollTo(0, scrollY);
+						console.log('🔄 Página actualizada');
+						notifyParent({ type: 'pageUpdated', slug: live.slug, pageId: live.pageId });
+					})
+					.catch(function(error) {
+						console.error('❌ Error al actualizar la página:', error);
+					})
+					.then(function() {
+						refreshing = false;
+						if (refreshAgain) {
+							refreshAgain = false;
+							refreshPage();
+						}
+					});
+			}
+			
+			var source = new EventSource(live.eventsUrl);
+			source.addEventListener('pageUpdated', function(event) {
+				var data = JSON.parse(event.data);
+				if (data.slug === live.slug) {
+					refreshPage();
 				} else {
-					// Página no encontrada: mention sin link
-					return `<span class="notion-mention notion-mention--plain" data-mention-page-name="${this._escapeHtml(linkPath)}">${this._escapeHtml(displayName)}</span>`;
+					notifyParent({ type: 'pageUpdated', slug: data.slug, pageId: data.pageId });
 				}
 			});
-		});
-		
-		return processedParts.join('');
+			source.addEventListener('structureChanged', function() {
+				notifyParent({ type: 'structureChanged' });
+			});
+			window.addEventListener('pagehide', function() {
+				source.close();
+			});
+		})();`;
 	}
 
 	/**
-	 * Convierte wiki links [[nombre]] que quedaron en el HTML después del renderizado.
-	 * Esto captura los casos donde markdown-it escapó los corchetes.
-	 * Evita procesar wiki links que ya están dentro de enlaces HTML.
+	 * Convierte los embeds de archivos multimedia en HTML antes del renderizado:
+	 * imágenes → <img>, audio → <audio>, vídeo → <video>, PDF → <iframe>.
+	 * Con "|300" se fija el ancho de imágenes y vídeos; otro texto tras "|" se usa como título.
+	 * Los embeds que no se resuelven (o de notas) se dejan tal cual, salvo las imágenes
+	 * cuando hay options.mediaPlaceholder (exportación).
 	 * 
 	 * @private
-	 * @param {string} html - HTML renderizado que puede contener wiki links escapados
-	 * @param {string|null} baseUrl - URL base para los enlaces (opcional)
-	 * @returns {string} HTML con wiki links convertidos a enlaces
+	 * @param {string} markdown - Markdown con embeds sin procesar
+	 * @param {string|null} baseUrl - URL base del servidor (opcional)
+	 * @param {EmbeddedOptions} [options] - URL y placeholder de las imágenes (opcional)
+	 * @returns {string} Markdown con los embeds multimedia convertidos a HTML
 	 */
-	_convertWikiLinksInHTML(html, baseUrl = null) {
-		// Dividir el HTML en partes: dentro de enlaces y fuera de enlaces
-		const parts = [];
-		let lastIndex = 0;
-		
-		// Buscar enlaces HTML existentes para no procesar wiki links dentro de ellos
-		const linkRegex = /<a\s+[^>]*>[\s\S]*?<\/a>/gi;
-		let match;
-		
-		while ((match = linkRegex.exec(html)) !== null) {
-			// Procesar texto antes del enlace
-			if (match.index > lastIndex) {
-				const beforeLink = html.substring(lastIndex, match.index);
-				parts.push({ text: beforeLink, isLink: false });
-			}
-			// Guardar el enlace sin procesar
-			parts.push({ text: match[0], isLink: true });
-			lastIndex = match.index + match[0].length;
-		}
-		
-		// Procesar el resto del texto
-		if (lastIndex < html.length) {
-			parts.push({ text: html.substring(lastIndex), isLink: false });
+	_convertMediaEmbeds(markdown, baseUrl = null, options = {}) {
+		if (!this.mediaResolver || !markdown.includes('![[')) {
+			return markdown;
 		}
 		
-		// Si no hay enlaces, procesar todo el texto
-		if (parts.length === 0) {
-			parts.push({ text: html, isLink: false });
-		}
-		
-		// Procesar solo las partes que no son enlaces
-		const processedParts = parts.map(part => {
-			if (part.isLink) {
-				return part.text;
-			}
-			
-			// Buscar wiki links que puedan haber sido escapados
-			// Patrón 1: [[nombre]] normal (por si no se procesó antes)
-			// Patrón 2: &lt;&lt;nombre&gt;&gt; (si fueron escapados como HTML entities)
-			const wikiLinkPatterns = [
-				/\[\[([^\]]+?)\]\]/g,  // [[nombre]] normal
-				/&lt;&lt;([^&]+?)&gt;&gt;/g  // &lt;&lt;nombre&gt;&gt; escapado
-			];
+		// No convertir dentro de bloques de código ni código inline
+		const codeRegex = /```[\s\S]*?```|`[^`\n]+`/g;
+		const embedRegex = /!\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|([^\]]*))?\]\]/g;
+		
+		const convert = (text) => text.replace(embedRegex, (match, target, option) => {
+			const linkPath = target.trim();
+			const extension = (linkPath.match(/\.(\w+)$/) || [])[1];
+			const mediaType = extension ? getMediaType(extension) : null;
+			const vaultPath = mediaType ? this.mediaResolver(linkPath) : null;
+			const isImage = mediaType === MEDIA_TYPES.IMAGE;
 			
-			let processedText = part.text;
-			for (const pattern of wikiLinkPatterns) {
-				processedText = processedText.replace(pattern, (match, linkContent) => {
-					// Separar path y display name
-					const parts = linkContent.split('|');
-					const linkPath = parts[0].trim();
-					const displayName = (parts[1] || parts[0]).trim();
-					
-					// Si tenemos pageMap, convertir a mention de Notion
-					if (this.pageMap) {
-						const pageInfo = this.pageMap.get(linkPath.toLowerCase());
-						if (pageInfo) {
-							// Página encontrada: crear mention clickeable
-							const urlBase = baseUrl || this.baseUrl;
-							const pageUrl = urlBase 
-								? `${urlBase}/pages/${pageInfo.slug}`
-								: `/pages/${pageInfo.slug}`;
-							return `<span class="notion-mention notion-mention--link" data-mention-page-id="${pageInfo.id}" data-mention-page-name="${this._escapeHtml(pageInfo.name)}" data-mention-page-url="${pageUrl}" role="button" tabindex="0" aria-label="Open ${this._escapeHtml(pageInfo.name)}">${this._escapeHtml(displayName)}</span>`;
-						} else {
-							// Página no encontrada: mention sin link
-							return `<span class="notion-mention notion-mention--plain" data-mention-page-name="${this._escapeHtml(linkPath)}">${this._escapeHtml(displayName)}</span>`;
-						}
-					}
-					
-					// Si no hay pageMap, convertir a enlace HTML (fallback)
-					const slug = this._slugify(linkPath);
-					const urlBase = baseUrl || this.baseUrl;
-					const href = urlBase 
-						? `${urlBase}/pages/${slug}`
-						: `/pages/${slug}`;
-					
-					// Convertir a enlace HTML
-					return `<a href="${href}" class="notion-text-link">${this._escapeHtml(displayName)}</a>`;
-				});
+			let src = null;
+			if (vaultPath && isImage && options.mediaUrl) {
+				src = options.mediaUrl(vaultPath);
+			} else if (vaultPath) {
+				const encodedPath = vaultPath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+				src = `${baseUrl || ''}/images/${encodedPath}`;
 			}
-			
-			return processedText;
-		});
-		
-		return processedParts.join('');
-	}
-
-	/**
-	 * Convierte un texto a slug (similar a slugify.js pero inline).
-	 * 
-	 * @private
-	 * @param {string} text - Texto a convertir
-	 * @returns {string} Slug generado
-	 */
-	_slugify(text) {
-		return text
-			.toLowerCase()
-			.trim()
-			.replace(/[^\w\s-]/g, '')
-			.replace(/[\s_-]+/g, '-')
-			.replace(/^-+|-+$/g, '');
-	}
-
-	/**
-	 * Convierte URLs relativas a absolutas en el HTML.
-	 * 
-	 * @private
-	 * @param {string} html - HTML con URLs relativas
-	 * @param {string} baseUrl - URL base (sin barra final)
-	 * @returns {string} HTML con URLs absolutas
-	 */
-	_convertRelativeUrlsToAbsolute(html, baseUrl) {
-		// Normalizar la URL base (eliminar barra final si existe)
-		const normalizedBase = baseUrl.replace(/\/$/, '');
-		
-		// Convertir enlaces <a href="/..."> a absolutos
-		html = html.replace(/<a\s+([^>]*\s+)?href="(\/[^"]+)"/gi, (match, attrs, href) => {
-			// Solo convertir si es una URL relativa que empieza con /
-			if (href.startsWith('/') && !href.startsWith('//')) {
-				return `<a ${attrs || ''}href="${normalizedBase}${href}"`.replace(/\s+/g, ' ').trim();
+			if (!src) {
+				return isImage && options.mediaPlaceholder ? options.mediaPlaceholder(linkPath, vaultPath) : match;
 			}
-			return match;
-		});
-		
-		// Convertir imágenes <img src="/..."> a absolutos
-		html = html.replace(/<img\s+([^>]*\s+)?src="(\/[^"]+)"/gi, (match, attrs, src) => {
-			// Solo convertir si es una URL relativa que empieza con /
-			if (src.startsWith('/') && !src.startsWith('//')) {
-				return `<img ${attrs || ''}src="${normalizedBase}${src}"`.replace(/\s+/g, ' ').trim();
+			
+			const url = this._escapeHtml(src);
+			const width = option && /^\d+$/.test(option.trim()) ? ` style="width: ${option.trim()}px;"` : '';
+			const title = this._escapeHtml(option && !width ? option.trim() : linkPath.split('/').pop());
+			
+			switch (mediaType) {
+				case MEDIA_TYPES.AUDIO:
+					return `<audio class="notion-audio" src="${url}" title="${title}" controls preload="metadata"></audio>`;
+				case MEDIA_TYPES.VIDEO:
+					return `<video class="notion-video" src="${url}" title="${title}"${width} controls preload="metadata"></video>`;
+				case MEDIA_TYPES.PDF:
+					return `<iframe class="notion-pdf" src="${url}" title="${title}"></iframe>`;
+				default:
+					return `<img src="${url}" alt="${title}" data-image-url="${url}"${width}>`;
 			}
-			return match;
 		});
 		
-		return html;
+		let result = '';
+		let lastIndex = 0;
+		let match;
+		while ((match = codeRegex.exec(markdown)) !== null) {
+			result += convert(markdown.substring(lastIndex, match.index)) + match[0];
+			lastIndex = match.index + match[0].length;
+		}
+		return result + convert(markdown.substring(lastIndex));
 	}
 
 	/**
 	 * Renderiza una galería de imágenes en tres columnas.
+	 * El pie (caption) sustituye al nombre del archivo; las imágenes gmOnly llevan una marca para el GM.
 	 * 
-	 * @param {Array<{name: string, path: string}>} images - Array de objetos con nombre y ruta de las imágenes
+	 * @param {Array<GalleryItem>} images - Nombre, URL, URL de la miniatura y metadatos de cada imagen
 	 * @param {string} title - Título de la galería
 	 * @param {string|null} baseUrl - URL base para las imágenes
 	 * @returns {string} HTML de la galería
 	 */
 	renderImageGallery(images, title, baseUrl = null) {
-		const urlBase = baseUrl || this.baseUrl || '';
-		const normalizedBase = urlBase.replace(/\/$/, '');
-		
-		// Generar HTML de las imágenes en tres columnas
-		let imagesHtml = '';
-		for (let i = 0; i < images.length; i += 3) {
-			imagesHtml += '<div style="display: flex; gap: 16px; margin-bottom: 16px;">';
-			
-			// Columna 1
-			if (i < images.length) {
-				const img1 = images[i];
-				const imgUrl = img1.path.startsWith('http') ? img1.path : `${normalizedBase}${img1.path}`;
-				imagesHtml += `
-					<div class="notion-image-container" style="flex: 1; position: relative;">
-						<img src="${this._escapeHtml(imgUrl)}" alt="${this._escapeHtml(img1.name)}" class="notion-image-clickable" style="width: 100%; height: auto; border-radius: 4px; object-fit: contain; background: #f5f5f5; cursor: pointer;" />
-					</div>`;
-			}
-			
-			// Columna 2
-			if (i + 1 < images.length) {
-				const img2 = images[i + 1];
-				const imgUrl = img2.path.startsWith('http') ? img2.path : `${normalizedBase}${img2.path}`;
-				imagesHtml += `
-					<div class="notion-image-container" style="flex: 1; position: relative;">
-						<img src="${this._escapeHtml(imgUrl)}" alt="${this._escapeHtml(img2.name)}" class="notion-image-clickable" style="width: 100%; height: auto; border-radius: 4px; object-fit: contain; background: #f5f5f5; cursor: pointer;" />
-					</div>`;
-			} else {
-				imagesHtml += '<div style="flex: 1;"></div>';
-			}
-			
-			// Columna 3
-			if (i + 2 < images.length) {
-				const img3 = images[i + 2];
-				const imgUrl = img3.path.startsWith('http') ? img3.path : `${normalizedBase}${img3.path}`;
-				imagesHtml += `
-					<div class="notion-image-container" style="flex: 1; position: relative;">
-						<img src="${this._escapeHtml(imgUrl)}" alt="${this._escapeHtml(img3.name)}" class="notion-image-clickable" style="width: 100%; height: auto; border-radius: 4px; object-fit: contain; background: #f5f5f5; cursor: pointer;" />
-					</div>`;
-			} else {
-				imagesHtml += '<div style="flex: 1;"></div>';
-			}
-			
-			imagesHtml += '</div>';
-		}
+		const content = this.renderEmbeddedGallery(images, title, baseUrl);
 		
 		return `<!DOCTYPE html>
 <html lang="es">
@@ -1511,12 +1311,33 @@ export class MarkdownRenderer {
 			height: 16px;
 			fill: white;
 		}
+		.notion-image-caption {
+			margin-top: 6px;
+			font-size: 14px;
+			text-align: center;
+			color: rgba(255, 255, 255, 0.85);
+		}
+		.notion-image-description {
+			margin-top: 2px;
+			font-size: 12px;
+			color: rgba(255, 255, 255, 0.6);
+		}
+		.notion-gallery-gm-badge {
+			position: absolute;
+			top: 8px;
+			left: 8px;
+			background: rgba(180, 35, 24, 0.9);
+			border-radius: 4px;
+			padding: 2px 6px;
+			font-size: 11px;
+			font-weight: 600;
+			color: #fff;
+		}
 	</style>
 </head>
 <body>
 	<div id="notion-content" class="notion-content">
-		<h1>${this._escapeHtml(title)}</h1>
-		${imagesHtml}
+		${content}
 	</div>
 	<script>
 		// VERSION: gallery-v1 - Image gallery handlers
@@ -1534,7 +1355,7 @@ export class MarkdownRenderer {
 					img.dataset.clickListenerAdded = 'true';
 					img.addEventListener('click', function(e) {
 						e.preventDefault();
-						const imageUrl = img.src;
+						const imageUrl = img.dataset.imageUrl || img.src;
 						const caption = img.alt || '';
 						console.log('🔍 Abriendo imagen en modal:', imageUrl);
 						if (window.parent && window.parent !== window) {
@@ -1556,7 +1377,7 @@ export class MarkdownRenderer {
 					shareBtn.addEventListener('click', function(e) {
 						e.preventDefault();
 						e.stopPropagation();
-						const imageUrl = img.src;
+						const imageUrl = img.dataset.imageUrl || img.src;
 						const caption = img.alt || '';
 						console.log('🖼️ Compartiendo imagen:', imageUrl);
 						if (window.parent && window.parent !== window) {
@@ -1593,127 +1414,64 @@ export class MarkdownRenderer {
 	}
 
 	/**
-	 * Convierte tags de Obsidian (#tag) a tags de Notion.
+	 * Renderiza la galería como fragmento del body (modo "embedded", ver renderEmbedded):
+	 * título y cuadrícula, sin documento, estilos ni scripts.
+	 * Las imágenes sin URL se sustituyen por options.mediaPlaceholder.
 	 * 
-	 * @private
-	 * @param {string} html - HTML con tags de Obsidian
-	 * @returns {string} HTML con tags de Notion
+	 * @param {Array<GalleryItem>} images - Nombre, URL, URL de la miniatura y metadatos de cada imagen
+	 * @param {string} title - Título de la galería
+	 * @param {string|null} baseUrl - URL base para las imágenes
+	 * @param {EmbeddedOptions} [options] - Placeholder de las imágenes sin URL (opcional)
+	 * @returns {string} HTML de la galería
 	 */
-	_convertTagsToNotionTags(html) {
-		// Colores disponibles de Notion (sin el prefijo "notion-tag--")
-		const colors = ['default', 'gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+	renderEmbeddedGallery(images, title, baseUrl = null, options = {}) {
+		const urlBase = baseUrl || this.baseUrl || '';
+		const normalizedBase = urlBase.replace(/\/$/, '');
 		
-		/**
-		 * Obtiene un color consistente para un tag basado en su nombre
-		 * @param {string} tagName - Nombre del tag
-		 * @returns {string} Color de Notion
-		 */
-		const getTagColor = (tagName) => {
-			// Hash simple del nombre para consistencia
-			let hash = 0;
-			for (let i = 0; i < tagName.length; i++) {
-				hash = ((hash << 5) - hash) + tagName.charCodeAt(i);
-				hash = hash & hash; // Convertir a 32bit integer
+		// Solo las rutas del servidor (/images/...) son relativas; data: y assets/ se dejan tal cual
+		const toAbsolute = (url) => url.startsWith('/') ? `${normalizedBase}${url}` : url;
+		// En la cuadrícula se muestra la miniatura; el modal abre la imagen completa (data-image-url)
+		const renderImage = (image) => {
+			const caption = image.caption || image.name;
+			const badge = image.gmOnly ? '<span class="notion-gallery-gm-badge" title="Hidden from players">GM</span>' : '';
+			const description = image.description
+				? `<div class="notion-image-description">${this._escapeHtml(image.description)}</div>`
+				: '';
+			const captionHtml = caption !== image.name || description
+				? `<div class="notion-image-caption">${this._escapeHtml(caption)}${description}</div>`
+				: '';
+			if (!image.path) {
+				const placeholder = options.mediaPlaceholder ? options.mediaPlaceholder(image.name, image.vaultPath || null) : '';
+				return `
+					<div class="notion-image-container" style="flex: 1; position: relative;">
+						${placeholder}${captionHtml}
+					</div>`;
 			}
-			return colors[Math.abs(hash) % colors.length];
+			const imgUrl = toAbsolute(image.path);
+			const thumbnailUrl = image.thumbnail ? toAbsolute(image.thumbnail) : imgUrl;
+			return `
+					<div class="notion-image-container" style="flex: 1; position: relative;">
+						<img src="${this._escapeHtml(thumbnailUrl)}" data-image-url="${this._escapeHtml(imgUrl)}" alt="${this._escapeHtml(caption)}" loading="lazy" class="notion-image-clickable" style="width: 100%; height: auto; border-radius: 4px; object-fit: contain; background: #f5f5f5; cursor: pointer;" />${badge}${captionHtml}
+					</div>`;
 		};
 		
-		// Patrón 1: tags: #tag1, #tag2 o tags: #tag1 #tag2 (al final de párrafos)
-		// Buscar líneas que empiecen con "tags:" seguido de tags
-		html = html.replace(
-			/<p[^>]*>tags:\s*([^<]+)<\/p>/gi,
-			(match, tagsText) => {
-				// Extraer todos los tags (#tag)
-				const tagMatches = tagsText.match(/#[\w-]+/g) || [];
-				if (tagMatches.length === 0) return match;
-				
-				// Convertir cada tag a tag de Notion
-				const notionTags = tagMatches.map(tag => {
-					const tagName = tag.substring(1); // Quitar el #
-					const color = getTagColor(tagName);
-					return `<span class="notion-tag notion-tag--${color}">${this._escapeHtml(tagName)}</span>`;
-				}).join(' ');
-				
-				return `<p class="notion-paragraph">${notionTags}</p>`;
-			}
-		);
-		
-		// Patrón 2: Tags individuales en línea (#tag)
-		// Procesar solo dentro de párrafos y listas, evitando code blocks
-		// Dividir el HTML en partes: dentro y fuera de code blocks
-		const parts = [];
-		let lastIndex = 0;
-		const codeBlockRegex = /<code[^>]*>[\s\S]*?<\/code>/gi;
-		let match;
-		
-		while ((match = codeBlockRegex.exec(html)) !== null) {
-			// Procesar texto antes del code block
-			if (match.index > lastIndex) {
-				const beforeCode = html.substring(lastIndex, match.index);
-				parts.push({ text: beforeCode, isCode: false });
-			}
-			// Guardar el code block sin procesar
-			parts.push({ text: match[0], isCode: true });
-			lastIndex = match.index + match[0].length;
-		}
-		
-		// Procesar el resto del texto
-		if (lastIndex < html.length) {
-			parts.push({ text: html.substring(lastIndex), isCode: false });
-		}
-		
-		// Procesar solo las partes que no son code blocks
-		const processedParts = parts.map(part => {
-			if (part.isCode) {
-				return part.text;
-			}
-			
-			// Reemplazar tags en esta parte
-			return part.text.replace(
-				/(?<![\w-])#([\w-]+)(?![\w-])/g,
-				(match, tagName) => {
-					const color = getTagColor(tagName);
-					return `<span class="notion-tag notion-tag--${color}">${this._escapeHtml(tagName)}</span>`;
-				}
-			);
-		});
-		
-		return processedParts.join('');
-	}
-
-	/**
-	 * Añade target="_blank" a enlaces externos (http/https).
-	 * No añade target a enlaces internos que apuntan a /pages/.
-	 * 
-	 * @private
-	 * @param {string} html - HTML con enlaces
-	 * @returns {string} HTML con target añadido a enlaces externos
-	 */
-	_addTargetToExternalLinks(html) {
-		return html.replace(/<a\s+([^>]*\s+)?href="([^"]+)"([^>]*)>/gi, (match, attrs1, href, attrs2) => {
-			// Si ya tiene target, no modificar
-			const allAttrs = (attrs1 || '') + (attrs2 || '');
-			if (allAttrs.includes('target=')) {
-				return match;
-			}
-			
-			// No añadir target a enlaces internos (que apuntan a /pages/)
-			if (href.includes('/pages/')) {
-				return match;
-			}
+		// Generar HTML de las imágenes en tres columnas
+		let imagesHtml = '';
+		for (let i = 0; i < images.length; i += 3) {
+			imagesHtml += '<div style="display: flex; gap: 16px; margin-bottom: 16px;">';
 			
-			// Solo añadir target a URLs externas (http/https)
-			if (href.startsWith('http://') || href.startsWith('https://')) {
-				// Asegurar que tenga la clase notion-text-link
-				let finalAttrs = allAttrs.trim();
-				if (!finalAttrs.includes('class="notion-text-link"')) {
-					finalAttrs = `class="notion-text-link" ${finalAttrs}`.trim();
-				}
-				return `<a href="${href}" ${finalAttrs} target="_blank" rel="noopener noreferrer">`;
+			// Columnas 1 a 3 (las que faltan en la última fila se rellenan para mantener el ancho)
+			for (let column = 0; column < 3; column++) {
+				imagesHtml += i + column < images.length
+					? renderImage(images[i + column])
+					: '<div style="flex: 1;"></div>';
 			}
 			
-			return match;
-		});
+			imagesHtml += '</div>';
+		}
+		
+		return `<h1>${this._escapeHtml(title)}</h1>
+		${imagesHtml}`;
 	}
 
 	/**
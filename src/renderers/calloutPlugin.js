@@ -0,0 +1,176 @@
+/**
+ * @fileoverview markdown-it plugin for Obsidian callouts.
+ *
+ * Turns blockquotes that start with a callout marker into callout markup:
+ *
+ *   > [!warning] Custom title
+ *   > Body
+ *
+ *   > [!tip]- Folded by default
+ *   > [!tip]+ Foldable, open by default
+ *
+ * Foldable callouts use <details>/<summary>, so they work in the GM Vault
+ * iframe (and in the offline export) without any script.
+ * Used by MarkdownRenderer for live pages and the offline export.
+ */
+
+/**
+ * Matches the callout marker on the first line of a blockquote.
+ * Groups: type, fold marker (+/-), title.
+ */
+const CALLOUT_MARKER_REGEX = /^\[!([\w-]+)\]([+-])?[ \t]*(.*)$/;
+
+/**
+ * Icon and color (RGB) of each callout type, with Obsidian's aliases.
+ * Unknown types use the "note" style.
+ */
+const CALLOUT_STYLES = {
+	note: { icon: '✏️', color: '2, 122, 255' },
+	abstract: { icon: '📋', color: '83, 223, 221' },
+	summary: { icon: '📋', color: '83, 223, 221' },
+	tldr: { icon: '📋', color: '83, 223, 221' },
+	info: { icon: 'ℹ️', color: '2, 122, 255' },
+	todo: { icon: '☑️', color: '2, 122, 255' },
+	tip: { icon: '🔥', color: '83, 223, 221' },
+	hint: { icon: '🔥', color: '83, 223, 221' },
+	important: { icon: '🔥', color: '83, 223, 221' },
+	success: { icon: '✅', color: '68, 207, 110' },
+	check: { icon: '✅', color: '68, 207, 110' },
+	done: { icon: '✅', color: '68, 207, 110' },
+	question: { icon: '❓', color: '233, 151, 63' },
+	help: { icon: '❓', color: '233, 151, 63' },
+	faq: { icon: '❓', color: '233, 151, 63' },
+	warning: { icon: '⚠️', color: '233, 151, 63' },
+	caution: { icon: '⚠️', color: '233, 151, 63' },
+	attention: { icon: '⚠️', color: '233, 151, 63' },
+	failure: { icon: '❌', color: '251, 70, 76' },
+	fail: { icon: '❌', color: '251, 70, 76' },
+	missing: { icon: '❌', color: '251, 70, 76' },
+	danger: { icon: '⚡', color: '251, 70, 76' },
+	error: { icon: '⚡', color: '251, 70, 76' },
+	bug: { icon: '🐞', color: '251, 70, 76' },
+	example: { icon: '📝', color: '168, 130, 255' },
+	quote: { icon: '💬', color: '158, 158, 158' },
+	cite: { icon: '💬', color: '158, 158, 158' },
+	secret: { icon: '🔒', color: '150, 122, 204' }
+};
+
+/**
+ * Gets the icon and color of a callout type.
+ *
+ * @param {string} type - Callout type (lowercase)
+ * @returns {{icon: string, color: string}} Callout style
+ */
+export function getCalloutStyle(type) {
+	return CALLOUT_STYLES[type] || CALLOUT_STYLES.note;
+}
+
+/**
+ * markdown-it plugin that renders Obsidian callouts.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function calloutPlugin(md) {
+	// Se ejecuta tras el parseo de bloques y antes del inline, para que el título
+	// y el cuerpo se procesen como cualquier otro texto (enlaces, énfasis...)
+	md.core.ruler.after('block', 'callout', state => {
+		const tokens = state.tokens;
+
+		for (let i = 0; i < tokens.length; i++) {
+			if (tokens[i].type !== 'blockquote_open') {
+				continue;
+			}
+			const paragraphOpen = tokens[i + 1];
+			const inline = tokens[i + 2];
+			if (!paragraphOpen || paragraphOpen.type !== 'paragraph_open' || !inline || inline.type !== 'inline') {
+				continue;
+			}
+
+			const newlineIndex = inline.content.indexOf('\n');
+			const firstLine = newlineIndex === -1 ? inline.content : inline.content.slice(0, newlineIndex);
+			const marker = firstLine.trim().match(CALLOUT_MARKER_REGEX);
+			if (!marker) {
+				continue;
+			}
+
+			const closeIndex = findBlockquoteClose(tokens, i);
+			if (closeIndex === -1) {
+				continue;
+			}
+
+			const type = marker[1].toLowerCase();
+			const callout = {
+				type,
+				foldable: Boolean(marker[2]),
+				open: marker[2] !== '-'
+			};
+			tokens[i].type = 'callout_open';
+			tokens[i].meta = callout;
+			tokens[closeIndex].type = 'callout_close';
+			tokens[closeIndex].meta = callout;
+
+			// Título: el texto tras el marcador o, si no hay, el tipo capitalizado
+			const titleOpen = new state.Token('callout_title_open', '', 1);
+			titleOpen.meta = callout;
+			const title = new state.Token('inline', '', 0);
+			title.content = marker[3].trim() || type.charAt(0).toUpperCase() + type.slice(1);
+			title.map = inline.map;
+			title.children = [];
+			const titleClose = new state.Token('callout_title_close', '', -1);
+			titleClose.meta = callout;
+
+			// Cuerpo: el resto del primer párrafo (si lo hay)
+			const body = newlineIndex === -1 ? '' : inline.content.slice(newlineIndex + 1);
+			if (body.trim()) {
+				inline.content = body;
+				tokens.splice(i + 1, 0, titleOpen, title, titleClose);
+			} else {
+				tokens.splice(i + 1, 3, titleOpen, title, titleClose);
+			}
+		}
+	});
+
+	md.renderer.rules.callout_open = (tokens, idx) => {
+		const { type, foldable, open } = tokens[idx].meta;
+		const { icon, color } = getCalloutStyle(type);
+		const classes = `notion-callout notion-callout--${type}${foldable ? ' notion-callout--foldable' : ''}`;
+		const style = `border-left-color: rgb(${color}); background: rgba(${color}, 0.1);`;
+		const fold = foldable ? `<details class="notion-callout-fold"${open ? ' open' : ''}>\n` : '';
+
+		return `<div class="${classes}" data-callout="${type}" style="${style}">\n` +
+			`<div class="notion-callout-icon">${icon}</div>\n` +
+			`<div class="notion-callout-content">\n${fold}`;
+	};
+
+	md.renderer.rules.callout_close = (tokens, idx) => {
+		return `${tokens[idx].meta.foldable ? '</details>\n' : ''}</div>\n</div>\n`;
+	};
+
+	md.renderer.rules.callout_title_open = (tokens, idx) => {
+		const { type, foldable } = tokens[idx].meta;
+		const { color } = getCalloutStyle(type);
+		const tag = foldable ? 'summary' : 'div';
+		return `<${tag} class="notion-callout-title" style="color: rgb(${color});">`;
+	};
+
+	md.renderer.rules.callout_title_close = (tokens, idx) => {
+		return `</${tokens[idx].meta.foldable ? 'summary' : 'div'}>\n`;
+	};
+}
+
+/**
+ * Finds the blockquote_close token that matches a blockquote_open.
+ *
+ * @param {Array} tokens - Block tokens
+ * @param {number} openIndex - Index of the blockquote_open token
+ * @returns {number} Index of the matching close token, or -1
+ */
+function findBlockquoteClose(tokens, openIndex) {
+	const level = tokens[openIndex].level;
+	for (let i = openIndex + 1; i < tokens.length; i++) {
+		if (tokens[i].type === 'blockquote_close' && tokens[i].level === level) {
+			return i;
+		}
+	}
+	return -1;
+}
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview markdown-it plugin that gives the rendered HTML the Notion
+ * classes GM Vault styles (notion-paragraph, notion-bulleted-list, ...).
+ *
+ * Classes are set on the tokens, so nested lists, attributes containing ">"
+ * and markup inside inline code are handled by the parser instead of
+ * regexes over the HTML. The same pass resolves link and image URLs:
+ *
+ * - Relative URLs ("/pages/...") are made absolute with env.baseUrl
+ * - External links (http/https, not /pages/) open in a new tab
+ *
+ * Raw HTML is passed through; only simple formatting tags (<u>, <b>, <del>...)
+ * get their class.
+ */
+
+/**
+ * Class of each block and inline token type.
+ * List items are resolved from the enclosing list (see LIST_ITEM_CLASSES).
+ */
+const TOKEN_CLASSES = {
+	paragraph_open: 'notion-paragraph',
+	bullet_list_open: 'notion-bulleted-list',
+	ordered_list_open: 'notion-numbered-list',
+	blockquote_open: 'notion-quote',
+	table_open: 'notion-table',
+	hr: 'notion-divider',
+	code_block: 'notion-code',
+	code_inline: 'notion-text-code',
+	link_open: 'notion-text-link',
+	strong_open: 'notion-text-bold',
+	em_open: 'notion-text-italic',
+	s_open: 'notion-text-strikethrough'
+};
+
+/**
+ * Class of a list item, by the type of the list that contains it.
+ */
+const LIST_ITEM_CLASSES = {
+	bullet_list_open: 'notion-bulleted-list-item',
+	ordered_list_open: 'notion-numbered-list-item'
+};
+
+/**
+ * Class of the formatting tags written as raw HTML in a note.
+ */
+const HTML_TAG_CLASSES = {
+	b: 'notion-text-bold',
+	strong: 'notion-text-bold',
+	i: 'notion-text-italic',
+	em: 'notion-text-italic',
+	u: 'notion-text-underline',
+	s: 'notion-text-strikethrough',
+	del: 'notion-text-strikethrough'
+};
+
+/**
+ * Matches a single opening HTML tag (quoted attribute values may contain ">").
+ * Groups: tag name, attributes.
+ */
+const HTML_OPEN_TAG_REGEX = /^<([a-z]+)(\s(?:"[^"]*"|'[^']*'|[^"'>])*)?>$/i;
+
+/**
+ * markdown-it plugin that adds Notion classes and resolves link URLs.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function notionClassesPlugin(md) {
+	// Al final del core: después de los callouts y de los tags
+	md.core.ruler.push('notion_classes', state => {
+		const baseUrl = (state.env?.baseUrl || '').replace(/\/$/, '');
+		const lists = [];
+
+		for (const token of state.tokens) {
+			if (token.type === 'bullet_list_open' || token.type === 'ordered_list_open') {
+				lists.push(token.type);
+			} else if (token.type === 'bullet_list_close' || token.type === 'ordered_list_close') {
+				lists.pop();
+			} else if (token.type === 'list_item_open' && lists.length > 0) {
+				token.attrJoin('class', LIST_ITEM_CLASSES[lists[lists.length - 1]]);
+			}
+
+			addTokenClass(token);
+			if (token.type === 'inline' && token.children) {
+				for (const child of token.children) {
+					addTokenClass(child);
+					resolveUrls(child, baseUrl);
+				}
+			}
+		}
+	});
+
+	// Los bloques ``` renderizan los atributos del token en <code>: la clase va en <pre>
+	const defaultFence = md.renderer.rules.fence;
+	md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+		const html = defaultFence(tokens, idx, options, env, self);
+		return html.startsWith('<pre>') ? `<pre class="notion-code">${html.slice('<pre>'.length)}` : html;
+	};
+}
+
+/**
+ * Adds the Notion class of a token (or of a raw formatting tag).
+ *
+ * @param {import('markdown-it/lib/token.mjs').default} token - Token
+ */
+function addTokenClass(token) {
+	const className = TOKEN_CLASSES[token.type];
+	if (className) {
+		token.attrJoin('class', className);
+		return;
+	}
+
+	if (token.type === 'html_inline') {
+		const tag = token.content.match(HTML_OPEN_TAG_REGEX);
+		const tagClass = tag && HTML_TAG_CLASSES[tag[1].toLowerCase()];
+		if (tagClass && !/\sclass=/i.test(tag[2] || '')) {
+			token.content = `<${tag[1]}${tag[2] || ''} class="${tagClass}">`;
+		}
+	}
+}
+
+/**
+ * Makes relative link and image URLs absolute, and opens external links in a new tab.
+ *
+ * @param {import('markdown-it/lib/token.mjs').default} token - Inline token
+ * @param {string} baseUrl - Base URL without trailing slash ('' to keep relative URLs)
+ */
+function resolveUrls(token, baseUrl) {
+	const attribute = token.type === 'link_open' ? 'href' : token.type === 'image' ? 'src' : null;
+	if (!attribute) {
+		return;
+	}
+
+	const url = token.attrGet(attribute);
+	if (!url) {
+		return;
+	}
+	if (baseUrl && url.startsWith('/') && !url.startsWith('//')) {
+		token.attrSet(attribute, `${baseUrl}${url}`);
+		return;
+	}
+
+	// No se abren en otra pestaña los enlaces a páginas (/pages/)
+	if (token.type === 'link_open' && /^https?:\/\//.test(url) && !url.includes('/pages/') && !token.attrGet('target')) {
+		token.attrSet('target', '_blank');
+		token.attrSet('rel', 'noopener noreferrer');
+	}
+}
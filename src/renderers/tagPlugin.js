@@ -0,0 +1,107 @@
+/**
+ * @fileoverview markdown-it plugin for Obsidian tags.
+ *
+ * Parses #tag (letters, digits, "_" and "-") into tag tokens rendered as
+ * Notion tags with a color derived from the tag name. Tags are only parsed
+ * in inline text, so code spans, code blocks, headings ("# Title"), URLs
+ * and HTML attributes (style="color: #fff") are left alone.
+ *
+ * As in Obsidian, a tag needs a non-numeric character (#123 is not a tag).
+ * Hex colors in text (#ff0000, #0af) are not tags either.
+ *
+ * A paragraph with only "tags: #a, #b" becomes a row of tags.
+ */
+
+/**
+ * Notion tag colors (without the "notion-tag--" prefix).
+ */
+const TAG_COLORS = ['default', 'gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+
+/**
+ * Matches the name of a tag after the "#".
+ */
+const TAG_NAME_REGEX = /^[\w-]+/;
+
+/**
+ * Matches tag names that are hex colors: 6 or 8 hex digits, or 3 or 4 with at
+ * least one digit (so #bad, #cafe and #face are still tags).
+ */
+const HEX_COLOR_REGEX = /^(?:[0-9a-f]{6}|[0-9a-f]{8}|(?=[a-f]*\d)[0-9a-f]{3,4})$/i;
+
+/**
+ * Gets a stable color for a tag from its name.
+ *
+ * @param {string} tagName - Tag name (without "#")
+ * @returns {string} Notion color
+ */
+export function getTagColor(tagName) {
+	// Hash simple del nombre para consistencia
+	let hash = 0;
+	for (let i = 0; i < tagName.length; i++) {
+		hash = ((hash << 5) - hash) + tagName.charCodeAt(i);
+		hash = hash & hash; // Convertir a 32bit integer
+	}
+	return TAG_COLORS[Math.abs(hash) % TAG_COLORS.length];
+}
+
+/**
+ * markdown-it plugin that parses and renders Obsidian tags.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function tagPlugin(md) {
+	md.inline.ruler.push('tag', (state, silent) => {
+		const start = state.pos;
+		if (state.src.charCodeAt(start) !== 0x23 /* # */) {
+			return false;
+		}
+		// "a#b" o "x-#y" no son tags
+		if (start > 0 && /[\w-]/.test(state.src[start - 1])) {
+			return false;
+		}
+
+		const name = state.src.slice(start + 1, state.posMax).match(TAG_NAME_REGEX);
+		if (!name || /^\d+$/.test(name[0]) || HEX_COLOR_REGEX.test(name[0])) {
+			return false;
+		}
+
+		if (!silent) {
+			const token = state.push('tag', '', 0);
+			token.content = name[0];
+		}
+		state.pos = start + 1 + name[0].length;
+		return true;
+	});
+
+	// "tags: #a, #b": el párrafo se sustituye por los tags, sin la etiqueta ni las comas
+	md.core.ruler.after('inline', 'tag_line', state => {
+		const tokens = state.tokens;
+
+		for (let i = 1; i < tokens.length; i++) {
+			const inline = tokens[i];
+			if (inline.type !== 'inline' || tokens[i - 1].type !== 'paragraph_open' || !/^tags:/i.test(inline.content)) {
+				continue;
+			}
+			const children = inline.children || [];
+			const tags = children.filter(child => child.type === 'tag');
+			if (tags.length === 0 || children.some(child => !['text', 'softbreak', 'tag'].includes(child.type))) {
+				continue;
+			}
+
+			inline.children = [];
+			tags.forEach((tag, index) => {
+				if (index > 0) {
+					const space = new state.Token('text', '', 0);
+					space.content = ' ';
+					inline.children.push(space);
+				}
+				inline.children.push(tag);
+			});
+		}
+	});
+
+	md.renderer.rules.tag = (tokens, idx) => {
+		const name = tokens[idx].content;
+		return `<span class="notion-tag notion-tag--${getTagColor(name)}">${md.utils.escapeHtml(name)}</span>`;
+	};
+}
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview markdown-it plugin for Obsidian wiki links.
+ *
+ * Parses [[Note]], [[Note|label]] and [[Note#Heading|label]] into wikilink
+ * tokens, so links inside code, inside link text or inside HTML attributes
+ * are left alone. Rendering depends on the env passed to md.render():
+ *
+ *   env.pageMap   Map of lowercase page names/paths to {id, name, slug}.
+ *                 With it, links become GM Vault mentions (plain mentions
+ *                 when the page is not in the map)
+ *   env.baseUrl   Server base URL for the page URLs (optional)
+ *   env.pageUrls  false to leave data-mention-page-url out (offline export,
+ *                 where GM Vault opens pages by ID)
+ *
+ * Without a page map, wiki links become links to /pages/<slug>.
+ * Media embeds (![[map.png]]) are converted before parsing by MarkdownRenderer.
+ */
+
+import { slugify } from '../utils/slugify.js';
+
+/**
+ * Splits the content of a wiki link into target, heading/block and label.
+ * The "\|" escape used inside Markdown tables is accepted as the separator.
+ *
+ * @param {string} content - Text between [[ and ]]
+ * @returns {{target: string, page: string, label: string}} Full target, page part (without #heading) and display text
+ */
+export function parseWikiLink(content) {
+	const separator = content.search(/\\?\|/);
+	const target = (separator === -1 ? content : content.slice(0, separator)).trim();
+	const label = separator === -1 ? '' : content.slice(separator).replace(/^\\?\|/, '').trim();
+	const hashIndex = target.indexOf('#');
+	const page = hashIndex === -1 ? target : target.slice(0, hashIndex).trim();
+	return { target, page, label: label || target };
+}
+
+/**
+ * markdown-it plugin that parses and renders Obsidian wiki links.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function wikiLinkPlugin(md) {
+	// Antes de "link": [[...]] no es un enlace markdown válido, pero "link" consumiría el "["
+	md.inline.ruler.before('link', 'wikilink', (state, silent) => {
+		const start = state.pos;
+		if (state.src.charCodeAt(start) !== 0x5B /* [ */ || state.src.charCodeAt(start + 1) !== 0x5B) {
+			return false;
+		}
+		// Dentro del texto de un enlace no se crean mentions (serían enlaces anidados).
+		// En modo silent (solo al buscar el final de "[texto](url)") tampoco: markdown-it
+		// tomaría el wiki link por un enlace anidado y descartaría el enlace exterior
+		if (silent || state.linkLevel > 0) {
+			return false;
+		}
+
+		const end = state.src.indexOf(']]', start + 2);
+		if (end === -1 || end > state.posMax) {
+			return false;
+		}
+		const content = state.src.slice(start + 2, end);
+		if (!content.trim() || /[[\n]/.test(content)) {
+			return false;
+		}
+
+		if (!silent) {
+			const token = state.push('wikilink', '', 0);
+			token.content = content;
+			token.meta = parseWikiLink(content);
+		}
+		state.pos = end + 2;
+		return true;
+	});
+
+	md.renderer.rules.wikilink = (tokens, idx, options, env = {}) => {
+		const { target, page, label } = tokens[idx].meta;
+		const escape = md.utils.escapeHtml;
+		const urlBase = env.baseUrl || '';
+
+		if (!env.pageMap) {
+			const href = `${urlBase}/pages/${encodeURIComponent(slugify(page || target))}`;
+			return `<a href="${escape(href)}" class="notion-text-link">${escape(label)}</a>`;
+		}
+
+		// Primero el destino completo (nombres con "#"), después la página sin el encabezado
+		const pageInfo = env.pageMap.get(target.toLowerCase()) || env.pageMap.get(page.toLowerCase());
+		if (!pageInfo) {
+			return `<span class="notion-mention notion-mention--plain" data-mention-page-name="${escape(target)}">${escape(label)}</span>`;
+		}
+
+		const name = escape(pageInfo.name);
+		const pageUrl = `${urlBase}/pages/${encodeURIComponent(pageInfo.slug)}`;
+		const urlAttribute = env.pageUrls === false ? '' : ` data-mention-page-url="${escape(pageUrl)}"`;
+		return `<span class="notion-mention notion-mention--link" data-mention-page-id="${escape(pageInfo.id)}" data-mention-page-name="${name}"${urlAttribute} role="button" tabindex="0" aria-label="Open ${name}">${escape(label)}</span>`;
+	};
+}
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Audit log of denied HTTP requests.
+ *
+ * Responsibilities:
+ * - Keep the most recent denied requests in memory
+ * - Append each entry as a JSON line to a log file in the plugin directory
+ * - Truncate the file when it grows too large
+ * - No domain logic
+ */
+
+import { appendFile, stat, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { redactTokens } from '../utils/access.js';
+
+/**
+ * Log file name inside the plugin directory.
+ */
+const AUDIT_LOG_FILE = 'access-denied.log';
+
+/**
+ * Maximum log file size before it is truncated (bytes).
+ */
+const MAX_LOG_FILE_BYTES = 512 * 1024;
+
+/**
+ * Audit log entry.
+ *
+ * @typedef {Object} AuditEntry
+ * @property {string} time - ISO timestamp
+ * @property {string} ip - Client IP (from the tunnel headers when available)
+ * @property {string} method - HTTP method
+ * @property {string} url - Requested URL (tokens redacted)
+ * @property {number} status - Response status code
+ * @property {string} reason - Why the request was denied
+ */
+
+/**
+ * Audit log of denied requests.
+ *
+ * @class AuditLog
+ */
+export class AuditLog {
+	/**
+	 * Creates an AuditLog instance.
+	 *
+	 * @param {string|null} pluginDir - Absolute path to plugin directory (null = memory only)
+	 * @param {number} maxEntries - Number of entries kept in memory
+	 */
+	constructor(pluginDir = null, maxEntries = 100) {
+		/** @type {string|null} */
+		this.filePath = pluginDir ? join(pluginDir, AUDIT_LOG_FILE) : null;
+
+		/** @type {number} */
+		this.maxEntries = maxEntries;
+
+		/** @type {AuditEntry[]} */
+		this.entries = [];
+
+		/** @type {Promise<void>} Serializes file writes */
+		this._writeQueue = Promise.resolve();
+	}
+
+	/**
+	 * Records a denied request.
+	 *
+	 * @param {import('http').IncomingMessage} req - Request
+	 * @param {number} status - Response status code
+	 * @param {string} reason - Why the request was denied
+	 * @returns {AuditEntry} Recorded entry
+	 */
+	record(req, status, reason) {
+		const entry = {
+			time: new Date().toISOString(),
+			ip: this._getClientIp(req),
+			method: req.method,
+			url: redactTokens(req.url || ''),
+			status,
+			reason
+		};
+
+		this.entries.push(entry);
+		if (this.entries.length > this.maxEntries) {
+			this.entries.shift();
+		}
+
+		console.warn(`[AuditLog] ${entry.status} ${entry.method} ${entry.url} from ${entry.ip}: ${reason}`);
+
+		if (this.filePath) {
+			this._writeQueue = this._writeQueue
+				.then(() => this._append(`${JSON.stringify(entry)}\n`))
+				.catch(error => console.error('[AuditLog] Error writing log file:', error));
+		}
+
+		return entry;
+	}
+
+	/**
+	 * Gets the most recent entries (newest last).
+	 *
+	 * @param {number} limit - Maximum number of entries
+	 * @returns {AuditEntry[]} Entries
+	 */
+	getRecent(limit = this.maxEntries) {
+		return this.entries.slice(-limit);
+	}
+
+	/**
+	 * Appends a line to the log file, truncating it first if it is too large.
+	 *
+	 * @private
+	 * @param {string} line - Line to append
+	 * @returns {Promise<void>}
+	 */
+	async _append(line) {
+		try {
+			const { size } = await stat(this.filePath);
+			if (size > MAX_LOG_FILE_BYTES) {
+				await writeFile(this.filePath, line);
+				return;
+			}
+		} catch (error) {
+			// The file does not exist yet: appendFile creates it
+		}
+		await appendFile(this.filePath, line);
+	}
+
+	/**
+	 * Gets the client IP. Behind cloudflared every request comes from localhost,
+	 * so the tunnel headers are used when present.
+	 *
+	 * @private
+	 * @param {import('http').IncomingMessage} req - Request
+	 * @returns {string} Client IP
+	 */
+	_getClientIp(req) {
+		const forwarded = req.headers?.['cf-connecting-ip'] || req.headers?.['x-forwarded-for'];
+		if (forwarded) {
+			return String(forwarded).split(',')[0].trim();
+		}
+		return req.socket?.remoteAddress || 'unknown';
+	}
+}
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Self-signed certificate for the LAN HTTPS listener.
+ *
+ * Responsibilities:
+ * - Generate an ECDSA P-256 key and a self-signed X.509 certificate (no openssl needed)
+ * - Cover the LAN addresses/hostnames in subjectAltName
+ * - Store the pair in the plugin directory and reuse it while it is valid for the hosts,
+ *   so the browser exception only has to be accepted once
+ * - No domain logic
+ */
+
+import { generateKeyPairSync, randomBytes, sign, X509Certificate } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { isIPv4 } from 'net';
+import { join } from 'path';
+
+/**
+ * Folder (inside the plugin directory) where the certificate is stored.
+ */
+const TLS_DIR = 'tls';
+
+/**
+ * Certificate lifetime (days).
+ */
+const CERT_VALIDITY_DAYS = 825;
+
+/**
+ * Certificate is regenerated when it expires within this margin (ms).
+ */
+const RENEW_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Object identifiers used in the certificate.
+ */
+const OIDS = {
+	ECDSA_WITH_SHA256: '1.2.840.10045.4.3.2',
+	COMMON_NAME: '2.5.4.3',
+	ORGANIZATION: '2.5.4.10',
+	SUBJECT_ALT_NAME: '2.5.29.17',
+	BASIC_CONSTRAINTS: '2.5.29.19',
+	EXT_KEY_USAGE: '2.5.29.37',
+	SERVER_AUTH: '1.3.6.1.5.5.7.3.1'
+};
+
+/**
+ * PEM key and certificate.
+ *
+ * @typedef {Object} TlsCredentials
+ * @property {string} key - Private key (PEM)
+ * @property {string} cert - Certificate (PEM)
+ */
+
+/**
+ * Generates and stores the self-signed certificate of the LAN HTTPS listener.
+ *
+ * @class CertificateStore
+ */
+export class CertificateStore {
+	/**
+	 * Creates a CertificateStore instance.
+	 *
+	 * @param {string|null} pluginDir - Absolute path to plugin directory (null = not persisted)
+	 */
+	constructor(pluginDir = null) {
+		/** @type {string|null} */
+		this.dir = pluginDir ? join(pluginDir, TLS_DIR) : null;
+	}
+
+	/**
+	 * Gets a certificate valid for all the hosts, reusing the stored one when possible.
+	 *
+	 * @param {string[]} hosts - IPv4 addresses and/or hostnames the certificate must cover
+	 * @returns {TlsCredentials} Key and certificate
+	 */
+	getCertificate(hosts) {
+		const stored = this._load();
+		if (stored && this._isValidFor(stored.cert, hosts)) {
+			return stored;
+		}
+
+		console.log(`[CertificateStore] Generating self-signed certificate for ${hosts.join(', ')}`);
+		const credentials = this._generate(hosts);
+		this._save(credentials);
+		return credentials;
+	}
+
+	/**
+	 * Loads the stored key and certificate.
+	 *
+	 * @private
+	 * @returns {TlsCredentials|null} Stored credentials or null
+	 */
+	_load() {
+		if (!this.dir) {
+			return null;
+		}
+		const keyPath = join(this.dir, 'lan-key.pem');
+		const certPath = join(this.dir, 'lan-cert.pem');
+		if (!existsSync(keyPath) || !existsSync(certPath)) {
+			return null;
+		}
+		try {
+			return { key: readFileSync(keyPath, 'utf8'), cert: readFileSync(certPath, 'utf8') };
+		} catch (error) {
+			console.warn('[CertificateStore] Could not read stored certificate:', error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Stores the key and certificate.
+	 *
+	 * @private
+	 * @param {TlsCredentials} credentials - Key and certificate
+	 */
+	_save(credentials) {
+		if (!this.dir) {
+			return;
+		}
+		try {
+			mkdirSync(this.dir, { recursive: true });
+			writeFileSync(join(this.dir, 'lan-key.pem'), credentials.key, { mode: 0o600 });
+			writeFileSync(join(this.dir, 'lan-cert.pem'), credentials.cert);
+		} catch (error) {
+			console.warn('[CertificateStore] Could not store certificate:', error.message);
+		}
+	}
+
+	/**
+	 * Checks that a certificate covers every host and does not expire soon.
+	 *
+	 * @private
+	 * @param {string} certPem - Certificate (PEM)
+	 * @param {string[]} hosts - Hosts to cover
+	 * @returns {boolean} true if the certificate can be reused
+	 */
+	_isValidFor(certPem, hosts) {
+		try {
+			const cert = new X509Certificate(certPem);
+			if (new Date(cert.validTo).getTime() - Date.now() < RENEW_MARGIN_MS) {
+				return false;
+			}
+			return hosts.every(host => (isIPv4(host) ? cert.checkIP(host) : cert.checkHost(host)) !== undefined);
+		} catch (error) {
+			return false;
+		}
+	}
+
+	/**
+	 * Generates a new key and self-signed certificate.
+	 *
+	 * @private
+	 * @param {string[]} hosts - Hosts to cover (the first one is the common name)
+	 * @returns {TlsCredentials} Key and certificate
+	 */
+	_generate(hosts) {
+		const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+		const name = derSequence(
+			derSet(derSequence(derOid(OIDS.COMMON_NAME), derUtf8(hosts[0] || 'localhost'))),
+			derSet(derSequence(derOid(OIDS.ORGANIZATION), derUtf8('GM Vault Exporter')))
+		);
+		const notBefore = new Date(Date.now() - 60 * 60 * 1000);
+		const notAfter = new Date(notBefore.getTime() + CERT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+		const signatureAlgorithm = derSequence(derOid(OIDS.ECDSA_WITH_SHA256));
+
+		const altNames = hosts.map(host => (isIPv4(host)
+			? derTagged(0x87, Buffer.from(host.split('.').map(Number)))
+			: derTagged(0x82, Buffer.from(host, 'ascii'))));
+
+		const extensions = derSequence(
+			derSequence(derOid(OIDS.SUBJECT_ALT_NAME), derOctetString(derSequence(...altNames))),
+			derSequence(derOid(OIDS.BASIC_CONSTRAINTS), derOctetString(derSequence())),
+			derSequence(derOid(OIDS.EXT_KEY_USAGE), derOctetString(derSequence(derOid(OIDS.SERVER_AUTH))))
+		);
+
+		const serial = randomBytes(16);
+		serial[0] = (serial[0] & 0x7f) | 0x01;
+
+		const tbsCertificate = derSequence(
+			derTagged(0xa0, derInteger(Buffer.from([2]))),
+			derInteger(serial),
+			signatureAlgorithm,
+			name,
+			derSequence(derTime(notBefore), derTime(notAfter)),
+			name,
+			publicKey.export({ type: 'spki', format: 'der' }),
+			derTagged(0xa3, extensions)
+		);
+
+		const signature = sign('sha256', tbsCertificate, privateKey);
+		const certificate = derSequence(tbsCertificate, signatureAlgorithm, derBitString(signature));
+
+		return {
+			key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+			cert: toPem(certificate, 'CERTIFICATE')
+		};
+	}
+}
+
+/**
+ * Encodes a DER element with the given tag.
+ *
+ * @param {number} tag - Tag byte
+ * @param {Buffer} content - Element content
+ * @returns {Buffer} DER element
+ */
+function derTagged(tag, content) {
+	const length = content.length;
+	let header;
+	if (length < 0x80) {
+		header = Buffer.from([tag, length]);
+	} else {
+		const lengthBytes = [];
+		for (let value = length; value > 0; value = Math.floor(value / 256)) {
+			lengthBytes.unshift(value & 0xff);
+		}
+		header = Buffer.from([tag, 0x80 | lengthBytes.length, ...lengthBytes]);
+	}
+	return Buffer.concat([header, content]);
+}
+
+/**
+ * @param {...Buffer} elements - Elements
+ * @returns {Buffer} DER SEQUENCE
+ */
+function derSequence(...elements) {
+	return derTagged(0x30, Buffer.concat(elements));
+}
+
+/**
+ * @param {...Buffer} elements - Elements
+ * @returns {Buffer} DER SET
+ */
+function derSet(...elements) {
+	return derTagged(0x31, Buffer.concat(elements));
+}
+
+/**
+ * @param {Buffer} bytes - Unsigned big-endian value (high bit clear)
+ * @returns {Buffer} DER INTEGER
+ */
+function derInteger(bytes) {
+	return derTagged(0x02, bytes);
+}
+
+/**
+ * @param {Buffer} bytes - Content
+ * @returns {Buffer} DER OCTET STRING
+ */
+function derOctetString(bytes) {
+	return derTagged(0x04, bytes);
+}
+
+/**
+ * @param {Buffer} bytes - Content (no unused bits)
+ * @returns {Buffer} DER BIT STRING
+ */
+function derBitString(bytes) {
+	return derTagged(0x03, Buffer.concat([Buffer.from([0]), bytes]));
+}
+
+/**
+ * @param {string} text - Text
+ * @returns {Buffer} DER UTF8String
+ */
+function derUtf8(text) {
+	return derTagged(0x0c, Buffer.from(text, 'utf8'));
+}
+
+/**
+ * Encodes a date as UTCTime (years before 2050).
+ *
+ * @param {Date} date - Date
+ * @returns {Buffer} DER UTCTime
+ */
+function derTime(date) {
+	const iso = date.toISOString();
+	const text = iso.slice(2, 4) + iso.slice(5, 7) + iso.slice(8, 10) + iso.slice(11, 13) + iso.slice(14, 16) + iso.slice(17, 19) + 'Z';
+	return derTagged(0x17, Buffer.from(text, 'ascii'));
+}
+
+/**
+ * @param {string} oid - Dotted object identifier
+ * @returns {Buffer} DER OBJECT IDENTIFIER
+ */
+function derOid(oid) {
+	const parts = oid.split('.').map(Number);
+	const bytes = [parts[0] * 40 + parts[1]];
+	for (const part of parts.slice(2)) {
+		const chunk = [part & 0x7f];
+		for (let value = Math.floor(part / 128); value > 0; value = Math.floor(value / 128)) {
+			chunk.unshift((value & 0x7f) | 0x80);
+		}
+		bytes.push(...chunk);
+	}
+	return derTagged(0x06, Buffer.from(bytes));
+}
+
+/**
+ * @param {Buffer} der - DER bytes
+ * @param {string} label - PEM label
+ * @returns {string} PEM text
+ */
+function toPem(der, label) {
+	const lines = der.toString('base64').match(/.{1,64}/g).join('\n');
+	return `-----BEGIN ${label}-----\n${lines}\n-----END ${label}-----\n`;
+}
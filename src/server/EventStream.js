@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Server-sent events (SSE) stream.
+ *
+ * Responsibilities:
+ * - Keep the open /events connections and the role of each client
+ * - Broadcast named events as JSON, optionally filtered by client
+ * - Send heartbeats so tunnels and proxies do not close idle streams
+ * - No domain logic
+ */
+
+/**
+ * Time between heartbeat comments (ms). cloudflared closes idle streams after ~100s.
+ */
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * Reconnection delay suggested to EventSource clients (ms).
+ */
+const CLIENT_RETRY_MS = 3000;
+
+/**
+ * Connected SSE client.
+ *
+ * @typedef {Object} EventClient
+ * @property {import('http').ServerResponse} res - Open response
+ * @property {Object} meta - Data attached on connect (e.g. the role and the access token)
+ */
+
+/**
+ * Server-sent events stream shared by all /events connections.
+ *
+ * @class EventStream
+ */
+export class EventStream {
+	/**
+	 * Creates an EventStream instance.
+	 */
+	constructor() {
+		/** @type {Set<EventClient>} */
+		this.clients = new Set();
+
+		/** @type {ReturnType<typeof setInterval>|null} */
+		this._heartbeatTimer = null;
+	}
+
+	/**
+	 * Turns a request into an event stream and keeps it open.
+	 *
+	 * @param {import('http').IncomingMessage} req - Request
+	 * @param {import('http').ServerResponse} res - Response
+	 * @param {Object} meta - Data attached to the client (passed to broadcast and disconnect filters)
+	 */
+	connect(req, res, meta = {}) {
+		res.writeHead(200, {
+			'Content-Type': 'text/event-stream; charset=utf-8',
+			'Cache-Control': 'no-cache, no-transform',
+			'Connection': 'keep-alive',
+			'X-Accel-Buffering': 'no'
+		});
+		res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+		const client = { res, meta };
+		this.clients.add(client);
+		this._updateHeartbeat();
+
+		req.on('close', () => {
+			this.clients.delete(client);
+			this._updateHeartbeat();
+		});
+	}
+
+	/**
+	 * Sends an event to the connected clients.
+	 *
+	 * @param {string} event - Event name
+	 * @param {Object} data - Event data (sent as JSON)
+	 * @param {Function|null} filter - Optional (meta) => boolean to choose the clients
+	 * @returns {number} Number of clients the event was sent to
+	 */
+	broadcast(event, data, filter = null) {
+		const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+		let sent = 0;
+		for (const client of this.clients) {
+			if (filter && !filter(client.meta)) {
+				continue;
+			}
+			client.res.write(message);
+			sent++;
+		}
+		return sent;
+	}
+
+	/**
+	 * Returns whether any client is connected.
+	 *
+	 * @returns {boolean} true if there are clients
+	 */
+	hasClients() {
+		return this.clients.size > 0;
+	}
+
+	/**
+	 * Ends the streams of some clients (e.g. those opened with a revoked token).
+	 *
+	 * @param {Function} filter - (meta) => boolean to choose the clients
+	 * @returns {number} Number of streams ended
+	 */
+	disconnect(filter) {
+		let ended = 0;
+		for (const client of this.clients) {
+			if (!filter(client.meta)) {
+				continue;
+			}
+			client.res.end();
+			this.clients.delete(client);
+			ended++;
+		}
+		this._updateHeartbeat();
+		return ended;
+	}
+
+	/**
+	 * Ends every stream (the HTTP server cannot close while they are open).
+	 */
+	closeAll() {
+		for (const client of this.clients) {
+			client.res.end();
+		}
+		this.clients.clear();
+		this._updateHeartbeat();
+	}
+
+	/**
+	 * Starts the heartbeat while there are clients and stops it otherwise.
+	 *
+	 * @private
+	 */
+	_updateHeartbeat() {
+		if (this.clients.size > 0 && !this._heartbeatTimer) {
+			this._heartbeatTimer = setInterval(() => {
+				for (const client of this.clients) {
+					client.res.write(': ping\n\n');
+				}
+			}, HEARTBEAT_INTERVAL_MS);
+		} else if (this.clients.size === 0 && this._heartbeatTimer) {
+			clearInterval(this._heartbeatTimer);
+			this._heartbeatTimer = null;
+		}
+	}
+}
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview In-memory cache of rendered responses.
+ *
+ * Responsibilities:
+ * - Keep rendered bodies (HTML pages, GM Vault JSON) with their ETag and Last-Modified
+ * - Drop the entries built from a vault path when that path changes
+ * - Evict the least recently used entries beyond a maximum
+ * - No domain logic: keys and dependencies are chosen by the caller
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Default maximum number of cached responses.
+ */
+const DEFAULT_MAX_ENTRIES = 200;
+
+/**
+ * Cached response.
+ *
+ * @typedef {Object} CacheEntry
+ * @property {string} body - Rendered body
+ * @property {string} etag - Strong ETag of the body (quoted)
+ * @property {number} lastModified - Time the body was rendered (ms since epoch)
+ * @property {string[]} dependencies - Vault paths the body was built from
+ */
+
+/**
+ * Creates a strong ETag from some content.
+ *
+ * @param {string|Buffer} content - Content
+ * @returns {string} Quoted ETag
+ */
+export function createETag(content) {
+	const hash = createHash('sha1').update(content).digest('base64').replace(/=+$/, '');
+	return `"${hash}"`;
+}
+
+/**
+ * LRU cache of rendered responses.
+ *
+ * @class RenderCache
+ */
+export class RenderCache {
+	/**
+	 * Creates a RenderCache instance.
+	 *
+	 * @param {number} maxEntries - Maximum number of cached responses
+	 */
+	constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+		/** @type {number} */
+		this.maxEntries = maxEntries;
+
+		/** @type {Map<string, CacheEntry>} In insertion order: the first one is the least recently used */
+		this.entries = new Map();
+	}
+
+	/**
+	 * Gets a cached response.
+	 *
+	 * @param {string} key - Cache key
+	 * @returns {CacheEntry|null} Entry, or null if not cached
+	 */
+	get(key) {
+		const entry = this.entries.get(key);
+		if (!entry) {
+			return null;
+		}
+		// Move to the end (most recently used)
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		return entry;
+	}
+
+	/**
+	 * Caches a response.
+	 *
+	 * @param {string} key - Cache key
+	 * @param {string} body - Rendered body
+	 * @param {string[]} dependencies - Vault paths the body was built from (see invalidate)
+	 * @returns {CacheEntry} Cached entry
+	 */
+	set(key, body, dependencies = []) {
+		const entry = {
+			body,
+			etag: createETag(body),
+			lastModified: Date.now(),
+			dependencies
+		};
+
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		while (this.entries.size > this.maxEntries) {
+			this.entries.delete(this.entries.keys().next().value);
+		}
+
+		return entry;
+	}
+
+	/**
+	 * Drops the entries built from a vault path.
+	 *
+	 * @param {string} path - Vault path that changed
+	 * @returns {number} Number of entries dropped
+	 */
+	invalidate(path) {
+		let dropped = 0;
+		for (const [key, entry] of this.entries) {
+			if (entry.dependencies.includes(path)) {
+				this.entries.delete(key);
+				dropped++;
+			}
+		}
+		return dropped;
+	}
+
+	/**
+	 * Drops every entry.
+	 */
+	clear() {
+		this.entries.clear();
+	}
+}
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview In-memory log of served HTTP requests.
+ *
+ * Responsibilities:
+ * - Count requests since the server started
+ * - Keep the most recent requests (tokens redacted) for the control panel
+ * - No domain logic
+ */
+
+import { redactTokens } from '../utils/access.js';
+
+/**
+ * Request log entry.
+ *
+ * @typedef {Object} RequestEntry
+ * @property {string} time - ISO timestamp
+ * @property {string} method - HTTP method
+ * @property {string} url - Requested URL (tokens redacted)
+ * @property {number} status - Response status code
+ * @property {number} durationMs - Time to respond (ms)
+ */
+
+/**
+ * In-memory request log.
+ *
+ * @class RequestLog
+ */
+export class RequestLog {
+	/**
+	 * Creates a RequestLog instance.
+	 *
+	 * @param {number} maxEntries - Number of entries kept in memory
+	 */
+	constructor(maxEntries = 50) {
+		/** @type {number} */
+		this.maxEntries = maxEntries;
+
+		/** @type {RequestEntry[]} */
+		this.entries = [];
+
+		/** @type {number} Requests since the last clear() */
+		this.count = 0;
+	}
+
+	/**
+	 * Records a finished request.
+	 *
+	 * @param {import('http').IncomingMessage} req - Request
+	 * @param {import('http').ServerResponse} res - Response
+	 * @param {number} durationMs - Time to respond (ms)
+	 * @returns {RequestEntry} Recorded entry
+	 */
+	record(req, res, durationMs) {
+		const entry = {
+			time: new Date().toISOString(),
+			method: req.method,
+			url: redactTokens(req.url || ''),
+			status: res.statusCode,
+			durationMs
+		};
+
+		this.count++;
+		this.entries.push(entry);
+		if (this.entries.length > this.maxEntries) {
+			this.entries.shift();
+		}
+
+		return entry;
+	}
+
+	/**
+	 * Gets the most recent entries (newest last).
+	 *
+	 * @param {number} limit - Maximum number of entries
+	 * @returns {RequestEntry[]} Entries
+	 */
+	getRecent(limit = this.maxEntries) {
+		return this.entries.slice(-limit);
+	}
+
+	/**
+	 * Forgets all entries and resets the counter.
+	 */
+	clear() {
+		this.entries = [];
+		this.count = 0;
+	}
+}
@@ -2,15 +2,35 @@
  * @fileoverview Local HTTP server manager.
  *
  * Responsibilities:
- * - Start/stop HTTP server on localhost
+ * - Start/stop HTTP server on localhost (or a chosen interface for LAN play)
+ * - Optional HTTPS listener sharing the same routes
  * - Manage server lifecycle
  * - Register routes
+ * - Conditional responses (ETag / Last-Modified → 304)
+ * - Stream files with Range support (206 Partial Content)
  * - No domain logic
  */
 
+import fs from 'fs';
 import http from 'http';
+import https from 'https';
+import { pipeline } from 'stream';
 import { URL } from 'url';
 
+/**
+ * Number of ports tried when scanning for a free one (requested port included).
+ */
+const MAX_PORT_SCAN = 20;
+
+/**
+ * Cache validators of a response.
+ *
+ * @typedef {Object} CacheValidators
+ * @property {string} [etag] - ETag (quoted, optionally W/ prefixed)
+ * @property {number} [lastModified] - Last modification time (ms since epoch)
+ * @property {string} [cacheControl] - Cache-Control header (default "private, no-cache")
+ */
+
 /**
  * Local HTTP server manager.
  *
@@ -29,36 +49,122 @@ export class ServerManager {
 		/** @type {http.Server|null} */
 		this.server = null;
 		
+		/** @type {https.Server|null} Optional HTTPS listener (LAN mode) */
+		this.httpsServer = null;
+		
+		/** @type {string} Address the listeners are bound to */
+		this.host = '127.0.0.1';
+		
 		/** @type {Map<string, Function>} */
 		this.routes = new Map();
+		
+		/** @type {Function|null} Called with (req, res, durationMs) when a response finishes */
+		this.requestListener = null;
+	}
+
+	/**
+	 * Sets the listener notified when each response finishes (null to remove it).
+	 * Preflight OPTIONS requests are not reported.
+	 *
+	 * @param {Function|null} listener - Called with (req, res, durationMs)
+	 */
+	setRequestListener(listener) {
+		this.requestListener = listener;
+	}
+
+	/**
+	 * Sets the port used on the next start.
+	 *
+	 * @param {number} port - Port to listen on
+	 */
+	setPort(port) {
+		this.port = port;
 	}
 
 	/**
-	 * Starts the HTTP server.
+	 * Starts the HTTP server (and the HTTPS listener if requested).
+	 * With options.portScan, busy ports are skipped and this.port is updated to the one bound.
 	 *
+	 * @param {Object} [options] - Listen options
+	 * @param {string} [options.host] - Address to bind (default 127.0.0.1; 0.0.0.0 = all interfaces)
+	 * @param {boolean} [options.portScan] - Try the next ports if the requested one is in use
+	 * @param {{port: number, key: string, cert: string}|null} [options.https] - HTTPS listener port and PEM key/certificate
 	 * @returns {Promise<void>}
 	 */
-	async start() {
+	async start(options = {}) {
 		if (this.server) {
 			throw new Error('Server is already running');
 		}
 
-		return new Promise((resolve, reject) => {
-			this.server = http.createServer((req, res) => {
-				this._handleRequest(req, res);
-			});
+		this.host = options.host || '127.0.0.1';
+		const handler = (req, res) => {
+			this._handleRequest(req, res);
+		};
 
-			this.server.listen(this.port, '127.0.0.1', () => {
-				resolve();
-			});
+		this.server = http.createServer(handler);
+		try {
+			await this._listenOnFreePort(options.portScan ? MAX_PORT_SCAN : 1);
+
+			if (options.https) {
+				this.httpsServer = https.createServer({ key: options.https.key, cert: options.https.cert }, handler);
+				await this._listen(this.httpsServer, options.https.port);
+			}
+		} catch (error) {
+			await this.stop();
+			throw error;
+		}
+	}
+
+	/**
+	 * Binds the HTTP server to this.port, moving to the next port while it is in use.
+	 *
+	 * @private
+	 * @param {number} maxAttempts - Number of ports to try
+	 * @returns {Promise<void>}
+	 */
+	async _listenOnFreePort(maxAttempts) {
+		const firstPort = this.port;
+		for (let attempt = 1; ; attempt++) {
+			try {
+				await this._listen(this.server, this.port);
+				return;
+			} catch (error) {
+				if (error.code !== 'EADDRINUSE' || attempt >= maxAttempts || this.port >= 65535) {
+					this.port = firstPort;
+					throw maxAttempts > 1 && error.code === 'EADDRINUSE'
+						? new Error(`Ports ${firstPort}-${this.port + attempt - 1} are already in use`)
+						: error;
+				}
+				this.port++;
+			}
+		}
+	}
 
-			this.server.on('error', (err) => {
+	/**
+	 * Binds a server to a port on the configured host.
+	 *
+	 * @private
+	 * @param {http.Server|https.Server} server - Server
+	 * @param {number} port - Port
+	 * @returns {Promise<void>}
+	 */
+	_listen(server, port) {
+		return new Promise((resolve, reject) => {
+			server.once('error', (err) => {
 				if (err.code === 'EADDRINUSE') {
-					reject(new Error(`Port ${this.port} is already in use`));
+					const error = new Error(`Port ${port} is already in use`);
+					error.code = err.code;
+					reject(error);
+				} else if (err.code === 'EADDRNOTAVAIL') {
+					reject(new Error(`Address ${this.host} is not available on this machine`));
 				} else {
 					reject(err);
 				}
 			});
+
+			server.listen(port, this.host, () => {
+				resolve();
+			});
 		});
 	}
 
@@ -68,16 +174,17 @@ export class ServerManager {
 	 * @returns {Promise<void>}
 	 */
 	async stop() {
-		if (!this.server) {
-			return;
-		}
+		const servers = [this.server, this.httpsServer].filter(Boolean);
+		this.server = null;
+		this.httpsServer = null;
 
-		return new Promise((resolve) => {
-			this.server.close(() => {
-				this.server = null;
+		await Promise.all(servers.map(server => new Promise((resolve) => {
+			if (!server.listening) {
 				resolve();
-			});
-		});
+				return;
+			}
+			server.close(() => resolve());
+		})));
 	}
 
 	/**
@@ -118,6 +225,13 @@ export class ServerManager {
 			return;
 		}
 
+		const startTime = Date.now();
+		res.on('finish', () => {
+			if (this.requestListener) {
+				this.requestListener(req, res, Date.now() - startTime);
+			}
+		});
+
 		const url = new URL(req.url, `http://${req.headers.host}`);
 		const method = req.method;
 		const pathname = url.pathname;
@@ -172,16 +286,16 @@ export class ServerManager {
 	 * @returns {RegExp} Regex for matching
 	 */
 	_routeToRegex(route) {
-		// If route ends with /*, capture everything after
+		const toPattern = (path) => path
+			.replace(/\//g, '\\/')
+			.replace(/:(\w+)/g, '([^/]+)');
+		
+		// If route ends with /*, capture everything after (as the last group)
 		if (route.endsWith('/*')) {
-			const basePattern = route.slice(0, -2).replace(/\//g, '\\/');
-			return new RegExp(`^${basePattern}/.*$`);
+			return new RegExp(`^${toPattern(route.slice(0, -2))}/(.*)$`);
 		}
 		
-		const pattern = route
-			.replace(/\//g, '\\/')
-			.replace(/:(\w+)/g, '([^/]+)');
-		return new RegExp(`^${pattern}$`);
+		return new RegExp(`^${toPattern(route)}$`);
 	}
 
 	/**
@@ -211,6 +325,11 @@ export class ServerManager {
 			for (let i = 0; i < paramNames.length; i++) {
 				params[paramNames[i]] = match[i + 1];
 			}
+			
+			// Wildcard routes expose the rest of the path as params.path (still URL-encoded)
+			if (route.endsWith('/*')) {
+				params.path = match[paramNames.length + 1];
+			}
 		}
 		
 		return params;
@@ -226,7 +345,7 @@ export class ServerManager {
 	_setCORSHeaders(res, req = null) {
 		res.setHeader('Access-Control-Allow-Origin', '*');
 		res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-		res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Access-Control-Request-Private-Network');
+		res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Range, Access-Control-Request-Private-Network');
 		res.setHeader('Access-Control-Max-Age', '86400'); // Cache preflight 24h
 		
 		// Private Network Access (Chrome/modern browsers)
@@ -272,5 +391,198 @@ export class ServerManager {
 		res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
 		res.end(html);
 	}
+
+	/**
+	 * Checks whether the client copy is still valid (If-None-Match, or If-Modified-Since
+	 * when the request has no If-None-Match).
+	 *
+	 * @param {http.IncomingMessage} req - Request
+	 * @param {CacheValidators} validators - Validators of the current content
+	 * @returns {boolean} true if a 304 can be sent
+	 */
+	isNotModified(req, validators) {
+		const ifNoneMatch = req.headers['if-none-match'];
+		if (ifNoneMatch) {
+			if (!validators.etag) {
+				return false;
+			}
+			// Weak comparison: W/"x" matches "x"
+			const etag = validators.etag.replace(/^W\//, '');
+			return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+		}
+
+		const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+		if (!isNaN(ifModifiedSince) && validators.lastModified) {
+			// HTTP dates have one-second precision
+			return Math.floor(validators.lastModified / 1000) * 1000 <= ifModifiedSince;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Sends a 304 Not Modified response.
+	 *
+	 * @param {http.ServerResponse} res - Response
+	 * @param {CacheValidators} validators - Validators of the current content
+	 */
+	sendNotModified(res, validators) {
+		res.writeHead(304, this._getCacheHeaders(validators));
+		res.end();
+	}
+
+	/**
+	 * Sends a response with cache validators, or a 304 if the client copy is still valid.
+	 *
+	 * @param {http.IncomingMessage} req - Request
+	 * @param {http.ServerResponse} res - Response
+	 * @param {string|Buffer} body - Body
+	 * @param {string} contentType - Content-Type header
+	 * @param {CacheValidators} validators - Validators of the body
+	 */
+	sendCacheable(req, res, body, contentType, validators) {
+		if (this.isNotModified(req, validators)) {
+			this.sendNotModified(res, validators);
+			return;
+		}
+
+		res.writeHead(200, {
+			...this._getCacheHeaders(validators),
+			'Content-Type': contentType,
+			'Content-Length': Buffer.byteLength(body)
+		});
+		res.end(body);
+	}
+
+	/**
+	 * Streams a file from disk, honoring a single-range Range header (206 Partial Content)
+	 * and the cache validators (304). Multi-range requests get the whole file.
+	 *
+	 * @param {http.IncomingMessage} req - Request
+	 * @param {http.ServerResponse} res - Response
+	 * @param {string} filePath - Absolute path of the file
+	 * @param {number} size - File size in bytes
+	 * @param {string} contentType - Content-Type header
+	 * @param {CacheValidators} validators - Validators of the file
+	 */
+	sendFile(req, res, filePath, size, contentType, validators) {
+		if (this.isNotModified(req, validators)) {
+			this.sendNotModified(res, validators);
+			return;
+		}
+
+		const headers = {
+			...this._getCacheHeaders(validators),
+			'Content-Type': contentType,
+			'Accept-Ranges': 'bytes'
+		};
+
+		const range = this._parseRange(req, size, validators);
+		if (range === false) {
+			res.writeHead(416, { ...headers, 'Content-Range': `bytes */${size}` });
+			res.end();
+			return;
+		}
+
+		let statusCode = 200;
+		let start = 0;
+		let end = size - 1;
+		if (range) {
+			statusCode = 206;
+			({ start, end } = range);
+			headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+		}
+		headers['Content-Length'] = size === 0 ? 0 : end - start + 1;
+
+		if (size === 0) {
+			res.writeHead(statusCode, headers);
+			res.end();
+			return;
+		}
+
+		// Headers are sent once the file is open, so a missing file still gets an error response
+		const stream = fs.createReadStream(filePath, { start, end });
+		stream.once('error', (error) => {
+			if (!res.headersSent) {
+				this._sendError(res, error.code === 'ENOENT' ? 404 : 500, `Error reading file: ${error.message}`);
+			}
+		});
+		stream.once('open', () => {
+			res.writeHead(statusCode, headers);
+			// pipeline closes the file if the client goes away (e.g. seeking in a media player)
+			pipeline(stream, res, (error) => {
+				if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+					console.warn(`[ServerManager] Error streaming ${filePath}: ${error.message}`);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Parses the Range header of a request.
+	 *
+	 * @private
+	 * @param {http.IncomingMessage} req - Request
+	 * @param {number} size - Size of the resource in bytes
+	 * @param {CacheValidators} validators - Validators of the resource (for If-Range)
+	 * @returns {{start: number, end: number}|null|false} Range to send, null to send everything,
+	 *   or false if the range cannot be satisfied (416)
+	 */
+	_parseRange(req, size, validators) {
+		const header = req.headers['range'];
+		if (!header) {
+			return null;
+		}
+
+		// If-Range: the range only applies if the client copy is the current one
+		const ifRange = req.headers['if-range'];
+		if (ifRange && ifRange !== validators.etag
+			&& !(validators.lastModified && new Date(validators.lastModified).toUTCString() === ifRange)) {
+			return null;
+		}
+
+		const match = header.match(/^bytes=(\d*)-(\d*)$/);
+		if (!match || (match[1] === '' && match[2] === '')) {
+			// Unknown unit or several ranges: ignored, the whole file is sent
+			return null;
+		}
+
+		let start;
+		let end;
+		if (match[1] === '') {
+			// bytes=-N: the last N bytes
+			start = Math.max(size - Number(match[2]), 0);
+			end = size - 1;
+		} else {
+			start = Number(match[1]);
+			end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+		}
+
+		if (start >= size || start > end) {
+			return false;
+		}
+		return { start, end };
+	}
+
+	/**
+	 * Builds the ETag / Last-Modified / Cache-Control headers.
+	 *
+	 * @private
+	 * @param {CacheValidators} validators - Validators
+	 * @returns {Object} Headers
+	 */
+	_getCacheHeaders(validators) {
+		const headers = {
+			// Without max-age the browser revalidates every time (cheap with a 304)
+			'Cache-Control': validators.cacheControl || 'private, no-cache'
+		};
+		if (validators.etag) {
+			headers['ETag'] = validators.etag;
+		}
+		if (validators.lastModified) {
+			headers['Last-Modified'] = new Date(validators.lastModified).toUTCString();
+		}
+		return headers;
+	}
 }
 
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview On-disk cache of downscaled images (/images/*?w=...).
+ *
+ * Responsibilities:
+ * - Snap requested widths to a few fixed sizes (bounds the number of cached files)
+ * - Generate thumbnails with the pure JS scaler and store them in the plugin directory
+ * - Generate each thumbnail once even when several requests ask for it at the same time,
+ *   and one thumbnail at a time (the scaler runs on Obsidian's main thread)
+ * - Drop the thumbnails of an image when it changes
+ * - No domain logic
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readdir, stat, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { resizeImage } from '../utils/imageScaler.js';
+
+/**
+ * Folder (inside the plugin directory) where the thumbnails are stored.
+ */
+const THUMBNAIL_DIR = 'thumbnails';
+
+/**
+ * Widths served; a requested width is rounded up to the next one.
+ */
+export const THUMBNAIL_WIDTHS = [200, 400, 800, 1200, 1600, 2400];
+
+/**
+ * Maximum number of remembered images that are not wider than a requested width.
+ */
+const MAX_NOT_SMALLER_KEYS = 1000;
+
+/**
+ * Image to downscale.
+ *
+ * @typedef {Object} ThumbnailSource
+ * @property {string} path - Vault path
+ * @property {string} extension - File extension
+ * @property {number} mtime - Modification time (part of the cache key)
+ * @property {Function} read - Returns a Promise with the file content (ArrayBuffer)
+ */
+
+/**
+ * Cached thumbnail.
+ *
+ * @typedef {Object} Thumbnail
+ * @property {string} filePath - Absolute path of the thumbnail
+ * @property {number} size - Size in bytes
+ * @property {import('../utils/imageScaler.js').THUMBNAIL_FORMATS} format - Image format
+ */
+
+/**
+ * Disk cache of thumbnails.
+ *
+ * @class ThumbnailCache
+ */
+export class ThumbnailCache {
+	/**
+	 * Creates a ThumbnailCache instance.
+	 *
+	 * @param {string|null} pluginDir - Plugin directory (null = thumbnails are not available)
+	 */
+	constructor(pluginDir) {
+		/** @type {string|null} */
+		this.dir = pluginDir ? join(pluginDir, THUMBNAIL_DIR) : null;
+
+		/** @type {Map<string, Promise<Thumbnail|null>>} Thumbnails being generated, by file name */
+		this._pending = new Map();
+
+		/** @type {Set<string>} Keys of images not wider than the requested width (served as they are), oldest first */
+		this._notSmaller = new Set();
+
+		/** @type {Promise<void>} Tail of the generation queue (one generation at a time) */
+		this._queue = Promise.resolve();
+	}
+
+	/**
+	 * Rounds a requested width up to one of THUMBNAIL_WIDTHS.
+	 *
+	 * @param {number} width - Requested width
+	 * @returns {number} Width served
+	 */
+	getWidth(width) {
+		return THUMBNAIL_WIDTHS.find(allowed => allowed >= width) || THUMBNAIL_WIDTHS[THUMBNAIL_WIDTHS.length - 1];
+	}
+
+	/**
+	 * Gets the thumbnail of an image, generating it on the first request.
+	 *
+	 * @param {ThumbnailSource} source - Image
+	 * @param {number} width - Width (one of THUMBNAIL_WIDTHS)
+	 * @param {import('../utils/imageScaler.js').THUMBNAIL_FORMATS|null} format - Format, or null to choose it
+	 * @returns {Promise<Thumbnail|null>} Thumbnail, or null if the image is not wider than width
+	 */
+	async getThumbnail(source, width, format) {
+		if (!this.dir) {
+			return null;
+		}
+
+		const key = `${this._hashPath(source.path)}-${source.mtime}-${width}-${format || 'auto'}`;
+		if (this._notSmaller.has(key)) {
+			return null;
+		}
+
+		const existing = await this._findExisting(key);
+		if (existing) {
+			return existing;
+		}
+
+		if (!this._pending.has(key)) {
+			const generation = this._queue
+				.then(() => this._generate(key, source, width, format))
+				.finally(() => {
+					this._pending.delete(key);
+				});
+			this._queue = generation.then(() => {}, () => {});
+			this._pending.set(key, generation);
+		}
+		return this._pending.get(key);
+	}
+
+	/**
+	 * Deletes the thumbnails of an image (after it changes or is deleted).
+	 *
+	 * @param {string} path - Vault path of the image
+	 * @returns {Promise<void>}
+	 */
+	async invalidate(path) {
+		if (!this.dir) {
+			return;
+		}
+
+		const prefix = `${this._hashPath(path)}-`;
+		for (const key of this._notSmaller) {
+			if (key.startsWith(prefix)) {
+				this._notSmaller.delete(key);
+			}
+		}
+
+		let names;
+		try {
+			names = await readdir(this.dir);
+		} catch (error) {
+			// No thumbnails yet
+			return;
+		}
+		await Promise.all(names
+			.filter(name => name.startsWith(prefix))
+			.map(name => unlink(join(this.dir, name)).catch(() => {})));
+	}
+
+	/**
+	 * Looks for an already generated thumbnail.
+	 *
+	 * @private
+	 * @param {string} key - Thumbnail key
+	 * @returns {Promise<Thumbnail|null>} Thumbnail, or null if not generated yet
+	 */
+	async _findExisting(key) {
+		for (const format of ['jpeg', 'png']) {
+			const filePath = join(this.dir, `${key}.${format}`);
+			try {
+				const stats = await stat(filePath);
+				return { filePath, size: stats.size, format };
+			} catch (error) {
+				// Not in this format
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Downscales an image and stores the result.
+	 *
+	 * @private
+	 * @param {string} key - Thumbnail key
+	 * @param {ThumbnailSource} source - Image
+	 * @param {number} width - Width
+	 * @param {string|null} format - Format, or null to choose it
+	 * @returns {Promise<Thumbnail|null>} Thumbnail, or null if the image is not wider than width
+	 */
+	async _generate(key, source, width, format) {
+		const resized = await resizeImage(await source.read(), source.extension, width, format);
+		if (!resized) {
+			this._rememberNotSmaller(key);
+			return null;
+		}
+
+		await mkdir(this.dir, { recursive: true });
+		const filePath = join(this.dir, `${key}.${resized.format}`);
+		await writeFile(filePath, resized.data);
+
+		return { filePath, size: resized.data.length, format: resized.format };
+	}
+
+	/**
+	 * Remembers that an image is not wider than a width, forgetting the oldest
+	 * entries past MAX_NOT_SMALLER_KEYS.
+	 *
+	 * @private
+	 * @param {string} key - Thumbnail key
+	 */
+	_rememberNotSmaller(key) {
+		this._notSmaller.add(key);
+		for (const oldest of this._notSmaller) {
+			if (this._notSmaller.size <= MAX_NOT_SMALLER_KEYS) {
+				break;
+			}
+			this._notSmaller.delete(oldest);
+		}
+	}
+
+	/**
+	 * Short hash of a vault path (thumbnail file names start with it).
+	 *
+	 * @private
+	 * @param {string} path - Vault path
+	 * @returns {string} Hex hash
+	 */
+	_hashPath(path) {
+		return createHash('sha1').update(path).digest('hex').slice(0, 16);
+	}
+}
@@ -1,26 +1,31 @@
 /**
- * @fileoverview Public HTTPS tunnel manager for localhost.
+ * @fileoverview Public tunnel manager for localhost.
  *
  * Responsibilities:
- * - Create HTTPS tunnel using cloudflared
- * - Auto-download cloudflared if not found
- * - Manage tunnel lifecycle
- * - Provide public URL
+ * - Pick a tunnel provider (cloudflared, custom command, LAN only)
+ * - Manage tunnel lifecycle through the provider interface
+ * - Provide public URL and health
+ *
+ * Providers live in ./tunnels (see TunnelProvider for the interface).
  */
 
-import { spawn, execSync } from 'child_process';
-import { platform, arch } from 'os';
-import { existsSync, mkdirSync, chmodSync, createWriteStream, unlinkSync } from 'fs';
-import { join } from 'path';
-import https from 'https';
+import { CloudflaredProvider } from './tunnels/CloudflaredProvider.js';
+import { CommandTunnelProvider } from './tunnels/CommandTunnelProvider.js';
+import { LanProvider } from './tunnels/LanProvider.js';
 
 /**
- * Base URL for cloudflared releases.
+ * Available tunnel providers.
+ * @readonly
+ * @enum {string}
  */
-const CLOUDFLARED_RELEASES_BASE = 'https://github.com/cloudflare/cloudflared/releases/latest/download';
+export const TUNNEL_PROVIDERS = {
+	CLOUDFLARED: 'cloudflared',
+	COMMAND: 'command',
+	LAN: 'lan'
+};
 
 /**
- * Public HTTPS tunnel manager with auto-download support.
+ * Tunnel manager that delegates to a tunnel provider.
  *
  * @class TunnelManager
  */
@@ -35,466 +40,112 @@ export class TunnelManager {
 	constructor(port, pluginDir = null, onProgress = null) {
 		/** @type {number} */
 		this.port = port;
-		
+
 		/** @type {string|null} */
 		this.pluginDir = pluginDir;
-		
+
 		/** @type {Function|null} */
 		this.onProgress = onProgress;
-		
-		/** @type {any|null} */
-		this.tunnel = null;
-		
-		/** @type {string|null} */
-		this.publicUrl = null;
-	}
-
-	/**
-	 * Reports progress to the callback if set.
-	 * @private
-	 * @param {string} message - Progress message
-	 */
-	_reportProgress(message) {
-		if (this.onProgress) {
-			this.onProgress(message);
-		}
-		console.log(`[TunnelManager] ${message}`);
-	}
 
-	/**
-	 * Gets the local binary directory path.
-	 * @private
-	 * @returns {string|null} Path to bin directory, or null if pluginDir not set
-	 */
-	_getBinDir() {
-		if (!this.pluginDir) return null;
-		return join(this.pluginDir, 'bin');
-	}
+		/** @type {import('./tunnels/TunnelProvider.js').TunnelProvider|null} */
+		this.provider = null;
 
-	/**
-	 * Gets the expected local cloudflared binary path.
-	 * @private
-	 * @returns {string|null} Path to cloudflared binary, or null if pluginDir not set
-	 */
-	_getLocalBinaryPath() {
-		const binDir = this._getBinDir();
-		if (!binDir) return null;
-		
-		const os = platform();
-		const binaryName = os === 'win32' ? 'cloudflared.exe' : 'cloudflared';
-		return join(binDir, binaryName);
+		/** @type {Function|null} Called with the exit code when the tunnel dies after start */
+		this.onExit = null;
 	}
 
 	/**
-	 * Gets the download URL for the current platform.
-	 * @private
-	 * @returns {{url: string, needsExtraction: boolean}|null} Download info or null if unsupported
+	 * Sets the local port exposed by the next tunnel.
+	 *
+	 * @param {number} port - Local port
 	 */
-	_getDownloadInfo() {
-		const os = platform();
-		const cpuArch = arch();
-		
-		let filename;
-		let needsExtraction = false;
-		
-		if (os === 'darwin') {
-			// macOS - comes as .tgz
-			if (cpuArch === 'arm64') {
-				filename = 'cloudflared-darwin-arm64.tgz';
-			} else {
-				filename = 'cloudflared-darwin-amd64.tgz';
-			}
-			needsExtraction = true;
-		} else if (os === 'win32') {
-			// Windows - direct .exe
-			if (cpuArch === 'x64') {
-				filename = 'cloudflared-windows-amd64.exe';
-			} else {
-				filename = 'cloudflared-windows-386.exe';
-			}
-		} else if (os === 'linux') {
-			// Linux - direct binary
-			if (cpuArch === 'arm64') {
-				filename = 'cloudflared-linux-arm64';
-			} else if (cpuArch === 'x64') {
-				filename = 'cloudflared-linux-amd64';
-			} else {
-				filename = 'cloudflared-linux-386';
-			}
-		} else {
-			return null;
-		}
-		
-		return {
-			url: `${CLOUDFLARED_RELEASES_BASE}/${filename}`,
-			needsExtraction
-		};
+	setPort(port) {
+		this.port = port;
 	}
 
 	/**
-	 * Downloads a file from URL to destination.
-	 * @private
-	 * @param {string} url - URL to download from
-	 * @param {string} destPath - Destination file path
-	 * @returns {Promise<void>}
+	 * Sets the handler for unexpected tunnel exits (null to remove it).
+	 *
+	 * @param {Function|null} handler - Called with the exit code
 	 */
-	_downloadFile(url, destPath) {
-		return new Promise((resolve, reject) => {
-			const handleResponse = (response) => {
-				// Handle redirects (GitHub uses them)
-				if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-					https.get(response.headers.location, handleResponse).on('error', reject);
-					return;
-				}
-				
-				if (response.statusCode !== 200) {
-					reject(new Error(`Download failed with status ${response.statusCode}`));
-					return;
-				}
-				
-				const totalSize = parseInt(response.headers['content-length'] || '0', 10);
-				let downloadedSize = 0;
-				let lastReportedPercent = -1;
-				
-				const file = createWriteStream(destPath);
-				
-				response.on('data', (chunk) => {
-					downloadedSize += chunk.length;
-					if (totalSize > 0) {
-						const percent = Math.round((downloadedSize / totalSize) * 100);
-						// Solo cuando cambia el porcentaje (se actualiza la misma línea en la barra de estado)
-						if (percent !== lastReportedPercent) {
-							lastReportedPercent = percent;
-							this._reportProgress(`Downloading cloudflared... ${percent}%`);
-						}
-					}
-				});
-				
-				response.pipe(file);
-				
-				file.on('finish', () => {
-					file.close();
-					resolve();
-				});
-				
-				file.on('error', (err) => {
-					unlinkSync(destPath);
-					reject(err);
-				});
-			};
-			
-			https.get(url, handleResponse).on('error', reject);
-		});
+	setExitHandler(handler) {
+		this.onExit = handler;
 	}
 
 	/**
-	 * Extracts a .tgz file (macOS cloudflared).
+	 * Creates the provider for a start request.
+	 *
 	 * @private
-	 * @param {string} tgzPath - Path to .tgz file
-	 * @param {string} destDir - Destination directory
-	 * @returns {Promise<void>}
+	 * @param {Object} options - Start options (see start)
+	 * @returns {import('./tunnels/TunnelProvider.js').TunnelProvider} Provider
 	 */
-	async _extractTgz(tgzPath, destDir) {
-		this._reportProgress('Extracting cloudflared...');
-		
-		// Use tar command (available on macOS)
-		return new Promise((resolve, reject) => {
-			try {
-				execSync(`tar -xzf "${tgzPath}" -C "${destDir}"`, {
-					encoding: 'utf8',
-					stdio: ['ignore', 'pipe', 'pipe']
+	_createProvider(options) {
+		const common = { port: this.port, onProgress: this.onProgress };
+
+		switch (options.provider || TUNNEL_PROVIDERS.CLOUDFLARED) {
+			case TUNNEL_PROVIDERS.CLOUDFLARED:
+				return new CloudflaredProvider({
+					...common,
+					pluginDir: this.pluginDir,
+					useBundledOnly: options.useBundledOnly === true,
+					namedTunnel: options.namedTunnel || null
 				});
-				resolve();
-			} catch (err) {
-				reject(new Error(`Failed to extract cloudflared: ${err.message}`));
-			}
-		});
-	}
-
-	/**
-	 * Downloads and installs cloudflared to the plugin directory.
-	 * @private
-	 * @returns {Promise<string>} Path to the installed binary
-	 */
-	async _downloadCloudflared() {
-		const downloadInfo = this._getDownloadInfo();
-		if (!downloadInfo) {
-			throw new Error(`Unsupported platform: ${platform()} ${arch()}`);
-		}
-		
-		const binDir = this._getBinDir();
-		if (!binDir) {
-			throw new Error('Plugin directory not configured for cloudflared download');
-		}
-		
-		// Create bin directory if needed
-		if (!existsSync(binDir)) {
-			mkdirSync(binDir, { recursive: true });
-		}
-		
-		const localBinaryPath = this._getLocalBinaryPath();
-		const os = platform();
-		
-		this._reportProgress('Downloading cloudflared (first time setup)...');
-		
-		if (downloadInfo.needsExtraction) {
-			// macOS: download .tgz and extract
-			const tgzPath = join(binDir, 'cloudflared.tgz');
-			
-			await this._downloadFile(downloadInfo.url, tgzPath);
-			await this._extractTgz(tgzPath, binDir);
-			
-			// Clean up .tgz
-			try {
-				unlinkSync(tgzPath);
-			} catch (e) {
-				// Ignore cleanup errors
-			}
-		} else {
-			// Windows/Linux: download directly
-			await this._downloadFile(downloadInfo.url, localBinaryPath);
-		}
-		
-		// Make executable (Unix only)
-		if (os !== 'win32' && existsSync(localBinaryPath)) {
-			chmodSync(localBinaryPath, 0o755);
-		}
-		
-		// Verify it works
-		try {
-			execSync(`"${localBinaryPath}" --version`, {
-				encoding: 'utf8',
-				stdio: ['ignore', 'pipe', 'pipe']
-			});
-			this._reportProgress('cloudflared installed successfully!');
-		} catch (err) {
-			throw new Error(`Downloaded cloudflared but it failed to run: ${err.message}`);
-		}
-		
-		return localBinaryPath;
-	}
-
-	/**
-	 * Finds cloudflared binary - checks system paths and local binary.
-	 * Downloads if not found and pluginDir is set.
-	 * @private
-	 * @param {boolean} useBundledOnly - If true, skip system paths (only use/download plugin bin)
-	 * @returns {Promise<string>} Path to cloudflared binary
-	 */
-	async _ensureCloudflared(useBundledOnly = false) {
-		const os = platform();
-		
-		// 1. Check if local binary exists (plugin directory)
-		const localBinaryPath = this._getLocalBinaryPath();
-		if (localBinaryPath && existsSync(localBinaryPath)) {
-			try {
-				execSync(`"${localBinaryPath}" --version`, {
-					encoding: 'utf8',
-					stdio: ['ignore', 'pipe', 'pipe']
+			case TUNNEL_PROVIDERS.COMMAND:
+				return new CommandTunnelProvider({
+					...common,
+					command: options.command,
+					urlPattern: options.urlPattern
 				});
-				this._reportProgress('Using local cloudflared');
-				return localBinaryPath;
-			} catch (e) {
-				// Local binary exists but doesn't work, will try system or re-download
-			}
-		}
-		
-		// 2. Check system paths (skip if useBundledOnly)
-		if (useBundledOnly) {
-			if (this.pluginDir) {
-				return await this._downloadCloudflared();
-			}
-			throw new Error(
-				'Bundled cloudflared only is enabled but plugin directory is not available. Disable the option in Settings or use system cloudflared.'
-			);
-		}
-		
-		const systemPaths = [];
-		
-		if (os === 'darwin') {
-			systemPaths.push('/opt/homebrew/bin/cloudflared');
-			systemPaths.push('/usr/local/bin/cloudflared');
-		} else if (os === 'linux') {
-			systemPaths.push('/usr/local/bin/cloudflared');
-			systemPaths.push('/usr/bin/cloudflared');
-		} else if (os === 'win32') {
-			systemPaths.push('C:\\Program Files\\Cloudflare\\cloudflared.exe');
-			systemPaths.push('C:\\Program Files (x86)\\Cloudflare\\cloudflared.exe');
-		}
-		
-		// Try 'which' or 'where' first
-		try {
-			if (os === 'win32') {
-				const result = execSync('where cloudflared.exe', {
-					encoding: 'utf8',
-					stdio: ['ignore', 'pipe', 'ignore']
-				}).trim();
-				if (result) {
-					this._reportProgress('Using system cloudflared');
-					return result.split('\n')[0];
-				}
-			} else {
-				const result = execSync('which cloudflared', {
-					encoding: 'utf8',
-					stdio: ['ignore', 'pipe', 'ignore']
-				}).trim();
-				if (result) {
-					this._reportProgress('Using system cloudflared');
-					return result;
-				}
-			}
-		} catch (e) {
-			// Not in PATH
-		}
-		
-		// Try common paths
-		for (const path of systemPaths) {
-			try {
-				execSync(`"${path}" --version`, {
-					encoding: 'utf8',
-					stdio: ['ignore', 'pipe', 'ignore']
+			case TUNNEL_PROVIDERS.LAN:
+				return new LanProvider({
+					...common,
+					host: options.lanHost || null,
+					httpsPort: options.lanHttpsPort || null
 				});
-				this._reportProgress('Using system cloudflared');
-				return path;
-			} catch (e) {
-				// This path doesn't work
-			}
-		}
-		
-		// 3. Not found - download if we can
-		if (this.pluginDir) {
-			return await this._downloadCloudflared();
+			default:
+				throw new Error(`Unknown tunnel provider: ${options.provider}`);
 		}
-		
-		// 4. Can't download - throw helpful error
-		throw new Error(
-			'cloudflared not found. Please install it:\n' +
-			'• macOS: brew install cloudflared\n' +
-			'• Windows: winget install Cloudflare.cloudflared\n' +
-			'• Linux: https://developers.cloudflare.com/cloudflare-one/connections/connect-apps/install-and-setup/installation/'
-		);
 	}
 
 	/**
-	 * Starts the HTTPS tunnel using cloudflared.
+	 * Starts the tunnel.
 	 *
-	 * @param {{ useBundledOnly?: boolean }} [options] - useBundledOnly: ignore system cloudflared, use/download only plugin bin
+	 * @param {Object} [options] - Start options
+	 * @param {TUNNEL_PROVIDERS} [options.provider] - Provider (default cloudflared)
+	 * @param {boolean} [options.useBundledOnly] - cloudflared: ignore system cloudflared, use/download only plugin bin
+	 * @param {import('./tunnels/CloudflaredProvider.js').NamedTunnelConfig|null} [options.namedTunnel] - cloudflared: run a named tunnel with a fixed hostname
+	 * @param {string} [options.command] - command: command line to run ("{port}" is replaced)
+	 * @param {string} [options.urlPattern] - command: regular expression of the public URL in the output
+	 * @param {string|null} [options.lanHost] - lan: address to advertise (default: first LAN address)
+	 * @param {number|null} [options.lanHttpsPort] - lan: advertise the HTTPS listener on this port
 	 * @returns {Promise<string>} Tunnel public URL
 	 */
 	async start(options = {}) {
-		if (this.tunnel) {
+		if (this.isActive()) {
 			throw new Error('Tunnel is already active');
 		}
 
-		const useBundledOnly = options.useBundledOnly === true;
-		// Find or download cloudflared
-		const command = await this._ensureCloudflared(useBundledOnly);
-		this._reportProgress('Starting tunnel...');
-
-		return new Promise((resolve, reject) => {
-			// Run cloudflared tunnel
-			this.tunnel = spawn(command, [
-				'tunnel',
-				'--url',
-				`http://localhost:${this.port}`
-			], {
-				stdio: ['ignore', 'pipe', 'pipe'],
-				shell: false
-			});
-
-			let output = '';
-			let errorOutput = '';
-			let urlResolved = false;
-
-			// 30 second timeout to get the URL
-			let timeoutId;
-			
-			const tryResolveUrl = (text) => {
-				if (urlResolved) return;
-				
-				// Look for URL in text (cloudflared may show in different formats)
-				const urlMatch = text.match(/https:\/\/[a-z0-9-]+\.trycloudflare\.com/gi);
-				if (urlMatch && urlMatch.length > 0) {
-					this.publicUrl = urlMatch[0].toLowerCase();
-					urlResolved = true;
-					if (timeoutId) {
-						clearTimeout(timeoutId);
-					}
-					this._reportProgress('Tunnel ready!');
-					resolve(this.publicUrl);
-				}
-			};
-
-			this.tunnel.stdout.on('data', (data) => {
-				const text = data.toString();
-				output += text;
-				tryResolveUrl(text);
-			});
-
-			this.tunnel.stderr.on('data', (data) => {
-				const text = data.toString();
-				errorOutput += text;
-				tryResolveUrl(text);
-			});
-
-			this.tunnel.on('error', (err) => {
-				if (err.code === 'ENOENT') {
-					reject(new Error('cloudflared binary not found or not executable.'));
-				} else {
-					reject(new Error(`Error starting cloudflared: ${err.message}`));
-				}
-			});
-
-			this.tunnel.on('close', (code) => {
-				if (urlResolved) {
-					return;
-				}
-				
-				if (code !== 0 && code !== null && !urlResolved) {
-					const fullOutput = output + errorOutput;
-					let errorMsg = `cloudflared exited with code ${code}`;
-					
-					if (fullOutput) {
-						errorMsg += `\nOutput: ${fullOutput.substring(0, 500)}`;
-					}
-					
-					console.error('cloudflared error:', errorMsg);
-					this.tunnel = null;
-					this.publicUrl = null;
-					
-					if (!urlResolved) {
-						reject(new Error(errorMsg));
-					}
-				}
-			});
-
-			timeoutId = setTimeout(() => {
-				if (!urlResolved) {
-					this.tunnel?.kill();
-					this.tunnel = null;
-					reject(new Error('Timeout waiting for cloudflared URL. Output: ' + (output + errorOutput).substring(0, 500)));
-				}
-			}, 30000);
-		});
+		const provider = this._createProvider(options);
+		provider.onExit = (code) => {
+			if (this.provider === provider && this.onExit) {
+				this.onExit(code);
+			}
+		};
+		this.provider = provider;
+		return provider.start();
 	}
 
 	/**
-	 * Stops the HTTPS tunnel.
+	 * Stops the tunnel.
 	 *
 	 * @returns {Promise<void>}
 	 */
 	async stop() {
-		if (!this.tunnel) {
+		if (!this.provider) {
 			return;
 		}
 
-		try {
-			this.tunnel.kill();
-			this.tunnel = null;
-			this.publicUrl = null;
-		} catch (error) {
-			console.error('Error closing tunnel:', error);
-		}
+		await this.provider.stop();
 	}
 
 	/**
@@ -503,7 +154,7 @@ export class TunnelManager {
 	 * @returns {boolean} true if active
 	 */
 	isActive() {
-		return this.tunnel !== null;
+		return this.provider?.isActive() || false;
 	}
 
 	/**
@@ -512,6 +163,36 @@ export class TunnelManager {
 	 * @returns {string|null} Public URL or null if not active
 	 */
 	getPublicUrl() {
-		return this.publicUrl;
+		return this.provider?.getPublicUrl() || null;
+	}
+
+	/**
+	 * Gets the name of the current provider.
+	 *
+	 * @returns {string|null} Provider name or null if no tunnel was started
+	 */
+	getProviderName() {
+		return this.provider?.name || null;
+	}
+
+	/**
+	 * Gets the recent output of the tunnel process (empty for providers without a process).
+	 *
+	 * @returns {string} Output (last lines)
+	 */
+	getOutput() {
+		return this.provider?.getOutput?.() || '';
+	}
+
+	/**
+	 * Checks whether the tunnel is still up.
+	 *
+	 * @returns {Promise<import('./tunnels/TunnelProvider.js').TunnelHealth>} Health status
+	 */
+	async checkHealth() {
+		if (!this.provider) {
+			return { healthy: false, detail: 'No tunnel started' };
+		}
+		return this.provider.checkHealth();
 	}
 }
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Tunnel health supervisor.
+ *
+ * Responsibilities:
+ * - Detect tunnel process exits after start
+ * - Periodically self-check the public URL (${publicUrl}/gm-vault)
+ * - Restart the tunnel with exponential backoff and report the new URL
+ * - Report status changes (connected / reconnecting / down)
+ * - No domain logic
+ */
+
+import http from 'http';
+import https from 'https';
+
+/**
+ * Supervisor statuses.
+ * @readonly
+ * @enum {string}
+ */
+export const TUNNEL_STATUS = {
+	CONNECTED: 'connected',
+	RECONNECTING: 'reconnecting',
+	DOWN: 'down'
+};
+
+/**
+ * Time between self-checks (ms).
+ */
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Timeout of one self-check request (ms).
+ */
+const CHECK_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * Consecutive failed self-checks before the tunnel is restarted.
+ */
+const MAX_FAILED_CHECKS = 2;
+
+/**
+ * Backoff between restart attempts (ms): doubles from the first value up to the max.
+ */
+const RETRY_BASE_DELAY_MS = 2 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 1000;
+
+/**
+ * Failed restart attempts before the status changes from reconnecting to down.
+ */
+const ATTEMPTS_BEFORE_DOWN = 3;
+
+/**
+ * Watches the tunnel and restarts it when it goes down.
+ *
+ * @class TunnelSupervisor
+ */
+export class TunnelSupervisor {
+	/**
+	 * Creates a TunnelSupervisor instance.
+	 *
+	 * @param {import('./TunnelManager.js').TunnelManager} tunnelManager - Tunnel manager to watch
+	 * @param {Object} callbacks - Callbacks
+	 * @param {Function} callbacks.getStartOptions - Returns the options for TunnelManager.start on restart
+	 * @param {Function} [callbacks.onStatusChange] - Called with (status: TUNNEL_STATUS, detail: string)
+	 * @param {Function} [callbacks.onUrlChange] - Called with the public URL after a restart
+	 */
+	constructor(tunnelManager, { getStartOptions, onStatusChange = null, onUrlChange = null }) {
+		/** @type {import('./TunnelManager.js').TunnelManager} */
+		this.tunnelManager = tunnelManager;
+
+		/** @type {Function} */
+		this.getStartOptions = getStartOptions;
+
+		/** @type {Function|null} */
+		this.onStatusChange = onStatusChange;
+
+		/** @type {Function|null} */
+		this.onUrlChange = onUrlChange;
+
+		/** @type {TUNNEL_STATUS|null} Current status (null while not supervising) */
+		this.status = null;
+
+		/** @type {number} Consecutive failed self-checks */
+		this.failedChecks = 0;
+
+		/** @type {ReturnType<typeof setInterval>|null} */
+		this._checkTimer = null;
+
+		/** @type {ReturnType<typeof setTimeout>|null} */
+		this._retryTimer = null;
+
+		/** @type {boolean} A restart is in progress */
+		this._reconnecting = false;
+
+		/** @type {number} Incremented by stop(), so restart attempts started before it give up */
+		this._generation = 0;
+
+		/** @type {boolean} A self-check is in progress */
+		this._checking = false;
+	}
+
+	/**
+	 * Starts supervising the (already started) tunnel.
+	 */
+	start() {
+		this.stop();
+		this.tunnelManager.setExitHandler((code) => {
+			this._reconnect(`Tunnel exited with code ${code}`);
+		});
+		this._checkTimer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+		this._setStatus(TUNNEL_STATUS.CONNECTED, this.tunnelManager.getPublicUrl() || '');
+	}
+
+	/**
+	 * Stops supervising (does not stop the tunnel).
+	 */
+	stop() {
+		this._generation++;
+		clearInterval(this._checkTimer);
+		clearTimeout(this._retryTimer);
+		this._checkTimer = null;
+		this._retryTimer = null;
+		this._reconnecting = false;
+		this.failedChecks = 0;
+		this.status = null;
+		this.tunnelManager.setExitHandler(null);
+	}
+
+	/**
+	 * Returns whether the supervisor is running.
+	 *
+	 * @returns {boolean} true if supervising
+	 */
+	isRunning() {
+		return this.status !== null;
+	}
+
+	/**
+	 * Checks the tunnel process and the public URL; restarts the tunnel when it is down.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async check() {
+		if (!this.isRunning() || this._reconnecting || this._checking) {
+			return;
+		}
+
+		this._checking = true;
+		try {
+			const health = await this.tunnelManager.checkHealth();
+			if (!health.healthy) {
+				this._reconnect(health.detail);
+				return;
+			}
+
+			const url = `${this.tunnelManager.getPublicUrl()}/gm-vault`;
+			const error = await this._probe(url);
+			if (!this.isRunning() || this._reconnecting) {
+				return;
+			}
+			if (!error) {
+				this.failedChecks = 0;
+				return;
+			}
+
+			this.failedChecks++;
+			console.warn(`[TunnelSupervisor] Self-check failed (${this.failedChecks}/${MAX_FAILED_CHECKS}): ${error}`);
+			if (this.failedChecks >= MAX_FAILED_CHECKS) {
+				this._reconnect(`Self-check failed: ${error}`);
+			}
+		} finally {
+			this._checking = false;
+		}
+	}
+
+	/**
+	 * Requests a URL through the tunnel. Any response below 500 comes from our server
+	 * (403 included); 5xx means the tunnel could not reach it.
+	 *
+	 * @private
+	 * @param {string} url - URL to request
+	 * @returns {Promise<string|null>} Error description, or null if the check passed
+	 */
+	_probe(url) {
+		return new Promise((resolve) => {
+			const client = url.startsWith('https:') ? https : http;
+			// LAN mode may use a self-signed certificate
+			const req = client.get(url, { timeout: CHECK_TIMEOUT_MS, rejectUnauthorized: false }, (res) => {
+				res.resume();
+				resolve(res.statusCode < 500 ? null : `HTTP ${res.statusCode}`);
+			});
+			req.on('timeout', () => {
+				req.destroy(new Error('timeout'));
+			});
+			req.on('error', (error) => {
+				resolve(error.message);
+			});
+		});
+	}
+
+	/**
+	 * Restarts the tunnel, retrying with backoff until it comes back or the supervisor stops.
+	 *
+	 * @private
+	 * @param {string} reason - Why the tunnel is restarted
+	 */
+	_reconnect(reason) {
+		if (!this.isRunning() || this._reconnecting) {
+			return;
+		}
+
+		console.warn(`[TunnelSupervisor] Tunnel down: ${reason}`);
+		this._reconnecting = true;
+		this._setStatus(TUNNEL_STATUS.RECONNECTING, reason);
+
+		// Checked after every await: stop() may run while an attempt is in progress
+		const generation = this._generation;
+		const stopped = () => generation !== this._generation || !this._reconnecting;
+
+		const attempt = async (attemptNumber) => {
+			if (stopped()) {
+				return;
+			}
+
+			let publicUrl;
+			try {
+				await this.tunnelManager.stop();
+				if (stopped()) {
+					return;
+				}
+				const starting = this.tunnelManager.start(this.getStartOptions());
+				const provider = this.tunnelManager.provider;
+				publicUrl = await starting;
+				if (stopped()) {
+					// Supervisor stopped while restarting: the new process would never be stopped
+					await provider.stop();
+					return;
+				}
+			} catch (error) {
+				if (stopped()) {
+					return;
+				}
+				const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attemptNumber - 1), RETRY_MAX_DELAY_MS);
+				console.warn(`[TunnelSupervisor] Restart attempt ${attemptNumber} failed: ${error.message}. Retrying in ${delay / 1000}s`);
+				if (attemptNumber >= ATTEMPTS_BEFORE_DOWN) {
+					this._setStatus(TUNNEL_STATUS.DOWN, error.message);
+				}
+				this._retryTimer = setTimeout(() => attempt(attemptNumber + 1), delay);
+				return;
+			}
+
+			this._reconnecting = false;
+			this.failedChecks = 0;
+			this._setStatus(TUNNEL_STATUS.CONNECTED, publicUrl);
+			if (this.onUrlChange) {
+				try {
+					await this.onUrlChange(publicUrl);
+				} catch (error) {
+					console.error('[TunnelSupervisor] Error handling the new tunnel URL:', error);
+				}
+			}
+		};
+
+		this._retryTimer = setTimeout(() => attempt(1), RETRY_BASE_DELAY_MS);
+	}
+
+	/**
+	 * Updates the status and notifies the callback when it changes.
+	 *
+	 * @private
+	 * @param {TUNNEL_STATUS} status - New status
+	 * @param {string} detail - Human-readable detail
+	 */
+	_setStatus(status, detail) {
+		if (this.status === status) {
+			return;
+		}
+		this.status = status;
+		if (this.onStatusChange) {
+			this.onStatusChange(status, detail);
+		}
+	}
+}
@@ -0,0 +1,498 @@
+/**
+ * @fileoverview cloudflared tunnel provider.
+ *
+ * Responsibilities:
+ * - Find cloudflared (plugin bin, system) or download it on first use
+ * - Quick tunnel: random trycloudflare.com hostname, parsed from the output
+ * - Named tunnel: fixed hostname, with a tunnel token or a credentials file
+ */
+
+import { execSync } from 'child_process';
+import { platform, arch } from 'os';
+import { existsSync, mkdirSync, chmodSync, createWriteStream, unlinkSync, readFileSync } from 'fs';
+import { join } from 'path';
+import https from 'https';
+import { ProcessTunnelProvider } from './ProcessTunnelProvider.js';
+
+/**
+ * Base URL for cloudflared releases.
+ */
+const CLOUDFLARED_RELEASES_BASE = 'https://github.com/cloudflare/cloudflared/releases/latest/download';
+
+/**
+ * Quick tunnel URL printed by cloudflared.
+ */
+const QUICK_TUNNEL_URL_REGEX = /https:\/\/[a-z0-9-]+\.trycloudflare\.com/i;
+
+/**
+ * Named tunnel configuration (token or credentials file, plus the public hostname).
+ *
+ * @typedef {Object} NamedTunnelConfig
+ * @property {string} [token] - Tunnel token from the Cloudflare dashboard
+ * @property {string} [credentialsFile] - Absolute path to a tunnel credentials JSON file
+ * @property {string} hostname - Public hostname routed to the tunnel (e.g. "vault.example.com")
+ */
+
+/**
+ * cloudflared tunnel provider with auto-download support.
+ *
+ * @class CloudflaredProvider
+ * @extends ProcessTunnelProvider
+ */
+export class CloudflaredProvider extends ProcessTunnelProvider {
+	/**
+	 * Creates a CloudflaredProvider instance.
+	 *
+	 * @param {Object} options - Provider options
+	 * @param {number} options.port - Local port to expose
+	 * @param {string|null} [options.pluginDir] - Absolute path to plugin directory for storing cloudflared binary
+	 * @param {Function|null} [options.onProgress] - Optional callback for progress updates
+	 * @param {boolean} [options.useBundledOnly] - Ignore system cloudflared, use/download only plugin bin
+	 * @param {NamedTunnelConfig|null} [options.namedTunnel] - Run a named tunnel instead of a quick tunnel
+	 */
+	constructor({ port, pluginDir = null, onProgress = null, useBundledOnly = false, namedTunnel = null }) {
+		super('cloudflared', onProgress);
+
+		/** @type {number} */
+		this.port = port;
+
+		/** @type {string|null} */
+		this.pluginDir = pluginDir;
+
+		/** @type {boolean} */
+		this.useBundledOnly = useBundledOnly;
+
+		/** @type {NamedTunnelConfig|null} */
+		this.namedTunnel = namedTunnel;
+
+		/** @type {{args: string[], env: Object, publicUrl: string}|null} Launch of the running named tunnel */
+		this._named = null;
+	}
+
+	/**
+	 * Starts the tunnel. The named tunnel configuration is validated before
+	 * downloading anything.
+	 *
+	 * @returns {Promise<string>} Tunnel public URL
+	 */
+	async start() {
+		this._named = this.namedTunnel ? this._getNamedTunnelLaunch(this.namedTunnel) : null;
+		return super.start();
+	}
+
+	/**
+	 * Finds or downloads cloudflared.
+	 *
+	 * @returns {Promise<string>} Path to cloudflared binary
+	 */
+	async ensureBinary() {
+		return this._ensureCloudflared(this.useBundledOnly);
+	}
+
+	/**
+	 * Describes the cloudflared process (quick or named tunnel).
+	 *
+	 * @protected
+	 * @param {string} binary - Path to cloudflared
+	 * @returns {Promise<import('./ProcessTunnelProvider.js').ProcessLaunch>} Process launch
+	 */
+	async _getLaunch(binary) {
+		if (this._named) {
+			return { command: binary, args: this._named.args, env: this._named.env };
+		}
+		return {
+			command: binary,
+			args: ['tunnel', '--url', `http://localhost:${this.port}`]
+		};
+	}
+
+	/**
+	 * Quick tunnel: the trycloudflare.com URL in the output. Named tunnel: the URL
+	 * is known, wait until the first connection is registered.
+	 *
+	 * @protected
+	 * @param {string} text - Output chunk
+	 * @returns {string|null} Public URL once ready
+	 */
+	_parseReady(text) {
+		if (this._named) {
+			return /Registered tunnel connection/i.test(text) ? this._named.publicUrl : null;
+		}
+		const urlMatch = text.match(QUICK_TUNNEL_URL_REGEX);
+		return urlMatch ? urlMatch[0].toLowerCase() : null;
+	}
+
+	/**
+	 * Builds the cloudflared arguments for a named tunnel.
+	 * The token is passed through the TUNNEL_TOKEN environment variable so it
+	 * does not show up in the process list.
+	 *
+	 * @private
+	 * @param {NamedTunnelConfig} config - Named tunnel configuration
+	 * @returns {{args: string[], env: Object, publicUrl: string}} Spawn arguments, environment and public URL
+	 */
+	_getNamedTunnelLaunch(config) {
+		const hostname = (config.hostname || '')
+			.trim()
+			.replace(/^https?:\/\//i, '')
+			.replace(/\/+$/, '');
+		if (!hostname) {
+			throw new Error('Named tunnel requires a public hostname (e.g. vault.example.com).');
+		}
+		const publicUrl = `https://${hostname.toLowerCase()}`;
+
+		// Token: the ingress (hostname → http://localhost:<port>) is configured in the Cloudflare dashboard
+		const token = (config.token || '').trim();
+		if (token) {
+			return {
+				args: ['tunnel', '--no-autoupdate', 'run'],
+				env: { ...process.env, TUNNEL_TOKEN: token },
+				publicUrl
+			};
+		}
+
+		// Credentials file: the tunnel ID is read from the file, the origin is this server
+		const credentialsFile = (config.credentialsFile || '').trim();
+		if (credentialsFile) {
+			let tunnelId;
+			try {
+				tunnelId = JSON.parse(readFileSync(credentialsFile, 'utf8')).TunnelID;
+			} catch (err) {
+				throw new Error(`Could not read tunnel credentials file: ${err.message}`);
+			}
+			if (!tunnelId) {
+				throw new Error('Tunnel credentials file has no TunnelID.');
+			}
+			return {
+				args: [
+					'tunnel',
+					'--no-autoupdate',
+					'--cred-file',
+					credentialsFile,
+					'--url',
+					`http://localhost:${this.port}`,
+					'run',
+					tunnelId
+				],
+				env: process.env,
+				publicUrl
+			};
+		}
+
+		throw new Error('Named tunnel requires a tunnel token or a credentials file.');
+	}
+
+	/**
+	 * Gets the local binary directory path.
+	 * @private
+	 * @returns {string|null} Path to bin directory, or null if pluginDir not set
+	 */
+	_getBinDir() {
+		if (!this.pluginDir) return null;
+		return join(this.pluginDir, 'bin');
+	}
+
+	/**
+	 * Gets the expected local cloudflared binary path.
+	 * @private
+	 * @returns {string|null} Path to cloudflared binary, or null if pluginDir not set
+	 */
+	_getLocalBinaryPath() {
+		const binDir = this._getBinDir();
+		if (!binDir) return null;
+		
+		const os = platform();
+		const binaryName = os === 'win32' ? 'cloudflared.exe' : 'cloudflared';
+		return join(binDir, binaryName);
+	}
+
+	/**
+	 * Gets the download URL for the current platform.
+	 * @private
+	 * @returns {{url: string, needsExtraction: boolean}|null} Download info or null if unsupported
+	 */
+	_getDownloadInfo() {
+		const os = platform();
+		const cpuArch = arch();
+		
+		let filename;
+		let needsExtraction = false;
+		
+		if (os === 'darwin') {
+			// macOS - comes as .tgz
+			if (cpuArch === 'arm64') {
+				filename = 'cloudflared-darwin-arm64.tgz';
+			} else {
+				filename = 'cloudflared-darwin-amd64.tgz';
+			}
+			needsExtraction = true;
+		} else if (os === 'win32') {
+			// Windows - direct .exe
+			if (cpuArch === 'x64') {
+				filename = 'cloudflared-windows-amd64.exe';
+			} else {
+				filename = 'cloudflared-windows-386.exe';
+			}
+		} else if (os === 'linux') {
+			// Linux - direct binary
+			if (cpuArch === 'arm64') {
+				filename = 'cloudflared-linux-arm64';
+			} else if (cpuArch === 'x64') {
+				filename = 'cloudflared-linux-amd64';
+			} else {
+				filename = 'cloudflared-linux-386';
+			}
+		} else {
+			return null;
+		}
+		
+		return {
+			url: `${CLOUDFLARED_RELEASES_BASE}/${filename}`,
+			needsExtraction
+		};
+	}
+
+	/**
+	 * Downloads a file from URL to destination.
+	 * @private
+	 * @param {string} url - URL to download from
+	 * @param {string} destPath - Destination file path
+	 * @returns {Promise<void>}
+	 */
+	_downloadFile(url, destPath) {
+		return new Promise((resolve, reject) => {
+			const handleResponse = (response) => {
+				// Handle redirects (GitHub uses them)
+				if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+					https.get(response.headers.location, handleResponse).on('error', reject);
+					return;
+				}
+				
+				if (response.statusCode !== 200) {
+					reject(new Error(`Download failed with status ${response.statusCode}`));
+					return;
+				}
+				
+				const totalSize = parseInt(response.headers['content-length'] || '0', 10);
+				let downloadedSize = 0;
+				let lastReportedPercent = -1;
+				
+				const file = createWriteStream(destPath);
+				
+				response.on('data', (chunk) => {
+					downloadedSize += chunk.length;
+					if (totalSize > 0) {
+						const percent = Math.round((downloadedSize / totalSize) * 100);
+						// Solo cuando cambia el porcentaje (se actualiza la misma línea en la barra de estado)
+						if (percent !== lastReportedPercent) {
+							lastReportedPercent = percent;
+							this._reportProgress(`Downloading cloudflared... ${percent}%`);
+						}
+					}
+				});
+				
+				response.pipe(file);
+				
+				file.on('finish', () => {
+					file.close();
+					resolve();
+				});
+				
+				file.on('error', (err) => {
+					unlinkSync(destPath);
+					reject(err);
+				});
+			};
+			
+			https.get(url, handleResponse).on('error', reject);
+		});
+	}
+
+	/**
+	 * Extracts a .tgz file (macOS cloudflared).
+	 * @private
+	 * @param {string} tgzPath - Path to .tgz file
+	 * @param {string} destDir - Destination directory
+	 * @returns {Promise<void>}
+	 */
+	async _extractTgz(tgzPath, destDir) {
+		this._reportProgress('Extracting cloudflared...');
+		
+		// Use tar command (available on macOS)
+		return new Promise((resolve, reject) => {
+			try {
+				execSync(`tar -xzf "${tgzPath}" -C "${destDir}"`, {
+					encoding: 'utf8',
+					stdio: ['ignore', 'pipe', 'pipe']
+				});
+				resolve();
+			} catch (err) {
+				reject(new Error(`Failed to extract cloudflared: ${err.message}`));
+			}
+		});
+	}
+
+	/**
+	 * Downloads and installs cloudflared to the plugin directory.
+	 * @private
+	 * @returns {Promise<string>} Path to the installed binary
+	 */
+	async _downloadCloudflared() {
+		const downloadInfo = this._getDownloadInfo();
+		if (!downloadInfo) {
+			throw new Error(`Unsupported platform: ${platform()} ${arch()}`);
+		}
+		
+		const binDir = this._getBinDir();
+		if (!binDir) {
+			throw new Error('Plugin directory not configured for cloudflared download');
+		}
+		
+		// Create bin directory if needed
+		if (!existsSync(binDir)) {
+			mkdirSync(binDir, { recursive: true });
+		}
+		
+		const localBinaryPath = this._getLocalBinaryPath();
+		const os = platform();
+		
+		this._reportProgress('Downloading cloudflared (first time setup)...');
+		
+		if (downloadInfo.needsExtraction) {
+			// macOS: download .tgz and extract
+			const tgzPath = join(binDir, 'cloudflared.tgz');
+			
+			await this._downloadFile(downloadInfo.url, tgzPath);
+			await this._extractTgz(tgzPath, binDir);
+			
+			// Clean up .tgz
+			try {
+				unlinkSync(tgzPath);
+			} catch (e) {
+				// Ignore cleanup errors
+			}
+		} else {
+			// Windows/Linux: download directly
+			await this._downloadFile(downloadInfo.url, localBinaryPath);
+		}
+		
+		// Make executable (Unix only)
+		if (os !== 'win32' && existsSync(localBinaryPath)) {
+			chmodSync(localBinaryPath, 0o755);
+		}
+		
+		// Verify it works
+		try {
+			execSync(`"${localBinaryPath}" --version`, {
+				encoding: 'utf8',
+				stdio: ['ignore', 'pipe', 'pipe']
+			});
+			this._reportProgress('cloudflared installed successfully!');
+		} catch (err) {
+			throw new Error(`Downloaded cloudflared but it failed to run: ${err.message}`);
+		}
+		
+		return localBinaryPath;
+	}
+
+	/**
+	 * Finds cloudflared binary - checks system paths and local binary.
+	 * Downloads if not found and pluginDir is set.
+	 * @private
+	 * @param {boolean} useBundledOnly - If true, skip system paths (only use/download plugin bin)
+	 * @returns {Promise<string>} Path to cloudflared binary
+	 */
+	async _ensureCloudflared(useBundledOnly = false) {
+		const os = platform();
+		
+		// 1. Check if local binary exists (plugin directory)
+		const localBinaryPath = this._getLocalBinaryPath();
+		if (localBinaryPath && existsSync(localBinaryPath)) {
+			try {
+				execSync(`"${localBinaryPath}" --version`, {
+					encoding: 'utf8',
+					stdio: ['ignore', 'pipe', 'pipe']
+				});
+				this._reportProgress('Using local cloudflared');
+				return localBinaryPath;
+			} catch (e) {
+				// Local binary exists but doesn't work, will try system or re-download
+			}
+		}
+		
+		// 2. Check system paths (skip if useBundledOnly)
+		if (useBundledOnly) {
+			if (this.pluginDir) {
+				return await this._downloadCloudflared();
+			}
+			throw new Error(
+				'Bundled cloudflared only is enabled but plugin directory is not available. Disable the option in Settings or use system cloudflared.'
+			);
+		}
+		
+		const systemPaths = [];
+		
+		if (os === 'darwin') {
+			systemPaths.push('/opt/homebrew/bin/cloudflared');
+			systemPaths.push('/usr/local/bin/cloudflared');
+		} else if (os === 'linux') {
+			systemPaths.push('/usr/local/bin/cloudflared');
+			systemPaths.push('/usr/bin/cloudflared');
+		} else if (os === 'win32') {
+			systemPaths.push('C:\\Program Files\\Cloudflare\\cloudflared.exe');
+			systemPaths.push('C:\\Program Files (x86)\\Cloudflare\\cloudflared.exe');
+		}
+		
+		// Try 'which' or 'where' first
+		try {
+			if (os === 'win32') {
+				const result = execSync('where cloudflared.exe', {
+					encoding: 'utf8',
+					stdio: ['ignore', 'pipe', 'ignore']
+				}).trim();
+				if (result) {
+					this._reportProgress('Using system cloudflared');
+					return result.split('\n')[0];
+				}
+			} else {
+				const result = execSync('which cloudflared', {
+					encoding: 'utf8',
+					stdio: ['ignore', 'pipe', 'ignore']
+				}).trim();
+				if (result) {
+					this._reportProgress('Using system cloudflared');
+					return result;
+				}
+			}
+		} catch (e) {
+			// Not in PATH
+		}
+		
+		// Try common paths
+		for (const path of systemPaths) {
+			try {
+				execSync(`"${path}" --version`, {
+					encoding: 'utf8',
+					stdio: ['ignore', 'pipe', 'ignore']
+				});
+				this._reportProgress('Using system cloudflared');
+				return path;
+			} catch (e) {
+				// This path doesn't work
+			}
+		}
+		
+		// 3. Not found - download if we can
+		if (this.pluginDir) {
+			return await this._downloadCloudflared();
+		}
+		
+		// 4. Can't download - throw helpful error
+		throw new Error(
+			'cloudflared not found. Please install it:\n' +
+			'• macOS: brew install cloudflared\n' +
+			'• Windows: winget install Cloudflare.cloudflared\n' +
+			'• Linux: https://developers.cloudflare.com/cloudflare-one/connections/connect-apps/install-and-setup/installation/'
+		);
+	}
+}
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Generic command tunnel provider.
+ *
+ * Runs a user-supplied command (ngrok, bore, localtunnel...) and takes the first
+ * URL in its output that matches a pattern as the public URL. Without a pattern,
+ * the first http(s) URL whose host is not a loopback or private address is used
+ * (ngrok logs "addr=http://localhost:3000" before the public URL).
+ *
+ * The command is split into arguments without a shell. "{port}" is replaced
+ * with the local port. Examples:
+ *   ngrok http {port} --log stdout           (URL pattern: https://[a-z0-9-]+\.ngrok-free\.app)
+ *   bore local {port} --to bore.pub          (URL pattern: bore\.pub:\d+)
+ */
+
+import { ProcessTunnelProvider } from './ProcessTunnelProvider.js';
+
+/**
+ * Default pattern for the public URL: any http(s) URL in the output
+ * (loopback and private hosts are skipped, see _isLocalUrl).
+ */
+const DEFAULT_URL_PATTERN = 'https?://[^\\s"\'<>]+';
+
+/**
+ * Hosts that are not public: loopback, unspecified, private and link-local
+ * IPv4 ranges, IPv6 loopback and unique/link-local addresses, and .local names.
+ */
+const LOCAL_HOST_REGEX = /^(?:localhost|.+\.localhost|.+\.local|0\.0\.0\.0|127\.\d+\.\d+\.\d+|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|169\.254\.\d+\.\d+|172\.(?:1[6-9]|2\d|3[01])\.\d+\.\d+|\[(?:::1?|f[cd][0-9a-f]*:.*|fe80:.*)\])$/i;
+
+/**
+ * Tunnel provider that runs any command and parses the public URL from its output.
+ *
+ * @class CommandTunnelProvider
+ * @extends ProcessTunnelProvider
+ */
+export class CommandTunnelProvider extends ProcessTunnelProvider {
+	/**
+	 * Creates a CommandTunnelProvider instance.
+	 *
+	 * @param {Object} options - Provider options
+	 * @param {number} options.port - Local port to expose
+	 * @param {string} options.command - Command line ("{port}" is replaced with the port)
+	 * @param {string} [options.urlPattern] - Regular expression of the public URL in the output
+	 * @param {Function|null} [options.onProgress] - Optional callback for progress updates
+	 * @param {number} [options.startTimeoutMs] - Time to wait for the public URL
+	 */
+	constructor({ port, command, urlPattern = '', onProgress = null, startTimeoutMs }) {
+		super('tunnel command', onProgress, startTimeoutMs);
+
+		/** @type {number} */
+		this.port = port;
+
+		/** @type {string} */
+		this.command = command || '';
+
+		/** @type {boolean} Whether the default pattern is used (local URLs are skipped) */
+		this.defaultPattern = !urlPattern;
+
+		/** @type {RegExp} */
+		this.urlRegex = this._compilePattern(urlPattern || DEFAULT_URL_PATTERN);
+	}
+
+	/**
+	 * Splits the command line into the executable and its arguments.
+	 *
+	 * @returns {Promise<string>} Executable
+	 */
+	async ensureBinary() {
+		const [executable] = this._splitCommand();
+		if (!executable) {
+			throw new Error('No tunnel command configured.');
+		}
+		return executable;
+	}
+
+	/**
+	 * Describes the process to run.
+	 *
+	 * @protected
+	 * @param {string} binary - Executable
+	 * @returns {Promise<import('./ProcessTunnelProvider.js').ProcessLaunch>} Process launch
+	 */
+	async _getLaunch(binary) {
+		return { command: binary, args: this._splitCommand().slice(1) };
+	}
+
+	/**
+	 * Looks for the URL pattern in the output. URLs without a scheme
+	 * (e.g. "bore.pub:4000") are prefixed with http://. With the default
+	 * pattern, loopback and private URLs are skipped.
+	 *
+	 * @protected
+	 * @param {string} text - Output chunk
+	 * @returns {string|null} Public URL
+	 */
+	_parseReady(text) {
+		const matches = this.defaultPattern
+			? [...text.matchAll(new RegExp(this.urlRegex.source, 'gi'))]
+			: [text.match(this.urlRegex)].filter(Boolean);
+
+		for (const [match] of matches) {
+			const url = /^https?:\/\//i.test(match) ? match : `http://${match}`;
+			if (!this.defaultPattern || !this._isLocalUrl(url)) {
+				return url;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Indicates whether a URL points to this machine or the local network.
+	 *
+	 * @private
+	 * @param {string} url - URL
+	 * @returns {boolean} true for loopback, private and link-local hosts (and unparseable URLs)
+	 */
+	_isLocalUrl(url) {
+		try {
+			return LOCAL_HOST_REGEX.test(new URL(url).hostname);
+		} catch (error) {
+			return true;
+		}
+	}
+
+	/**
+	 * Splits the command line into arguments, honoring single and double quotes.
+	 *
+	 * @private
+	 * @returns {string[]} Executable followed by its arguments
+	 */
+	_splitCommand() {
+		const command = this.command.replace(/\{port\}/g, String(this.port));
+		const args = [];
+		const argRegex = /"([^"]*)"|'([^']*)'|(\S+)/g;
+		let match;
+		while ((match = argRegex.exec(command)) !== null) {
+			args.push(match[1] ?? match[2] ?? match[3]);
+		}
+		return args;
+	}
+
+	/**
+	 * Compiles the URL pattern.
+	 *
+	 * @private
+	 * @param {string} pattern - Regular expression source
+	 * @returns {RegExp} Compiled pattern (case-insensitive)
+	 */
+	_compilePattern(pattern) {
+		try {
+			return new RegExp(pattern, 'i');
+		} catch (error) {
+			throw new Error(`Invalid tunnel URL pattern: ${error.message}`);
+		}
+	}
+}
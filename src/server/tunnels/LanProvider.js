@@ -0,0 +1,118 @@
+/**
+ * @fileoverview "No tunnel" provider for LAN-only play.
+ *
+ * Nothing is exposed to the internet: the server is reached directly at
+ * http://<lan-ip>:<port> (or https://<lan-ip>:<https-port> when the self-signed
+ * HTTPS listener is on), so GM Vault must run on the same network.
+ */
+
+import { networkInterfaces } from 'os';
+import { TunnelProvider } from './TunnelProvider.js';
+
+/**
+ * Provider that advertises the LAN address of this machine instead of a tunnel.
+ *
+ * @class LanProvider
+ * @extends TunnelProvider
+ */
+export class LanProvider extends TunnelProvider {
+	/**
+	 * Creates a LanProvider instance.
+	 *
+	 * @param {Object} options - Provider options
+	 * @param {number} options.port - Local port of the server
+	 * @param {string|null} [options.host] - Address to advertise (default: first LAN IPv4 address)
+	 * @param {number|null} [options.httpsPort] - Port of the HTTPS listener; when set, the https URL is advertised
+	 * @param {Function|null} [options.onProgress] - Optional callback for progress updates
+	 */
+	constructor({ port, host = null, httpsPort = null, onProgress = null }) {
+		super('LAN', onProgress);
+
+		/** @type {number} */
+		this.port = port;
+
+		/** @type {string|null} */
+		this.host = host;
+
+		/** @type {number|null} */
+		this.httpsPort = httpsPort;
+
+		/** @type {string|null} */
+		this.publicUrl = null;
+	}
+
+	/**
+	 * Resolves the LAN URL of the server.
+	 *
+	 * @returns {Promise<string>} LAN URL
+	 */
+	async start() {
+		if (this.publicUrl) {
+			throw new Error('Tunnel is already active');
+		}
+
+		const address = this.host || getLanAddress();
+		if (!address) {
+			this._reportProgress('No LAN address found, using localhost');
+		}
+		this.publicUrl = this.httpsPort
+			? `https://${address || 'localhost'}:${this.httpsPort}`
+			: `http://${address || 'localhost'}:${this.port}`;
+		console.log(`[TunnelManager] LAN only: ${this.publicUrl}`);
+		return this.publicUrl;
+	}
+
+	/**
+	 * Forgets the LAN URL.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		this.publicUrl = null;
+	}
+
+	/**
+	 * Gets the LAN URL.
+	 *
+	 * @returns {string|null} LAN URL or null if not active
+	 */
+	getPublicUrl() {
+		return this.publicUrl;
+	}
+
+	/**
+	 * Returns whether the provider is active.
+	 *
+	 * @returns {boolean} true if active
+	 */
+	isActive() {
+		return this.publicUrl !== null;
+	}
+}
+
+/**
+ * Gets the first non-internal IPv4 address of this machine.
+ *
+ * @returns {string|null} IPv4 address or null
+ */
+export function getLanAddress() {
+	return getLanAddresses()[0]?.address || null;
+}
+
+/**
+ * Lists the non-internal IPv4 addresses of this machine.
+ *
+ * @returns {Array<{name: string, address: string}>} Interface name and address
+ */
+export function getLanAddresses() {
+	const result = [];
+	for (const [name, addresses] of Object.entries(networkInterfaces())) {
+		for (const address of addresses || []) {
+			// Node 18.0-18.3 reports the family as a number
+			if ((address.family === 'IPv4' || address.family === 4) && !address.internal) {
+				result.push({ name, address: address.address });
+			}
+		}
+	}
+	return result;
+}
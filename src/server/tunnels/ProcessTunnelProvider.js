@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Base provider for tunnels run as a child process.
+ *
+ * Responsibilities:
+ * - Spawn the tunnel command and watch its output
+ * - Resolve the public URL from the output (or a ready message) with a timeout
+ * - Track process exit so isActive()/checkHealth() reflect reality, and report
+ *   unexpected exits after start through onExit
+ * - Keep the recent output for diagnostics
+ */
+
+import { spawn } from 'child_process';
+import { TunnelProvider } from './TunnelProvider.js';
+
+/**
+ * Default time to wait for the public URL (ms).
+ */
+const DEFAULT_START_TIMEOUT_MS = 30000;
+
+/**
+ * Number of output lines kept for diagnostics.
+ */
+const MAX_OUTPUT_LINES = 200;
+
+/**
+ * Process launch description returned by subclasses.
+ *
+ * @typedef {Object} ProcessLaunch
+ * @property {string} command - Executable
+ * @property {string[]} args - Arguments
+ * @property {Object} [env] - Environment (defaults to process.env)
+ */
+
+/**
+ * Tunnel provider backed by a child process. Subclasses implement
+ * _getLaunch() and _parseReady().
+ *
+ * @class ProcessTunnelProvider
+ * @extends TunnelProvider
+ */
+export class ProcessTunnelProvider extends TunnelProvider {
+	/**
+	 * Creates a ProcessTunnelProvider instance.
+	 *
+	 * @param {string} name - Provider name
+	 * @param {Function|null} onProgress - Optional callback for progress updates
+	 * @param {number} startTimeoutMs - Time to wait for the public URL
+	 */
+	constructor(name, onProgress = null, startTimeoutMs = DEFAULT_START_TIMEOUT_MS) {
+		super(name, onProgress);
+
+		/** @type {import('child_process').ChildProcess|null} */
+		this.process = null;
+
+		/** @type {string|null} */
+		this.publicUrl = null;
+
+		/** @type {number} */
+		this.startTimeoutMs = startTimeoutMs;
+
+		/** @type {string[]} Recent output lines (stdout and stderr) */
+		this.outputLines = [];
+
+		/** @type {number|null} Exit code of the last process, null while running */
+		this.exitCode = null;
+	}
+
+	/**
+	 * Describes the process to run. Called by start() after ensureBinary().
+	 *
+	 * @protected
+	 * @param {string|null} binary - Result of ensureBinary()
+	 * @returns {Promise<ProcessLaunch>} Process launch
+	 */
+	async _getLaunch(binary) {
+		throw new Error(`${this.name}: _getLaunch() not implemented`);
+	}
+
+	/**
+	 * Looks for the public URL in a chunk of output.
+	 *
+	 * @protected
+	 * @param {string} text - Output chunk
+	 * @returns {string|null} Public URL once the tunnel is ready, null otherwise
+	 */
+	_parseReady(text) {
+		throw new Error(`${this.name}: _parseReady() not implemented`);
+	}
+
+	/**
+	 * Starts the tunnel process and waits for its public URL.
+	 *
+	 * @returns {Promise<string>} Public URL
+	 */
+	async start() {
+		if (this.process) {
+			throw new Error('Tunnel is already active');
+		}
+
+		const binary = await this.ensureBinary();
+		const launch = await this._getLaunch(binary);
+		this._reportProgress('Starting tunnel...');
+
+		this.outputLines = [];
+		this.exitCode = null;
+
+		return new Promise((resolve, reject) => {
+			const child = spawn(launch.command, launch.args, {
+				stdio: ['ignore', 'pipe', 'pipe'],
+				shell: false,
+				env: launch.env || process.env
+			});
+			this.process = child;
+
+			let urlResolved = false;
+			let timeoutId = null;
+
+			const fail = (error) => {
+				if (urlResolved) {
+					return;
+				}
+				urlResolved = true;
+				clearTimeout(timeoutId);
+				reject(error);
+			};
+
+			const onOutput = (data) => {
+				const text = data.toString();
+				this._recordOutput(text);
+				if (urlResolved) {
+					return;
+				}
+
+				const url = this._parseReady(text);
+				if (url) {
+					urlResolved = true;
+					clearTimeout(timeoutId);
+					this.publicUrl = url.replace(/\/+$/, '');
+					this._reportProgress('Tunnel ready!');
+					resolve(this.publicUrl);
+				}
+			};
+
+			child.stdout.on('data', onOutput);
+			child.stderr.on('data', onOutput);
+
+			child.on('error', (err) => {
+				if (this.process === child) {
+					this.process = null;
+				}
+				if (err.code === 'ENOENT') {
+					fail(new Error(`${launch.command} not found or not executable.`));
+				} else {
+					fail(new Error(`Error starting ${this.name}: ${err.message}`));
+				}
+			});
+
+			child.on('close', (code) => {
+				this.exitCode = code;
+				// stop() forgets the process before killing it, so this is an unexpected exit
+				const unexpected = this.process === child;
+				if (unexpected) {
+					this.process = null;
+					this.publicUrl = null;
+				}
+				if (urlResolved && unexpected) {
+					this._reportExit(code);
+					return;
+				}
+
+				let errorMsg = `${this.name} exited with code ${code}`;
+				const output = this.getOutput();
+				if (output) {
+					errorMsg += `\nOutput: ${output.substring(0, 500)}`;
+				}
+				if (!urlResolved) {
+					console.error(`${this.name} error:`, errorMsg);
+				}
+				fail(new Error(errorMsg));
+			});
+
+			timeoutId = setTimeout(() => {
+				if (!urlResolved) {
+					this._killProcess();
+					fail(new Error(`Timeout waiting for ${this.name} URL. Output: ${this.getOutput().substring(0, 500)}`));
+				}
+			}, this.startTimeoutMs);
+		});
+	}
+
+	/**
+	 * Stops the tunnel process.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		if (!this.process) {
+			return;
+		}
+
+		try {
+			this._killProcess();
+		} catch (error) {
+			console.error('Error closing tunnel:', error);
+		}
+	}
+
+	/**
+	 * Gets the public URL.
+	 *
+	 * @returns {string|null} Public URL or null if not active
+	 */
+	getPublicUrl() {
+		return this.publicUrl;
+	}
+
+	/**
+	 * Returns whether the tunnel process is running.
+	 *
+	 * @returns {boolean} true if active
+	 */
+	isActive() {
+		return this.process !== null;
+	}
+
+	/**
+	 * Checks that the tunnel process is still running.
+	 *
+	 * @returns {Promise<import('./TunnelProvider.js').TunnelHealth>} Health status
+	 */
+	async checkHealth() {
+		if (this.process && this.process.exitCode === null) {
+			return { healthy: true, detail: `${this.name} running (pid ${this.process.pid})` };
+		}
+		return {
+			healthy: false,
+			detail: this.exitCode !== null ? `${this.name} exited with code ${this.exitCode}` : `${this.name} not running`
+		};
+	}
+
+	/**
+	 * Gets the recent output of the tunnel process.
+	 *
+	 * @returns {string} Output (last lines)
+	 */
+	getOutput() {
+		return this.outputLines.join('\n');
+	}
+
+	/**
+	 * Logs an unexpected exit after start and notifies onExit.
+	 *
+	 * @private
+	 * @param {number|null} code - Exit code
+	 */
+	_reportExit(code) {
+		console.error(`[TunnelManager] ${this.name} exited with code ${code}`);
+		if (this.onExit) {
+			this.onExit(code);
+		}
+	}
+
+	/**
+	 * Kills the tunnel process and forgets it.
+	 *
+	 * @private
+	 */
+	_killProcess() {
+		const child = this.process;
+		this.process = null;
+		this.publicUrl = null;
+		child?.kill();
+	}
+
+	/**
+	 * Stores output lines, keeping only the most recent ones.
+	 *
+	 * @private
+	 * @param {string} text - Output chunk
+	 */
+	_recordOutput(text) {
+		for (const line of text.split(/\r?\n/)) {
+			if (line.trim()) {
+				this.outputLines.push(line);
+			}
+		}
+		if (this.outputLines.length > MAX_OUTPUT_LINES) {
+			this.outputLines.splice(0, this.outputLines.length - MAX_OUTPUT_LINES);
+		}
+	}
+}
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Tunnel provider interface.
+ *
+ * A provider exposes the local HTTP server at a public (or LAN) URL.
+ * TunnelManager picks a provider and delegates the lifecycle to it:
+ *
+ * 1. ensureBinary() - find or install the tool the provider runs (if any)
+ * 2. start()        - open the tunnel and resolve with its public URL
+ * 3. getPublicUrl() / isActive() / checkHealth() while it runs
+ * 4. stop()         - close the tunnel
+ *
+ * Providers call onExit(code) if the tunnel dies after start() resolved.
+ */
+
+/**
+ * Result of a provider health check.
+ *
+ * @typedef {Object} TunnelHealth
+ * @property {boolean} healthy - Whether the tunnel is up
+ * @property {string} detail - Human-readable status
+ */
+
+/**
+ * Base class of the tunnel providers. Subclasses override every method.
+ *
+ * @class TunnelProvider
+ */
+export class TunnelProvider {
+	/**
+	 * Creates a TunnelProvider instance.
+	 *
+	 * @param {string} name - Provider name (for logs and the UI)
+	 * @param {Function|null} onProgress - Optional callback for progress updates (message: string)
+	 */
+	constructor(name, onProgress = null) {
+		/** @type {string} */
+		this.name = name;
+
+		/** @type {Function|null} */
+		this.onProgress = onProgress;
+
+		/** @type {Function|null} Called with the exit code when the tunnel stops on its own after start() */
+		this.onExit = null;
+	}
+
+	/**
+	 * Finds (or installs) the tool the provider runs.
+	 *
+	 * @returns {Promise<string|null>} Path or command of the tool, or null if none is needed
+	 */
+	async ensureBinary() {
+		return null;
+	}
+
+	/**
+	 * Opens the tunnel.
+	 *
+	 * @returns {Promise<string>} Public URL (without trailing slash)
+	 */
+	async start() {
+		throw new Error(`${this.name}: start() not implemented`);
+	}
+
+	/**
+	 * Closes the tunnel.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		throw new Error(`${this.name}: stop() not implemented`);
+	}
+
+	/**
+	 * Gets the public URL.
+	 *
+	 * @returns {string|null} Public URL or null if not active
+	 */
+	getPublicUrl() {
+		return null;
+	}
+
+	/**
+	 * Returns whether the tunnel is active.
+	 *
+	 * @returns {boolean} true if active
+	 */
+	isActive() {
+		return false;
+	}
+
+	/**
+	 * Checks whether the tunnel is still up.
+	 *
+	 * @returns {Promise<TunnelHealth>} Health status
+	 */
+	async checkHealth() {
+		return this.isActive()
+			? { healthy: true, detail: `${this.name} tunnel active` }
+			: { healthy: false, detail: `${this.name} tunnel not running` };
+	}
+
+	/**
+	 * Reports progress to the callback if set.
+	 *
+	 * @protected
+	 * @param {string} message - Progress message
+	 */
+	_reportProgress(message) {
+		if (this.onProgress) {
+			this.onProgress(message);
+		}
+		console.log(`[TunnelManager] ${message}`);
+	}
+}
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Roles de acceso al servidor, tokens y URLs por rol.
+ *
+ * Las rutas (/gm-vault, /pages/:slug, /images/*) se sirven con tres variantes:
+ * - /gm/<token del GM>/...: versión del GM (con el contenido solo para el GM)
+ * - /player/<token de jugador>/...: versión para jugadores
+ * - sin prefijo: versión para jugadores si no se exige token de jugador. Se
+ *   acepta también el token como parámetro (?token=...), del GM o de jugador.
+ *
+ * Las URLs generadas (JSON, mentions, imágenes) usan siempre la forma con prefijo.
+ */
+
+/**
+ * Roles de acceso.
+ * @readonly
+ * @enum {string}
+ */
+export const ROLES = {
+	GM: 'gm',
+	PLAYER: 'player'
+};
+
+/**
+ * Prefijo de las rutas del GM (seguido del token).
+ * @type {string}
+ */
+export const GM_PATH_PREFIX = '/gm';
+
+/**
+ * Prefijo de las rutas de jugadores con token (seguido del token).
+ * @type {string}
+ */
+export const PLAYER_PATH_PREFIX = '/player';
+
+/**
+ * Parámetro de la URL con el que también se acepta un token.
+ * @type {string}
+ */
+export const TOKEN_QUERY_PARAM = 'token';
+
+/**
+ * Tokens de acceso.
+ *
+ * @typedef {Object} AccessTokens
+ * @property {string} gmToken - Token del GM (siempre requerido para la versión del GM)
+ * @property {string|null} playerToken - Token de jugador, o null si no se exige
+ */
+
+/**
+ * Genera un token aleatorio para URLs de acceso.
+ *
+ * @returns {string} Token hexadecimal de 32 caracteres
+ */
+export function generateAccessToken() {
+	const bytes = new Uint8Array(16);
+	globalThis.crypto.getRandomValues(bytes);
+	return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compara dos tokens en tiempo constante (respecto a su contenido).
+ *
+ * @param {string|null|undefined} token - Token recibido
+ * @param {string|null|undefined} expected - Token esperado
+ * @returns {boolean} true si coinciden
+ */
+export function tokensMatch(token, expected) {
+	if (typeof token !== 'string' || typeof expected !== 'string' || token.length !== expected.length || !expected) {
+		return false;
+	}
+	let diff = 0;
+	for (let i = 0; i < expected.length; i++) {
+		diff |= token.charCodeAt(i) ^ expected.charCodeAt(i);
+	}
+	return diff === 0;
+}
+
+/**
+ * Obtiene el rol que da un token, o null si no es válido.
+ *
+ * @param {string|null|undefined} token - Token recibido
+ * @param {AccessTokens} tokens - Tokens de acceso
+ * @returns {ROLES|null} Rol del token
+ */
+export function getTokenRole(token, tokens) {
+	if (tokensMatch(token, tokens.gmToken)) {
+		return ROLES.GM;
+	}
+	if (tokensMatch(token, tokens.playerToken)) {
+		return ROLES.PLAYER;
+	}
+	return null;
+}
+
+/**
+ * Oculta los tokens de acceso de una URL de petición (para logs y la interfaz).
+ *
+ * @param {string} url - URL de la petición (ruta y query)
+ * @returns {string} URL con los tokens reemplazados por "***"
+ */
+export function redactTokens(url) {
+	return url
+		.replace(/^\/(gm|player)\/[^/?]+/, '/$1/***')
+		.replace(/([?&]token=)[^&]*/, '$1***');
+}
+
+/**
+ * Obtiene la URL base para un rol.
+ *
+ * @param {string} baseUrl - URL base del servidor (pública o local)
+ * @param {ROLES} role - Rol
+ * @param {AccessTokens} tokens - Tokens de acceso
+ * @returns {string} URL base del rol
+ */
+export function getRoleBaseUrl(baseUrl, role, tokens) {
+	if (role === ROLES.GM) {
+		return `${baseUrl}${GM_PATH_PREFIX}/${tokens.gmToken}`;
+	}
+	return tokens.playerToken ? `${baseUrl}${PLAYER_PATH_PREFIX}/${tokens.playerToken}` : baseUrl;
+}
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Utilidades para leer y eliminar el frontmatter YAML de las notas.
+ *
+ * Las claves de GM Vault se agrupan bajo `gmvault`, como objeto anidado o con
+ * claves con punto (ambas formas son válidas en Obsidian):
+ *
+ * ```yaml
+ * gmvault:
+ *   title: La taberna
+ *   visibleToPlayers: true
+ *   blockTypes: [table, quote]
+ *   order: 1
+ *   hidden: false
+ *   icon: 🍺
+ * ```
+ */
+
+/**
+ * Prefijo de las claves de GM Vault en el frontmatter.
+ * @type {string}
+ */
+const GMVAULT_KEY = 'gmvault';
+
+/**
+ * Metadatos de página definidos en el frontmatter (solo las claves presentes).
+ *
+ * @typedef {Object} GMVaultMetadata
+ * @property {string} [title] - Nombre de la página en GM Vault
+ * @property {boolean} [visibleToPlayers] - Si la página es visible para los jugadores
+ * @property {string[]} [blockTypes] - Tipos de bloque de la página
+ * @property {number} [order] - Posición de la página dentro de su categoría
+ * @property {boolean} [hidden] - Si la página se excluye de GM Vault
+ * @property {string} [icon] - Icono (emoji) de la página
+ */
+
+/**
+ * Lee los metadatos de GM Vault del frontmatter de una nota usando la caché de Obsidian.
+ * Los valores con tipo incorrecto se ignoran.
+ *
+ * @param {import('obsidian').App} app - App de Obsidian
+ * @param {import('obsidian').TFile} file - Nota
+ * @returns {GMVaultMetadata} Metadatos encontrados (objeto vacío si no hay)
+ */
+export function getGMVaultMetadata(app, file) {
+	return parseGMVaultMetadata(app.metadataCache?.getFileCache(file)?.frontmatter);
+}
+
+/**
+ * Extrae los metadatos de GM Vault de un frontmatter ya parseado
+ * (también sirve para el YAML de las galerías, ver utils/gallery.js).
+ *
+ * @param {Object|null|undefined} frontmatter - Frontmatter parseado
+ * @returns {GMVaultMetadata} Metadatos encontrados (objeto vacío si no hay)
+ */
+export function parseGMVaultMetadata(frontmatter) {
+	if (!frontmatter || typeof frontmatter !== 'object') {
+		return {};
+	}
+	
+	const nested = frontmatter[GMVAULT_KEY] && typeof frontmatter[GMVAULT_KEY] === 'object'
+		? frontmatter[GMVAULT_KEY]
+		: {};
+	const get = (key) => nested[key] !== undefined ? nested[key] : frontmatter[`${GMVAULT_KEY}.${key}`];
+	
+	const metadata = {};
+	
+	const title = get('title');
+	if ((typeof title === 'string' && title.trim() !== '') || typeof title === 'number') {
+		metadata.title = String(title).trim();
+	}
+	
+	const visibleToPlayers = toBoolean(get('visibleToPlayers'));
+	if (visibleToPlayers !== null) {
+		metadata.visibleToPlayers = visibleToPlayers;
+	}
+	
+	let blockTypes = get('blockTypes');
+	if (typeof blockTypes === 'string') {
+		blockTypes = blockTypes.split(',');
+	}
+	if (Array.isArray(blockTypes)) {
+		metadata.blockTypes = blockTypes
+			.map(type => String(type).trim())
+			.filter(type => type !== '');
+	}
+	
+	const order = Number(get('order'));
+	if (get('order') !== undefined && get('order') !== null && get('order') !== '' && Number.isFinite(order)) {
+		metadata.order = order;
+	}
+	
+	const hidden = toBoolean(get('hidden'));
+	if (hidden !== null) {
+		metadata.hidden = hidden;
+	}
+	
+	const icon = get('icon');
+	if (typeof icon === 'string' && icon.trim() !== '') {
+		metadata.icon = icon.trim();
+	}
+	
+	return metadata;
+}
+
+/**
+ * Elimina el bloque de frontmatter (--- ... ---) del inicio del markdown.
+ * Sin esto, markdown-it lo renderiza como una línea horizontal seguida de texto.
+ *
+ * @param {string} markdown - Contenido markdown
+ * @returns {string} Markdown sin frontmatter
+ */
+export function stripFrontmatter(markdown) {
+	return markdown.replace(/^\uFEFF?---[ \t]*\r?\n(?:[\s\S]*?\r?\n)?---[ \t]*(?:\r?\n|$)/, '');
+}
+
+/**
+ * Convierte valores de YAML (true, "yes", 1...) a booleano.
+ *
+ * @param {*} value - Valor del frontmatter
+ * @returns {boolean|null} Booleano o null si no es interpretable
+ */
+export function toBoolean(value) {
+	if (typeof value === 'boolean') {
+		return value;
+	}
+	if (typeof value === 'number') {
+		return value !== 0;
+	}
+	if (typeof value === 'string') {
+		const normalized = value.trim().toLowerCase();
+		if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+		if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+	}
+	return null;
+}
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Metadatos de las galerías (carpetas que solo contienen imágenes).
+ *
+ * Una galería puede llevar un archivo auxiliar (sidecar) con el pie, el orden, la
+ * descripción y la visibilidad de cada imagen: el frontmatter de `_gallery.md`
+ * o un `_gallery.yml` / `_gallery.yaml` en la misma carpeta.
+ *
+ * ```yaml
+ * gmvault:
+ *   visibleToPlayers: true
+ * images:
+ *   mapa.png:
+ *     caption: Mapa de la región
+ *     order: 1
+ *   mazmorra.png:
+ *     caption: Mazmorra
+ *     description: Las salas 3 y 4 están inundadas.
+ *     gmOnly: true
+ * ```
+ *
+ * `images` también puede ser una lista (`- file: mapa.png`); entonces el orden de
+ * la lista es el orden por defecto. El sidecar no cuenta como nota: la carpeta
+ * sigue siendo una galería.
+ */
+
+import { parseGMVaultMetadata, toBoolean } from './frontmatter.js';
+import { isImageExtension } from './mime.js';
+
+/**
+ * Nombres del archivo auxiliar, por prioridad.
+ * @type {string[]}
+ */
+export const GALLERY_SIDECAR_NAMES = ['_gallery.md', '_gallery.yml', '_gallery.yaml'];
+
+/**
+ * Metadatos de una imagen de la galería (solo las claves presentes).
+ *
+ * @typedef {Object} GalleryImageMetadata
+ * @property {string} [caption] - Pie de la imagen (por defecto, el nombre del archivo)
+ * @property {number} [order] - Posición en la galería
+ * @property {string} [description] - Texto bajo el pie
+ * @property {boolean} [gmOnly] - Si la imagen solo la ve el GM
+ */
+
+/**
+ * Metadatos de una galería.
+ *
+ * @typedef {Object} GalleryMetadata
+ * @property {import('../filetree/FileTree.js').FileNode|null} sidecar - Archivo auxiliar, o null si no hay
+ * @property {import('./frontmatter.js').GMVaultMetadata} page - Metadatos de la página (bloque gmvault)
+ * @property {Map<string, GalleryImageMetadata>} images - Metadatos por nombre de archivo (en minúsculas)
+ */
+
+/**
+ * Imagen de una galería con sus metadatos aplicados.
+ *
+ * @typedef {Object} GalleryImage
+ * @property {import('obsidian').TFile} file - Archivo de imagen
+ * @property {string} caption - Pie (el nombre del archivo si no hay otro)
+ * @property {string|null} description - Descripción
+ * @property {boolean} gmOnly - Si la imagen solo la ve el GM
+ */
+
+/**
+ * Indica si un archivo es el sidecar de una galería.
+ *
+ * @param {import('obsidian').TAbstractFile} file - Archivo
+ * @returns {boolean} true si es _gallery.md, _gallery.yml o _gallery.yaml
+ */
+export function isGallerySidecar(file) {
+	return file.children === undefined && GALLERY_SIDECAR_NAMES.includes(file.name.toLowerCase());
+}
+
+/**
+ * Busca el sidecar de una carpeta.
+ *
+ * @param {import('obsidian').TFolder} folder - Carpeta
+ * @returns {import('obsidian').TFile|null} Sidecar, o null si no hay
+ */
+export function getGallerySidecar(folder) {
+	const sidecars = (folder.children || []).filter(isGallerySidecar);
+	for (const name of GALLERY_SIDECAR_NAMES) {
+		const sidecar = sidecars.find(file => file.name.toLowerCase() === name);
+		if (sidecar) {
+			return sidecar;
+		}
+	}
+	return null;
+}
+
+/**
+ * Indica si una carpeta es una galería: tiene imágenes y ni notas (salvo el sidecar) ni subcarpetas.
+ *
+ * @param {import('obsidian').TFolder} folder - Carpeta
+ * @returns {boolean} true si solo contiene imágenes
+ */
+export function isImageOnlyFolder(folder) {
+	const children = folder.children || [];
+	return children.some(child => child.children === undefined && isImageExtension(child.extension)) &&
+		!children.some(child => child.children !== undefined) &&
+		!children.some(child => child.extension === 'md' && !isGallerySidecar(child));
+}
+
+/**
+ * Lee los metadatos de una galería desde su sidecar.
+ * Un YAML inválido se registra y se trata como si no hubiera sidecar.
+ *
+ * @param {import('../filetree/FileTree.js').FileTree} tree - Árbol del vault (lee el frontmatter y el YAML)
+ * @param {import('obsidian').TFolder} folder - Carpeta de la galería
+ * @returns {Promise<GalleryMetadata>} Metadatos (vacíos si no hay sidecar)
+ */
+export async function getGalleryMetadata(tree, folder) {
+	const sidecar = getGallerySidecar(folder);
+	const metadata = { sidecar, page: {}, images: new Map() };
+	if (!sidecar) {
+		return metadata;
+	}
+
+	let data;
+	try {
+		data = sidecar.extension === 'md'
+			? tree.getFrontmatter(sidecar)
+			: await tree.readYaml(sidecar);
+	} catch (error) {
+		console.warn(`[gallery] Invalid YAML in ${sidecar.path}: ${error.message}`);
+		return metadata;
+	}
+	if (!data || typeof data !== 'object') {
+		return metadata;
+	}
+
+	metadata.page = parseGMVaultMetadata(data);
+
+	// images: mapa { archivo: {...} } o lista [{ file, ... }] (la posición es el orden por defecto)
+	const entries = Array.isArray(data.images)
+		? data.images.map((entry, index) => [entry?.file, { order: index + 1, ...entry }])
+		: Object.entries(data.images && typeof data.images === 'object' ? data.images : {});
+
+	for (const [name, value] of entries) {
+		if (typeof name !== 'string' || name.trim() === '') {
+			continue;
+		}
+		metadata.images.set(name.trim().toLowerCase(), parseImageMetadata(value));
+	}
+
+	return metadata;
+}
+
+/**
+ * Aplica los metadatos a las imágenes de una galería: quita las imágenes solo para el GM
+ * si no se incluyen, ordena (primero las que tienen orden, ascendente; el resto en el
+ * orden recibido) y añade pie y descripción.
+ *
+ * @param {import('obsidian').TFile[]} imageFiles - Imágenes, en el orden de Obsidian
+ * @param {GalleryMetadata} metadata - Metadatos de la galería
+ * @param {boolean} includeGMOnly - Si se incluyen las imágenes solo para el GM
+ * @returns {GalleryImage[]} Imágenes a mostrar
+ */
+export function applyGalleryMetadata(imageFiles, metadata, includeGMOnly) {
+	const images = imageFiles.map(file => {
+		const imageMetadata = metadata.images.get(file.name.toLowerCase())
+			|| metadata.images.get(file.basename.toLowerCase())
+			|| {};
+		return {
+			file,
+			caption: imageMetadata.caption || file.name,
+			description: imageMetadata.description || null,
+			gmOnly: imageMetadata.gmOnly === true,
+			order: imageMetadata.order
+		};
+	});
+
+	const visible = images.filter(image => includeGMOnly || !image.gmOnly);
+	const ordered = visible
+		.filter(image => image.order !== undefined)
+		.sort((a, b) => a.order - b.order);
+	const unordered = visible.filter(image => image.order === undefined);
+
+	return [...ordered, ...unordered].map(({ order, ...image }) => image);
+}
+
+/**
+ * Valida los metadatos de una imagen (los valores con tipo incorrecto se ignoran).
+ * Un texto suelto es el pie.
+ *
+ * @param {*} value - Valor del YAML
+ * @returns {GalleryImageMetadata} Metadatos encontrados
+ */
+function parseImageMetadata(value) {
+	if (typeof value === 'string' || typeof value === 'number') {
+		return String(value).trim() ? { caption: String(value).trim() } : {};
+	}
+	if (!value || typeof value !== 'object') {
+		return {};
+	}
+
+	const metadata = {};
+
+	for (const key of ['caption', 'description']) {
+		if ((typeof value[key] === 'string' && value[key].trim() !== '') || typeof value[key] === 'number') {
+			metadata[key] = String(value[key]).trim();
+		}
+	}
+
+	const order = Number(value.order);
+	if (value.order !== undefined && value.order !== null && value.order !== '' && Number.isFinite(order)) {
+		metadata.order = order;
+	}
+
+	const gmOnly = toBoolean(value.gmOnly);
+	if (gmOnly !== null) {
+		metadata.gmOnly = gmOnly;
+	}
+
+	return metadata;
+}
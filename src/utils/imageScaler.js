@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Reducción de imágenes en JavaScript puro (sin binarios nativos).
+ *
+ * - Decodifica JPEG (jpeg-js) y PNG (pngjs) a RGBA
+ * - Reduce con un filtro de caja (media de los píxeles de origen, ponderada por alfa)
+ * - Codifica a JPEG o PNG
+ *
+ * GIF, WebP y SVG no se redimensionan (se sirven tal cual).
+ *
+ * Se ejecuta en el hilo principal de Obsidian. La reducción cede el control al
+ * bucle de eventos entre pasos y cada pocas filas, pero la decodificación no se
+ * puede partir: en JavaScript puro cuesta del orden de 0,1-0,2 s por megapíxel
+ * en JPEG (bastante menos en PNG), y Obsidian no responde mientras tanto. Por
+ * eso las dimensiones se leen de la cabecera antes de decodificar: las imágenes
+ * que ya son estrechas no se decodifican, y las de más de
+ * MAX_DECODE_RESOLUTION_MP se rechazan (se sirven sin reducir).
+ */
+
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+
+/**
+ * Formatos de salida.
+ * @readonly
+ * @enum {string}
+ */
+export const THUMBNAIL_FORMATS = {
+	JPEG: 'jpeg',
+	PNG: 'png'
+};
+
+/**
+ * Calidad de los JPEG generados (0-100).
+ */
+const JPEG_QUALITY = 80;
+
+/**
+ * Límites de decodificación: un mapa de 4000×4000 cabe (un segundo o dos de
+ * decodificación); uno mayor se sirve sin reducir.
+ */
+const MAX_DECODE_MEMORY_MB = 128;
+const MAX_DECODE_RESOLUTION_MP = 16;
+
+/**
+ * Marcadores SOF de JPEG (C0-CF salvo DHT C4, JPG C8 y DAC CC), que llevan las dimensiones.
+ */
+const JPEG_SOF_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+/**
+ * Filas de destino que se reducen entre dos cesiones del bucle de eventos.
+ */
+const ROWS_PER_SLICE = 32;
+
+/**
+ * Imagen decodificada.
+ *
+ * @typedef {Object} RgbaImage
+ * @property {number} width - Ancho en píxeles
+ * @property {number} height - Alto en píxeles
+ * @property {Uint8Array|Buffer} data - Píxeles RGBA (4 bytes por píxel)
+ */
+
+/**
+ * Indica si se puede redimensionar un archivo según su extensión.
+ *
+ * @param {string} extension - Extensión sin punto
+ * @returns {boolean} true para JPEG y PNG
+ */
+export function canResize(extension) {
+	return ['jpg', 'jpeg', 'png'].includes(extension.toLowerCase());
+}
+
+/**
+ * Reduce una imagen a un ancho máximo, manteniendo la proporción.
+ * Sin formato, las imágenes opacas se codifican como JPEG y las que tienen transparencia como PNG.
+ *
+ * @param {ArrayBuffer|Buffer} data - Contenido del archivo
+ * @param {string} extension - Extensión del archivo (jpg, jpeg o png)
+ * @param {number} width - Ancho máximo
+ * @param {THUMBNAIL_FORMATS|null} format - Formato de salida, o null para elegirlo
+ * @returns {Promise<{data: Buffer, format: THUMBNAIL_FORMATS}|null>} Imagen reducida, o null si ya es igual de estrecha o más
+ * @throws {Error} Si la imagen no se puede decodificar o supera los límites de decodificación
+ */
+export async function resizeImage(data, extension, width, format = null) {
+	const buffer = Buffer.from(data);
+	const size = readImageSize(buffer, extension);
+	if (size) {
+		if (size.width <= width) {
+			return null;
+		}
+		if (size.width * size.height > MAX_DECODE_RESOLUTION_MP * 1e6) {
+			throw new Error(`Image larger than ${MAX_DECODE_RESOLUTION_MP} megapixels (${size.width}×${size.height})`);
+		}
+	}
+
+	await yieldToEventLoop();
+	const image = decodeImage(buffer, extension);
+	if (image.width <= width) {
+		return null;
+	}
+
+	await yieldToEventLoop();
+	const resized = await downscale(image, width);
+	const outputFormat = format || (isOpaque(resized) ? THUMBNAIL_FORMATS.JPEG : THUMBNAIL_FORMATS.PNG);
+	await yieldToEventLoop();
+	return { data: encodeImage(resized, outputFormat), format: outputFormat };
+}
+
+/**
+ * Cede el control al bucle de eventos (para atender otras peticiones durante una reducción).
+ *
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+	return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Lee las dimensiones de la cabecera de un PNG (IHDR) o JPEG (SOF) sin decodificarlo.
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} extension - Extensión del archivo
+ * @returns {{width: number, height: number}|null} Dimensiones, o null si no se encuentran
+ */
+function readImageSize(buffer, extension) {
+	if (extension.toLowerCase() === 'png') {
+		if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+			return null;
+		}
+		return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+	}
+
+	if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) {
+		return null;
+	}
+	let offset = 2;
+	while (offset + 9 <= buffer.length) {
+		if (buffer[offset] !== 0xFF) {
+			return null;
+		}
+		const marker = buffer[offset + 1];
+		// Bytes de relleno entre segmentos
+		if (marker === 0xFF) {
+			offset++;
+			continue;
+		}
+		if (JPEG_SOF_MARKERS.includes(marker)) {
+			return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+		}
+		offset += 2 + buffer.readUInt16BE(offset + 2);
+	}
+	return null;
+}
+
+/**
+ * Decodifica un JPEG o PNG a RGBA.
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} extension - Extensión del archivo
+ * @returns {RgbaImage} Imagen decodificada
+ */
+function decodeImage(buffer, extension) {
+	if (extension.toLowerCase() === 'png') {
+		// pngjs no tiene límites: las dimensiones ya se han comprobado en resizeImage
+		const png = PNG.sync.read(buffer);
+		return { width: png.width, height: png.height, data: png.data };
+	}
+	return jpeg.decode(buffer, {
+		useTArray: true,
+		formatAsRGBA: true,
+		maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB,
+		maxResolutionInMP: MAX_DECODE_RESOLUTION_MP
+	});
+}
+
+/**
+ * Codifica una imagen RGBA.
+ *
+ * @param {RgbaImage} image - Imagen
+ * @param {THUMBNAIL_FORMATS} format - Formato de salida
+ * @returns {Buffer} Archivo codificado
+ */
+function encodeImage(image, format) {
+	if (format === THUMBNAIL_FORMATS.PNG) {
+		const png = new PNG({ width: image.width, height: image.height });
+		png.data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+		return PNG.sync.write(png);
+	}
+
+	// JPEG no tiene transparencia: se compone sobre blanco
+	const { data } = image;
+	for (let i = 0; i < data.length; i += 4) {
+		const alpha = data[i + 3];
+		if (alpha < 255) {
+			data[i] = Math.round((data[i] * alpha + 255 * (255 - alpha)) / 255);
+			data[i + 1] = Math.round((data[i + 1] * alpha + 255 * (255 - alpha)) / 255);
+			data[i + 2] = Math.round((data[i + 2] * alpha + 255 * (255 - alpha)) / 255);
+			data[i + 3] = 255;
+		}
+	}
+	return jpeg.encode(image, JPEG_QUALITY).data;
+}
+
+/**
+ * Reduce una imagen con un filtro de caja: cada píxel de destino es la media de los
+ * píxeles de origen que cubre (color ponderado por alfa, para no oscurecer los bordes).
+ *
+ * @param {RgbaImage} image - Imagen de origen
+ * @param {number} width - Ancho de destino (menor que el de origen)
+ * @returns {Promise<RgbaImage>} Imagen reducida
+ */
+async function downscale(image, width) {
+	const height = Math.max(1, Math.round(image.height * width / image.width));
+	const scaleX = image.width / width;
+	const scaleY = image.height / height;
+	const source = image.data;
+	const output = new Uint8Array(width * height * 4);
+
+	for (let y = 0; y < height; y++) {
+		if (y > 0 && y % ROWS_PER_SLICE === 0) {
+			await yieldToEventLoop();
+		}
+		const y0 = Math.floor(y * scaleY);
+		const y1 = Math.max(y0 + 1, Math.floor((y + 1) * scaleY));
+		for (let x = 0; x < width; x++) {
+			const x0 = Math.floor(x * scaleX);
+			const x1 = Math.max(x0 + 1, Math.floor((x + 1) * scaleX));
+
+			let r = 0;
+			let g = 0;
+			let b = 0;
+			let a = 0;
+			for (let sy = y0; sy < y1; sy++) {
+				let index = (sy * image.width + x0) * 4;
+				for (let sx = x0; sx < x1; sx++) {
+					const alpha = source[index + 3];
+					r += source[index] * alpha;
+					g += source[index + 1] * alpha;
+					b += source[index + 2] * alpha;
+					a += alpha;
+					index += 4;
+				}
+			}
+
+			const target = (y * width + x) * 4;
+			const count = (x1 - x0) * (y1 - y0);
+			if (a > 0) {
+				output[target] = Math.round(r / a);
+				output[target + 1] = Math.round(g / a);
+				output[target + 2] = Math.round(b / a);
+			}
+			output[target + 3] = Math.round(a / count);
+		}
+	}
+
+	return { width, height, data: output };
+}
+
+/**
+ * Indica si todos los píxeles de una imagen son opacos.
+ *
+ * @param {RgbaImage} image - Imagen
+ * @returns {boolean} true si no hay transparencia
+ */
+function isOpaque(image) {
+	const { data } = image;
+	for (let i = 3; i < data.length; i += 4) {
+		if (data[i] !== 255) {
+			return false;
+		}
+	}
+	return true;
+}
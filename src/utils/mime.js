@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Registro de tipos de archivo multimedia.
+ *
+ * Fuente única de las extensiones que sirve /images/* y que se renderizan como embeds
+ * (![[mapa.png]], ![[ambiente.mp3]], ![[escena.mp4]], ![[handout.pdf]]), con su MIME type.
+ */
+
+/**
+ * Tipos de medio.
+ * @readonly
+ * @enum {string}
+ */
+export const MEDIA_TYPES = {
+	IMAGE: 'image',
+	AUDIO: 'audio',
+	VIDEO: 'video',
+	PDF: 'pdf'
+};
+
+/**
+ * MIME type y tipo de medio de cada extensión soportada.
+ * @type {Object<string, {mimeType: string, mediaType: MEDIA_TYPES}>}
+ */
+const MEDIA_EXTENSIONS = {
+	'jpg': { mimeType: 'image/jpeg', mediaType: MEDIA_TYPES.IMAGE },
+	'jpeg': { mimeType: 'image/jpeg', mediaType: MEDIA_TYPES.IMAGE },
+	'png': { mimeType: 'image/png', mediaType: MEDIA_TYPES.IMAGE },
+	'gif': { mimeType: 'image/gif', mediaType: MEDIA_TYPES.IMAGE },
+	'webp': { mimeType: 'image/webp', mediaType: MEDIA_TYPES.IMAGE },
+	'svg': { mimeType: 'image/svg+xml', mediaType: MEDIA_TYPES.IMAGE },
+	'mp3': { mimeType: 'audio/mpeg', mediaType: MEDIA_TYPES.AUDIO },
+	'ogg': { mimeType: 'audio/ogg', mediaType: MEDIA_TYPES.AUDIO },
+	'wav': { mimeType: 'audio/wav', mediaType: MEDIA_TYPES.AUDIO },
+	'm4a': { mimeType: 'audio/mp4', mediaType: MEDIA_TYPES.AUDIO },
+	'mp4': { mimeType: 'video/mp4', mediaType: MEDIA_TYPES.VIDEO },
+	'webm': { mimeType: 'video/webm', mediaType: MEDIA_TYPES.VIDEO },
+	'pdf': { mimeType: 'application/pdf', mediaType: MEDIA_TYPES.PDF }
+};
+
+/**
+ * Obtiene el MIME type de una extensión.
+ *
+ * @param {string} extension - Extensión sin punto (mayúsculas o minúsculas)
+ * @returns {string|null} MIME type, o null si no es un archivo multimedia soportado
+ */
+export function getMimeType(extension) {
+	return MEDIA_EXTENSIONS[extension.toLowerCase()]?.mimeType || null;
+}
+
+/**
+ * Obtiene el tipo de medio de una extensión.
+ *
+ * @param {string} extension - Extensión sin punto (mayúsculas o minúsculas)
+ * @returns {MEDIA_TYPES|null} Tipo de medio, o null si no es un archivo multimedia soportado
+ */
+export function getMediaType(extension) {
+	return MEDIA_EXTENSIONS[extension.toLowerCase()]?.mediaType || null;
+}
+
+/**
+ * Indica si una extensión es de imagen.
+ *
+ * @param {string} extension - Extensión sin punto (mayúsculas o minúsculas)
+ * @returns {boolean} true si es una imagen soportada
+ */
+export function isImageExtension(extension) {
+	return getMediaType(extension) === MEDIA_TYPES.IMAGE;
+}
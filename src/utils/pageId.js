@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Utilidades para generar IDs de página estables.
+ *
+ * GM Vault guarda los IDs de página en mentions y marcadores de los jugadores,
+ * así que el mismo archivo debe recibir siempre el mismo ID:
+ * - Si la nota tiene `gmVaultId` en el frontmatter, se usa ese valor
+ * - Si no, se deriva un hash de la ruta relativa al vault
+ */
+
+/**
+ * Clave de frontmatter con un ID persistido (sobrevive a renombrados).
+ * @type {string}
+ */
+export const PAGE_ID_FRONTMATTER_KEY = 'gmVaultId';
+
+/**
+ * Genera un ID de página determinista a partir de una ruta del vault.
+ * Usa un hash de 53 bits (cyrb53), así que rutas distintas no colisionan en la práctica.
+ *
+ * @param {string} path - Ruta relativa al vault (archivo o carpeta)
+ * @returns {string} ID con el formato de GM Vault (page_xxx)
+ */
+export function pageIdFromPath(path) {
+	let h1 = 0xdeadbeef;
+	let h2 = 0x41c6ce57;
+	for (let i = 0; i < path.length; i++) {
+		const ch = path.charCodeAt(i);
+		h1 = Math.imul(h1 ^ ch, 2654435761);
+		h2 = Math.imul(h2 ^ ch, 1597334677);
+	}
+	h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+	h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+	const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+	return `page_${hash.toString(36)}`;
+}
+
+/**
+ * Obtiene el ID de página de un archivo o carpeta del vault.
+ *
+ * @param {import('obsidian').App} app - App de Obsidian (para leer el frontmatter)
+ * @param {import('obsidian').TAbstractFile} file - Nota o carpeta de imágenes
+ * @returns {string} ID estable de la página
+ */
+export function getPageId(app, file) {
+	return pageIdFromFrontmatter(file, file.extension === 'md' ? app.metadataCache?.getFileCache(file)?.frontmatter : null);
+}
+
+/**
+ * Obtiene el ID de página a partir del frontmatter ya leído (ver filetree/FileTree.js).
+ *
+ * @param {import('obsidian').TAbstractFile} file - Nota o carpeta de imágenes
+ * @param {Object|null} frontmatter - Frontmatter de la nota (null para carpetas)
+ * @returns {string} ID estable de la página
+ */
+export function pageIdFromFrontmatter(file, frontmatter) {
+	const persistedId = file.extension === 'md' ? frontmatter?.[PAGE_ID_FRONTMATTER_KEY] : undefined;
+	if ((typeof persistedId === 'string' && persistedId.trim() !== '') || typeof persistedId === 'number') {
+		return String(persistedId).trim();
+	}
+	return pageIdFromPath(file.path);
+}
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Filtrado del contenido solo para el GM.
+ *
+ * Sintaxis soportada:
+ * - Callout `> [!secret] Título` (con todo su contenido, incluidas las líneas
+ *   perezosas sin `>` que markdown-it añade a la cita, hasta la primera línea en blanco)
+ * - Bloques de comentario `%%gm ... %%` (en línea o de varias líneas). Un `%%gm`
+ *   sin cerrar llega hasta el final del documento, como un comentario `%%` en Obsidian
+ * - Encabezados con el tag `#gm-only`: se oculta el encabezado y su sección
+ *   (hasta el siguiente encabezado del mismo nivel o superior). Valen los
+ *   encabezados ATX (`## Trama #gm-only`, con hasta 3 espacios delante) y los
+ *   setext de una línea (`Trama #gm-only` subrayado con `===` o `---`)
+ *
+ * El filtrado se hace sobre el Markdown, en el servidor, antes de renderizar:
+ * el contenido secreto nunca llega al HTML que reciben los jugadores.
+ * Se filtra cada nota por separado, antes de insertarla como embed (ver
+ * EmbedResolver), para que una sección #gm-only no se extienda fuera de su nota.
+ */
+
+/**
+ * Tag que marca una sección como solo para el GM.
+ * @type {string}
+ */
+export const GM_ONLY_TAG = 'gm-only';
+
+/**
+ * Tipo de callout para contenido solo para el GM.
+ * @type {string}
+ */
+export const SECRET_CALLOUT_TYPE = 'secret';
+
+/**
+ * Bloque `%%gm ... %%`. Grupo 1: contenido; grupo 2: cierre ('' si el bloque no se cierra).
+ */
+const GM_COMMENT_REGEX = /%%gm\b[ \t]*([\s\S]*?)[ \t]*(%%|$)/g;
+
+/**
+ * Inicio de un callout secreto. Grupo 1: prefijo de cita exterior (callouts anidados).
+ */
+const SECRET_CALLOUT_REGEX = new RegExp(`^(\\s*(?:>\\s?)*?)>\\s*\\[!${SECRET_CALLOUT_TYPE}\\][+-]?`, 'i');
+
+/**
+ * Encabezado ATX (CommonMark: hasta 3 espacios delante). Grupo 1: almohadillas.
+ */
+const ATX_HEADING_REGEX = /^ {0,3}(#{1,6})(?:[ \t]|$)/;
+
+/**
+ * Subrayado de un encabezado setext. Grupo 1: '=' (nivel 1) o '-' (nivel 2).
+ */
+const SETEXT_UNDERLINE_REGEX = /^ {0,3}(=|-)\1*[ \t]*$/;
+
+/**
+ * Línea que no puede ser el texto de un encabezado setext (lista, cita,
+ * bloque de código, encabezado ATX o línea horizontal).
+ */
+const NOT_SETEXT_TEXT_REGEX = /^(?: {4}|\t| {0,3}(?:>|(?:[-+*]|\d{1,9}[.)])(?:[ \t]|$)|#{1,6}(?:[ \t]|$)|```|~~~)|\s*$)/;
+
+/**
+ * Tag #gm-only en el texto de un encabezado.
+ */
+const GM_ONLY_TAG_REGEX = new RegExp(`(?:^|\\s)#${GM_ONLY_TAG}(?![\\w/-])`);
+
+/**
+ * Filtra el contenido solo para el GM de un documento Markdown.
+ * Para los jugadores lo elimina; para el GM lo conserva, mostrando los
+ * bloques `%%gm ... %%` (que Obsidian trata como comentarios) como callouts secretos.
+ *
+ * @param {string} markdown - Markdown de una nota (sin resolver sus embeds)
+ * @param {boolean} isGM - Si el contenido es para el GM
+ * @returns {string} Markdown filtrado
+ */
+export function filterGMOnlyContent(markdown, isGM) {
+	let unclosed = false;
+	const text = splitByCodeFences(markdown)
+		.map(segment => {
+			// Tras un %%gm sin cerrar, el resto del documento (también el código) es del GM
+			if (unclosed) {
+				return isGM ? segment.text : '';
+			}
+			if (segment.code) {
+				return segment.text;
+			}
+			const result = replaceGMComments(segment.text, isGM);
+			unclosed = result.unclosed;
+			return result.text;
+		})
+		.join('');
+
+	return isGM ? text : removeGMOnlyBlocks(text);
+}
+
+/**
+ * Sustituye los bloques `%%gm ... %%` de un fragmento sin bloques de código.
+ *
+ * @param {string} text - Fragmento de Markdown
+ * @param {boolean} isGM - Si el contenido es para el GM
+ * @returns {{text: string, unclosed: boolean}} Fragmento sin los bloques (jugadores) o con ellos
+ *   visibles (GM), y si termina dentro de un bloque sin cerrar
+ */
+function replaceGMComments(text, isGM) {
+	let unclosed = false;
+	const result = text.replace(GM_COMMENT_REGEX, (match, content, close) => {
+		if (!close) {
+			unclosed = true;
+		}
+		if (!isGM) {
+			return '';
+		}
+		if (!content.includes('\n')) {
+			return `<span class="notion-gm-only" title="GM only">${content}</span>`;
+		}
+		const lines = content.trim().split('\n').map(line => `> ${line}`.trimEnd());
+		return `\n\n> [!${SECRET_CALLOUT_TYPE}] GM only\n${lines.join('\n')}\n\n`;
+	});
+	return { text: result, unclosed };
+}
+
+/**
+ * Elimina los callouts secretos y las secciones #gm-only.
+ * Los bloques de código dentro de una sección eliminada también se eliminan.
+ *
+ * @param {string} text - Markdown
+ * @returns {string} Markdown sin contenido para el GM
+ */
+function removeGMOnlyBlocks(text) {
+	const output = [];
+	const lines = text.split('\n');
+	let calloutPrefix = null;
+	let sectionLevel = 0;
+	let fence = null;
+
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i];
+		// Dentro de un callout secreto: continúa mientras las líneas sigan citadas, y también
+		// con las líneas perezosas (sin ">"), que markdown-it añade al párrafo de la cita.
+		// Termina en la primera línea en blanco, o en un encabezado o bloque de código
+		if (calloutPrefix !== null) {
+			if (line.startsWith(calloutPrefix) && /^\s*>/.test(line.slice(calloutPrefix.length))) {
+				continue;
+			}
+			const content = line.replace(/^\s*(?:>\s?)*/, '');
+			if (content.trim() !== '' && !ATX_HEADING_REGEX.test(content) && !/^\s*(```|~~~)/.test(content)) {
+				continue;
+			}
+			calloutPrefix = null;
+		}
+
+		// Bloques de código: sin filtrado, salvo que estén dentro de una sección #gm-only
+		const fenceMatch = line.match(/^\s*(```|~~~)/);
+		if (fence || fenceMatch) {
+			if (!fence) {
+				fence = fenceMatch[1];
+			} else if (fenceMatch && fenceMatch[1] === fence) {
+				fence = null;
+			}
+			if (sectionLevel === 0) {
+				output.push(line);
+			}
+			continue;
+		}
+
+		// Dentro de una sección #gm-only: continúa hasta un encabezado del mismo nivel o superior
+		const heading = getHeading(lines, i);
+		if (sectionLevel > 0) {
+			if (!heading || heading.level > sectionLevel) {
+				continue;
+			}
+			sectionLevel = 0;
+		}
+
+		if (heading && GM_ONLY_TAG_REGEX.test(heading.text)) {
+			sectionLevel = heading.level;
+			// El subrayado de un encabezado setext también se oculta
+			if (heading.setext) {
+				i++;
+			}
+			continue;
+		}
+
+		const secretCallout = line.match(SECRET_CALLOUT_REGEX);
+		if (secretCallout) {
+			calloutPrefix = secretCallout[1];
+			continue;
+		}
+
+		output.push(line);
+	}
+
+	return output.join('\n');
+}
+
+/**
+ * Obtiene el encabezado que empieza en una línea: ATX, o setext si la línea
+ * siguiente es un subrayado. Solo se reconocen los setext de una línea de texto.
+ *
+ * @param {string[]} lines - Líneas del documento
+ * @param {number} index - Índice de la línea
+ * @returns {{level: number, text: string, setext: boolean}|null} Encabezado, o null si la línea no lo es
+ */
+function getHeading(lines, index) {
+	const line = lines[index];
+	const atx = line.match(ATX_HEADING_REGEX);
+	if (atx) {
+		return { level: atx[1].length, text: line.slice(atx[0].length), setext: false };
+	}
+
+	const underline = index + 1 < lines.length ? lines[index + 1].match(SETEXT_UNDERLINE_REGEX) : null;
+	const previous = index > 0 ? lines[index - 1] : '';
+	// El texto del encabezado empieza un párrafo: la línea anterior está en blanco
+	if (underline && previous.trim() === '' && !NOT_SETEXT_TEXT_REGEX.test(line)) {
+		return { level: underline[1] === '=' ? 1 : 2, text: line.trim(), setext: true };
+	}
+	return null;
+}
+
+/**
+ * Divide un documento en fragmentos de texto y bloques de código cercados
+ * (``` o ~~~), para no filtrar dentro del código.
+ *
+ * @param {string} markdown - Markdown
+ * @returns {{text: string, code: boolean}[]} Fragmentos en orden
+ */
+function splitByCodeFences(markdown) {
+	const segments = [];
+	let current = [];
+	let fence = null;
+
+	const flush = (code) => {
+		if (current.length > 0) {
+			segments.push({ text: current.join(''), code });
+			current = [];
+		}
+	};
+
+	for (const line of markdown.split(/(?<=\n)/)) {
+		const fenceMatch = line.match(/^\s*(```|~~~)/);
+		if (fenceMatch && !fence) {
+			flush(false);
+			fence = fenceMatch[1];
+			current.push(line);
+		} else if (fenceMatch && fenceMatch[1] === fence) {
+			current.push(line);
+			flush(true);
+			fence = null;
+		} else {
+			current.push(line);
+		}
+	}
+	flush(fence !== null);
+
+	return segments;
+}
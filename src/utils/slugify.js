@@ -1,10 +1,67 @@
 /**
  * @fileoverview Utilidades para generar slugs a partir de nombres.
+ *
+ * - Los slugs conservan letras y números de cualquier alfabeto; las letras latinas
+ *   pierden los acentos y algunas se transliteran (ß → ss, æ → ae, ø → o...)
+ * - Cuando varias páginas de la sesión generan el mismo slug, assignSlugs les da
+ *   slugs distintos (con las carpetas delante o un sufijo -2, -3...) y las informa
+ *   como colisiones
+ */
+
+/**
+ * Letras latinas sin descomposición Unicode y su transliteración.
+ * @type {Object<string, string>}
+ */
+const TRANSLITERATIONS = {
+	'ß': 'ss',
+	'æ': 'ae',
+	'œ': 'oe',
+	'ø': 'o',
+	'đ': 'd',
+	'ð': 'd',
+	'þ': 'th',
+	'ł': 'l',
+	'ı': 'i',
+	'ħ': 'h',
+	'ŧ': 't',
+	'ŋ': 'n'
+};
+
+/**
+ * Slug usado cuando un nombre no tiene letras ni números (p. ej. solo un emoji).
+ * @type {string}
+ */
+const FALLBACK_SLUG = 'page';
+
+/**
+ * Página (nota o galería) que necesita un slug.
+ *
+ * @typedef {Object} SlugSource
+ * @property {string} path - Ruta en el vault
+ * @property {string} name - Nombre del que sale el slug (basename de la nota o nombre de la carpeta)
+ */
+
+/**
+ * Grupo de páginas cuyo nombre genera el mismo slug.
+ *
+ * @typedef {Object} SlugCollision
+ * @property {string} slug - Slug compartido
+ * @property {Array<{path: string, slug: string}>} pages - Páginas y el slug que ha recibido cada una
+ */
+
+/**
+ * Slugs asignados a las páginas de una sesión.
+ *
+ * @typedef {Object} SlugAssignment
+ * @property {Map<string, string>} slugs - Slug por ruta
+ * @property {Map<string, string>} paths - Ruta por slug
+ * @property {SlugCollision[]} collisions - Colisiones encontradas
  */
 
 /**
  * Convierte un nombre en un slug válido para URLs.
- * 
+ * Las letras no latinas se conservan (las URLs las codifican con encodeURIComponent).
+ *
  * @param {string} name - Nombre a convertir
  * @returns {string} Slug generado
  */
@@ -12,8 +69,125 @@ export function slugify(name) {
 	return name
 		.toLowerCase()
 		.trim()
-		.replace(/[^\w\s-]/g, '') // Elimina caracteres especiales
+		.replace(/[ßæœøđðþłıħŧŋ]/g, letter => TRANSLITERATIONS[letter])
+		.normalize('NFKD')
+		.replace(/(\p{Script=Latin})\p{M}+/gu, '$1') // Quita los acentos de las letras latinas
+		.normalize('NFC') // Recompone el resto (hangul, kana con dakuten...)
+		.replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '') // Elimina caracteres especiales
 		.replace(/[\s_-]+/g, '-')  // Reemplaza espacios/guiones por un solo guion
 		.replace(/^-+|-+$/g, '');  // Elimina guiones al inicio y final
 }
 
+/**
+ * Obtiene el slug base de una página (el que recibe si ninguna otra lo comparte).
+ *
+ * @param {string} name - Nombre de la página
+ * @returns {string} Slug base
+ */
+export function getBaseSlug(name) {
+	return slugify(name) || FALLBACK_SLUG;
+}
+
+/**
+ * Asigna un slug único a cada página.
+ *
+ * Si varias páginas comparten slug, lo conserva la menos anidada dentro de la
+ * carpeta de sesión (y, a igual profundidad, la primera por ruta); las demás
+ * reciben el slug de sus carpetas (relativas a rootPath) delante: `npcs-notas`.
+ * Si aun así se repite, se añade -2, -3... El resultado solo depende de las
+ * rutas, así que las URLs no cambian entre ejecuciones.
+ *
+ * Para reasignar solo algunos grupos (ver SessionIndex), taken indica los slugs
+ * que ya usan las demás páginas.
+ *
+ * @param {SlugSource[]} sources - Páginas
+ * @param {string} [rootPath] - Carpeta de sesión (sus carpetas no forman parte del slug)
+ * @param {{has: function(string): boolean}} [taken] - Slugs ocupados por páginas que no están en sources
+ * @returns {SlugAssignment} Slugs asignados y colisiones
+ */
+export function assignSlugs(sources, rootPath = '', taken = new Set()) {
+	const rank = (source) => {
+		const segments = getFolderSegments(source.path, rootPath);
+		// Las páginas de fuera de la carpeta de sesión van después de todas las de dentro
+		return isInside(source.path, rootPath) ? segments.length : 1000 + segments.length;
+	};
+	const sorted = [...sources].sort((a, b) => rank(a) - rank(b) || a.path.localeCompare(b.path));
+
+	// Agrupar por slug base
+	const groups = new Map();
+	for (const source of sorted) {
+		const slug = getBaseSlug(source.name);
+		if (!groups.has(slug)) {
+			groups.set(slug, []);
+		}
+		groups.get(slug).push(source);
+	}
+
+	// La primera página de cada grupo conserva el slug base (se reservan todos antes de resolver)
+	const slugs = new Map();
+	const paths = new Map();
+	for (const [slug, group] of groups) {
+		slugs.set(group[0].path, slug);
+		paths.set(slug, group[0].path);
+	}
+
+	const collisions = [];
+	for (const [slug, group] of groups) {
+		if (group.length === 1) {
+			continue;
+		}
+		for (const source of group.slice(1)) {
+			const qualified = [...getFolderSegments(source.path, rootPath), source.name]
+				.map(part => slugify(part))
+				.filter(Boolean)
+				.join('-') || slug;
+			let unique = qualified;
+			for (let suffix = 2; paths.has(unique) || taken.has(unique); suffix++) {
+				unique = `${qualified}-${suffix}`;
+			}
+			slugs.set(source.path, unique);
+			paths.set(unique, source.path);
+		}
+		collisions.push({ slug, pages: group.map(source => ({ path: source.path, slug: slugs.get(source.path) })) });
+	}
+
+	return { slugs, paths, collisions };
+}
+
+/**
+ * Describe las colisiones en texto, una página por línea.
+ *
+ * @param {SlugCollision[]} collisions - Colisiones
+ * @returns {string} Informe
+ */
+export function formatSlugCollisions(collisions) {
+	return collisions
+		.map(collision => [
+			`"${collision.slug}":`,
+			...collision.pages.map(page => `  ${page.path} → /pages/${page.slug}`)
+		].join('\n'))
+		.join('\n');
+}
+
+/**
+ * Carpetas de una ruta, relativas a rootPath (todas si la ruta está fuera).
+ *
+ * @param {string} path - Ruta en el vault
+ * @param {string} rootPath - Carpeta raíz
+ * @returns {string[]} Nombres de las carpetas
+ */
+function getFolderSegments(path, rootPath) {
+	const relative = isInside(path, rootPath) && rootPath && rootPath !== '/' ? path.slice(rootPath.length + 1) : path;
+	return relative.split('/').slice(0, -1);
+}
+
+/**
+ * Indica si una ruta está dentro de una carpeta.
+ *
+ * @param {string} path - Ruta en el vault
+ * @param {string} rootPath - Carpeta ('' o '/' es la raíz del vault)
+ * @returns {boolean} true si está dentro
+ */
+function isInside(path, rootPath) {
+	return !rootPath || rootPath === '/' || path.startsWith(`${rootPath}/`);
+}
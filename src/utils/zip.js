@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Escritor mínimo de archivos ZIP (sin compresión, método "store").
+ *
+ * Suficiente para empaquetar el JSON exportado junto a sus imágenes (que ya
+ * vienen comprimidas) sin añadir dependencias al plugin.
+ */
+
+/** @type {Uint32Array|null} */
+let crcTable = null;
+
+/**
+ * Calcula el CRC-32 de un buffer.
+ *
+ * @param {Uint8Array} data - Datos
+ * @returns {number} CRC-32 (sin signo)
+ */
+function crc32(data) {
+	if (!crcTable) {
+		crcTable = new Uint32Array(256);
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+			for (let k = 0; k < 8; k++) {
+				c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+			}
+			crcTable[n] = c >>> 0;
+		}
+	}
+	
+	let crc = 0xffffffff;
+	for (let i = 0; i < data.length; i++) {
+		crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convierte una fecha a formato DOS (hora y fecha de 16 bits).
+ *
+ * @param {Date} date - Fecha
+ * @returns {{time: number, date: number}} Hora y fecha DOS
+ */
+function toDosDateTime(date) {
+	return {
+		time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+		date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+	};
+}
+
+/**
+ * Crea un archivo ZIP con las entradas indicadas.
+ *
+ * @param {Array<{path: string, data: Uint8Array|ArrayBuffer|string}>} entries - Archivos (rutas con "/")
+ * @returns {Uint8Array} Contenido del ZIP
+ */
+export function createZip(entries) {
+	const encoder = new TextEncoder();
+	const { time, date } = toDosDateTime(new Date());
+	const localParts = [];
+	const centralParts = [];
+	let offset = 0;
+	
+	for (const entry of entries) {
+		const name = encoder.encode(entry.path);
+		const data = typeof entry.data === 'string'
+			? encoder.encode(entry.data)
+			: new Uint8Array(entry.data);
+		const crc = crc32(data);
+		
+		// Cabecera local (30 bytes + nombre)
+		const local = new DataView(new ArrayBuffer(30));
+		local.setUint32(0, 0x04034b50, true);
+		local.setUint16(4, 20, true);        // versión necesaria
+		local.setUint16(6, 0x0800, true);    // flag UTF-8
+		local.setUint16(8, 0, true);         // método: store
+		local.setUint16(10, time, true);
+		local.setUint16(12, date, true);
+		local.setUint32(14, crc, true);
+		local.setUint32(18, data.length, true);
+		local.setUint32(22, data.length, true);
+		local.setUint16(26, name.length, true);
+		local.setUint16(28, 0, true);
+		localParts.push(new Uint8Array(local.buffer), name, data);
+		
+		// Entrada del directorio central (46 bytes + nombre)
+		const central = new DataView(new ArrayBuffer(46));
+		central.setUint32(0, 0x02014b50, true);
+		central.setUint16(4, 20, true);      // versión que lo creó
+		central.setUint16(6, 20, true);
+		central.setUint16(8, 0x0800, true);
+		central.setUint16(10, 0, true);
+		central.setUint16(12, time, true);
+		central.setUint16(14, date, true);
+		central.setUint32(16, crc, true);
+		central.setUint32(20, data.length, true);
+		central.setUint32(24, data.length, true);
+		central.setUint16(28, name.length, true);
+		central.setUint32(42, offset, true);
+		centralParts.push(new Uint8Array(central.buffer), name);
+		
+		offset += 30 + name.length + data.length;
+	}
+	
+	const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+	
+	// Fin del directorio central (22 bytes)
+	const end = new DataView(new ArrayBuffer(22));
+	end.setUint32(0, 0x06054b50, true);
+	end.setUint16(8, entries.length, true);
+	end.setUint16(10, entries.length, true);
+	end.setUint32(12, centralSize, true);
+	end.setUint32(16, offset, true);
+	
+	const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+	const zip = new Uint8Array(offset + centralSize + 22);
+	let position = 0;
+	for (const part of parts) {
+		zip.set(part, position);
+		position += part.length;
+	}
+	return zip;
+}
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Server control panel (Obsidian ItemView).
+ *
+ * Responsibilities:
+ * - Show server and tunnel state, session folder and request count
+ * - Start/stop the server and copy the GM Vault URL (through PluginController)
+ * - Show a QR code of the GM Vault URL, the recent requests and the tunnel output
+ * - No server logic: everything goes through the controller
+ */
+
+import { ItemView } from 'obsidian';
+import qrcode from 'qrcode-generator';
+import { formatSlugCollisions } from '../utils/slugify.js';
+
+/**
+ * View type of the control panel.
+ */
+export const SERVER_CONTROL_VIEW_TYPE = 'gm-vault-server-control';
+
+/**
+ * Number of requests listed in the panel.
+ */
+const MAX_LISTED_REQUESTS = 20;
+
+/**
+ * Number of tunnel output lines shown in the panel.
+ */
+const MAX_OUTPUT_LINES = 40;
+
+/**
+ * Delay before re-rendering after a state change (ms), so request bursts render once.
+ */
+const RENDER_DEBOUNCE_MS = 250;
+
+/**
+ * Control panel view of the GM Vault server.
+ *
+ * @class ServerControlView
+ * @extends ItemView
+ */
+export class ServerControlView extends ItemView {
+	/**
+	 * Creates a ServerControlView instance.
+	 *
+	 * @param {import('obsidian').WorkspaceLeaf} leaf - Workspace leaf
+	 * @param {import('../PluginController.js').PluginController} controller - Plugin controller
+	 */
+	constructor(leaf, controller) {
+		super(leaf);
+
+		/** @type {import('../PluginController.js').PluginController} */
+		this.controller = controller;
+
+		/** @type {Function|null} Unsubscribes from controller state changes */
+		this._unsubscribe = null;
+
+		/** @type {ReturnType<typeof setTimeout>|null} */
+		this._renderTimer = null;
+
+		/** @type {boolean} Start/stop in progress (buttons disabled) */
+		this._busy = false;
+	}
+
+	/**
+	 * @returns {string} View type
+	 */
+	getViewType() {
+		return SERVER_CONTROL_VIEW_TYPE;
+	}
+
+	/**
+	 * @returns {string} Tab title
+	 */
+	getDisplayText() {
+		return 'GM Vault server';
+	}
+
+	/**
+	 * @returns {string} Lucide icon name
+	 */
+	getIcon() {
+		return 'radio-tower';
+	}
+
+	/**
+	 * Renders the panel and follows controller state changes.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async onOpen() {
+		this._unsubscribe = this.controller.onStateChange(() => this._scheduleRender());
+		this._render();
+	}
+
+	/**
+	 * Stops following state changes.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async onClose() {
+		clearTimeout(this._renderTimer);
+		if (this._unsubscribe) {
+			this._unsubscribe();
+			this._unsubscribe = null;
+		}
+	}
+
+	/**
+	 * Re-renders after a short delay, coalescing bursts of changes.
+	 *
+	 * @private
+	 */
+	_scheduleRender() {
+		if (this._renderTimer) {
+			return;
+		}
+		this._renderTimer = setTimeout(() => {
+			this._renderTimer = null;
+			this._render();
+		}, RENDER_DEBOUNCE_MS);
+	}
+
+	/**
+	 * Renders the whole panel from the controller state.
+	 *
+	 * @private
+	 */
+	_render() {
+		const state = this.controller.getServerState();
+		const container = this.contentEl;
+		container.empty();
+
+		container.createEl('h4', { text: 'GM Vault server' });
+
+		// Status
+		const statusEl = container.createDiv();
+		this._addRow(statusEl, 'Server', state.running ? `Running on port ${state.port}` : 'Stopped');
+		if (state.running) {
+			this._addRow(statusEl, 'Tunnel', state.tunnelLabel + (state.tunnelDetail ? ` (${state.tunnelDetail})` : ''));
+			this._addRow(statusEl, 'URL', state.publicUrl || '—');
+		}
+		this._addRow(statusEl, 'Session folder', state.sessionFolder || 'None selected');
+		this._addRow(statusEl, 'Requests', String(state.requestCount));
+
+		// Actions
+		const actionsEl = container.createDiv({ attr: { style: 'display: flex; gap: 8px; margin: 12px 0;' } });
+		const toggleButton = actionsEl.createEl('button', {
+			text: state.running ? 'Stop server' : 'Start server',
+			cls: state.running ? '' : 'mod-cta'
+		});
+		toggleButton.disabled = this._busy;
+		toggleButton.addEventListener('click', () => this._toggleServer(state.running));
+
+		const copyButton = actionsEl.createEl('button', { text: 'Copy GM Vault URL' });
+		copyButton.disabled = !state.gmVaultUrl;
+		copyButton.addEventListener('click', () => this.controller.copyGmVaultUrl());
+
+		// QR code of the GM Vault URL
+		if (state.gmVaultUrl) {
+			container.createEl('h5', { text: 'GM Vault URL' });
+			container.createEl('img', {
+				attr: { src: this._createQrDataUrl(state.gmVaultUrl), alt: 'QR code of the GM Vault URL' }
+			});
+			container.createEl('div', {
+				text: 'GM only: this URL shows GM-only content. Keep it private.',
+				cls: 'setting-item-description'
+			});
+		}
+
+		// Recent requests (newest first)
+		container.createEl('h5', { text: 'Recent requests' });
+		const requests = state.recentRequests.slice(-MAX_LISTED_REQUESTS).reverse();
+		if (requests.length === 0) {
+			container.createEl('div', { text: 'No requests yet.', cls: 'setting-item-description' });
+		} else {
+			const listEl = container.createEl('pre', { attr: { style: 'white-space: pre-wrap; font-size: var(--font-smallest);' } });
+			listEl.setText(requests.map(entry => {
+				const time = new Date(entry.time).toLocaleTimeString();
+				return `${time}  ${entry.status}  ${entry.method} ${entry.url}  ${entry.durationMs} ms`;
+			}).join('\n'));
+		}
+
+		// Slug collisions: pages whose name gives the same URL (see utils/slugify.js)
+		if (state.slugCollisions.length > 0) {
+			container.createEl('h5', { text: 'Slug collisions' });
+			container.createEl('div', {
+				text: 'These pages have names that give the same URL. The first one keeps it; the others got the URL shown.',
+				cls: 'setting-item-description'
+			});
+			container.createEl('pre', {
+				text: formatSlugCollisions(state.slugCollisions),
+				attr: { style: 'white-space: pre-wrap; font-size: var(--font-smallest);' }
+			});
+		}
+
+		// Tunnel output
+		container.createEl('h5', { text: 'Tunnel output' });
+		const output = state.tunnelOutput.split('\n').slice(-MAX_OUTPUT_LINES).join('\n');
+		if (!output) {
+			container.createEl('div', { text: 'No tunnel output.', cls: 'setting-item-description' });
+		} else {
+			container.createEl('pre', {
+				text: output,
+				attr: { style: 'white-space: pre-wrap; font-size: var(--font-smallest); max-height: 300px; overflow: auto;' }
+			});
+		}
+	}
+
+	/**
+	 * Adds a "label: value" row.
+	 *
+	 * @private
+	 * @param {HTMLElement} parent - Container
+	 * @param {string} label - Label
+	 * @param {string} value - Value
+	 */
+	_addRow(parent, label, value) {
+		const row = parent.createDiv();
+		row.createEl('strong', { text: `${label}: ` });
+		row.createSpan({ text: value });
+	}
+
+	/**
+	 * Starts or stops the server, disabling the buttons meanwhile.
+	 *
+	 * @private
+	 * @param {boolean} running - Whether the server is running now
+	 * @returns {Promise<void>}
+	 */
+	async _toggleServer(running) {
+		if (this._busy) {
+			return;
+		}
+		this._busy = true;
+		this._render();
+		try {
+			if (running) {
+				await this.controller.disableServer();
+			} else {
+				await this.controller.enableServer();
+			}
+		} finally {
+			this._busy = false;
+			this._render();
+		}
+	}
+
+	/**
+	 * Creates the QR code image of a URL.
+	 *
+	 * @private
+	 * @param {string} url - URL to encode
+	 * @returns {string} Data URL of the QR image
+	 */
+	_createQrDataUrl(url) {
+		const qr = qrcode(0, 'M');
+		qr.addData(url);
+		qr.make();
+		return qr.createDataURL(4, 2);
+	}
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview CloudflaredProvider: quick and named tunnel launches, public
+ * URL parsing and the process lifecycle, with the stub tunnel command
+ * installed as the plugin's cloudflared binary.
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CloudflaredProvider } from '../src/server/tunnels/CloudflaredProvider.js';
+
+const STUB = fileURLToPath(new URL('./fixtures/tunnel-stub.js', import.meta.url));
+
+/**
+ * The binary is a shell script that runs the stub.
+ */
+const skip = process.platform === 'win32' && 'the stub cloudflared binary is a shell script';
+
+/** @type {string} Plugin directory with bin/cloudflared */
+let pluginDir;
+
+before(async () => {
+	pluginDir = await mkdtemp(join(tmpdir(), 'gm-vault-cloudflared-'));
+	const binary = join(pluginDir, 'bin', 'cloudflared');
+	await mkdir(join(pluginDir, 'bin'));
+	await writeFile(binary, `#!/bin/sh\nexec "${process.execPath}" "${STUB}" cloudflared "$@"\n`);
+	await chmod(binary, 0o755);
+});
+
+after(async () => {
+	await rm(pluginDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+	delete process.env.TUNNEL_STUB_CLOUDFLARED;
+});
+
+/**
+ * Creates a provider that runs the stub cloudflared.
+ *
+ * @param {string} mode - Stub behavior (see fixtures/tunnel-stub.js)
+ * @param {Object} [options] - Extra provider options
+ * @returns {CloudflaredProvider} Provider
+ */
+function createProvider(mode, options = {}) {
+	process.env.TUNNEL_STUB_CLOUDFLARED = mode;
+	return new CloudflaredProvider({ port: 3000, pluginDir, useBundledOnly: true, ...options });
+}
+
+/**
+ * Stops a provider and waits for its process to close.
+ *
+ * @param {CloudflaredProvider} provider - Provider
+ * @returns {Promise<void>}
+ */
+async function stopProvider(provider) {
+	const child = provider.process;
+	const closed = child ? new Promise(resolve => child.once('close', resolve)) : null;
+	await provider.stop();
+	await closed;
+}
+
+test('quick tunnel: resolves with the trycloudflare.com URL and stops', { skip }, async () => {
+	const provider = createProvider('quick');
+	let exits = 0;
+	provider.onExit = () => exits++;
+
+	assert.equal(await provider.start(), 'https://stub-quick.trycloudflare.com');
+	assert.equal(provider.isActive(), true);
+	assert.equal((await provider.checkHealth()).healthy, true);
+	assert.match(provider.getOutput(), /args: tunnel --url http:\/\/localhost:3000/);
+
+	await stopProvider(provider);
+
+	assert.equal(provider.isActive(), false);
+	assert.equal(provider.getPublicUrl(), null);
+	assert.equal(exits, 0);
+});
+
+test('named tunnel with a token: ready on the first registered connection', { skip }, async () => {
+	const provider = createProvider('named', { namedTunnel: { token: ' secret ', hostname: 'https://Vault.Example.com/' } });
+
+	assert.equal(await provider.start(), 'https://vault.example.com');
+	assert.match(provider.getOutput(), /args: tunnel --no-autoupdate run\n/);
+	assert.match(provider.getOutput(), /TUNNEL_TOKEN is set/);
+	assert.doesNotMatch(provider.getOutput(), /secret/);
+
+	await stopProvider(provider);
+});
+
+test('named tunnel with a credentials file: runs the tunnel ID from the file', { skip }, async () => {
+	const credentialsFile = join(pluginDir, 'tunnel.json');
+	await writeFile(credentialsFile, JSON.stringify({ TunnelID: 'abc-123' }));
+	const provider = createProvider('named', { namedTunnel: { credentialsFile, hostname: 'vault.example.com' } });
+
+	assert.equal(await provider.start(), 'https://vault.example.com');
+	assert.match(provider.getOutput(), new RegExp(`--cred-file ${credentialsFile} --url http://localhost:3000 run abc-123`));
+
+	await stopProvider(provider);
+});
+
+test('named tunnel settings are validated before anything runs', async () => {
+	const missingFile = join(tmpdir(), 'gm-vault-missing-credentials.json');
+
+	await assert.rejects(createProvider('named', { namedTunnel: { token: 't', hostname: ' ' } }).start(), /requires a public hostname/);
+	await assert.rejects(createProvider('named', { namedTunnel: { hostname: 'vault.example.com' } }).start(), /requires a tunnel token or a credentials file/);
+	await assert.rejects(createProvider('named', { namedTunnel: { credentialsFile: missingFile, hostname: 'vault.example.com' } }).start(), /Could not read tunnel credentials file/);
+});
+
+test('a crash after start is reported through onExit', { skip }, async () => {
+	const provider = createProvider('crash');
+	const exited = new Promise(resolve => {
+		provider.onExit = resolve;
+	});
+
+	assert.equal(await provider.start(), 'https://stub-quick.trycloudflare.com');
+
+	assert.equal(await exited, 3);
+	assert.equal(provider.isActive(), false);
+	assert.equal((await provider.checkHealth()).healthy, false);
+});
+
+test('start rejects when cloudflared exits before printing a URL', { skip }, async (t) => {
+	t.mock.method(console, 'error', () => {});
+	const provider = createProvider('fail');
+
+	await assert.rejects(provider.start(), /exited with code 1[\s\S]*429 Too Many Requests/);
+	assert.equal(provider.isActive(), false);
+});
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview CommandTunnelProvider: public URL parsing and the process
+ * lifecycle (start, ready, crash, stop), with a stub tunnel command.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { CommandTunnelProvider } from '../src/server/tunnels/CommandTunnelProvider.js';
+
+const STUB = fileURLToPath(new URL('./fixtures/tunnel-stub.js', import.meta.url));
+
+/**
+ * Creates a provider that runs the stub command.
+ *
+ * @param {string} mode - Stub mode (see fixtures/tunnel-stub.js)
+ * @param {Object} [options] - Extra provider options
+ * @returns {CommandTunnelProvider} Provider
+ */
+function createProvider(mode, options = {}) {
+	return new CommandTunnelProvider({
+		port: 3000,
+		command: `"${process.execPath}" "${STUB}" ${mode} {port}`,
+		startTimeoutMs: 5000,
+		...options
+	});
+}
+
+/**
+ * Waits for the onExit callback of a provider.
+ *
+ * @param {CommandTunnelProvider} provider - Provider
+ * @returns {Promise<number|null>} Exit code
+ */
+function waitForExit(provider) {
+	return new Promise(resolve => {
+		provider.onExit = resolve;
+	});
+}
+
+test('the default pattern skips loopback and private URLs', () => {
+	const provider = createProvider('ready');
+
+	assert.equal(provider._parseReady('addr=http://localhost:3000 url=https://abc.ngrok-free.app'), 'https://abc.ngrok-free.app');
+	assert.equal(provider._parseReady('http://127.0.0.1:3000 http://192.168.1.4:3000 http://10.0.0.2 http://172.16.5.1 http://[::1]:3000 http://pc.local'), null);
+	assert.equal(provider._parseReady('Forwarding https://172.32.0.1 -> http://0.0.0.0:3000'), 'https://172.32.0.1');
+});
+
+test('a custom pattern takes the first match, as is', () => {
+	const bore = createProvider('ready', { urlPattern: 'bore\\.pub:\\d+' });
+	const local = createProvider('ready', { urlPattern: 'http://localhost:\\d+' });
+
+	assert.equal(bore._parseReady('listening at bore.pub:4000'), 'http://bore.pub:4000');
+	assert.equal(local._parseReady('addr=http://localhost:3000'), 'http://localhost:3000');
+	assert.throws(() => createProvider('ready', { urlPattern: '(' }), /Invalid tunnel URL pattern/);
+});
+
+test('start resolves with the public URL and stop ends the process', async () => {
+	const provider = createProvider('ready');
+	let exits = 0;
+	provider.onExit = () => exits++;
+
+	const url = await provider.start();
+	const child = provider.process;
+
+	assert.equal(url, 'https://stub-tunnel.example');
+	assert.equal(provider.getPublicUrl(), url);
+	assert.equal(provider.isActive(), true);
+	assert.equal((await provider.checkHealth()).healthy, true);
+	assert.match(provider.getOutput(), /addr=http:\/\/localhost:3000/);
+	await assert.rejects(provider.start(), /already active/);
+
+	const closed = new Promise(resolve => child.once('close', resolve));
+	await provider.stop();
+	await closed;
+
+	assert.equal(provider.isActive(), false);
+	assert.equal(provider.getPublicUrl(), null);
+	assert.equal((await provider.checkHealth()).healthy, false);
+	assert.equal(exits, 0);
+});
+
+test('a crash after start is reported through onExit', async () => {
+	const provider = createProvider('crash');
+	const exited = waitForExit(provider);
+
+	assert.equal(await provider.start(), 'https://stub-tunnel.example');
+
+	assert.equal(await exited, 3);
+	assert.equal(provider.isActive(), false);
+	assert.equal(provider.getPublicUrl(), null);
+	assert.deepEqual(await provider.checkHealth(), { healthy: false, detail: 'tunnel command exited with code 3' });
+});
+
+test('start rejects when the command exits before printing a URL', async () => {
+	const provider = createProvider('fail');
+	const error = console.error;
+	console.error = () => {};
+	try {
+		await assert.rejects(provider.start(), /exited with code 1\nOutput: ERROR: authentication failed/);
+	} finally {
+		console.error = error;
+	}
+	assert.equal(provider.isActive(), false);
+});
+
+test('start rejects and kills the process when no URL appears in time', async () => {
+	const provider = createProvider('silent', { startTimeoutMs: 300 });
+
+	await assert.rejects(provider.start(), /Timeout waiting for tunnel command URL/);
+	assert.equal(provider.isActive(), false);
+});
+
+test('start rejects when the command does not exist or is empty', async () => {
+	const missing = new CommandTunnelProvider({ port: 3000, command: 'gm-vault-missing-tunnel http {port}' });
+	const empty = new CommandTunnelProvider({ port: 3000, command: '  ' });
+
+	await assert.rejects(missing.start(), /gm-vault-missing-tunnel not found or not executable/);
+	await assert.rejects(empty.start(), /No tunnel command configured/);
+});
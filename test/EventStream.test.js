@@ -0,0 +1,83 @@
+/**
+ * @fileoverview EventStream with fake requests and responses: broadcast
+ * filters, closed connections and disconnecting clients by their meta.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { EventStream } from '../src/server/EventStream.js';
+
+/**
+ * Fake response that records what is written to it.
+ *
+ * @returns {{writeHead: Function, write: Function, end: Function, chunks: string[], ended: boolean}} Response
+ */
+function makeResponse() {
+	const res = {
+		chunks: [],
+		ended: false,
+		writeHead: () => {},
+		write: (chunk) => {
+			res.chunks.push(chunk);
+		},
+		end: () => {
+			res.ended = true;
+		}
+	};
+	return res;
+}
+
+/**
+ * Connects a fake client.
+ *
+ * @param {EventStream} stream - Event stream
+ * @param {Object} meta - Client data
+ * @returns {{req: EventEmitter, res: ReturnType<typeof makeResponse>}} Request and response
+ */
+function connect(stream, meta) {
+	const req = new EventEmitter();
+	const res = makeResponse();
+	stream.connect(req, res, meta);
+	return { req, res };
+}
+
+test('broadcast sends only to the clients the filter accepts', () => {
+	const stream = new EventStream();
+	const gm = connect(stream, { role: 'gm' });
+	const player = connect(stream, { role: 'player' });
+
+	const sent = stream.broadcast('pageUpdated', { slug: 'inn' }, (meta) => meta.role === 'gm');
+
+	assert.equal(sent, 1);
+	assert.ok(gm.res.chunks.includes('event: pageUpdated\ndata: {"slug":"inn"}\n\n'));
+	assert.ok(!player.res.chunks.some(chunk => chunk.startsWith('event:')));
+	stream.closeAll();
+});
+
+test('closed connections stop receiving events', () => {
+	const stream = new EventStream();
+	const client = connect(stream, { role: 'player' });
+
+	client.req.emit('close');
+
+	assert.equal(stream.hasClients(), false);
+	assert.equal(stream.broadcast('structureChanged', {}), 0);
+});
+
+test('disconnect ends the streams chosen by their meta and keeps the others', () => {
+	const stream = new EventStream();
+	const gm = connect(stream, { role: 'gm', token: 'old-gm' });
+	const player = connect(stream, { role: 'player', token: 'old-player' });
+	const anonymous = connect(stream, { role: 'player', token: null });
+	const revoked = ['old-gm', 'old-player'];
+
+	const ended = stream.disconnect((meta) => revoked.includes(meta.token));
+
+	assert.equal(ended, 2);
+	assert.equal(gm.res.ended, true);
+	assert.equal(player.res.ended, true);
+	assert.equal(anonymous.res.ended, false);
+	assert.equal(stream.broadcast('structureChanged', {}), 1);
+	stream.closeAll();
+});
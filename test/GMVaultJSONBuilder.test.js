@@ -0,0 +1,56 @@
+/**
+ * @fileoverview GMVaultJSONBuilder: page URLs follow the base URL of the role.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GMVaultJSONBuilder } from '../src/renderers/GMVaultJSONBuilder.js';
+import { Session } from '../src/models/Session.js';
+import { Category } from '../src/models/Category.js';
+import { Page } from '../src/models/Page.js';
+
+/**
+ * Session with a page visible to players and a GM-only page.
+ *
+ * @returns {Session} Session
+ */
+function createSession() {
+	const shared = new Page('Tavern', 'tavern', [], 'page_1');
+	shared.visibleToPlayers = true;
+	const hidden = new Page('Villain', 'villain', ['quote'], 'page_2');
+	const session = new Session('Campaign');
+	session.addCategory(new Category('Act 1', [shared], [new Category('NPCs', [hidden])]));
+	return session;
+}
+
+test('every page URL uses the given base URL, visible to players or not', () => {
+	const json = new GMVaultJSONBuilder('http://localhost:3000').buildJSON(createSession(), {
+		baseUrl: 'https://tunnel.example/player/abc'
+	});
+
+	assert.deepEqual(json, {
+		categories: [{
+			name: 'Act 1',
+			items: [
+				{
+					type: 'category',
+					name: 'NPCs',
+					items: [{ type: 'page', name: 'Villain', url: 'https://tunnel.example/player/abc/pages/villain', id: 'page_2', blockTypes: ['quote'] }]
+				},
+				{ type: 'page', name: 'Tavern', url: 'https://tunnel.example/player/abc/pages/tavern', id: 'page_1', visibleToPlayers: true }
+			]
+		}]
+	});
+});
+
+test('the GM JSON links the GM pages through the role path', () => {
+	const builder = new GMVaultJSONBuilder('http://localhost:3000');
+	const playerJson = builder.buildJSON(createSession(), { baseUrl: 'http://localhost:3000' });
+	const gmJson = builder.buildJSON(createSession(), { baseUrl: 'http://localhost:3000/gm/secret' });
+
+	const [villain, tavern] = gmJson.categories[0].items.map(item => item.items ? item.items[0] : item);
+	assert.equal(villain.url, 'http://localhost:3000/gm/secret/pages/villain');
+	assert.equal(tavern.url, 'http://localhost:3000/gm/secret/pages/tavern');
+	assert.doesNotMatch(JSON.stringify(gmJson), /token=/);
+	assert.doesNotMatch(JSON.stringify(playerJson), /\/gm\//);
+});
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview LanProvider: the advertised LAN URL (http or the HTTPS
+ * listener), its lifecycle, and the provider selection of TunnelManager.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LanProvider, getLanAddress, getLanAddresses } from '../src/server/tunnels/LanProvider.js';
+import { TunnelManager, TUNNEL_PROVIDERS } from '../src/server/TunnelManager.js';
+
+test('start resolves with the configured host and stop forgets it', async (t) => {
+	t.mock.method(console, 'log', () => {});
+	const provider = new LanProvider({ port: 3000, host: '192.168.1.20' });
+
+	assert.equal(provider.isActive(), false);
+	assert.equal(await provider.start(), 'http://192.168.1.20:3000');
+	assert.equal(provider.getPublicUrl(), 'http://192.168.1.20:3000');
+	assert.deepEqual(await provider.checkHealth(), { healthy: true, detail: 'LAN tunnel active' });
+	await assert.rejects(provider.start(), /already active/);
+
+	await provider.stop();
+
+	assert.equal(provider.isActive(), false);
+	assert.equal(provider.getPublicUrl(), null);
+	assert.equal((await provider.checkHealth()).healthy, false);
+});
+
+test('the HTTPS listener port is advertised when set', async (t) => {
+	t.mock.method(console, 'log', () => {});
+	const provider = new LanProvider({ port: 3000, host: 'gm-laptop.local', httpsPort: 3443 });
+
+	assert.equal(await provider.start(), 'https://gm-laptop.local:3443');
+});
+
+test('without a host, the first LAN address is used, or localhost when there is none', async (t) => {
+	t.mock.method(console, 'log', () => {});
+	const progress = [];
+	const provider = new LanProvider({ port: 3000, onProgress: (message) => progress.push(message) });
+	const address = getLanAddress();
+
+	const url = await provider.start();
+
+	if (address) {
+		assert.equal(url, `http://${address}:3000`);
+		assert.deepEqual(progress, []);
+	} else {
+		assert.equal(url, 'http://localhost:3000');
+		assert.deepEqual(progress, ['No LAN address found, using localhost']);
+	}
+	assert.ok(getLanAddresses().every(entry => /^\d+\.\d+\.\d+\.\d+$/.test(entry.address) && !entry.address.startsWith('127.')));
+});
+
+test('TunnelManager runs the LAN provider and reports its URL', async (t) => {
+	t.mock.method(console, 'log', () => {});
+	const manager = new TunnelManager(3000);
+
+	const url = await manager.start({ provider: TUNNEL_PROVIDERS.LAN, lanHost: '10.0.0.5' });
+
+	assert.equal(url, 'http://10.0.0.5:3000');
+	assert.equal(manager.isActive(), true);
+	assert.equal(manager.getPublicUrl(), url);
+	await assert.rejects(manager.start({ provider: TUNNEL_PROVIDERS.LAN }), /already active/);
+
+	await manager.stop();
+	assert.equal(manager.isActive(), false);
+	assert.throws(() => manager._createProvider({ provider: 'carrier-pigeon' }), /Unknown tunnel provider: carrier-pigeon/);
+});
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Regression tests for the markdown-it plugins of MarkdownRenderer
+ * (wikiLinkPlugin, tagPlugin, calloutPlugin, notionClassesPlugin).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarkdownRenderer } from '../src/renderers/MarkdownRenderer.js';
+
+const PAGE_MAP = new Map([
+	['villain', { id: 'page_1', name: 'Villain', slug: 'villain', path: 'Campaign/Villain.md' }]
+]);
+
+/**
+ * Renders markdown with the test page map.
+ *
+ * @param {string} markdown - Markdown
+ * @param {string|null} [baseUrl] - Server base URL
+ * @returns {string} HTML
+ */
+function render(markdown, baseUrl = null) {
+	const renderer = new MarkdownRenderer();
+	renderer.setPageMap(PAGE_MAP);
+	return renderer.render(markdown, baseUrl).trim();
+}
+
+test('raw HTML with ">" inside attributes is left intact', () => {
+	const html = render('<span title="a > b">#inattr</span> and <a href="/x" data-x="1>2">raw</a> <b title="x>y">bold</b>');
+
+	assert.match(html, /<span title="a > b"><span class="notion-tag notion-tag--\w+">inattr<\/span><\/span>/);
+	assert.match(html, /<a href="\/x" data-x="1>2">raw<\/a>/);
+	assert.match(html, /<b title="x>y" class="notion-text-bold">bold<\/b>/);
+});
+
+test('code spans and code blocks are not touched', () => {
+	const html = render([
+		'`#notatag [[Villain]]` and `` code with `#x` ``',
+		'',
+		'```js',
+		'#not [[Villain]] **bold**',
+		'```',
+		'',
+		'    indented #code [[Villain]]'
+	].join('\n'));
+
+	assert.match(html, /<code class="notion-text-code">#notatag \[\[Villain\]\]<\/code>/);
+	assert.match(html, /<code class="notion-text-code">code with `#x`<\/code>/);
+	assert.match(html, /<pre class="notion-code"><code class="language-js">#not \[\[Villain\]\] \*\*bold\*\*\n<\/code><\/pre>/);
+	assert.match(html, /<pre class="notion-code"><code>indented #code \[\[Villain\]\]\n<\/code><\/pre>/);
+	assert.doesNotMatch(html, /notion-tag|notion-mention/);
+});
+
+test('nested lists get the class of their own list', () => {
+	const html = render('- one\n  1. nested\n     - deeper\n- two');
+
+	assert.equal(html, [
+		'<ul class="notion-bulleted-list">',
+		'<li class="notion-bulleted-list-item">one',
+		'<ol class="notion-numbered-list">',
+		'<li class="notion-numbered-list-item">nested',
+		'<ul class="notion-bulleted-list">',
+		'<li class="notion-bulleted-list-item">deeper</li>',
+		'</ul>',
+		'</li>',
+		'</ol>',
+		'</li>',
+		'<li class="notion-bulleted-list-item">two</li>',
+		'</ul>'
+	].join('\n'));
+});
+
+test('callouts: type, title, body and foldable variants', () => {
+	const html = render('> [!warning] Watch out\n> The **floor** is [[Villain|lava]].\n\n> [!tip]- Folded\n> Hidden\n\n> [!tip]+ Open\n> Shown\n\n> [!unknown]\n> Body\n\n> plain #q');
+
+	assert.match(html, /^<div class="notion-callout notion-callout--warning" data-callout="warning" [^>]*>\n<div class="notion-callout-icon">⚠️<\/div>/);
+	assert.match(html, /<div class="notion-callout-title" [^>]*>Watch out<\/div>/);
+	assert.match(html, /<strong class="notion-text-bold">floor<\/strong> is <span class="notion-mention notion-mention--link" data-mention-page-id="page_1"[^>]*>lava<\/span>/);
+	assert.match(html, /<div class="notion-callout notion-callout--tip notion-callout--foldable" data-callout="tip"[^>]*>[\s\S]*?<details class="notion-callout-fold">\n<summary class="notion-callout-title"[^>]*>Folded<\/summary>\n<p class="notion-paragraph">Hidden<\/p>\n<\/details>/);
+	assert.equal(html.match(/<details class="notion-callout-fold" open>/g).length, 1);
+	assert.match(html, /data-callout="unknown" style="border-left-color: rgb\(2, 122, 255\)[\s\S]*?>Unknown<\/div>/);
+	assert.match(html, /<blockquote class="notion-quote">\n<p class="notion-paragraph">plain <span class="notion-tag/);
+});
+
+test('wiki links: mentions, labels, headings, missing pages and links inside links', () => {
+	const html = render('[[Villain#Lair|lair]] [[villain]] [[Nope]] [see [[Villain]]](https://example.com/a)', 'http://host/gm/T');
+
+	assert.match(html, /data-mention-page-id="page_1" data-mention-page-name="Villain" data-mention-page-url="http:\/\/host\/gm\/T\/pages\/villain"[^>]*>lair<\/span>/);
+	assert.match(html, /aria-label="Open Villain">villain<\/span>/);
+	assert.match(html, /<span class="notion-mention notion-mention--plain" data-mention-page-name="Nope">Nope<\/span>/);
+	assert.match(html, /<a href="https:\/\/example.com\/a" class="notion-text-link" target="_blank" rel="noopener noreferrer">see \[\[Villain\]\]<\/a>/);
+});
+
+test('tags: words, tag lines, and what is not a tag', () => {
+	const html = render('#lore #npc-list a#b x-#c #123 #1984 #ff0000 #0af #FFAA00CC #bad #y1984\n\n<p style="color: #fff">hex</p>\n\n# Heading\n\ntags: #one, #two');
+	const tags = [...html.matchAll(/<span class="notion-tag notion-tag--\w+">([^<]*)<\/span>/g)].map(match => match[1]);
+
+	assert.deepEqual(tags, ['lore', 'npc-list', 'bad', 'y1984', 'one', 'two']);
+	assert.match(html, /#123 #1984 #ff0000 #0af #FFAA00CC/);
+	assert.match(html, /<p style="color: #fff">hex<\/p>/);
+	assert.match(html, /<p class="notion-paragraph"><span class="notion-tag[^>]*>one<\/span> <span class="notion-tag[^>]*>two<\/span><\/p>/);
+});
+
+test('URLs: relative links are made absolute and external links open in a new tab', () => {
+	const html = render('[rel](/pages/x) [ext](https://e.com) [page](https://host/pages/y) ![i](/images/a.png)', 'http://host');
+
+	assert.match(html, /<a href="http:\/\/host\/pages\/x" class="notion-text-link">rel<\/a>/);
+	assert.match(html, /<a href="https:\/\/e.com" class="notion-text-link" target="_blank" rel="noopener noreferrer">ext<\/a>/);
+	assert.match(html, /<a href="https:\/\/host\/pages\/y" class="notion-text-link">page<\/a>/);
+	assert.match(html, /<img src="http:\/\/host\/images\/a.png" alt="i">/);
+});
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview SessionIndex on an in-memory vault: which notes and folders
+ * are pages, the page map, backlinks and incremental updates.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryFileTree } from '../src/filetree/MemoryFileTree.js';
+import { SessionParser } from '../src/parsers/SessionParser.js';
+import { SessionIndex } from '../src/parsers/SessionIndex.js';
+
+/**
+ * Builds the index of a session folder.
+ *
+ * @param {MemoryFileTree} tree - Vault
+ * @param {string} folderPath - Session folder
+ * @returns {Promise<SessionIndex>} Index
+ */
+function buildIndex(tree, folderPath) {
+	return new SessionIndex(tree, new SessionParser(tree)).build(tree.getNode(folderPath));
+}
+
+test('notes and image-only folders of the session are pages', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Tavern.md': '',
+		'Campaign/NPCs/Villain.md': '',
+		'Campaign/Maps/region.png': '',
+		'Campaign/Maps/_gallery.md': '',
+		'Campaign/Mixed/letter.png': '',
+		'Campaign/Mixed/Letter.md': '',
+		'Campaign/Mixed/scan.pdf': '',
+		'Other/Outside.md': ''
+	});
+
+	const index = await buildIndex(tree, 'Campaign');
+
+	assert.deepEqual([...index.pages.keys()].sort(), [
+		'Campaign/Maps',
+		'Campaign/Mixed/Letter.md',
+		'Campaign/NPCs/Villain.md',
+		'Campaign/Tavern.md'
+	]);
+	assert.equal(index.isImageFolder('Campaign/Maps'), true);
+	assert.equal(index.isImageFolder('Campaign/Mixed'), false);
+	assert.deepEqual(index.getImageFolders().map(folder => folder.path), ['Campaign/Maps']);
+	assert.equal(index.getBySlug('maps').file.path, 'Campaign/Maps');
+});
+
+test('notes linked from the session note are pages, even outside the folder', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Campaign.md': '# Act 1\n[[Forest]]',
+		'Campaign/Forest.md': '',
+		'World/Forest.md': '',
+		'World/Ruins.md': ''
+	});
+
+	const index = await buildIndex(tree, 'Campaign');
+	assert.equal(index.getPage('World/Ruins.md'), null);
+	assert.equal(index.getPage('World/Forest.md'), null);
+
+	tree.modify('Campaign/Campaign.md', '# Act 1\n[[Ruins]]');
+	await index.update('modify', tree.getNode('Campaign/Campaign.md'));
+
+	assert.equal(index.getPage('World/Ruins.md').linked, true);
+	assert.equal(index.getPageMap().get('ruins').path, 'World/Ruins.md');
+});
+
+test('page map prefers the session folder and the shortest path for repeated names', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Campaign.md': '[[World/Inn]]',
+		'Campaign/Town/Inn.md': { content: '', frontmatter: { gmVaultId: 'inn-town' } },
+		'Campaign/Town/Old/Inn.md': '',
+		'World/Inn.md': ''
+	});
+
+	const index = await buildIndex(tree, 'Campaign');
+	const inn = index.getPageMap().get('inn');
+
+	assert.equal(inn.path, 'Campaign/Town/Inn.md');
+	assert.equal(inn.id, 'inn-town');
+	assert.ok(index.collisions.length > 0);
+});
+
+test('backlinks count links and embeds between session pages', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Tavern.md': 'Run by [[Barkeep]].',
+		'Campaign/Villain.md': '![[Barkeep#Secrets]] and [[Tavern|the inn]]',
+		'Campaign/Barkeep.md': 'Has a [[Missing]] friend and a map: [[Maps]]',
+		'Campaign/Maps/region.png': ''
+	});
+
+	const index = await buildIndex(tree, 'Campaign');
+
+	assert.deepEqual(index.getBacklinks('Campaign/Barkeep.md').sort(), ['Campaign/Tavern.md', 'Campaign/Villain.md']);
+	assert.deepEqual(index.getBacklinks('Campaign/Tavern.md'), ['Campaign/Villain.md']);
+	assert.deepEqual(index.getBacklinks('Campaign/Maps'), ['Campaign/Barkeep.md']);
+});
+
+test('vault changes update the pages, galleries and version', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Tavern.md': '',
+		'Campaign/Maps/region.png': ''
+	});
+	const index = await buildIndex(tree, 'Campaign');
+	const version = (index.getPageMap(), index.version);
+
+	// A note in the gallery folder turns it into a category
+	const note = tree.addFile('Campaign/Maps/Legend.md', '');
+	await index.update('create', note);
+	assert.equal(index.isImageFolder('Campaign/Maps'), false);
+	assert.ok(index.getPage('Campaign/Maps/Legend.md'));
+
+	// ...and removing it makes it a gallery again
+	tree.remove('Campaign/Maps/Legend.md');
+	await index.update('delete', note);
+	assert.equal(index.isImageFolder('Campaign/Maps'), true);
+
+	// Renames move the page and its slug
+	const renamed = tree.rename('Campaign/Tavern.md', 'Campaign/Inn.md');
+	await index.update('rename', renamed, 'Campaign/Tavern.md');
+	assert.equal(index.getPage('Campaign/Tavern.md'), null);
+	assert.equal(index.getBySlug('inn').file.path, 'Campaign/Inn.md');
+	assert.ok(index.getPageMap() && index.version > version);
+
+	// Changes outside the session are ignored
+	await index.update('create', tree.addFile('Other/Note.md', ''));
+	assert.equal(index.getPage('Other/Note.md'), null);
+});
+
+test('changes re-read the session note only when they touch its links', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Campaign.md': '[[Ruins]]',
+		'Campaign/Tavern.md': ''
+	});
+	const parser = new SessionParser(tree);
+	let reads = 0;
+	const getSessionNoteLinks = parser.getSessionNoteLinks.bind(parser);
+	parser.getSessionNoteLinks = (folder) => {
+		reads++;
+		return getSessionNoteLinks(folder);
+	};
+	const index = await new SessionIndex(tree, parser).build(tree.getNode('Campaign'));
+	reads = 0;
+
+	await index.update('create', tree.addFile('Other/Unrelated.md', ''));
+	await index.update('create', tree.addFile('Campaign/Barkeep.md', ''));
+	assert.equal(reads, 0);
+
+	// A note named like a link of the session note becomes a linked page
+	await index.update('create', tree.addFile('World/Ruins.md', ''));
+	assert.equal(reads, 1);
+	assert.equal(index.getPage('World/Ruins.md').linked, true);
+});
+
+test('a new page reassigns only the slugs of its name and updates backlinks', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Tavern.md': 'Run by [[Barkeep]], see [[Inn]].',
+		'Campaign/Town/Inn.md': '',
+		'Campaign/Maps/region.png': ''
+	});
+	const index = await buildIndex(tree, 'Campaign');
+	assert.equal(index.getSlug('Campaign/Town/Inn.md'), 'inn');
+	assert.deepEqual(index.getBacklinks('Campaign/Town/Inn.md'), ['Campaign/Tavern.md']);
+
+	// The less nested note takes the base slug; the other one gets its folder
+	const inn = tree.addFile('Campaign/Inn.md', '');
+	await index.update('create', inn);
+	assert.equal(index.getSlug('Campaign/Inn.md'), 'inn');
+	assert.equal(index.getSlug('Campaign/Town/Inn.md'), 'town-inn');
+	assert.equal(index.getSlug('Campaign/Tavern.md'), 'tavern');
+	assert.deepEqual(index.collisions.map(collision => collision.slug), ['inn']);
+	assert.deepEqual(index.getBacklinks('Campaign/Inn.md'), ['Campaign/Tavern.md']);
+	assert.deepEqual(index.getBacklinks('Campaign/Town/Inn.md'), []);
+
+	// A previously unresolved link gains a backlink when its note is created...
+	const barkeep = tree.addFile('Campaign/Barkeep.md', '');
+	await index.update('create', barkeep);
+	assert.deepEqual(index.getBacklinks('Campaign/Barkeep.md'), ['Campaign/Tavern.md']);
+
+	// ...and deleting a page gives the slug and the backlinks back
+	tree.remove('Campaign/Inn.md');
+	await index.update('delete', inn);
+	assert.equal(index.getSlug('Campaign/Town/Inn.md'), 'inn');
+	assert.deepEqual(index.collisions, []);
+	assert.deepEqual(index.getBacklinks('Campaign/Town/Inn.md'), ['Campaign/Tavern.md']);
+});
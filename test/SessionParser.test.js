@@ -0,0 +1,198 @@
+/**
+ * @fileoverview SessionParser rules on an in-memory vault: folder scan,
+ * session note categories, galleries and gmvault frontmatter.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryFileTree } from '../src/filetree/MemoryFileTree.js';
+import { SessionParser } from '../src/parsers/SessionParser.js';
+
+/**
+ * Parses a session folder of a tree.
+ *
+ * @param {MemoryFileTree} tree - Vault
+ * @param {string} folderPath - Session folder
+ * @returns {Promise<import('../src/models/Session.js').Session>} Session
+ */
+function parse(tree, folderPath) {
+	return new SessionParser(tree).parseSession(tree.getNode(folderPath));
+}
+
+/**
+ * Outline of a category: its name, page names and subcategories.
+ *
+ * @param {import('../src/models/Category.js').Category} category - Category
+ * @returns {Object} Outline
+ */
+function outline(category) {
+	return {
+		name: category.name,
+		pages: category.pages.map(page => page.name),
+		categories: category.categories.map(outline)
+	};
+}
+
+test('folder scan: folders are categories before the notes, in sort order', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Tavern.md': '',
+		'Campaign/Arrival.md': '',
+		'Campaign/NPCs/Villain.md': '',
+		'Campaign/NPCs/Barkeep.md': '',
+		'Campaign/Locations/Forest/Clearing.md': ''
+	});
+
+	const session = await parse(tree, 'Campaign');
+
+	assert.equal(session.categories.length, 1);
+	assert.deepEqual(outline(session.categories[0]), {
+		name: 'Campaign',
+		pages: ['Arrival', 'Tavern'],
+		categories: [
+			{ name: 'Locations', pages: [], categories: [{ name: 'Forest', pages: ['Clearing'], categories: [] }] },
+			{ name: 'NPCs', pages: ['Barkeep', 'Villain'], categories: [] }
+		]
+	});
+});
+
+test('folder scan: the session note names the root category and is not a page', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Campaign.md': '# The **Lost** Mine\nNo links here.',
+		'Campaign/Tavern.md': ''
+	});
+
+	const session = await parse(tree, 'Campaign');
+
+	assert.deepEqual(outline(session.categories[0]), { name: 'The Lost Mine', pages: ['Tavern'], categories: [] });
+});
+
+test('folder scan: image-only folders are gallery pages, not categories', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Tavern.md': '',
+		'Campaign/Maps/region.png': '',
+		'Campaign/Maps/dungeon.jpg': '',
+		'Campaign/Maps/_gallery.yml': JSON.stringify({ gmvault: { title: 'World maps', visibleToPlayers: true } }),
+		'Campaign/Handouts/letter.png': '',
+		'Campaign/Handouts/Letter notes.md': ''
+	});
+
+	const root = (await parse(tree, 'Campaign')).categories[0];
+
+	assert.deepEqual(outline(root), {
+		name: 'Campaign',
+		pages: ['World maps', 'Tavern'],
+		categories: [{ name: 'Handouts', pages: ['Letter notes'], categories: [] }]
+	});
+	const gallery = root.pages[0];
+	assert.deepEqual(gallery.blockTypes, ['image']);
+	assert.equal(gallery.path, 'Campaign/Maps');
+	assert.equal(gallery.visibleToPlayers, true);
+});
+
+test('folder scan: gmvault frontmatter sets title, order, visibility and hides notes', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Alpha.md': '',
+		'Campaign/Beta.md': { frontmatter: { gmvault: { order: 2 } } },
+		'Campaign/Gamma.md': { frontmatter: { gmvault: { order: 1, title: 'First', visibleToPlayers: true, icon: '🍺' } } },
+		'Campaign/Secret.md': { frontmatter: { gmvault: { hidden: true } } }
+	});
+
+	const root = (await parse(tree, 'Campaign')).categories[0];
+
+	assert.deepEqual(root.pages.map(page => page.name), ['First', 'Beta', 'Alpha']);
+	const first = root.pages[0];
+	assert.equal(first.visibleToPlayers, true);
+	assert.equal(first.icon, '🍺');
+	assert.equal(root.pages[2].visibleToPlayers, false);
+});
+
+test('folder scan: the vault root uses the vault name', async () => {
+	const tree = new MemoryFileTree({ 'Tavern.md': '' }, { name: 'My Vault' });
+
+	const session = await parse(tree, '');
+
+	assert.deepEqual(outline(session.categories[0]), { name: 'My Vault', pages: ['Tavern'], categories: [] });
+});
+
+test('session note: headings are nested categories and links are pages in link order', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Campaign.md': [
+			'[[Prologue]]',
+			'# Act 1',
+			'- [[Tavern|The Prancing Pony]]',
+			'- [[Arrival]]',
+			'## NPCs',
+			'- [[Villain]] and [[Barkeep]]',
+			'## Empty',
+			'- [[Missing note]]',
+			'# Act 2',
+			'- ![[Embedded]]',
+			'- `[[In code]]`',
+			'```',
+			'[[In fence]]',
+			'```',
+			'- [[Forest]]'
+		].join('\n'),
+		'Campaign/Prologue.md': '',
+		'Campaign/Tavern.md': '',
+		'Campaign/Arrival.md': '',
+		'Campaign/Villain.md': '',
+		'Campaign/Barkeep.md': '',
+		'Campaign/Embedded.md': '',
+		'Campaign/In code.md': '',
+		'Campaign/In fence.md': '',
+		'Elsewhere/Forest.md': ''
+	});
+
+	const session = await parse(tree, 'Campaign');
+
+	assert.deepEqual(session.categories.map(outline), [
+		{ name: 'Campaign', pages: ['Prologue'], categories: [] },
+		{
+			name: 'Act 1',
+			pages: ['The Prancing Pony', 'Arrival'],
+			categories: [{ name: 'NPCs', pages: ['Villain', 'Barkeep'], categories: [] }]
+		},
+		{ name: 'Act 2', pages: ['Forest'], categories: [] }
+	]);
+	assert.equal(session.categories[2].pages[0].path, 'Elsewhere/Forest.md');
+});
+
+test('session note: special headings set block types on the pages below them', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Campaign.md': '# Tables\n- [[Loot]]\n## Quotes\n- [[Prophecy]]\n# Notes\n- [[Diary]]',
+		'Campaign/Loot.md': '',
+		'Campaign/Prophecy.md': '',
+		'Campaign/Diary.md': { frontmatter: { gmvault: { blockTypes: ['quote'] } } }
+	});
+
+	const [tables, notes] = (await parse(tree, 'Campaign')).categories;
+
+	assert.deepEqual(tables.blockTypes, ['table']);
+	assert.deepEqual(tables.pages[0].blockTypes, ['table']);
+	assert.deepEqual(tables.categories[0].pages[0].blockTypes, ['table', 'quote']);
+	assert.deepEqual(notes.pages[0].blockTypes, ['quote']);
+});
+
+test('session note: without links the structure falls back to the folder scan', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Campaign.md': '# Act 1\n- [[Missing]]',
+		'Campaign/Tavern.md': ''
+	});
+
+	const session = await parse(tree, 'Campaign');
+
+	assert.deepEqual(session.categories.map(outline), [{ name: 'Act 1', pages: ['Tavern'], categories: [] }]);
+});
+
+test('slugs are unique across the session: the folder disambiguates a repeated name', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Town/Inn.md': '',
+		'Campaign/City/Inn.md': ''
+	});
+
+	const root = (await parse(tree, 'Campaign')).categories[0];
+	const slugs = root.categories.map(category => category.pages[0].slug);
+
+	assert.deepEqual(slugs, ['inn', 'town-inn']);
+});
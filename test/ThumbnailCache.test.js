@@ -0,0 +1,161 @@
+/**
+ * @fileoverview ThumbnailCache on a temporary plugin directory: generation,
+ * images not wider than the width, one generation at a time and the
+ * decoding limits.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import { ThumbnailCache } from '../src/server/ThumbnailCache.js';
+
+/**
+ * Encodes an opaque gray PNG.
+ *
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Buffer} PNG file
+ */
+function makePng(width, height) {
+	const png = new PNG({ width, height });
+	png.data.fill(128);
+	for (let i = 3; i < png.data.length; i += 4) {
+		png.data[i] = 255;
+	}
+	return PNG.sync.write(png);
+}
+
+/**
+ * Builds a thumbnail source that counts its reads.
+ *
+ * @param {string} path - Vault path
+ * @param {Buffer} data - File content
+ * @returns {import('../src/server/ThumbnailCache.js').ThumbnailSource & {reads: number}} Source
+ */
+function makeSource(path, data) {
+	const source = {
+		path,
+		extension: 'png',
+		mtime: 1,
+		reads: 0,
+		read: async () => {
+			source.reads++;
+			return data;
+		}
+	};
+	return source;
+}
+
+/**
+ * Runs a test body with a cache on a temporary directory, removed afterwards.
+ *
+ * @param {(cache: ThumbnailCache, dir: string) => Promise<void>} body - Test body
+ * @returns {Promise<void>}
+ */
+async function withCache(body) {
+	const dir = await mkdtemp(join(tmpdir(), 'gm-vault-thumbnails-'));
+	try {
+		await body(new ThumbnailCache(dir), dir);
+	} finally {
+		await rm(dir, { recursive: true, force: true });
+	}
+}
+
+test('generates a thumbnail once and reuses the file', () => withCache(async (cache, dir) => {
+	const source = makeSource('Maps/region.png', makePng(600, 20));
+
+	const [first, second] = await Promise.all([
+		cache.getThumbnail(source, 400, null),
+		cache.getThumbnail(source, 400, null)
+	]);
+	const third = await cache.getThumbnail(source, 400, null);
+
+	assert.equal(source.reads, 1);
+	assert.equal(first.format, 'jpeg');
+	assert.deepEqual(second, first);
+	assert.deepEqual(third, first);
+	assert.deepEqual(await readdir(join(dir, 'thumbnails')), [first.filePath.split(/[\\/]/).pop()]);
+}));
+
+test('images not wider than the width are remembered and served as they are', () => withCache(async cache => {
+	const source = makeSource('Maps/small.png', makePng(100, 20));
+
+	assert.equal(await cache.getThumbnail(source, 200, null), null);
+	assert.equal(await cache.getThumbnail(source, 200, null), null);
+	assert.equal(source.reads, 1);
+
+	await cache.invalidate(source.path);
+	assert.equal(await cache.getThumbnail(source, 200, null), null);
+	assert.equal(source.reads, 2);
+}));
+
+test('generates one thumbnail at a time', () => withCache(async cache => {
+	let running = 0;
+	let maxRunning = 0;
+	const sources = ['a.png', 'b.png', 'c.png'].map(path => {
+		const source = makeSource(path, makePng(500, 40));
+		const read = source.read;
+		source.read = async () => {
+			running++;
+			maxRunning = Math.max(maxRunning, running);
+			const data = await read();
+			await new Promise(resolve => setTimeout(resolve, 5));
+			return data;
+		};
+		return source;
+	});
+
+	const originalGenerate = cache._generate.bind(cache);
+	cache._generate = async (...args) => {
+		try {
+			return await originalGenerate(...args);
+		} finally {
+			running--;
+		}
+	};
+
+	const thumbnails = await Promise.all(sources.map(source => cache.getThumbnail(source, 200, null)));
+
+	assert.equal(maxRunning, 1);
+	assert.ok(thumbnails.every(thumbnail => thumbnail && thumbnail.size > 0));
+}));
+
+test('a failed generation rejects without blocking the next ones', () => withCache(async cache => {
+	const broken = makeSource('Maps/broken.png', Buffer.from('not a png'));
+	const source = makeSource('Maps/region.png', makePng(600, 20));
+
+	await assert.rejects(cache.getThumbnail(broken, 200, null));
+	assert.ok(await cache.getThumbnail(source, 200, null));
+}));
+
+test('PNGs over the resolution limit are rejected before decoding', () => withCache(async cache => {
+	// Only the IHDR header says 10000×10000 (100 MP); the pixel data is 1×1
+	const header = makePng(1, 1);
+	header.writeUInt32BE(10000, 16);
+	header.writeUInt32BE(10000, 20);
+
+	await assert.rejects(cache.getThumbnail(makeSource('Maps/huge.png', header), 200, null), /megapixels/);
+}));
+
+test('JPEGs over the resolution limit are rejected before decoding', () => withCache(async cache => {
+	// The SOF0 segment of a 1×1 JPEG says 5000×5000 (25 MP)
+	const header = Buffer.from(jpeg.encode({ width: 1, height: 1, data: Buffer.alloc(4, 255) }).data);
+	const sof = header.indexOf(Buffer.from([0xFF, 0xC0]));
+	header.writeUInt16BE(5000, sof + 5);
+	header.writeUInt16BE(5000, sof + 7);
+	const source = { ...makeSource('Maps/huge.jpg', header), extension: 'jpg' };
+
+	await assert.rejects(cache.getThumbnail(source, 200, null), /larger than 16 megapixels \(5000×5000\)/);
+}));
+
+test('images not wider than the width are not decoded', () => withCache(async cache => {
+	// Valid header of a 100 px wide PNG, corrupt pixel data
+	const png = makePng(100, 20);
+	const source = makeSource('Maps/small.png', Buffer.concat([png.subarray(0, 33), Buffer.from('corrupt')]));
+
+	assert.equal(await cache.getThumbnail(source, 200, null), null);
+}));
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview TunnelSupervisor restarts with a fake tunnel manager: the new
+ * URL is reported, a failing URL handler is logged, and a restart that
+ * finishes after stop() stops the tunnel it started.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TunnelSupervisor, TUNNEL_STATUS } from '../src/server/TunnelSupervisor.js';
+
+/**
+ * Fake TunnelManager whose start resolves when the test says so.
+ *
+ * @returns {Object} Tunnel manager with the started providers and a way to finish a start
+ */
+function createTunnelManager() {
+	const manager = {
+		provider: null,
+		providers: [],
+		onExit: null,
+		finishStart: null,
+		setExitHandler: (handler) => {
+			manager.onExit = handler;
+		},
+		getPublicUrl: () => 'https://old.example',
+		stop: async () => {
+			await manager.provider?.stop();
+		},
+		start: () => {
+			const provider = {
+				stopped: false,
+				stop: async () => {
+					provider.stopped = true;
+				}
+			};
+			manager.provider = provider;
+			manager.providers.push(provider);
+			return new Promise((resolve) => {
+				manager.finishStart = resolve;
+			});
+		}
+	};
+	return manager;
+}
+
+/**
+ * Waits until a condition holds (the first restart attempt waits ~2 s).
+ *
+ * @param {() => boolean} condition - Condition
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+	for (let i = 0; i < 100 && !condition(); i++) {
+		await new Promise(resolve => setTimeout(resolve, 50));
+	}
+	assert.ok(condition(), 'condition not met in time');
+}
+
+test('a restart reports the new URL and logs a failing URL handler', async (t) => {
+	const manager = createTunnelManager();
+	const errors = [];
+	t.mock.method(console, 'warn', () => {});
+	t.mock.method(console, 'error', (...args) => errors.push(args));
+	const statuses = [];
+	const supervisor = new TunnelSupervisor(manager, {
+		getStartOptions: () => ({}),
+		onStatusChange: (status) => statuses.push(status),
+		onUrlChange: async () => {
+			throw new Error('settings not saved');
+		}
+	});
+
+	supervisor.start();
+	manager.onExit(1);
+	await waitFor(() => manager.finishStart !== null);
+	manager.finishStart('https://new.example');
+	await waitFor(() => errors.length > 0);
+
+	assert.deepEqual(statuses, [TUNNEL_STATUS.CONNECTED, TUNNEL_STATUS.RECONNECTING, TUNNEL_STATUS.CONNECTED]);
+	assert.match(String(errors[0][0]), /new tunnel URL/);
+	supervisor.stop();
+});
+
+test('a restart that finishes after stop() stops the tunnel it started', async (t) => {
+	const manager = createTunnelManager();
+	t.mock.method(console, 'warn', () => {});
+	let urlChanges = 0;
+	const supervisor = new TunnelSupervisor(manager, {
+		getStartOptions: () => ({}),
+		onUrlChange: () => {
+			urlChanges++;
+		}
+	});
+
+	supervisor.start();
+	manager.onExit(1);
+	await waitFor(() => manager.finishStart !== null);
+	supervisor.stop();
+	manager.finishStart('https://new.example');
+	await waitFor(() => manager.providers[0].stopped);
+
+	assert.equal(urlChanges, 0);
+	assert.equal(supervisor.isRunning(), false);
+});
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview VaultExporter on an in-memory vault: JSON structure from the
+ * folder and category rules, mentions, GM-only content and image modes.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryFileTree } from '../src/filetree/MemoryFileTree.js';
+import { VaultExporter, IMAGE_MODES } from '../src/exporters/VaultExporter.js';
+import { pageIdFromPath } from '../src/utils/pageId.js';
+
+/**
+ * Exports a session folder of a tree.
+ *
+ * @param {MemoryFileTree} tree - Vault
+ * @param {string} folderPath - Session folder
+ * @param {Object} [options] - Export options
+ * @returns {Promise<{json: Object, exporter: VaultExporter}>} Exported JSON and the exporter
+ */
+async function exportFolder(tree, folderPath, options = {}) {
+	const exporter = new VaultExporter(tree);
+	const json = await exporter.exportVault(tree.getNode(folderPath), options);
+	return { json, exporter };
+}
+
+/**
+ * Outline of an exported category: its name and item names (subcategories as outlines).
+ *
+ * @param {Object} category - Exported category
+ * @returns {Object} Outline
+ */
+function outline(category) {
+	return {
+		name: category.name,
+		items: category.items.map(item => item.type === 'category' ? outline(item) : item.name)
+	};
+}
+
+/**
+ * Finds an exported page by name.
+ *
+ * @param {Object} json - Exported JSON
+ * @param {string} name - Page name
+ * @returns {Object|undefined} Page item
+ */
+function findPage(json, name) {
+	const visit = (items) => {
+		for (const item of items) {
+			const found = item.type === 'page' ? (item.name === name ? item : undefined) : visit(item.items);
+			if (found) {
+				return found;
+			}
+		}
+		return undefined;
+	};
+	return visit(json.categories.flatMap(category => category.items));
+}
+
+test('folder scan: subcategories come before the pages, galleries are pages', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Tavern.md': '',
+		'Campaign/NPCs/Villain.md': '',
+		'Campaign/Maps/region.png': '',
+		'Campaign/Hidden.md': { frontmatter: { gmvault: { hidden: true } } }
+	});
+
+	const { json } = await exportFolder(tree, 'Campaign');
+
+	assert.deepEqual(json.categories.map(outline), [{
+		name: 'Campaign',
+		items: [{ name: 'NPCs', items: ['Villain'] }, 'Maps', 'Tavern']
+	}]);
+	const gallery = findPage(json, 'Maps');
+	assert.equal(gallery.id, pageIdFromPath('Campaign/Maps'));
+	assert.deepEqual(gallery.blockTypes, ['image']);
+});
+
+test('session note: headings are categories, aliases and block types reach the items', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Campaign.md': '# Act 1\n- [[Tavern|The Inn]]\n## Tables\n- [[Loot]]',
+		'Campaign/Tavern.md': { content: 'Ale', frontmatter: { gmvault: { visibleToPlayers: true, icon: '🍺' } } },
+		'Campaign/Loot.md': '| a |\n|---|\n| 1 |'
+	});
+
+	const { json } = await exportFolder(tree, 'Campaign');
+
+	assert.deepEqual(json.categories.map(outline), [{
+		name: 'Act 1',
+		items: [{ name: 'Tables', items: ['Loot'] }, 'The Inn']
+	}]);
+	const inn = findPage(json, 'The Inn');
+	assert.equal(inn.visibleToPlayers, true);
+	assert.equal(inn.icon, '🍺');
+	assert.equal(inn.blockTypes, undefined);
+	assert.deepEqual(findPage(json, 'Loot').blockTypes, ['table']);
+	assert.equal(findPage(json, 'Loot').visibleToPlayers, undefined);
+});
+
+test('wiki links become mentions by page ID, without page URLs', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Tavern.md': 'Run by [[Barkeep|the barkeep]], rival of [[Nobody]].',
+		'Campaign/Barkeep.md': ''
+	});
+
+	const { json } = await exportFolder(tree, 'Campaign');
+	const html = findPage(json, 'Tavern').htmlContent;
+
+	assert.match(html, new RegExp(`data-mention-page-id="${pageIdFromPath('Campaign/Barkeep.md')}"`));
+	assert.match(html, />the barkeep<\/span>/);
+	assert.match(html, /notion-mention--plain" data-mention-page-name="Nobody"/);
+	assert.doesNotMatch(html, /data-mention-page-url/);
+});
+
+test('embedded notes are resolved and GM-only content is kept only on GM pages', async () => {
+	const secret = '%%gm The barkeep is the villain %%';
+	const tree = new MemoryFileTree({
+		'Campaign/Tavern.md': { content: `Ale. ${secret}\n\n![[Rumors]]`, frontmatter: { gmvault: { visibleToPlayers: true } } },
+		'Campaign/Notes.md': `Prep. ${secret}`,
+		'Campaign/Rumors.md': 'Wolves in the woods.'
+	});
+
+	const { json } = await exportFolder(tree, 'Campaign');
+	const tavern = findPage(json, 'Tavern').htmlContent;
+
+	assert.match(tavern, /Wolves in the woods\./);
+	assert.match(tavern, /data-embed-source="Rumors"/);
+	assert.doesNotMatch(tavern, /villain/);
+	assert.match(findPage(json, 'Notes').htmlContent, /The barkeep is the villain/);
+});
+
+test('image modes: omit, embed and bundle', async () => {
+	const tree = new MemoryFileTree({
+		'Campaign/Tavern.md': '![[sign.png]] ![[huge.png]]',
+		'Campaign/Images/sign.png': 'PNG',
+		'Campaign/Images/huge.png': 'x'.repeat(64)
+	});
+
+	const omit = (await exportFolder(tree, 'Campaign')).json;
+	assert.match(findPage(omit, 'Tavern').htmlContent, /🖼️ sign\.png[\s\S]*\(Usa URL externa\)/);
+
+	const embed = await exportFolder(tree, 'Campaign', { imageMode: IMAGE_MODES.EMBED, maxEmbedBytes: 16 });
+	const embedded = findPage(embed.json, 'Tavern').htmlContent;
+	assert.match(embedded, /src="data:image\/png;base64,UE5H"/);
+	assert.match(embedded, /🖼️ huge\.png[\s\S]*\(Imagen de más de 0 KB\)/);
+	assert.deepEqual(embed.exporter.stats, { embeddedBytes: 3, embeddedImages: 1, skippedImages: 1 });
+
+	const bundle = await exportFolder(tree, 'Campaign', { imageMode: IMAGE_MODES.BUNDLE });
+	assert.match(findPage(bundle.json, 'Tavern').htmlContent, /src="assets\/Campaign\/Images\/sign\.png"/);
+	assert.deepEqual(bundle.exporter.getBundleFiles().map(asset => asset.path).sort(), [
+		'assets/Campaign/Images/huge.png',
+		'assets/Campaign/Images/sign.png'
+	]);
+});
+
+test('galleries apply the sidecar and drop GM-only images on player pages', async () => {
+	const sidecar = {
+		gmvault: { visibleToPlayers: true },
+		images: { 'b.png': { caption: 'Region', order: 1 }, 'c.png': { gmOnly: true } }
+	};
+	const tree = new MemoryFileTree({
+		'Campaign/Maps/a.png': '',
+		'Campaign/Maps/b.png': '',
+		'Campaign/Maps/c.png': '',
+		'Campaign/Maps/_gallery.yml': JSON.stringify(sidecar)
+	});
+
+	const { json } = await exportFolder(tree, 'Campaign');
+	const gallery = findPage(json, 'Maps');
+
+	assert.equal(gallery.visibleToPlayers, true);
+	assert.ok(gallery.htmlContent.indexOf('Region') < gallery.htmlContent.indexOf('a.png'));
+	assert.doesNotMatch(gallery.htmlContent, /c\.png/);
+	assert.match(gallery.htmlContent, /💡 Tip:/);
+});
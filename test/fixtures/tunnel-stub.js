@@ -0,0 +1,89 @@
+/**
+ * Stub tunnel command for the tunnel provider tests.
+ *
+ * Usage: node tunnel-stub.js <mode> <port>
+ *   ready   logs the local address, then the public URL, and keeps running
+ *   crash   logs the public URL and exits with code 3
+ *   fail    logs an error and exits with code 1 before any URL
+ *   silent  keeps running without printing a URL
+ *
+ * Usage: node tunnel-stub.js cloudflared <cloudflared arguments>
+ *   Prints cloudflared's output to stderr, as cloudflared does. The behavior
+ *   comes from the TUNNEL_STUB_CLOUDFLARED environment variable:
+ *   quick (default) prints a trycloudflare.com URL, named prints the
+ *   "Registered tunnel connection" line, crash prints the URL and exits with
+ *   code 3, fail exits with code 1. "--version" prints a version and exits.
+ */
+
+const [mode, ...args] = process.argv.slice(2);
+
+if (mode === 'cloudflared') {
+	runCloudflared(args, process.env.TUNNEL_STUB_CLOUDFLARED || 'quick');
+} else {
+	runCommand(mode, args[0]);
+}
+
+/**
+ * Generic tunnel command (CommandTunnelProvider).
+ *
+ * @param {string} mode - Behavior
+ * @param {string} port - Local port
+ */
+function runCommand(mode, port) {
+	if (mode === 'fail') {
+		console.error('ERROR: authentication failed');
+		process.exit(1);
+	}
+
+	if (mode === 'ready' || mode === 'crash') {
+		console.log(`t=1 lvl=info msg="starting web service" addr=http://localhost:${port}`);
+		setTimeout(() => console.log('t=2 lvl=info msg="started tunnel" url=https://stub-tunnel.example'), 50);
+	}
+
+	keepRunning(mode === 'crash');
+}
+
+/**
+ * Fake cloudflared (CloudflaredProvider).
+ *
+ * @param {string[]} args - cloudflared arguments
+ * @param {string} mode - Behavior
+ */
+function runCloudflared(args, mode) {
+	if (args.includes('--version')) {
+		console.log('cloudflared version 2024.1.0 (stub)');
+		process.exit(0);
+	}
+
+	console.error(`INF args: ${args.join(' ')}`);
+	if (process.env.TUNNEL_TOKEN) {
+		console.error('INF TUNNEL_TOKEN is set');
+	}
+	if (mode === 'fail') {
+		console.error('ERR failed to request quick Tunnel: 429 Too Many Requests');
+		process.exit(1);
+	}
+
+	setTimeout(() => {
+		if (mode === 'named') {
+			console.error('INF Registered tunnel connection connIndex=0 location=stub');
+		} else {
+			console.error('INF |  https://Stub-Quick.trycloudflare.com  |');
+		}
+	}, 50);
+
+	keepRunning(mode === 'crash');
+}
+
+/**
+ * Keeps the process alive, or exits with code 3 after a moment.
+ *
+ * @param {boolean} crash - Whether to exit
+ */
+function keepRunning(crash) {
+	if (crash) {
+		setTimeout(() => process.exit(3), 300);
+	} else {
+		setInterval(() => {}, 1000);
+	}
+}
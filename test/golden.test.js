@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Golden files: the body of the live page (/pages/:slug) and the
+ * htmlContent of the offline export must render the same HTML.
+ *
+ * Each page of test/fixtures/golden/vault is exported (bundle image mode) and
+ * compared with test/fixtures/golden/<page>.html. The live body, rendered the way
+ * the /pages/:slug route does it, must match the same file once its
+ * expected differences are undone: mentions carry a page URL, relative links
+ * are made absolute, and images are served from /images/ instead of assets/.
+ *
+ * Run with UPDATE_GOLDEN=1 to rewrite the expected files.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MemoryFileTree } from '../src/filetree/MemoryFileTree.js';
+import { SessionParser } from '../src/parsers/SessionParser.js';
+import { SessionIndex } from '../src/parsers/SessionIndex.js';
+import { EmbedResolver } from '../src/renderers/EmbedResolver.js';
+import { MarkdownRenderer } from '../src/renderers/MarkdownRenderer.js';
+import { VaultExporter, IMAGE_MODES } from '../src/exporters/VaultExporter.js';
+import { filterGMOnlyContent } from '../src/utils/secrets.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/golden/', import.meta.url));
+const VAULT = join(FIXTURES, 'vault');
+const BASE_URL = 'http://localhost:3000';
+
+/**
+ * Loads the fixture vault from disk.
+ *
+ * @returns {MemoryFileTree} Vault
+ */
+function loadVault() {
+	const files = {};
+	const visit = (dir) => {
+		for (const entry of readdirSync(dir, { withFileTypes: true })) {
+			const path = join(dir, entry.name);
+			if (entry.isDirectory()) {
+				visit(path);
+			} else {
+				files[relative(VAULT, path).split('\\').join('/')] = readFileSync(path, 'utf8');
+			}
+		}
+	};
+	visit(VAULT);
+	return new MemoryFileTree(files);
+}
+
+/**
+ * Renders the body of the live page of a note, as the /pages/:slug route does.
+ *
+ * @param {MemoryFileTree} tree - Vault
+ * @param {SessionIndex} index - Session index
+ * @param {import('../src/filetree/FileTree.js').FileNode} file - Note
+ * @param {boolean} isGM - Whether the request comes from the GM
+ * @returns {Promise<string>} Body of the live page
+ */
+async function renderLive(tree, index, file, isGM) {
+	const renderer = new MarkdownRenderer(BASE_URL);
+	const markdown = await new EmbedResolver(tree).resolve(await tree.read(file), file, null,
+		(content) => filterGMOnlyContent(content, isGM));
+	renderer.setPageMap(index.getPageMap());
+	renderer.setMediaResolver((linkPath) => tree.resolveLink(linkPath, file.path)?.path || null);
+
+	const body = renderer.renderEmbedded(markdown, file.basename, BASE_URL);
+	assert.ok(renderer.renderPage(markdown, file.basename, BASE_URL).includes(body), 'renderPage embeds renderEmbedded');
+	return body;
+}
+
+/**
+ * Undoes the differences of the live body that the export drops on purpose.
+ *
+ * @param {string} html - Live body
+ * @returns {string} Body with export URLs
+ */
+function toExportUrls(html) {
+	return html
+		.replace(/ data-mention-page-url="[^"]*"/g, '')
+		.split(`${BASE_URL}/images/`).join('assets/')
+		.split(`href="${BASE_URL}/`).join('href="/');
+}
+
+const tree = loadVault();
+const folder = tree.getNode('Campaign');
+const index = await new SessionIndex(tree, new SessionParser(tree)).build(folder);
+const exported = await new VaultExporter(tree, index).exportVault(folder, { imageMode: IMAGE_MODES.BUNDLE });
+const pages = exported.categories[0].items.filter(item => item.type === 'page');
+
+for (const file of folder.children.filter(child => child.extension === 'md')) {
+	const page = pages.find(item => item.name === file.basename);
+	const goldenPath = join(FIXTURES, `${file.basename}.html`);
+
+	test(`${file.basename}: export matches the golden file`, () => {
+		if (process.env.UPDATE_GOLDEN) {
+			writeFileSync(goldenPath, page.htmlContent);
+		}
+		assert.equal(page.htmlContent, readFileSync(goldenPath, 'utf8'));
+	});
+
+	test(`${file.basename}: live page matches the golden file`, async () => {
+		const live = await renderLive(tree, index, file, !page.visibleToPlayers);
+		assert.equal(toExportUrls(live), readFileSync(goldenPath, 'utf8'));
+	});
+}
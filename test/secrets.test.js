@@ -0,0 +1,121 @@
+/**
+ * @fileoverview GM-only content filtering (utils/secrets.js), on its own and
+ * applied per note by EmbedResolver.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterGMOnlyContent } from '../src/utils/secrets.js';
+import { EmbedResolver } from '../src/renderers/EmbedResolver.js';
+import { MemoryFileTree } from '../src/filetree/MemoryFileTree.js';
+
+test('secret callouts are removed with their quoted and lazy continuation lines', () => {
+	const markdown = [
+		'Intro',
+		'',
+		'> [!secret] T',
+		'> The villain is',
+		'Bob the lazy line',
+		'',
+		'After'
+	].join('\n');
+
+	assert.equal(filterGMOnlyContent(markdown, false), 'Intro\n\n\nAfter');
+	assert.equal(filterGMOnlyContent(markdown, true), markdown);
+});
+
+test('secret callouts end at a blank line, a heading or a code block', () => {
+	const markdown = '> [!secret]- T\n> Hidden\n## Next\nShown\n\n> [!secret]\n> Hidden\n```\ncode\n```';
+
+	assert.equal(filterGMOnlyContent(markdown, false), '## Next\nShown\n\n```\ncode\n```');
+});
+
+test('nested secret callouts keep the outer quote', () => {
+	const markdown = '> Outer\n> > [!secret] T\n> > Hidden\n> lazy, still inside\n>\n> Outer again';
+
+	assert.equal(filterGMOnlyContent(markdown, false), '> Outer\n>\n> Outer again');
+});
+
+test('%%gm blocks: inline, multi-line and inside code blocks', () => {
+	const markdown = 'Door %%gm key under the mat %% locked.\n\n%%gm\nLine 1\nLine 2\n%%\n\n```\n%%gm fenced %%\n```';
+
+	assert.equal(filterGMOnlyContent(markdown, false), 'Door  locked.\n\n\n\n```\n%%gm fenced %%\n```');
+	const gm = filterGMOnlyContent(markdown, true);
+	assert.match(gm, /Door <span class="notion-gm-only" title="GM only">key under the mat<\/span> locked\./);
+	assert.match(gm, /> \[!secret\] GM only\n> Line 1\n> Line 2/);
+	assert.match(gm, /```\n%%gm fenced %%\n```/);
+});
+
+test('an unclosed %%gm runs to the end of the document', () => {
+	const markdown = 'Shown\n\n%%gm The twist:\nthe innkeeper\n\n```\ncode after\n```\n\n## Later\nStill secret';
+
+	assert.equal(filterGMOnlyContent(markdown, false), 'Shown\n\n');
+	const gm = filterGMOnlyContent(markdown, true);
+	assert.match(gm, /> \[!secret\] GM only\n> The twist:\n> the innkeeper/);
+	assert.match(gm, /```\ncode after\n```\n\n## Later\nStill secret$/);
+});
+
+test('#gm-only headings hide their section down to the next heading of the same level', () => {
+	const markdown = '## Loot #gm-only\nGold\n### Detail\nMore\n## Public\nShown';
+
+	assert.equal(filterGMOnlyContent(markdown, false), '## Public\nShown');
+});
+
+test('indented #gm-only headings hide their section and end a previous one', () => {
+	const markdown = '   ## Plot #gm-only\nThe twist\n## #gm-only\nMore secrets\n  ## Public\nShown';
+
+	assert.equal(filterGMOnlyContent(markdown, false), '  ## Public\nShown');
+});
+
+test('setext #gm-only headings hide their section, and setext headings end one', () => {
+	const markdown = [
+		'Plot #gm-only',
+		'=============',
+		'The twist',
+		'',
+		'Details #gm-only',
+		'---',
+		'Hidden too',
+		'',
+		'Public',
+		'======',
+		'Shown',
+		'',
+		'- list item #gm-only',
+		'---'
+	].join('\n');
+
+	assert.equal(filterGMOnlyContent(markdown, false), 'Public\n======\nShown\n\n- list item #gm-only\n---');
+});
+
+test('a #gm-only section in an embedded note stays inside the embed', async () => {
+	const tree = new MemoryFileTree({
+		'Host.md': '# Host\n\n![[Notes]]\n\nHost text after the embed\n\n## Host section\nShown',
+		'Notes.md': 'Public note\n\n## Secrets #gm-only\nThe villain is Bob'
+	});
+	const host = tree.getNode('Host.md');
+	const filter = (content) => filterGMOnlyContent(content, false);
+
+	const markdown = await new EmbedResolver(tree).resolve(await tree.read(host), host, null, filter);
+
+	assert.doesNotMatch(markdown, /Bob|Secrets/);
+	assert.match(markdown, /Public note\n*<\/div>/);
+	assert.match(markdown, /Host text after the embed/);
+	assert.match(markdown, /## Host section\nShown/);
+});
+
+test('GM-only content of an embedded note is filtered before its section is extracted', async () => {
+	const tree = new MemoryFileTree({
+		'Host.md': '![[Notes#Plot]]\n\n![[Notes#Secrets]]',
+		'Notes.md': '## Plot\nPublic %%gm and secret %%\n\n> [!secret]\n> Hidden\nlazy\n\n## Secrets #gm-only\nBob'
+	});
+	const host = tree.getNode('Host.md');
+
+	const players = await new EmbedResolver(tree).resolve(await tree.read(host), host, null, (content) => filterGMOnlyContent(content, false));
+	const gm = await new EmbedResolver(tree).resolve(await tree.read(host), host, null, (content) => filterGMOnlyContent(content, true));
+
+	assert.doesNotMatch(players, /secret|Hidden|lazy|Bob/);
+	assert.match(players, /Section not found: Notes#Secrets/);
+	assert.match(gm, /and secret/);
+	assert.match(gm, /Hidden\nlazy/);
+});